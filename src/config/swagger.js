@@ -160,9 +160,22 @@ const options = {
             },
             token: {
               type: 'string',
-              description: 'JWT token for authentication',
+              description: 'Short-lived JWT access token',
               example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...',
             },
+            refresh_token: {
+              type: 'string',
+              description: 'Single-use refresh token for POST /api/v1/auth/refresh',
+            },
+            expires_in: {
+              type: 'integer',
+              description: 'Access token lifetime in seconds',
+              example: 900,
+            },
+            session_id: {
+              type: 'integer',
+              description: 'Session this token pair belongs to',
+            },
             user: {
               $ref: '#/components/schemas/User',
             },
@@ -343,7 +356,14 @@ const options = {
             conversation_id: { type: 'integer', example: 5 },
             sender_id: { type: 'integer', example: 2 },
             content: { type: 'string', example: 'Hello, how are you?' },
-            attachment_url: { type: 'string', nullable: true, format: 'uri' },
+            message_type: { type: 'string', enum: ['user', 'system'], example: 'user' },
+            metadata: {
+              type: 'object',
+              nullable: true,
+              description: 'System messages: `event` (group_created, title_changed, avatar_changed, participants_added, participant_removed, participant_left, role_changed) plus its details',
+            },
+            attachment_id: { type: 'integer', nullable: true, description: 'Uploaded attachment (GET /api/messages/attachments/{id} for signed URLs)' },
+            attachment_url: { type: 'string', nullable: true, format: 'uri', deprecated: true },
             attachment_type: { type: 'string', nullable: true, enum: ['image', 'document', 'video', 'audio'] },
             attachment_name: { type: 'string', nullable: true },
             forwarded_from_message_id: { type: 'integer', nullable: true },
@@ -363,13 +383,18 @@ const options = {
           type: 'object',
           properties: {
             id: { type: 'integer', example: 5 },
-            participant1_id: { type: 'integer', example: 1 },
-            participant2_id: { type: 'integer', example: 2 },
+            type: { type: 'string', enum: ['direct', 'group'], example: 'direct' },
+            title: { type: 'string', nullable: true, description: 'Group conversations only' },
+            avatar_url: { type: 'string', nullable: true, format: 'uri' },
+            created_by: { type: 'integer', nullable: true },
+            participant1_id: { type: 'integer', nullable: true, example: 1, description: 'Direct conversations only' },
+            participant2_id: { type: 'integer', nullable: true, example: 2, description: 'Direct conversations only' },
+            participant_count: { type: 'integer', example: 2 },
+            role: { type: 'string', enum: ['admin', 'member'], description: 'Current user\'s role' },
+            last_read_message_id: { type: 'integer', nullable: true, description: 'Current user\'s read cursor' },
             last_message_at: { type: 'string', nullable: true, format: 'date-time' },
             last_message_id: { type: 'integer', nullable: true },
             last_message_content: { type: 'string', nullable: true },
-            participant1_unread_count: { type: 'integer', example: 0 },
-            participant2_unread_count: { type: 'integer', example: 3 },
             unread_count: { type: 'integer', example: 3 },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' },
@@ -390,6 +415,22 @@ const options = {
                 last_seen_at: { type: 'string', nullable: true, format: 'date-time' },
               },
             },
+            participants: {
+              type: 'array',
+              description: 'Group conversations only',
+              items: {
+                type: 'object',
+                properties: {
+                  user_id: { type: 'integer' },
+                  role: { type: 'string', enum: ['admin', 'member'] },
+                  first_name: { type: 'string' },
+                  last_name: { type: 'string' },
+                  profile_image_url: { type: 'string', nullable: true },
+                  last_read_message_id: { type: 'integer', nullable: true },
+                  joined_at: { type: 'string', format: 'date-time' },
+                },
+              },
+            },
           },
         },
         MessageReaction: {
@@ -177,8 +177,13 @@ const getUserActivities = async (req, res) => {
     if (startDate) filters.start_date = startDate;
     if (endDate) filters.end_date = endDate;
 
+    // Private activities (e.g. job applications) are only visible to their owner
+    if (targetUserId !== currentUserId) {
+      filters.exclude_private = true;
+    }
+
     // Get activities
-    const activities = filters.activity_type || filters.start_date || filters.end_date
+    const activities = Object.keys(filters).length > 0
       ? await ActivityFeed.findWithFilters(targetUserId, filters, limit, offset)
       : await ActivityFeed.findByUserId(targetUserId, limit, offset);
 
@@ -0,0 +1,580 @@
+// Admin controller - User search, suspension, role grants, verification and audit history for platform staff
+const { body, check, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const UserRole = require('../models/UserRole');
+const OrganizationAdmin = require('../models/OrganizationAdmin');
+const MedicalOrganization = require('../models/MedicalOrganization');
+const MedicalGroup = require('../models/MedicalGroup');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { getUserRoles, getPermissionsForRoles, isStaff } = require('../services/accessControlService');
+const { revokeAllSessions } = require('../services/sessionService');
+const { disconnectUser } = require('../services/socketService');
+
+const GRANTABLE_ROLES = ['org_admin', ...UserRole.GLOBAL_ROLES];
+
+// Validation rules
+const validateUserId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+];
+
+const validateUserSearch = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Search query must be less than 255 characters'),
+  query('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+    .toBoolean(),
+  query('role')
+    .optional()
+    .isIn(['user', ...GRANTABLE_ROLES])
+    .withMessage(`Role must be one of: user, ${GRANTABLE_ROLES.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+    .toInt(),
+];
+
+const validateSuspension = [
+  ...validateUserId,
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be less than 500 characters'),
+];
+
+const validateRoleChange = [
+  ...validateUserId,
+  param('role')
+    .isIn(GRANTABLE_ROLES)
+    .withMessage(`Role must be one of: ${GRANTABLE_ROLES.join(', ')}`),
+  check('organization_id')
+    .if((value, { req }) => req.params.role === 'org_admin')
+    .isInt({ min: 1 })
+    .withMessage('organization_id is required for the org_admin role')
+    .toInt(),
+];
+
+const validateAuditQuery = [
+  query('actor_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('actor_id must be a positive integer')
+    .toInt(),
+  query('target_type')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('target_type must be less than 50 characters'),
+  query('target_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('target_id must be a positive integer')
+    .toInt(),
+  query('action')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('action must be less than 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+    .toInt(),
+];
+
+const validateVerification = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer')
+    .toInt(),
+  body('is_verified')
+    .isBoolean()
+    .withMessage('is_verified must be a boolean')
+    .toBoolean(),
+];
+
+// Record an admin action in the audit log
+const audit = (req, action, targetType, targetId, details = {}) => AdminAuditLog.create({
+  actor_id: req.user.id,
+  action,
+  target_type: targetType,
+  target_id: targetId,
+  details,
+  ip_address: req.ip || null,
+});
+
+// Search users
+const searchUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const limit = req.query.limit || 20;
+    const offset = req.query.offset || 0;
+    const { users, total } = await User.searchForAdmin({
+      q: req.query.q || null,
+      isActive: req.query.is_active === undefined ? null : req.query.is_active,
+      role: req.query.role || null,
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: users,
+      pagination: {
+        total,
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    console.error('Admin search users error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// User detail with roles, administered organizations and recent audit history
+const getUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const [roles, organizations, history] = await Promise.all([
+      getUserRoles(user.id),
+      OrganizationAdmin.findByUserId(user.id),
+      AdminAuditLog.findAll({ targetType: 'user', targetId: user.id, limit: 20 }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        profile_image_url: user.profile_image_url,
+        is_verified: user.is_verified,
+        is_active: user.is_active,
+        email_verified_at: user.email_verified_at,
+        suspended_at: user.suspended_at,
+        suspension_reason: user.suspension_reason,
+        created_at: user.created_at,
+        roles,
+        permissions: getPermissionsForRoles(roles),
+        organizations,
+        audit_history: history.logs,
+      },
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Suspend a user: blocks sign-in, signs out every session and disconnects their sockets
+const suspendUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const userId = req.params.id;
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account',
+      });
+    }
+
+    const target = await User.findById(userId);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const targetRoles = await getUserRoles(userId);
+    if (isStaff(targetRoles) && !req.user.roles.includes('platform_admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only platform admins can suspend staff accounts',
+      });
+    }
+
+    if (target.is_active === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already suspended',
+      });
+    }
+
+    const updated = await User.setActive(userId, false, req.body.reason);
+    const sessionIds = await revokeAllSessions(userId, 'suspended');
+    disconnectUser(userId, 'suspended');
+    await audit(req, 'user.suspend', 'user', userId, {
+      reason: req.body.reason,
+      revoked_sessions: sessionIds.length,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User suspended',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Admin suspend user error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Reactivate a suspended user (they sign in again; old sessions stay revoked)
+const reactivateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const target = await User.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (target.is_active !== false) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is not suspended',
+      });
+    }
+
+    const updated = await User.setActive(target.id, true);
+    await audit(req, 'user.reactivate', 'user', target.id, {
+      previous_reason: target.suspension_reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User reactivated',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// organization_id for org_admin changes, from the body or (for DELETE) the query string
+const getOrganizationId = (req) => parseInt(req.body.organization_id || req.query.organization_id);
+
+// Grant a role. org_admin is per organization and is stored in organization_admins.
+const grantRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { id: userId, role } = req.params;
+    const target = await User.findById(userId);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    let granted;
+    const details = { role };
+    if (role === 'org_admin') {
+      const organization = await MedicalOrganization.findById(getOrganizationId(req));
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found',
+        });
+      }
+      granted = await OrganizationAdmin.addAdmin(organization.id, userId, req.user.id);
+      details.organization_id = organization.id;
+    } else {
+      granted = await UserRole.grant(userId, role, req.user.id);
+    }
+
+    if (!granted) {
+      return res.status(409).json({
+        success: false,
+        message: 'User already has this role',
+      });
+    }
+    await audit(req, 'role.grant', 'user', userId, details);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role granted',
+      data: {
+        roles: await getUserRoles(userId),
+      },
+    });
+  } catch (error) {
+    console.error('Admin grant role error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Revoke a role; the last platform admin cannot be removed
+const revokeRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { id: userId, role } = req.params;
+
+    if (role === 'platform_admin' && await UserRole.countByRole('platform_admin') <= 1) {
+      const roles = await getUserRoles(userId);
+      if (roles.includes('platform_admin')) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot remove the last platform admin',
+        });
+      }
+    }
+
+    let revoked;
+    const details = { role };
+    if (role === 'org_admin') {
+      details.organization_id = getOrganizationId(req);
+      revoked = await OrganizationAdmin.removeAdmin(details.organization_id, userId);
+    } else {
+      revoked = await UserRole.revoke(userId, role);
+    }
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'User does not have this role',
+      });
+    }
+    await audit(req, 'role.revoke', 'user', userId, details);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role revoked',
+      data: {
+        roles: await getUserRoles(userId),
+      },
+    });
+  } catch (error) {
+    console.error('Admin revoke role error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Audit history, newest first
+const getAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const limit = req.query.limit || 50;
+    const offset = req.query.offset || 0;
+    const { logs, total } = await AdminAuditLog.findAll({
+      actorId: req.query.actor_id || null,
+      targetType: req.query.target_type || null,
+      targetId: req.query.target_id || null,
+      action: req.query.action || null,
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: logs,
+      pagination: {
+        total,
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    console.error('Admin get audit logs error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Mark an organization verified or unverified
+const setOrganizationVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const organization = await MedicalOrganization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found',
+      });
+    }
+
+    const updated = await MedicalOrganization.update(organization.id, { is_verified: req.body.is_verified });
+    await audit(req, req.body.is_verified ? 'organization.verify' : 'organization.unverify', 'organization', organization.id, {
+      previous: organization.is_verified,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization verification updated',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Admin organization verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Mark a group verified or unverified
+const setGroupVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const group = await MedicalGroup.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    const updated = await MedicalGroup.update(group.id, { is_verified: req.body.is_verified });
+    await audit(req, req.body.is_verified ? 'group.verify' : 'group.unverify', 'group', group.id, {
+      previous: group.is_verified,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Group verification updated',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Admin group verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  searchUsers,
+  getUser,
+  suspendUser,
+  reactivateUser,
+  grantRole,
+  revokeRole,
+  getAuditLogs,
+  setOrganizationVerification,
+  setGroupVerification,
+  validateUserId,
+  validateUserSearch,
+  validateSuspension,
+  validateRoleChange,
+  validateAuditQuery,
+  validateVerification,
+};
@@ -1,9 +1,28 @@
 // Authentication controller
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { hashPassword, comparePassword, generateToken } = require('../utils/auth');
+const AuthToken = require('../models/AuthToken');
+const { hashPassword, comparePassword, generateToken, verifyMfaPendingToken, isTokenRevoked } = require('../utils/auth');
 const { validateUsername, sanitizeUsername, isUsernameAvailable } = require('../utils/userUtils');
 const { verifyIdToken } = require('../config/firebase');
+const { isQueueEnabled, addEmailJob } = require('../services/jobQueue');
+const { appUrl } = require('../services/emailTemplates');
+const { disconnectUser, disconnectSession } = require('../services/socketService');
+const {
+  getClientInfo,
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  markSessionMfaVerified,
+} = require('../services/sessionService');
+const mfaService = require('../services/mfaService');
+const AuthSession = require('../models/AuthSession');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 48 * 60;
+// Minimum gap between two reset or verification emails for the same account
+const AUTH_EMAIL_COOLDOWN_MS = 60 * 1000;
 
 // Helper function to mask email addresses for logging
 const maskEmail = (email) => {
@@ -16,6 +35,68 @@ const maskEmail = (email) => {
   return `${maskedLocal}@${domain}`;
 };
 
+// Queue the welcome email for a new account (never fails sign-up)
+const queueWelcomeEmail = async (user, timestamp) => {
+  if (!isQueueEnabled()) {
+    return;
+  }
+  try {
+    await addEmailJob({
+      to: user.email,
+      user_id: user.id,
+      type: 'welcome',
+      data: { first_name: user.first_name },
+    });
+  } catch (error) {
+    console.warn(`[${timestamp}] [AUTH] Failed to queue welcome email - UserId: ${user.id}, Error: ${error.message}`);
+  }
+};
+
+// Issue a password reset or email verification token and queue the email carrying its link.
+// Returns false (without failing the request) when the queue is off, the cooldown applies or enqueuing fails.
+const sendAuthTokenEmail = async (user, purpose, timestamp) => {
+  if (!isQueueEnabled()) {
+    console.warn(`[${timestamp}] [AUTH] Email queue disabled, ${purpose} email not sent - UserId: ${user.id}`);
+    return false;
+  }
+  try {
+    const latest = await AuthToken.findLatest(user.id, purpose);
+    if (latest && Date.now() - new Date(latest.created_at).getTime() < AUTH_EMAIL_COOLDOWN_MS) {
+      console.warn(`[${timestamp}] [AUTH] ${purpose} email throttled - UserId: ${user.id}`);
+      return false;
+    }
+
+    if (purpose === 'password_reset') {
+      const token = await AuthToken.issue(user.id, purpose, PASSWORD_RESET_TTL_MINUTES);
+      await addEmailJob({
+        to: user.email,
+        user_id: user.id,
+        type: 'password_reset',
+        data: {
+          first_name: user.first_name,
+          reset_url: appUrl(`/reset-password?token=${token}`),
+          expires_in_minutes: PASSWORD_RESET_TTL_MINUTES,
+        },
+      });
+    } else {
+      const token = await AuthToken.issue(user.id, purpose, EMAIL_VERIFICATION_TTL_MINUTES);
+      await addEmailJob({
+        to: user.email,
+        user_id: user.id,
+        type: 'email_verification',
+        data: {
+          first_name: user.first_name,
+          verification_url: appUrl(`/verify-email?token=${token}`),
+        },
+      });
+    }
+    return true;
+  } catch (error) {
+    console.warn(`[${timestamp}] [AUTH] Failed to queue ${purpose} email - UserId: ${user.id}, Error: ${error.message}`);
+    return false;
+  }
+};
+
 // Validation rules
 const validateSignUp = [
   body('email')
@@ -74,6 +155,98 @@ const validateGoogleSignIn = [
     .withMessage('Token must be a string'),
 ];
 
+const validateEmailOnly = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+];
+
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .withMessage('Token must be a string')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+];
+
+const validateVerifyEmail = [
+  body('token')
+    .isString()
+    .withMessage('Token must be a string')
+    .notEmpty()
+    .withMessage('Verification token is required'),
+];
+
+const validateChangePassword = [
+  body('current_password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('new_password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .custom((value, { req }) => value !== req.body.current_password)
+    .withMessage('New password must be different from the current password'),
+];
+
+const validateRefreshToken = [
+  body('refresh_token')
+    .isString()
+    .withMessage('Refresh token must be a string')
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+];
+
+const validateSessionId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Session ID must be a positive integer')
+    .toInt(),
+];
+
+const validateMfaCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+];
+
+// A TOTP code or a recovery code
+const validateMfaSecondFactor = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recovery_code')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom(value => !!(value && (value.code || value.recovery_code)))
+    .withMessage('Provide a code or a recovery code'),
+];
+
+const validateMfaVerify = [
+  body('mfa_token')
+    .isString()
+    .withMessage('MFA token must be a string')
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  ...validateMfaSecondFactor,
+];
+
+const validateRevokeAllSessions = [
+  query('include_current')
+    .optional()
+    .isBoolean()
+    .withMessage('include_current must be a boolean')
+    .toBoolean(),
+];
+
 // Sign up handler
 const signUp = async (req, res) => {
   const startTime = Date.now();
@@ -133,11 +306,13 @@ const signUp = async (req, res) => {
     console.log(`[${timestamp}] [AUTH] [SIGNUP] Creating new user - Email: ${maskEmail(email)}, Name: ${first_name} ${last_name}, Username: ${finalUsername || 'auto-generated'}`);
     const user = await User.create(email, hashedPassword, first_name, last_name, finalUsername);
     console.log(`[${timestamp}] [AUTH] [SIGNUP] User created successfully - UserId: ${user.id}, Email: ${maskEmail(email)}, Username: ${user.username}`);
+    await queueWelcomeEmail(user, timestamp);
+    await sendAuthTokenEmail(user, 'email_verification', timestamp);
 
     // Generate JWT token
     console.log(`[${timestamp}] [AUTH] [SIGNUP] Generating JWT token - UserId: ${user.id}, Email: ${maskEmail(email)}`);
-    const token = generateToken(user.id, user.email);
-    console.log(`[${timestamp}] [AUTH] [SIGNUP] JWT token generated successfully - UserId: ${user.id}`);
+    const session = await startSession(user, getClientInfo(req));
+    console.log(`[${timestamp}] [AUTH] [SIGNUP] JWT token generated successfully - UserId: ${user.id}, SessionId: ${session.session_id}`);
 
     const duration = Date.now() - startTime;
     console.log(`[${timestamp}] [AUTH] [SIGNUP] Request completed successfully - UserId: ${user.id}, Email: ${maskEmail(email)}, Duration: ${duration}ms, Status: 201`);
@@ -145,7 +320,7 @@ const signUp = async (req, res) => {
     // Return token and user info (without password)
     res.status(201).json({
       success: true,
-      token,
+      ...session,
       user: {
         id: user.id,
         email: user.email,
@@ -206,10 +381,30 @@ const signIn = async (req, res) => {
       });
     }
 
+
+    // Suspended accounts cannot start new sessions
+    if (user.is_active === false) {
+      console.warn(`[${timestamp}] [AUTH] [SIGNIN] Account suspended - UserId: ${user.id}, Status: 403`);
+      return res.status(403).json({
+        success: false,
+        message: 'Account is suspended',
+      });
+    }
+
+    // With 2FA enabled (or required by an organization) the password step only yields an mfa_token
+    const mfaChallenge = await mfaService.getSignInChallenge(user);
+    if (mfaChallenge) {
+      console.log(`[${timestamp}] [AUTH] [SIGNIN] Second factor required - UserId: ${user.id}, Enrollment: ${mfaChallenge.mfa_enrollment_required}`);
+      return res.status(200).json({
+        success: true,
+        ...mfaChallenge,
+      });
+    }
+
     // Generate JWT token
     console.log(`[${timestamp}] [AUTH] [SIGNIN] Generating JWT token - UserId: ${user.id}, Email: ${maskEmail(email)}`);
-    const token = generateToken(user.id, user.email);
-    console.log(`[${timestamp}] [AUTH] [SIGNIN] JWT token generated successfully - UserId: ${user.id}`);
+    const session = await startSession(user, getClientInfo(req));
+    console.log(`[${timestamp}] [AUTH] [SIGNIN] JWT token generated successfully - UserId: ${user.id}, SessionId: ${session.session_id}`);
 
     const duration = Date.now() - startTime;
     console.log(`[${timestamp}] [AUTH] [SIGNIN] Request completed successfully - UserId: ${user.id}, Email: ${maskEmail(email)}, Duration: ${duration}ms, Status: 200`);
@@ -217,7 +412,7 @@ const signIn = async (req, res) => {
     // Return token and user info (without password)
     res.status(200).json({
       success: true,
-      token,
+      ...session,
       user: {
         id: user.id,
         email: user.email,
@@ -337,6 +532,7 @@ const signInWithGoogle = async (req, res) => {
       try {
         user = await User.createOAuthUser(email, firstName, lastName, picture);
         console.log(`[${timestamp}] [AUTH] [GOOGLE] User created successfully - UserId: ${user.id}, Email: ${maskEmail(email)}, Username: ${user.username}`);
+        await queueWelcomeEmail(user, timestamp);
       } catch (createError) {
         // Check if error is due to duplicate email (race condition)
         if (createError.code === '23505' || createError.message?.includes('duplicate') || createError.message?.includes('unique')) {
@@ -352,10 +548,35 @@ const signInWithGoogle = async (req, res) => {
       }
     }
 
+    // Google has already confirmed the address
+    if (decodedToken.email_verified && !user.email_verified_at) {
+      await User.markEmailVerified(user.id);
+    }
+
+
+    // Suspended accounts cannot start new sessions
+    if (user.is_active === false) {
+      console.warn(`[${timestamp}] [AUTH] [GOOGLE] Account suspended - UserId: ${user.id}, Status: 403`);
+      return res.status(403).json({
+        success: false,
+        message: 'Account is suspended',
+      });
+    }
+
+    // With 2FA enabled (or required by an organization) the password step only yields an mfa_token
+    const mfaChallenge = await mfaService.getSignInChallenge(user);
+    if (mfaChallenge) {
+      console.log(`[${timestamp}] [AUTH] [GOOGLE] Second factor required - UserId: ${user.id}, Enrollment: ${mfaChallenge.mfa_enrollment_required}`);
+      return res.status(200).json({
+        success: true,
+        ...mfaChallenge,
+      });
+    }
+
     // Generate JWT token
     console.log(`[${timestamp}] [AUTH] [GOOGLE] Generating JWT token - UserId: ${user.id}, Email: ${maskEmail(email)}`);
-    const jwtToken = generateToken(user.id, user.email);
-    console.log(`[${timestamp}] [AUTH] [GOOGLE] JWT token generated successfully - UserId: ${user.id}`);
+    const session = await startSession(user, getClientInfo(req));
+    console.log(`[${timestamp}] [AUTH] [GOOGLE] JWT token generated successfully - UserId: ${user.id}, SessionId: ${session.session_id}`);
 
     const duration = Date.now() - startTime;
     console.log(`[${timestamp}] [AUTH] [GOOGLE] Request completed successfully - UserId: ${user.id}, Email: ${maskEmail(email)}, Duration: ${duration}ms, Status: ${existingUser ? 200 : 201}`);
@@ -363,7 +584,7 @@ const signInWithGoogle = async (req, res) => {
     // Return token and user info (without password)
     res.status(existingUser ? 200 : 201).json({
       success: true,
-      token: jwtToken,
+      ...session,
       user: {
         id: user.id,
         email: user.email,
@@ -383,6 +604,616 @@ const signInWithGoogle = async (req, res) => {
   }
 };
 
+// Forgot password handler - always answers the same way so it cannot be used to probe for accounts
+const forgotPassword = async (req, res) => {
+  const startTime = Date.now();
+  const timestamp = new Date().toISOString();
+
+  try {
+    console.log(`[${timestamp}] [AUTH] [FORGOT_PASSWORD] Request received - Email: ${maskEmail(req.body.email)}, IP: ${req.ip || req.connection.remoteAddress}`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findByEmail(req.body.email);
+    if (user && user.is_active !== false) {
+      await sendAuthTokenEmail(user, 'password_reset', timestamp);
+    } else {
+      console.warn(`[${timestamp}] [AUTH] [FORGOT_PASSWORD] No active account - Email: ${maskEmail(req.body.email)}`);
+    }
+
+    const duration = Date.now() - startTime;
+    console.log(`[${timestamp}] [AUTH] [FORGOT_PASSWORD] Request completed - Duration: ${duration}ms, Status: 200`);
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent',
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] [AUTH] [FORGOT_PASSWORD] Error occurred - Email: ${maskEmail(req.body.email)}, Error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Reset password handler - redeems the emailed token and signs out every session
+const resetPassword = async (req, res) => {
+  const startTime = Date.now();
+  const timestamp = new Date().toISOString();
+
+  try {
+    console.log(`[${timestamp}] [AUTH] [RESET_PASSWORD] Request received - IP: ${req.ip || req.connection.remoteAddress}`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const resetToken = await AuthToken.consume(req.body.token, 'password_reset');
+    if (!resetToken) {
+      console.warn(`[${timestamp}] [AUTH] [RESET_PASSWORD] Invalid or expired token, Status: 400`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token',
+      });
+    }
+
+    const hashedPassword = await hashPassword(req.body.password);
+    const user = await User.updatePassword(resetToken.user_id, hashedPassword);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token',
+      });
+    }
+    await revokeAllSessions(user.id, 'password_reset');
+    disconnectUser(user.id, 'password_reset');
+
+    const duration = Date.now() - startTime;
+    console.log(`[${timestamp}] [AUTH] [RESET_PASSWORD] Request completed successfully - UserId: ${user.id}, Duration: ${duration}ms, Status: 200`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Sign in with your new password.',
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] [AUTH] [RESET_PASSWORD] Error occurred - Error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Verify email handler - redeems the emailed verification token
+const verifyEmail = async (req, res) => {
+  const timestamp = new Date().toISOString();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const verificationToken = await AuthToken.consume(req.body.token, 'email_verification');
+    if (!verificationToken) {
+      console.warn(`[${timestamp}] [AUTH] [VERIFY_EMAIL] Invalid or expired token, Status: 400`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token',
+      });
+    }
+
+    const user = await User.markEmailVerified(verificationToken.user_id);
+    console.log(`[${timestamp}] [AUTH] [VERIFY_EMAIL] Email verified - UserId: ${verificationToken.user_id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified',
+      user: user ? {
+        id: user.id,
+        email: user.email,
+        email_verified_at: user.email_verified_at,
+      } : null,
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] [AUTH] [VERIFY_EMAIL] Error occurred - Error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Resend verification handler - same answer whether or not the account exists or is already verified
+const resendVerification = async (req, res) => {
+  const timestamp = new Date().toISOString();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findByEmail(req.body.email);
+    if (user && user.is_active !== false && !user.email_verified_at) {
+      await sendAuthTokenEmail(user, 'email_verification', timestamp);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If that email needs verifying, a new verification link has been sent',
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] [AUTH] [RESEND_VERIFICATION] Error occurred - Email: ${maskEmail(req.body.email)}, Error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Change password handler - signs out every other session and returns a fresh token for this one
+const changePassword = async (req, res) => {
+  const startTime = Date.now();
+  const timestamp = new Date().toISOString();
+  const userId = req.user.id;
+
+  try {
+    console.log(`[${timestamp}] [AUTH] [CHANGE_PASSWORD] Request received - UserId: ${userId}, IP: ${req.ip || req.connection.remoteAddress}`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(userId);
+    const isPasswordValid = await comparePassword(req.body.current_password, user.password);
+    if (!isPasswordValid) {
+      console.warn(`[${timestamp}] [AUTH] [CHANGE_PASSWORD] Invalid current password - UserId: ${userId}, Status: 401`);
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    const hashedPassword = await hashPassword(req.body.new_password);
+    const updated = await User.updatePassword(userId, hashedPassword);
+    await AuthToken.revokeForUser(userId, 'password_reset');
+    await revokeAllSessions(userId, 'password_changed', req.user.sessionId);
+    disconnectUser(userId, 'password_changed');
+
+    // Keep the caller's session; a token from before sessions existed gets a new session instead
+    const tokens = req.user.sessionId
+      ? { token: generateToken(updated.id, updated.email, updated.token_version, req.user.sessionId) }
+      : await startSession(updated, getClientInfo(req));
+
+    const duration = Date.now() - startTime;
+    console.log(`[${timestamp}] [AUTH] [CHANGE_PASSWORD] Request completed successfully - UserId: ${userId}, Duration: ${duration}ms, Status: 200`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed. Other sessions have been signed out.',
+      ...tokens,
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] [AUTH] [CHANGE_PASSWORD] Error occurred - UserId: ${userId}, Error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Refresh handler - trades a refresh token for a new access/refresh pair (the old refresh token is spent)
+const refresh = async (req, res) => {
+  const timestamp = new Date().toISOString();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const result = await refreshSession(req.body.refresh_token, getClientInfo(req));
+    if (result.error === 'reused') {
+      // The token leaked or the client replayed it: the whole session was revoked
+      console.warn(`[${timestamp}] [AUTH] [REFRESH] Refresh token reuse - UserId: ${result.userId}, SessionId: ${result.sessionId}, IP: ${req.ip}`);
+      disconnectSession(result.sessionId, 'refresh_token_reuse');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used; the session was signed out',
+      });
+    }
+    if (result.error === 'mfa_enrollment_required') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your organization requires two-factor authentication. Sign in again to set it up.',
+        code: 'mfa_enrollment_required',
+      });
+    }
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...result.tokens,
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] [AUTH] [REFRESH] Error occurred - Error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// List the signed-in user's active sessions (devices)
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await AuthSession.findActiveByUserId(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        is_current: session.id === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Revoke one of the signed-in user's sessions (e.g. a lost phone)
+const revokeSessionById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const session = await revokeSession(req.params.id, 'revoked', req.user.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+    disconnectSession(session.id, 'revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Revoke every other session of the signed-in user (include_current=true signs this one out too)
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const keepSessionId = req.query.include_current ? null : req.user.sessionId;
+    const sessionIds = await revokeAllSessions(req.user.id, 'revoked_all', keepSessionId);
+    sessionIds.forEach(sessionId => disconnectSession(sessionId, 'revoked_all'));
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions revoked',
+      data: {
+        revoked_count: sessionIds.length,
+      },
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// MFA status for the signed-in user
+const getMfaStatus = async (req, res) => {
+  try {
+    const status = await mfaService.getMfaStatus(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    console.error('Get MFA status error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Start TOTP enrolment - returns the secret and an otpauth:// URI to show as a QR code.
+// Accepts an access token or, when an organization requires 2FA at sign-in, the mfa_token.
+const setupMfa = async (req, res) => {
+  try {
+    const enrollment = await mfaService.beginEnrollment(req.user);
+    if (!enrollment) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: enrollment,
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Confirm enrolment with a code from the authenticator app; returns the recovery codes (shown once).
+// When completing a sign-in with the mfa_token, also starts the session.
+const enableMfa = async (req, res) => {
+  const timestamp = new Date().toISOString();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const recoveryCodes = await mfaService.confirmEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+    console.log(`[${timestamp}] [AUTH] [MFA] Two-factor authentication enabled - UserId: ${req.user.id}`);
+
+    let session = {};
+    if (req.user.mfaPending) {
+      const user = await User.findById(req.user.id);
+      session = await startSession(user, getClientInfo(req), { mfaVerified: true });
+    } else if (req.user.sessionId) {
+      await markSessionMfaVerified(req.user.sessionId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      ...session,
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] [AUTH] [MFA] Enable error - UserId: ${req.user.id}, Error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Second step of sign-in - trades the mfa_token and a TOTP or recovery code for a session
+const verifyMfa = async (req, res) => {
+  const timestamp = new Date().toISOString();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyMfaPendingToken(req.body.mfa_token);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: tokenError.message === 'Token has expired' ? 'Token has expired' : 'Invalid token',
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || user.is_active === false || isTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token',
+      });
+    }
+
+    const method = await mfaService.verifySecondFactor(user.id, req.body);
+    if (!method) {
+      console.warn(`[${timestamp}] [AUTH] [MFA] Invalid second factor - UserId: ${user.id}, IP: ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+
+    const session = await startSession(user, getClientInfo(req), { mfaVerified: true });
+    console.log(`[${timestamp}] [AUTH] [MFA] Sign-in verified - UserId: ${user.id}, Method: ${method}, SessionId: ${session.session_id}`);
+
+    res.status(200).json({
+      success: true,
+      ...session,
+      ...(method === 'recovery_code' && {
+        recovery_codes_remaining: (await mfaService.getMfaStatus(user.id)).recovery_codes_remaining,
+      }),
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        first_name: user.first_name,
+        last_name: user.last_name,
+      },
+    });
+  } catch (error) {
+    console.error(`[${timestamp}] [AUTH] [MFA] Verify error - Error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Step-up - re-check the second factor in the current session before a sensitive action
+const stepUpMfa = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (!req.user.sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign in again to verify this session',
+      });
+    }
+
+    const method = await mfaService.verifySecondFactor(req.user.id, req.body);
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+    await markSessionMfaVerified(req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session verified',
+    });
+  } catch (error) {
+    console.error('MFA step-up error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Turn 2FA off (requires a recent step-up); not allowed while an organization requires it
+const disableMfa = async (req, res) => {
+  try {
+    const enforcing = await mfaService.getEnforcingOrganizations(req.user.id);
+    if (enforcing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required by your organization',
+        data: {
+          required_by: enforcing,
+        },
+      });
+    }
+
+    const removed = await mfaService.disableMfa(req.user.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('Disable MFA error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Replace the recovery codes (requires a recent step-up); the old ones stop working
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (!(await mfaService.isMfaEnabled(req.user.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      recovery_codes: recoveryCodes,
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
 // Logout handler
 const logout = async (req, res) => {
   const startTime = Date.now();
@@ -393,8 +1224,12 @@ const logout = async (req, res) => {
   try {
     console.log(`[${timestamp}] [AUTH] [LOGOUT] Request received - UserId: ${userId}, Email: ${maskEmail(email)}, IP: ${req.ip || req.connection.remoteAddress}`);
     
-    // For JWT, logout is typically handled client-side by removing the token
-    // If you need server-side token blacklisting, you would implement it here
+    // Revoke the session so its refresh token and any unexpired access tokens stop working
+    const sessionId = req.user?.sessionId;
+    if (sessionId) {
+      await revokeSession(sessionId, 'logout', req.user.id);
+      disconnectSession(sessionId, 'logout');
+    }
     
     const duration = Date.now() - startTime;
     console.log(`[${timestamp}] [AUTH] [LOGOUT] Request completed successfully - UserId: ${userId}, Email: ${maskEmail(email)}, Duration: ${duration}ms, Status: 200`);
@@ -418,7 +1253,33 @@ module.exports = {
   signIn,
   signInWithGoogle,
   logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  refresh,
+  getSessions,
+  revokeSessionById,
+  revokeAllUserSessions,
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  verifyMfa,
+  stepUpMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
   validateSignUp,
   validateSignIn,
   validateGoogleSignIn,
+  validateEmailOnly,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateChangePassword,
+  validateRefreshToken,
+  validateSessionId,
+  validateRevokeAllSessions,
+  validateMfaCode,
+  validateMfaSecondFactor,
+  validateMfaVerify,
 };
@@ -1,6 +1,7 @@
 // Certification controller - Medical Certifications CRUD
 const { body, validationResult } = require('express-validator');
 const MedicalCertification = require('../models/MedicalCertification');
+const { applyCertificationUpdate, removeCertification } = require('../services/certificationService');
 
 // Validation rules
 const validateCertification = [
@@ -160,7 +161,8 @@ const updateCertification = async (req, res) => {
       });
     }
 
-    const updated = await MedicalCertification.update(id, req.body);
+    // Edits to reviewed fields reset the verification
+    const updated = await applyCertificationUpdate(certification, req.body);
 
     res.status(200).json({
       success: true,
@@ -197,7 +199,7 @@ const deleteCertification = async (req, res) => {
       });
     }
 
-    await MedicalCertification.remove(id);
+    await removeCertification(certification);
 
     res.status(200).json({
       success: true,
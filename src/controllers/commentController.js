@@ -12,6 +12,7 @@ const {
   emitVoteDownvote,
   emitVoteRemoved,
 } = require('../services/eventService');
+const { scanFields, shouldBlock, blockedResponse, flagForReview } = require('../services/phiScanService');
 
 // Validation rules
 const validateComment = [
@@ -32,6 +33,15 @@ const validateComment = [
     .withMessage('Parent comment ID must be a valid integer'),
 ];
 
+// Comments on private group posts are only readable by active group members
+const canViewCommentPost = async (postId, userId) => {
+  const post = await Post.findById(postId);
+  return !!post && Post.canView(post, userId);
+};
+
+// Hidden or removed comments are only visible to their author
+const isHiddenFrom = (comment, userId) => !!comment.moderation_status && comment.user_id !== userId;
+
 // Create comment
 const createComment = async (req, res) => {
   try {
@@ -46,7 +56,7 @@ const createComment = async (req, res) => {
     const postId = parseInt(req.body.post_id);
     const post = await Post.findById(postId);
 
-    if (!post) {
+    if (!post || !(await Post.canView(post, req.user.id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -56,7 +66,7 @@ const createComment = async (req, res) => {
     // If parent_comment_id is provided, validate it
     if (req.body.parent_comment_id) {
       const parentComment = await Comment.findById(parseInt(req.body.parent_comment_id));
-      if (!parentComment) {
+      if (!parentComment || parentComment.moderation_status) {
         return res.status(404).json({
           success: false,
           message: 'Parent comment not found',
@@ -70,6 +80,11 @@ const createComment = async (req, res) => {
       }
     }
 
+    const phiFindings = scanFields({ content: req.body.content });
+    if (shouldBlock(phiFindings)) {
+      return res.status(422).json(blockedResponse(phiFindings));
+    }
+
     const commentData = {
       post_id: postId,
       user_id: req.user.id,
@@ -93,6 +108,11 @@ const createComment = async (req, res) => {
 
       await client.query('COMMIT');
 
+      await flagForReview(
+        { type: 'comment', id: comment.id, owner_id: req.user.id, content: comment.content },
+        phiFindings
+      );
+
       // Create activity
       try {
         const ActivityFeed = require('../models/ActivityFeed');
@@ -185,7 +205,7 @@ const getPostComments = async (req, res) => {
     const useTree = req.query.tree === 'true' || req.query.tree === '1'; // Default to tree structure
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || !(await Post.canView(post, req.user.id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -267,7 +287,7 @@ const getCommentById = async (req, res) => {
     if (useTree) {
       // Get full comment tree starting from this comment
       comment = await Comment.findCommentTree(commentId, sortBy);
-      if (!comment) {
+      if (!comment || isHiddenFrom(comment, userId) || !(await canViewCommentPost(comment.post_id, userId))) {
         return res.status(404).json({
           success: false,
           message: 'Comment not found',
@@ -276,7 +296,7 @@ const getCommentById = async (req, res) => {
     } else {
       // Backward compatibility: flat structure
       comment = await Comment.findById(commentId);
-      if (!comment) {
+      if (!comment || isHiddenFrom(comment, userId) || !(await canViewCommentPost(comment.post_id, userId))) {
         return res.status(404).json({
           success: false,
           message: 'Comment not found',
@@ -374,10 +394,22 @@ const updateComment = async (req, res) => {
       });
     }
 
+    const phiFindings = scanFields({ content: req.body.content });
+    if (shouldBlock(phiFindings)) {
+      return res.status(422).json(blockedResponse(phiFindings));
+    }
+
     const updatedComment = await Comment.update(commentId, {
       content: req.body.content,
     });
 
+    if (updatedComment) {
+      await flagForReview(
+        { type: 'comment', id: updatedComment.id, owner_id: updatedComment.user_id, content: updatedComment.content },
+        phiFindings
+      );
+    }
+
     // Emit event for real-time updates
     if (updatedComment) {
       emitCommentUpdated(updatedComment);
@@ -469,7 +501,7 @@ const upvoteComment = async (req, res) => {
     }
 
     const comment = await Comment.findById(commentId);
-    if (!comment) {
+    if (!comment || !(await canViewCommentPost(comment.post_id, userId))) {
       return res.status(404).json({
         success: false,
         message: 'Comment not found',
@@ -562,7 +594,7 @@ const downvoteComment = async (req, res) => {
     }
 
     const comment = await Comment.findById(commentId);
-    if (!comment) {
+    if (!comment || !(await canViewCommentPost(comment.post_id, userId))) {
       return res.status(404).json({
         success: false,
         message: 'Comment not found',
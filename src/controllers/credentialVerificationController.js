@@ -0,0 +1,512 @@
+// Credential verification controller - Users submit a certification for review; staff approve or reject it
+const { body, param, query, validationResult } = require('express-validator');
+const { withTransaction } = require('../config/database');
+const MedicalCertification = require('../models/MedicalCertification');
+const CredentialVerification = require('../models/CredentialVerification');
+const User = require('../models/User');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { dispatchNotification } = require('../services/notificationDispatcher');
+
+// Most supporting documents attached to one request
+const MAX_DOCUMENTS = 10;
+
+// Supporting documents must come from POST /api/upload/document
+const DOCUMENT_URL_PATTERN = /^\/uploads\/(?:[\w-]+\/)*documents\/[\w.-]+$/;
+
+// Validation rules
+const validateCertificationId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Certification ID must be a positive integer')
+    .toInt(),
+];
+
+const validateVerificationRequest = [
+  ...validateCertificationId,
+  body('documents')
+    .isArray({ min: 1, max: MAX_DOCUMENTS })
+    .withMessage(`Between 1 and ${MAX_DOCUMENTS} supporting documents are required`),
+  body('documents.*.url')
+    .isString()
+    .matches(DOCUMENT_URL_PATTERN)
+    .withMessage('Document URL must come from the document upload endpoint'),
+  body('documents.*.name')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Document name must be less than 255 characters'),
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be less than 2000 characters'),
+];
+
+const validateRequestId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Request ID must be a positive integer')
+    .toInt(),
+];
+
+const validateQueueQuery = [
+  query('status')
+    .optional()
+    .isIn(CredentialVerification.REQUEST_STATUSES)
+    .withMessage(`Status must be one of: ${CredentialVerification.REQUEST_STATUSES.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+    .toInt(),
+];
+
+const validateApproval = [
+  ...validateRequestId,
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be less than 2000 characters'),
+];
+
+const validateRejection = [
+  ...validateRequestId,
+  body('reason_code')
+    .isIn(CredentialVerification.REJECTION_REASONS)
+    .withMessage(`reason_code must be one of: ${CredentialVerification.REJECTION_REASONS.join(', ')}`),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 2000 })
+    .withMessage('Reason must be less than 2000 characters'),
+];
+
+// Load a certification and check the caller owns it; sends the error response and returns null otherwise
+const loadOwnCertification = async (req, res) => {
+  const certification = await MedicalCertification.findById(req.params.id);
+  if (!certification) {
+    res.status(404).json({
+      success: false,
+      message: 'Certification not found',
+    });
+    return null;
+  }
+  if (certification.user_id !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: 'Unauthorized access',
+    });
+    return null;
+  }
+  return certification;
+};
+
+// Tell the user how their credential review ended (best-effort)
+const notifyDecision = async (request, type, title, message) => {
+  try {
+    await dispatchNotification({
+      user_id: request.user_id,
+      notification_type: type,
+      title,
+      message,
+      notification_data: {
+        certification_id: request.certification_id,
+        verification_request_id: request.id,
+      },
+    });
+  } catch (notificationError) {
+    console.error('Error creating credential verification notification:', notificationError.message);
+  }
+};
+
+// Submit a certification for verification
+const submitVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const certification = await loadOwnCertification(req, res);
+    if (!certification) {
+      return;
+    }
+
+    if (certification.verification_status === 'verified') {
+      return res.status(409).json({
+        success: false,
+        message: 'Certification is already verified',
+      });
+    }
+
+    const documents = req.body.documents.map(({ url, name }) => ({ url, name: name || null }));
+    const result = await withTransaction(async (client) => {
+      // One pending request per certification (the partial unique index backs this up)
+      const existing = await client.query(
+        "SELECT id FROM credential_verification_requests WHERE certification_id = $1 AND status = 'pending'",
+        [certification.id]
+      );
+      if (existing.rows.length > 0) {
+        return null;
+      }
+      const request = await CredentialVerification.create({
+        certification,
+        documents,
+        notes: req.body.notes || null,
+      }, client);
+      const updated = await MedicalCertification.setVerificationStatus(certification.id, 'pending', client);
+      return { request, certification: updated };
+    });
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'A verification request is already pending for this certification',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Verification request submitted',
+      data: {
+        request: result.request,
+        verification_status: result.certification.verification_status,
+      },
+    });
+  } catch (error) {
+    console.error('Submit credential verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Verification state and request history of one of the user's certifications
+const getVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const certification = await loadOwnCertification(req, res);
+    if (!certification) {
+      return;
+    }
+
+    const requests = await CredentialVerification.findByCertificationId(certification.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        certification_id: certification.id,
+        verification_status: certification.verification_status,
+        verified_at: certification.verified_at,
+        requests,
+      },
+    });
+  } catch (error) {
+    console.error('Get credential verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Withdraw the pending request of a certification
+const cancelVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const certification = await loadOwnCertification(req, res);
+    if (!certification) {
+      return;
+    }
+
+    const cancelled = await withTransaction(async (client) => {
+      const request = await CredentialVerification.cancelPendingForCertification(certification.id, client);
+      if (request) {
+        await MedicalCertification.setVerificationStatus(certification.id, 'unverified', client);
+      }
+      return request;
+    });
+
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending verification request',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification request cancelled',
+    });
+  } catch (error) {
+    console.error('Cancel credential verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Reviewer queue (pending requests oldest first)
+const getVerificationQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const limit = req.query.limit || 20;
+    const offset = req.query.offset || 0;
+    const { requests, total } = await CredentialVerification.findQueue({
+      status: req.query.status || 'pending',
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: requests,
+      pagination: {
+        total,
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    console.error('Get credential verification queue error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// A request with its documents, the submitted credential and the certification as it is now
+const getVerificationRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const request = await CredentialVerification.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Verification request not found',
+      });
+    }
+
+    const [certification, history] = await Promise.all([
+      MedicalCertification.findById(request.certification_id),
+      CredentialVerification.findByCertificationId(request.certification_id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...request,
+        certification,
+        history: history.filter(entry => entry.id !== request.id),
+      },
+    });
+  } catch (error) {
+    console.error('Get credential verification request error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Close a pending request and move the certification to its new state, then re-derive the user's badge
+const decide = (req, decision) => withTransaction(async (client) => {
+  const request = await CredentialVerification.close(req.params.id, decision, client);
+  if (!request) {
+    return null;
+  }
+  const certificationStatus = decision.status === 'approved' ? 'verified' : 'rejected';
+  await MedicalCertification.setVerificationStatus(request.certification_id, certificationStatus, client);
+  const user = await User.syncCredentialVerification(request.user_id, client);
+  await AdminAuditLog.create({
+    actor_id: req.user.id,
+    action: decision.status === 'approved' ? 'credential.approve' : 'credential.reject',
+    target_type: 'certification',
+    target_id: request.certification_id,
+    details: {
+      request_id: request.id,
+      user_id: request.user_id,
+      reason_code: decision.rejectionReason,
+      notes: decision.reviewNotes,
+    },
+    ip_address: req.ip || null,
+  }, client);
+  return { request, user };
+});
+
+// Respond 404/409 when the request is missing or already closed
+const sendNotPending = async (req, res) => {
+  const request = await CredentialVerification.findById(req.params.id);
+  if (!request) {
+    return res.status(404).json({
+      success: false,
+      message: 'Verification request not found',
+    });
+  }
+  return res.status(409).json({
+    success: false,
+    message: `Verification request is already ${request.status}`,
+  });
+};
+
+// Approve a request: the certification becomes verified and the user gets the badge
+const approveVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const pending = await CredentialVerification.findById(req.params.id);
+    if (pending && pending.user_id === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own credentials',
+      });
+    }
+
+    const result = await decide(req, {
+      status: 'approved',
+      reviewerId: req.user.id,
+      reviewNotes: req.body.notes || null,
+    });
+    if (!result) {
+      return sendNotPending(req, res);
+    }
+
+    await notifyDecision(
+      result.request,
+      'credential_verified',
+      'Credential verified',
+      `Your credential "${pending.certification_name}" has been verified.`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Credential verified',
+      data: {
+        request: result.request,
+        user_is_verified: result.user.is_verified,
+      },
+    });
+  } catch (error) {
+    console.error('Approve credential verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Reject a request with a reason code and an explanation shown to the user
+const rejectVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const pending = await CredentialVerification.findById(req.params.id);
+    if (pending && pending.user_id === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own credentials',
+      });
+    }
+
+    const result = await decide(req, {
+      status: 'rejected',
+      reviewerId: req.user.id,
+      rejectionReason: req.body.reason_code,
+      reviewNotes: req.body.reason,
+    });
+    if (!result) {
+      return sendNotPending(req, res);
+    }
+
+    await notifyDecision(
+      result.request,
+      'credential_rejected',
+      'Credential verification declined',
+      `Your credential "${pending.certification_name}" could not be verified: ${req.body.reason}`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Credential verification rejected',
+      data: {
+        request: result.request,
+        user_is_verified: result.user.is_verified,
+      },
+    });
+  } catch (error) {
+    console.error('Reject credential verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  submitVerification,
+  getVerification,
+  cancelVerification,
+  getVerificationQueue,
+  getVerificationRequest,
+  approveVerification,
+  rejectVerification,
+  validateCertificationId,
+  validateVerificationRequest,
+  validateRequestId,
+  validateQueueQuery,
+  validateApproval,
+  validateRejection,
+};
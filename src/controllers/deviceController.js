@@ -0,0 +1,141 @@
+// Device controller - Push notification device registration
+const { body, validationResult } = require('express-validator');
+const DeviceToken = require('../models/DeviceToken');
+
+// Validation rules for registering a device
+const validateDeviceRegistration = [
+  body('token')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Device token is required')
+    .isLength({ max: 512 })
+    .withMessage('Device token must be less than 512 characters'),
+  body('platform')
+    .isIn(DeviceToken.DEVICE_PLATFORMS)
+    .withMessage(`Platform must be one of: ${DeviceToken.DEVICE_PLATFORMS.join(', ')}`),
+  body('installation_id')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Installation ID must be less than 255 characters'),
+  body('app_version')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('App version must be less than 50 characters'),
+];
+
+// Validation rules for unregistering a device (by token or installation ID)
+const validateDeviceRemoval = [
+  body('token')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Device token must be a string'),
+  body('installation_id')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Installation ID must be a string'),
+  body()
+    .custom((value) => !!(value && (value.token || value.installation_id)))
+    .withMessage('token or installation_id is required'),
+];
+
+// List the current user's registered devices
+const getMyDevices = async (req, res) => {
+  try {
+    const devices = await DeviceToken.findByUserId(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: devices,
+    });
+  } catch (error) {
+    console.error('Get devices error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Register or refresh a device token (called on app start and on token rotation)
+const registerDevice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const device = await DeviceToken.register(req.user.id, {
+      token: req.body.token,
+      platform: req.body.platform,
+      installation_id: req.body.installation_id,
+      app_version: req.body.app_version,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device registered',
+      data: {
+        id: device.id,
+        platform: device.platform,
+        installation_id: device.installation_id,
+        app_version: device.app_version,
+        last_seen_at: device.last_seen_at,
+      },
+    });
+  } catch (error) {
+    console.error('Register device error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Unregister a device (e.g. on sign-out)
+const unregisterDevice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const removed = await DeviceToken.unregister(req.user.id, {
+      token: req.body.token,
+      installation_id: req.body.installation_id,
+    });
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device unregistered',
+    });
+  } catch (error) {
+    console.error('Unregister device error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  validateDeviceRegistration,
+  validateDeviceRemoval,
+  getMyDevices,
+  registerDevice,
+  unregisterDevice,
+};
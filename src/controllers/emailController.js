@@ -0,0 +1,168 @@
+// Email controller - Unsubscribe links and provider bounce/complaint webhooks
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const EmailSend = require('../models/EmailSend');
+const { verifyUnsubscribeToken, disableEmailNotifications } = require('../services/emailService');
+const { renderUnsubscribePage } = require('../services/emailTemplates');
+
+const EMAIL_EVENT_TYPES = ['bounce', 'complaint', 'unsubscribe'];
+
+// Validation rules for provider webhook events
+const validateEmailEvent = [
+  body('event')
+    .isIn(EMAIL_EVENT_TYPES)
+    .withMessage(`Event must be one of: ${EMAIL_EVENT_TYPES.join(', ')}`),
+  body('bounce_type')
+    .optional({ nullable: true })
+    .isIn(['hard', 'soft'])
+    .withMessage('Bounce type must be hard or soft'),
+  body('message_id')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('message_id must be a string'),
+  body('email')
+    .optional({ nullable: true })
+    .isEmail()
+    .withMessage('email must be a valid email address'),
+  body()
+    .custom((value) => !!(value && (value.message_id || value.email)))
+    .withMessage('message_id or email is required'),
+];
+
+// Constant-time comparison of the webhook secret header
+const hasValidWebhookSecret = (req) => {
+  const secret = process.env.EMAIL_WEBHOOK_SECRET;
+  const provided = req.get('X-Email-Webhook-Secret');
+  if (!secret || !provided) {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const actual = crypto.createHash('sha256').update(provided).digest();
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Logged send an unsubscribe token belongs to, or null
+const findSendByToken = async (token) => {
+  const sendId = verifyUnsubscribeToken(token);
+  return sendId ? EmailSend.findById(sendId) : null;
+};
+
+// Confirmation page for the link in an email. GET changes nothing: scanners and prefetchers follow links
+const showUnsubscribePage = async (req, res) => {
+  try {
+    const token = req.query.token;
+    const send = await findSendByToken(token);
+    res.set('Cache-Control', 'no-store');
+    if (!send) {
+      return res.status(400).type('html').send(renderUnsubscribePage('invalid'));
+    }
+
+    res.status(200).type('html').send(renderUnsubscribePage('confirm', `${req.baseUrl}${req.path}`, token));
+  } catch (error) {
+    console.error('Email unsubscribe page error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Unsubscribe from email notifications: the confirmation form and the one-click List-Unsubscribe-Post target
+const unsubscribe = async (req, res) => {
+  try {
+    const token = req.query.token || (req.body && req.body.token);
+    const send = await findSendByToken(token);
+    if (!send) {
+      return res.status(400).format({
+        json: () => res.json({
+          success: false,
+          message: 'Invalid unsubscribe link',
+        }),
+        html: () => res.send(renderUnsubscribePage('invalid')),
+      });
+    }
+
+    await disableEmailNotifications({ userId: send.user_id, email: send.to_email });
+    await EmailSend.markUnsubscribed(send.id);
+
+    // Mail providers' one-click requests get JSON, the confirmation form in a browser gets a page
+    res.status(200).format({
+      json: () => res.json({
+        success: true,
+        message: 'You have been unsubscribed from email notifications',
+      }),
+      html: () => res.send(renderUnsubscribePage('done')),
+    });
+  } catch (error) {
+    console.error('Email unsubscribe error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Receive a bounce, complaint or unsubscribe reported by the email provider
+const handleEmailEvent = async (req, res) => {
+  try {
+    if (!hasValidWebhookSecret(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook secret',
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { event, bounce_type: bounceType, message_id: messageId, email } = req.body;
+    const target = { providerMessageId: messageId, email };
+
+    let send = null;
+    if (event === 'bounce') {
+      send = await EmailSend.markBounced(target, 'bounced', `${bounceType || 'hard'} bounce`);
+    } else if (event === 'complaint') {
+      send = await EmailSend.markBounced(target, 'complained', 'Marked as spam');
+    } else if (messageId) {
+      send = await EmailSend.findByProviderMessageId(messageId);
+      if (send) {
+        await EmailSend.markUnsubscribed(send.id);
+      }
+    }
+
+    // Soft bounces are only logged; the address may work again
+    let accountsUpdated = 0;
+    if (event !== 'bounce' || bounceType !== 'soft') {
+      accountsUpdated = await disableEmailNotifications({
+        userId: send ? send.user_id : null,
+        email: send ? send.to_email : email,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email_send_id: send ? send.id : null,
+        accounts_updated: accountsUpdated,
+      },
+    });
+  } catch (error) {
+    console.error('Email event webhook error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  validateEmailEvent,
+  showUnsubscribePage,
+  unsubscribe,
+  handleEmailEvent,
+};
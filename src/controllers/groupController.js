@@ -0,0 +1,975 @@
+// Group controller - Medical groups / communities and membership roles
+const { body, validationResult } = require('express-validator');
+const { withTransaction } = require('../config/database');
+const MedicalGroup = require('../models/MedicalGroup');
+const GroupMembership = require('../models/GroupMembership');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const Post = require('../models/Post');
+const Notification = require('../models/Notification');
+const { emitNotificationNew, emitPostDeleted } = require('../services/eventService');
+
+// Higher rank may manage lower ranks
+const ROLE_RANK = {
+  owner: 4,
+  admin: 3,
+  moderator: 2,
+  member: 1,
+};
+
+// Validation rules for creating a group
+const validateGroup = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Group name is required')
+    .isLength({ max: 255 })
+    .withMessage('Group name must be less than 255 characters'),
+  body('group_type')
+    .trim()
+    .notEmpty()
+    .withMessage('Group type is required')
+    .isLength({ max: 100 })
+    .withMessage('Group type must be less than 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Description must be less than 5000 characters'),
+  body('specialty')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Specialty must be less than 255 characters'),
+  body('location')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Location must be less than 255 characters'),
+  body('website')
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL()
+    .withMessage('Website must be a valid URL'),
+  body('logo_url')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Logo URL must be less than 500 characters'),
+  body('cover_image_url')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Cover image URL must be less than 500 characters'),
+  body('is_private')
+    .optional()
+    .isBoolean()
+    .withMessage('is_private must be a boolean'),
+];
+
+// Validation rules for updating a group
+const validateGroupUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Group name cannot be empty')
+    .isLength({ max: 255 })
+    .withMessage('Group name must be less than 255 characters'),
+  body('group_type')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Group type cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Group type must be less than 100 characters'),
+  ...validateGroup.slice(2),
+];
+
+// Validation rules for inviting a user
+const validateGroupInvitation = [
+  body('user_id')
+    .isInt({ min: 1 })
+    .withMessage('user_id must be a positive integer'),
+];
+
+// Validation rules for changing a member's role
+const validateMemberRole = [
+  body('role')
+    .isIn(GroupMembership.GROUP_ROLES)
+    .withMessage(`Role must be one of: ${GroupMembership.GROUP_ROLES.join(', ')}`),
+];
+
+// Fields group managers may edit (is_verified is not user-editable)
+const EDITABLE_FIELDS = [
+  'name', 'description', 'group_type', 'specialty', 'cover_image_url',
+  'logo_url', 'website', 'location', 'is_private',
+];
+
+// Parse group ID from route params
+const parseGroupId = (req) => {
+  const groupId = parseInt(req.params.id);
+  return isNaN(groupId) ? null : groupId;
+};
+
+// Active membership with at least the given role
+const hasRole = (membership, minRole) => {
+  return !!membership
+    && membership.status === 'active'
+    && ROLE_RANK[membership.role] >= ROLE_RANK[minRole];
+};
+
+// Notify a user about a group event (never fails the request)
+const notifyGroupEvent = async (recipientId, actorId, type, title, group) => {
+  try {
+    const notification = await Notification.create({
+      user_id: recipientId,
+      notification_type: type,
+      title,
+      message: group.name,
+      notification_data: { group_id: group.id },
+      related_user_id: actorId,
+    });
+    emitNotificationNew(notification);
+  } catch (notificationError) {
+    console.error('Error creating group notification:', notificationError.message);
+  }
+};
+
+// Load a group and the current user's membership; sends 400/404 and returns null when missing
+const loadGroup = async (req, res) => {
+  const groupId = parseGroupId(req);
+  if (!groupId) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid group ID',
+    });
+    return null;
+  }
+
+  const group = await MedicalGroup.findById(groupId);
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: 'Group not found',
+    });
+    return null;
+  }
+
+  const membership = await GroupMembership.findMembership(req.user.id, groupId);
+  return { group, membership };
+};
+
+// Archived groups are read-only
+const rejectIfArchived = (group, res) => {
+  if (group.is_archived) {
+    res.status(400).json({
+      success: false,
+      message: 'Group is archived',
+    });
+    return true;
+  }
+  return false;
+};
+
+// Create a group (creator becomes owner)
+const createGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const groupData = { created_by: req.user.id };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        groupData[field] = req.body[field];
+      }
+    });
+
+    const group = await withTransaction(async (client) => {
+      const created = await MedicalGroup.create(groupData, client);
+      await GroupMembership.joinGroup(req.user.id, created.id, 'owner', client);
+      return MedicalGroup.syncMemberCount(created.id, client);
+    });
+
+    if (!group.is_private) {
+      try {
+        const ActivityFeed = require('../models/ActivityFeed');
+        await ActivityFeed.create({
+          user_id: req.user.id,
+          activity_type: 'group_created',
+          activity_data: { group_id: group.id, name: group.name },
+        });
+      } catch (activityError) {
+        console.error('Error creating activity for group creation:', activityError.message);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: { ...group, viewer_role: 'owner', viewer_status: 'active' },
+    });
+  } catch (error) {
+    console.error('Create group error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// List groups (archived groups are excluded)
+const getGroups = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const groups = await MedicalGroup.list({
+      search: req.query.q,
+      group_type: req.query.group_type,
+      specialty: req.query.specialty,
+    }, req.user.id, limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: groups,
+      pagination: {
+        limit,
+        offset,
+        hasMore: groups.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get groups error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Groups the current user belongs to
+const getMyGroups = async (req, res) => {
+  try {
+    const groups = await GroupMembership.findByUserId(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: groups,
+    });
+  } catch (error) {
+    console.error('Get my groups error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Pending invitations for the current user
+const getMyGroupInvitations = async (req, res) => {
+  try {
+    const invitations = await GroupMembership.findInvitationsByUserId(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: invitations,
+    });
+  } catch (error) {
+    console.error('Get group invitations error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get a group with the viewer's membership
+const getGroupById = async (req, res) => {
+  try {
+    const loaded = await loadGroup(req, res);
+    if (!loaded) return;
+    const { group, membership } = loaded;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...group,
+        viewer_role: membership ? membership.role : null,
+        viewer_status: membership ? membership.status : null,
+        can_manage: hasRole(membership, 'admin'),
+        can_moderate: hasRole(membership, 'moderator'),
+      },
+    });
+  } catch (error) {
+    console.error('Get group error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Update group details (owner / admins)
+const updateGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const loaded = await loadGroup(req, res);
+    if (!loaded) return;
+    const { group, membership } = loaded;
+
+    if (!hasRole(membership, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group owners and admins can update the group',
+      });
+    }
+    if (rejectIfArchived(group, res)) return;
+
+    const updateData = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updateData[field] = req.body[field];
+      }
+    });
+
+    const updated = await MedicalGroup.update(group.id, updateData);
+
+    res.status(200).json({
+      success: true,
+      message: 'Group updated successfully',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Update group error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Archive a group (owner only)
+const archiveGroup = async (req, res) => {
+  try {
+    const loaded = await loadGroup(req, res);
+    if (!loaded) return;
+    const { group, membership } = loaded;
+
+    if (!hasRole(membership, 'owner')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can archive the group',
+      });
+    }
+    if (rejectIfArchived(group, res)) return;
+
+    const archived = await MedicalGroup.archive(group.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Group archived successfully',
+      data: archived,
+    });
+  } catch (error) {
+    console.error('Archive group error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Join a group: public groups join directly, private groups get a join request,
+// and a pending invitation is accepted
+const joinGroup = async (req, res) => {
+  try {
+    const loaded = await loadGroup(req, res);
+    if (!loaded) return;
+    const { group, membership } = loaded;
+
+    if (rejectIfArchived(group, res)) return;
+
+    if (membership && membership.status === 'active') {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already a member of this group',
+      });
+    }
+    if (membership && membership.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Your join request is already pending',
+      });
+    }
+
+    if (group.is_private && !(membership && membership.status === 'invited')) {
+      const request = await GroupMembership.createPending(req.user.id, group.id, 'pending');
+
+      const managerIds = await GroupMembership.findUserIdsByRoles(group.id, ['owner', 'admin', 'moderator']);
+      await Promise.all(managerIds.map(managerId => notifyGroupEvent(
+        managerId, req.user.id, 'group_join_request', 'New request to join your group', group
+      )));
+
+      return res.status(202).json({
+        success: true,
+        message: 'Join request sent',
+        data: request,
+      });
+    }
+
+    const joined = await withTransaction(async (client) => {
+      const row = await GroupMembership.joinGroup(req.user.id, group.id, 'member', client);
+      await MedicalGroup.syncMemberCount(group.id, client);
+      return row;
+    });
+
+    if (membership && membership.invited_by) {
+      await notifyGroupEvent(
+        membership.invited_by, req.user.id, 'group_invitation_accepted', 'Your group invitation was accepted', group
+      );
+    }
+
+    if (!group.is_private) {
+      try {
+        const ActivityFeed = require('../models/ActivityFeed');
+        await ActivityFeed.create({
+          user_id: req.user.id,
+          activity_type: 'group_joined',
+          activity_data: { group_id: group.id, name: group.name },
+        });
+      } catch (activityError) {
+        console.error('Error creating activity for group join:', activityError.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Joined group successfully',
+      data: joined,
+    });
+  } catch (error) {
+    console.error('Join group error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Leave a group, cancel a join request or decline an invitation
+const leaveGroup = async (req, res) => {
+  try {
+    const loaded = await loadGroup(req, res);
+    if (!loaded) return;
+    const { group, membership } = loaded;
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of this group',
+      });
+    }
+
+    if (membership.status === 'active' && membership.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer ownership to another member before leaving the group',
+      });
+    }
+
+    await withTransaction(async (client) => {
+      await GroupMembership.leaveGroup(req.user.id, group.id, client);
+      await MedicalGroup.syncMemberCount(group.id, client);
+    });
+
+    const messages = {
+      active: 'Left group successfully',
+      pending: 'Join request cancelled',
+      invited: 'Invitation declined',
+    };
+
+    res.status(200).json({
+      success: true,
+      message: messages[membership.status] || messages.active,
+    });
+  } catch (error) {
+    console.error('Leave group error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// List members (private groups: members only)
+const getGroupMembers = async (req, res) => {
+  try {
+    const loaded = await loadGroup(req, res);
+    if (!loaded) return;
+    const { group, membership } = loaded;
+
+    if (group.is_private && !hasRole(membership, 'member')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only members can view the members of a private group',
+      });
+    }
+
+    const role = GroupMembership.GROUP_ROLES.includes(req.query.role) ? req.query.role : null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const members = await GroupMembership.findByGroupId(group.id, limit, offset, 'active', role);
+
+    res.status(200).json({
+      success: true,
+      data: members,
+      pagination: {
+        limit,
+        offset,
+        hasMore: members.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get group members error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// List pending join requests (moderators and up)
+const getJoinRequests = async (req, res) => {
+  try {
+    const loaded = await loadGroup(req, res);
+    if (!loaded) return;
+    const { group, membership } = loaded;
+
+    if (!hasRole(membership, 'moderator')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group moderators can view join requests',
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const requests = await GroupMembership.findByGroupId(group.id, limit, offset, 'pending');
+
+    res.status(200).json({
+      success: true,
+      data: requests,
+      pagination: {
+        limit,
+        offset,
+        hasMore: requests.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get join requests error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Load a pending join request for moderators; sends the error response and returns null otherwise
+const loadJoinRequest = async (req, res) => {
+  const loaded = await loadGroup(req, res);
+  if (!loaded) return null;
+  const { group, membership } = loaded;
+
+  if (!hasRole(membership, 'moderator')) {
+    res.status(403).json({
+      success: false,
+      message: 'Only group moderators can respond to join requests',
+    });
+    return null;
+  }
+  if (rejectIfArchived(group, res)) return null;
+
+  const userId = parseInt(req.params.userId);
+  const request = isNaN(userId) ? null : await GroupMembership.findMembership(userId, group.id);
+  if (!request || request.status !== 'pending') {
+    res.status(404).json({
+      success: false,
+      message: 'Join request not found',
+    });
+    return null;
+  }
+
+  return { group, userId };
+};
+
+// Approve a join request
+const approveJoinRequest = async (req, res) => {
+  try {
+    const loaded = await loadJoinRequest(req, res);
+    if (!loaded) return;
+    const { group, userId } = loaded;
+
+    const joined = await withTransaction(async (client) => {
+      const row = await GroupMembership.joinGroup(userId, group.id, 'member', client);
+      await MedicalGroup.syncMemberCount(group.id, client);
+      return row;
+    });
+
+    await notifyGroupEvent(userId, req.user.id, 'group_request_approved', 'Your request to join was approved', group);
+
+    res.status(200).json({
+      success: true,
+      message: 'Join request approved',
+      data: joined,
+    });
+  } catch (error) {
+    console.error('Approve join request error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Decline a join request
+const declineJoinRequest = async (req, res) => {
+  try {
+    const loaded = await loadJoinRequest(req, res);
+    if (!loaded) return;
+    const { group, userId } = loaded;
+
+    await GroupMembership.leaveGroup(userId, group.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Join request declined',
+    });
+  } catch (error) {
+    console.error('Decline join request error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Invite a user by ID (any member of a public group; moderators and up for private groups)
+const inviteToGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const loaded = await loadGroup(req, res);
+    if (!loaded) return;
+    const { group, membership } = loaded;
+
+    const requiredRole = group.is_private ? 'moderator' : 'member';
+    if (!hasRole(membership, requiredRole)) {
+      return res.status(403).json({
+        success: false,
+        message: group.is_private
+          ? 'Only group moderators can invite to a private group'
+          : 'Only members can invite to this group',
+      });
+    }
+    if (rejectIfArchived(group, res)) return;
+
+    const inviteeId = parseInt(req.body.user_id);
+    if (inviteeId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot invite yourself',
+      });
+    }
+
+    const invitee = await User.findById(inviteeId);
+    if (!invitee || !invitee.is_active || await Block.isBlockedEitherWay(req.user.id, inviteeId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const invitation = await GroupMembership.createPending(inviteeId, group.id, 'invited', req.user.id);
+    if (!invitation) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already a member of this group',
+      });
+    }
+
+    await notifyGroupEvent(inviteeId, req.user.id, 'group_invitation', 'You were invited to join a group', group);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: invitation,
+    });
+  } catch (error) {
+    console.error('Invite to group error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Change a member's role
+// Admins manage moderators and members; only the owner grants admin or transfers ownership
+const updateMemberRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const loaded = await loadGroup(req, res);
+    if (!loaded) return;
+    const { group, membership } = loaded;
+
+    if (!hasRole(membership, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group owners and admins can change roles',
+      });
+    }
+    if (rejectIfArchived(group, res)) return;
+
+    const userId = parseInt(req.params.userId);
+    const target = isNaN(userId) ? null : await GroupMembership.findMembership(userId, group.id);
+    if (!target || target.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found',
+      });
+    }
+
+    const { role } = req.body;
+    const actorRank = ROLE_RANK[membership.role];
+    const canAssign = userId !== req.user.id && (role === 'owner'
+      ? membership.role === 'owner'
+      : ROLE_RANK[target.role] < actorRank && ROLE_RANK[role] < actorRank);
+    if (!canAssign) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign this role',
+      });
+    }
+
+    const updated = await withTransaction(async (client) => {
+      // Ownership transfer: the previous owner stays on as admin
+      if (role === 'owner') {
+        await GroupMembership.updateRole(req.user.id, group.id, 'admin', client);
+      }
+      return GroupMembership.updateRole(userId, group.id, role, client);
+    });
+
+    await notifyGroupEvent(userId, req.user.id, 'group_role_changed', `You are now a group ${role}`, group);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Update member role error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Remove a member or revoke an invitation (moderators and up, lower-ranked targets only)
+const removeMember = async (req, res) => {
+  try {
+    const loaded = await loadGroup(req, res);
+    if (!loaded) return;
+    const { group, membership } = loaded;
+
+    if (!hasRole(membership, 'moderator')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group moderators can remove members',
+      });
+    }
+
+    const userId = parseInt(req.params.userId);
+    const target = isNaN(userId) ? null : await GroupMembership.findMembership(userId, group.id);
+    if (!target || userId === req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found',
+      });
+    }
+
+    if (ROLE_RANK[target.role] >= ROLE_RANK[membership.role]) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot remove this member',
+      });
+    }
+
+    await withTransaction(async (client) => {
+      await GroupMembership.leaveGroup(userId, group.id, client);
+      await MedicalGroup.syncMemberCount(group.id, client);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed from group',
+    });
+  } catch (error) {
+    console.error('Remove group member error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Load a post in the group for moderation; sends 403/404 and returns null when not allowed
+const loadModeratedPost = async (req, res) => {
+  const loaded = await loadGroup(req, res);
+  if (!loaded) return null;
+  const { group, membership } = loaded;
+
+  if (!hasRole(membership, 'moderator')) {
+    res.status(403).json({
+      success: false,
+      message: 'Only group moderators can manage group posts',
+    });
+    return null;
+  }
+
+  const postId = parseInt(req.params.postId);
+  const post = isNaN(postId) ? null : await Post.findById(postId);
+  if (!post || post.group_id !== group.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found in this group',
+    });
+    return null;
+  }
+
+  return { group, post };
+};
+
+// Pin a post to the top of the group feed (moderators and up)
+const pinGroupPost = async (req, res) => {
+  try {
+    const loaded = await loadModeratedPost(req, res);
+    if (!loaded) return;
+
+    const post = await Post.setGroupPinned(loaded.post.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post pinned',
+      data: post,
+    });
+  } catch (error) {
+    console.error('Pin group post error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Unpin a group post (moderators and up)
+const unpinGroupPost = async (req, res) => {
+  try {
+    const loaded = await loadModeratedPost(req, res);
+    if (!loaded) return;
+
+    const post = await Post.setGroupPinned(loaded.post.id, null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Post unpinned',
+      data: post,
+    });
+  } catch (error) {
+    console.error('Unpin group post error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Remove a post from the group (moderators and up); the author is notified
+const removeGroupPost = async (req, res) => {
+  try {
+    const loaded = await loadModeratedPost(req, res);
+    if (!loaded) return;
+    const { group, post } = loaded;
+
+    await Post.remove(post.id);
+    emitPostDeleted(post.id, post.user_id);
+
+    if (post.user_id !== req.user.id) {
+      await notifyGroupEvent(post.user_id, req.user.id, 'group_post_removed', 'A moderator removed your post', group);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Post removed from group',
+    });
+  } catch (error) {
+    console.error('Remove group post error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  validateGroup,
+  validateGroupUpdate,
+  validateGroupInvitation,
+  validateMemberRole,
+  createGroup,
+  getGroups,
+  getMyGroups,
+  getMyGroupInvitations,
+  getGroupById,
+  updateGroup,
+  archiveGroup,
+  joinGroup,
+  leaveGroup,
+  getGroupMembers,
+  getJoinRequests,
+  approveJoinRequest,
+  declineJoinRequest,
+  inviteToGroup,
+  updateMemberRole,
+  removeMember,
+  pinGroupPost,
+  unpinGroupPost,
+  removeGroupPost,
+};
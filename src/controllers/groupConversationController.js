@@ -0,0 +1,601 @@
+// Group conversation controller - Create group threads and manage their title, avatar and participants
+const { body, param, validationResult } = require('express-validator');
+const { pool, withTransaction } = require('../config/database');
+const Conversation = require('../models/Conversation');
+const ConversationParticipant = require('../models/ConversationParticipant');
+const { canMessage, describeUsers, postSystemMessage } = require('../services/conversationService');
+const { hideReadState } = require('../services/readReceiptService');
+const { emitToUser, emitToRoom, removeUserFromRoom } = require('../services/socketService');
+const logger = require('../utils/logger');
+
+const { PARTICIPANT_ROLES, MAX_GROUP_PARTICIPANTS } = ConversationParticipant;
+
+// Validation rules
+const validateUserIds = (field) => [
+  body(field)
+    .isArray({ min: 1, max: MAX_GROUP_PARTICIPANTS - 1 })
+    .withMessage(`${field} must be an array of 1 to ${MAX_GROUP_PARTICIPANTS - 1} user IDs`),
+  body(`${field}.*`)
+    .isInt({ min: 1 })
+    .withMessage('User IDs must be positive integers')
+    .toInt(),
+];
+
+const validateGroupDetails = [
+  body('title')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title must be at most 100 characters'),
+  body('avatar_url')
+    .optional({ nullable: true })
+    .isURL()
+    .withMessage('Avatar URL must be a valid URL'),
+];
+
+const validateCreateGroup = [
+  ...validateUserIds('participant_ids'),
+  ...validateGroupDetails,
+];
+
+const validateConversationId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Conversation ID must be a positive integer')
+    .toInt(),
+];
+
+const validateUpdateGroup = [
+  ...validateConversationId,
+  ...validateGroupDetails,
+];
+
+const validateAddParticipants = [
+  ...validateConversationId,
+  ...validateUserIds('user_ids'),
+];
+
+const validateParticipant = [
+  ...validateConversationId,
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+];
+
+const validateParticipantRole = [
+  ...validateParticipant,
+  body('role')
+    .isIn(PARTICIPANT_ROLES)
+    .withMessage(`Role must be one of: ${PARTICIPANT_ROLES.join(', ')}`),
+];
+
+// Helper: send the first validation error response, if any
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Helper: load the conversation in req.params.id with the caller's membership. Sends the
+ * 404/403/400 response and returns null when the caller is not a current participant, or when
+ * the conversation is not a group (`groupOnly`) or they are not an admin (`adminOnly`).
+ */
+const loadMembership = async (req, res, { groupOnly = true, adminOnly = false } = {}) => {
+  const conversationId = req.params.id;
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) {
+    res.status(404).json({
+      success: false,
+      message: 'Conversation not found',
+    });
+    return null;
+  }
+
+  const membership = await ConversationParticipant.findOne(conversationId, req.user.id);
+  if (!membership || membership.left_at) {
+    res.status(403).json({
+      success: false,
+      message: 'You are not a participant in this conversation',
+    });
+    return null;
+  }
+
+  if (groupOnly && conversation.type !== 'group') {
+    res.status(400).json({
+      success: false,
+      message: 'Only group conversations have participants to manage',
+    });
+    return null;
+  }
+
+  if (adminOnly && membership.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Only conversation admins can do this',
+    });
+    return null;
+  }
+
+  return { conversation, membership };
+};
+
+// Helper: check that users exist, are active and accept messages from the actor (a message request is not enough); returns an error response or null
+const checkNewParticipants = async (actorId, userIds) => {
+  const result = await pool.query(
+    'SELECT id FROM users WHERE id = ANY($1::int[]) AND is_active = TRUE',
+    [userIds]
+  );
+  const found = new Set(result.rows.map(row => row.id));
+  const missing = userIds.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    return { status: 404, body: { success: false, message: 'User not found', user_ids: missing } };
+  }
+
+  for (const userId of userIds) {
+    const canMessageResult = await canMessage(actorId, userId);
+    if (!canMessageResult.allowed || canMessageResult.request) {
+      return {
+        status: 403,
+        body: {
+          success: false,
+          message: canMessageResult.reason || 'This user is not accepting messages from you',
+          code: canMessageResult.code || 'messages_not_allowed',
+          user_ids: [userId],
+        },
+      };
+    }
+  }
+  return null;
+};
+
+// Display name of the acting user for system message text
+const actorName = (req) => describeUsers([req.user.id]);
+
+// Create a group conversation
+const createGroupConversation = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const userId = req.user.id;
+    const participantIds = [...new Set(req.body.participant_ids)].filter(id => id !== userId);
+    const title = req.body.title || null;
+
+    logger.info('Create group conversation', { userId, participantCount: participantIds.length });
+
+    if (participantIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add at least one other participant',
+      });
+    }
+
+    const participantError = await checkNewParticipants(userId, participantIds);
+    if (participantError) {
+      return res.status(participantError.status).json(participantError.body);
+    }
+
+    const conversation = await withTransaction(client => Conversation.createGroup({
+      createdBy: userId,
+      title,
+      avatarUrl: req.body.avatar_url || null,
+      participantIds,
+    }, client));
+
+    await postSystemMessage(
+      conversation.id,
+      userId,
+      'group_created',
+      title ? `${await actorName(req)} created the group "${title}"` : `${await actorName(req)} created the group`,
+      { title }
+    );
+    for (const participantId of participantIds) {
+      emitToUser(participantId, 'conversation:added', { conversation_id: conversation.id, added_by: userId });
+    }
+
+    const participants = await ConversationParticipant.findByConversationId(conversation.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Group conversation created',
+      data: {
+        ...(await Conversation.findById(conversation.id)),
+        participants,
+        participant_count: participants.length,
+      },
+    });
+  } catch (error) {
+    logger.error('Create group conversation error', {
+      userId: req.user?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Rename a group or change its avatar (admins)
+const updateGroupConversation = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const loaded = await loadMembership(req, res, { adminOnly: true });
+    if (!loaded) {
+      return;
+    }
+    const { conversation } = loaded;
+
+    const changes = {};
+    if (req.body.title !== undefined) {
+      changes.title = req.body.title || null;
+    }
+    if (req.body.avatar_url !== undefined) {
+      changes.avatar_url = req.body.avatar_url || null;
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a title or avatar_url to change',
+      });
+    }
+
+    const updated = await Conversation.updateDetails(conversation.id, changes);
+
+    if (changes.title !== undefined && changes.title !== conversation.title) {
+      await postSystemMessage(
+        conversation.id,
+        req.user.id,
+        'title_changed',
+        changes.title ? `${await actorName(req)} renamed the group to "${changes.title}"` : `${await actorName(req)} removed the group name`,
+        { title: changes.title }
+      );
+    }
+    if (changes.avatar_url !== undefined && changes.avatar_url !== conversation.avatar_url) {
+      await postSystemMessage(
+        conversation.id,
+        req.user.id,
+        'avatar_changed',
+        `${await actorName(req)} changed the group photo`,
+        { avatar_url: changes.avatar_url }
+      );
+    }
+    emitToRoom(`conversation:${conversation.id}`, 'conversation:updated', {
+      conversation_id: conversation.id,
+      title: updated.title,
+      avatar_url: updated.avatar_url,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Group conversation updated',
+      data: updated,
+    });
+  } catch (error) {
+    logger.error('Update group conversation error', {
+      userId: req.user?.id,
+      conversationId: req.params?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// List current participants (any conversation the caller is in)
+const getParticipants = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const loaded = await loadMembership(req, res, { groupOnly: false });
+    if (!loaded) {
+      return;
+    }
+
+    const participants = await hideReadState(
+      await ConversationParticipant.findByConversationId(loaded.conversation.id),
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: participants,
+    });
+  } catch (error) {
+    logger.error('Get conversation participants error', {
+      userId: req.user?.id,
+      conversationId: req.params?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Add people to a group (admins)
+const addParticipants = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const loaded = await loadMembership(req, res, { adminOnly: true });
+    if (!loaded) {
+      return;
+    }
+    const { conversation } = loaded;
+    const userId = req.user.id;
+
+    const currentIds = await ConversationParticipant.getActiveUserIds(conversation.id);
+    const newIds = [...new Set(req.body.user_ids)].filter(id => !currentIds.includes(id));
+    if (newIds.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'These users are already in the conversation',
+      });
+    }
+    if (currentIds.length + newIds.length > MAX_GROUP_PARTICIPANTS) {
+      return res.status(400).json({
+        success: false,
+        message: `A group conversation can have at most ${MAX_GROUP_PARTICIPANTS} participants`,
+      });
+    }
+
+    const participantError = await checkNewParticipants(userId, newIds);
+    if (participantError) {
+      return res.status(participantError.status).json(participantError.body);
+    }
+
+    await ConversationParticipant.add(conversation.id, newIds, { role: 'member', addedBy: userId });
+
+    await postSystemMessage(
+      conversation.id,
+      userId,
+      'participants_added',
+      `${await actorName(req)} added ${await describeUsers(newIds)}`,
+      { user_ids: newIds }
+    );
+    for (const participantId of newIds) {
+      emitToUser(participantId, 'conversation:added', { conversation_id: conversation.id, added_by: userId });
+    }
+
+    const participants = await hideReadState(
+      await ConversationParticipant.findByConversationId(conversation.id),
+      userId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Participants added',
+      data: participants,
+    });
+  } catch (error) {
+    logger.error('Add conversation participants error', {
+      userId: req.user?.id,
+      conversationId: req.params?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Helper: take a user out of a group; the longest-standing member becomes admin if no admin is left
+const removeFromGroup = async (conversationId, userId) => withTransaction(async (client) => {
+  const removed = await ConversationParticipant.markLeft(conversationId, userId, client);
+  const promoted = removed ? await ConversationParticipant.promoteOldestMember(conversationId, client) : null;
+  return { removed, promoted };
+});
+
+// Leave a group
+const leaveConversation = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const loaded = await loadMembership(req, res);
+    if (!loaded) {
+      return;
+    }
+    const conversationId = loaded.conversation.id;
+    const userId = req.user.id;
+
+    const { promoted } = await removeFromGroup(conversationId, userId);
+    removeUserFromRoom(userId, `conversation:${conversationId}`);
+
+    let content = `${await actorName(req)} left the group`;
+    if (promoted) {
+      content += `. ${await describeUsers([promoted.user_id])} is now an admin`;
+    }
+    await postSystemMessage(conversationId, userId, 'participant_left', content, {
+      user_id: userId,
+      promoted_user_id: promoted ? promoted.user_id : null,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'You left the conversation',
+    });
+  } catch (error) {
+    logger.error('Leave conversation error', {
+      userId: req.user?.id,
+      conversationId: req.params?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Remove someone from a group (admins); removing yourself is the same as leaving
+const removeParticipant = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    if (req.params.userId === req.user.id) {
+      return leaveConversation(req, res);
+    }
+
+    const loaded = await loadMembership(req, res, { adminOnly: true });
+    if (!loaded) {
+      return;
+    }
+    const conversationId = loaded.conversation.id;
+    const targetId = req.params.userId;
+
+    const { removed } = await removeFromGroup(conversationId, targetId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Participant not found',
+      });
+    }
+
+    removeUserFromRoom(targetId, `conversation:${conversationId}`);
+    emitToUser(targetId, 'conversation:removed', { conversation_id: conversationId, removed_by: req.user.id });
+    await postSystemMessage(
+      conversationId,
+      req.user.id,
+      'participant_removed',
+      `${await actorName(req)} removed ${await describeUsers([targetId])}`,
+      { user_id: targetId }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Participant removed',
+    });
+  } catch (error) {
+    logger.error('Remove conversation participant error', {
+      userId: req.user?.id,
+      conversationId: req.params?.id,
+      targetUserId: req.params?.userId,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Make a participant an admin or a member (admins); a group always keeps at least one admin
+const updateParticipantRole = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const loaded = await loadMembership(req, res, { adminOnly: true });
+    if (!loaded) {
+      return;
+    }
+    const conversationId = loaded.conversation.id;
+    const targetId = req.params.userId;
+    const { role } = req.body;
+
+    const target = await ConversationParticipant.findOne(conversationId, targetId);
+    if (!target || target.left_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Participant not found',
+      });
+    }
+    if (target.role === role) {
+      return res.status(200).json({
+        success: true,
+        message: 'Role unchanged',
+        data: target,
+      });
+    }
+
+    const updated = await withTransaction(async (client) => {
+      if (role === 'member' && await ConversationParticipant.countAdmins(conversationId, client) <= 1) {
+        return null;
+      }
+      return ConversationParticipant.setRole(conversationId, targetId, role, client);
+    });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'A group conversation needs at least one admin',
+      });
+    }
+
+    const targetName = await describeUsers([targetId]);
+    await postSystemMessage(
+      conversationId,
+      req.user.id,
+      'role_changed',
+      role === 'admin'
+        ? `${await actorName(req)} made ${targetName} an admin`
+        : `${await actorName(req)} removed ${targetName} as an admin`,
+      { user_id: targetId, role }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated',
+      data: updated,
+    });
+  } catch (error) {
+    logger.error('Update conversation participant role error', {
+      userId: req.user?.id,
+      conversationId: req.params?.id,
+      targetUserId: req.params?.userId,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  createGroupConversation,
+  updateGroupConversation,
+  getParticipants,
+  addParticipants,
+  removeParticipant,
+  leaveConversation,
+  updateParticipantRole,
+  validateCreateGroup,
+  validateUpdateGroup,
+  validateConversationId,
+  validateAddParticipants,
+  validateParticipant,
+  validateParticipantRole,
+};
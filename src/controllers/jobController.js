@@ -0,0 +1,1465 @@
+// Job controller - Job postings, applications and saved jobs
+const { body, validationResult } = require('express-validator');
+const { withTransaction } = require('../config/database');
+const JobPosting = require('../models/JobPosting');
+const JobApplication = require('../models/JobApplication');
+const SavedJob = require('../models/SavedJob');
+const JobSkill = require('../models/JobSkill');
+const MedicalSkill = require('../models/MedicalSkill');
+const MedicalOrganization = require('../models/MedicalOrganization');
+const OrganizationAdmin = require('../models/OrganizationAdmin');
+const ApplicationStageHistory = require('../models/ApplicationStageHistory');
+const ApplicationNote = require('../models/ApplicationNote');
+const Notification = require('../models/Notification');
+const { emitNotificationNew } = require('../services/eventService');
+const { getRecommendedJobs: rankJobsForUser, getCandidatesForJob } = require('../services/jobMatchingService');
+
+// Résumés must come from the document upload flow (POST /api/v1/upload/document)
+const DOCUMENT_URL_PREFIX = '/uploads/documents/';
+
+// Validation rules
+const validateJobPosting = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Job title is required')
+    .isLength({ max: 255 })
+    .withMessage('Job title must be less than 255 characters'),
+  body('job_type')
+    .trim()
+    .notEmpty()
+    .withMessage('Job type is required')
+    .isLength({ max: 100 })
+    .withMessage('Job type must be less than 100 characters'),
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Job description is required'),
+  body('organization_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Organization ID must be a positive integer'),
+  body('is_remote')
+    .optional()
+    .isBoolean()
+    .withMessage('is_remote must be a boolean'),
+  body('salary_min')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum salary must be a positive number'),
+  body('salary_max')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum salary must be a positive number'),
+  body('application_deadline')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Application deadline must be a valid date'),
+  body('start_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('skills')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Skills must be an array with at most 50 entries'),
+];
+
+// Validation rules for partial updates (optional fields)
+const validateJobPostingUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Job title cannot be empty')
+    .isLength({ max: 255 })
+    .withMessage('Job title must be less than 255 characters'),
+  body('job_type')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Job type cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Job type must be less than 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Job description cannot be empty'),
+  body('is_remote')
+    .optional()
+    .isBoolean()
+    .withMessage('is_remote must be a boolean'),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean'),
+  body('salary_min')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum salary must be a positive number'),
+  body('salary_max')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum salary must be a positive number'),
+  body('application_deadline')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Application deadline must be a valid date'),
+  body('start_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('skills')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Skills must be an array with at most 50 entries'),
+];
+
+// Validation rules for applying to a job
+const validateJobApplication = [
+  body('cover_letter')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 10000 })
+    .withMessage('Cover letter must be less than 10000 characters'),
+  body('resume_url')
+    .optional({ nullable: true })
+    .isString()
+    .custom((value) => value.startsWith(DOCUMENT_URL_PREFIX))
+    .withMessage('Resume must be uploaded via /api/v1/upload/document'),
+];
+
+// Validation rules for moving an application to another stage
+const validateStageChange = [
+  body('stage')
+    .isIn(JobApplication.APPLICATION_STAGES)
+    .withMessage(`Stage must be one of: ${JobApplication.APPLICATION_STAGES.join(', ')}`),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Note must be less than 2000 characters'),
+];
+
+// Validation rules for bulk stage changes
+const validateBulkStageChange = [
+  body('application_ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('application_ids must be an array of 1 to 100 IDs'),
+  body('application_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Each application ID must be a positive integer'),
+  ...validateStageChange,
+];
+
+// Validation rules for recruiter notes
+const validateApplicationNote = [
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('Note is required')
+    .isLength({ max: 5000 })
+    .withMessage('Note must be less than 5000 characters'),
+];
+
+// Applicant-facing stage labels
+const STAGE_LABELS = {
+  applied: 'Applied',
+  screening: 'Screening',
+  interview: 'Interview',
+  offer: 'Offer',
+  hired: 'Hired',
+  rejected: 'Not selected',
+  withdrawn: 'Withdrawn',
+};
+
+// Parse job posting ID from route params
+const parseJobId = (req) => {
+  const jobId = parseInt(req.params.id);
+  return isNaN(jobId) ? null : jobId;
+};
+
+// Poster or an admin of the posting's organization may manage it
+const canManageJobPosting = async (jobPosting, userId) => {
+  if (jobPosting.posted_by === userId) {
+    return true;
+  }
+  if (jobPosting.organization_id) {
+    return await OrganizationAdmin.isAdmin(jobPosting.organization_id, userId);
+  }
+  return false;
+};
+
+// Replace the skills attached to a job posting
+// Accepts skill names or { name, is_required } objects
+const setJobSkills = async (jobPostingId, skills) => {
+  await JobSkill.removeByJobPostingId(jobPostingId);
+
+  for (const skill of skills) {
+    const name = typeof skill === 'string' ? skill : skill && skill.name;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      continue;
+    }
+    const normalizedName = name.toLowerCase().trim();
+    let skillRecord = await MedicalSkill.findByName(normalizedName);
+    if (!skillRecord) {
+      skillRecord = await MedicalSkill.create({ name: normalizedName });
+    }
+    const isRequired = typeof skill === 'object' && skill.is_required !== undefined
+      ? Boolean(skill.is_required)
+      : true;
+    await JobSkill.addSkill(jobPostingId, skillRecord.id, isRequired);
+  }
+
+  return await JobSkill.findByJobPostingId(jobPostingId);
+};
+
+// Check whether an application may move between stages
+// Terminal stages are final; applicants can only withdraw, recruiters can't withdraw on their behalf
+const isValidTransition = (fromStage, toStage, isApplicant) => {
+  if (!JobApplication.APPLICATION_STAGES.includes(toStage)) {
+    return false;
+  }
+  if (fromStage === toStage || JobApplication.TERMINAL_STAGES.includes(fromStage)) {
+    return false;
+  }
+  return isApplicant ? toStage === 'withdrawn' : toStage !== 'withdrawn';
+};
+
+// Move an application to a new stage and record who moved it
+// Returns null if the application's stage changed concurrently
+const transitionApplication = async (application, toStage, changedBy, note = null) => {
+  const updated = await withTransaction(async (client) => {
+    const moved = await JobApplication.updateStatus(application.id, toStage, application.status, client);
+    if (!moved) {
+      return null;
+    }
+
+    await ApplicationStageHistory.create({
+      application_id: application.id,
+      from_stage: application.status,
+      to_stage: toStage,
+      changed_by: changedBy,
+      note,
+    }, client);
+
+    return moved;
+  });
+
+  // Withdrawn applications no longer count towards the posting
+  if (updated && toStage === 'withdrawn') {
+    await JobPosting.syncApplicationsCount(application.job_posting_id);
+  }
+
+  return updated;
+};
+
+// Create notification for an application event and push it in real time
+const createApplicationNotification = async (recipientId, actorId, notificationType, title, application, jobPosting) => {
+  try {
+    const notification = await Notification.create({
+      user_id: recipientId,
+      notification_type: notificationType,
+      title,
+      message: `Status: ${STAGE_LABELS[application.status] || application.status}`,
+      notification_data: {
+        application_id: application.id,
+        job_posting_id: jobPosting.id,
+        stage: application.status,
+      },
+      related_user_id: actorId,
+      related_job_posting_id: jobPosting.id,
+    });
+
+    emitNotificationNew(notification);
+  } catch (error) {
+    console.error('Error creating application notification:', error.message);
+    // Don't throw - notification failure shouldn't break the stage change
+  }
+};
+
+// Record activity and notify the other side after a stage transition
+const notifyStageChange = async (application, jobPosting, fromStage, actorId) => {
+  // Private activity on the applicant's timeline (excluded from network feeds)
+  try {
+    const ActivityFeed = require('../models/ActivityFeed');
+    await ActivityFeed.create({
+      user_id: application.applicant_id,
+      activity_type: 'application_stage_changed',
+      activity_data: {
+        job_posting_id: jobPosting.id,
+        application_id: application.id,
+        title: jobPosting.title,
+        from_stage: fromStage,
+        to_stage: application.status,
+      },
+    });
+  } catch (activityError) {
+    console.error('Error creating activity for application stage change:', activityError.message);
+  }
+
+  if (actorId === application.applicant_id) {
+    if (jobPosting.posted_by) {
+      await createApplicationNotification(
+        jobPosting.posted_by,
+        actorId,
+        'job_application_withdrawn',
+        `An applicant withdrew from ${jobPosting.title}`,
+        application,
+        jobPosting
+      );
+    }
+    return;
+  }
+
+  await createApplicationNotification(
+    application.applicant_id,
+    actorId,
+    'job_application_update',
+    `Your application for ${jobPosting.title} was updated`,
+    application,
+    jobPosting
+  );
+};
+
+// Create job posting
+const createJobPosting = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { skills, ...jobData } = req.body;
+
+    if (jobData.organization_id) {
+      const organization = await MedicalOrganization.findById(jobData.organization_id);
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found',
+        });
+      }
+
+      const isAdmin = await OrganizationAdmin.isAdmin(organization.id, userId);
+      if (!isAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only organization admins can post jobs for this organization',
+        });
+      }
+    }
+
+    const jobPosting = await JobPosting.create({
+      ...jobData,
+      posted_by: userId,
+    });
+
+    const jobSkills = Array.isArray(skills) ? await setJobSkills(jobPosting.id, skills) : [];
+
+    // Create activity
+    try {
+      const ActivityFeed = require('../models/ActivityFeed');
+      await ActivityFeed.create({
+        user_id: userId,
+        activity_type: 'job_posted',
+        activity_data: { job_posting_id: jobPosting.id, title: jobPosting.title },
+      });
+    } catch (activityError) {
+      // Log but don't fail the request if activity creation fails
+      console.error('Error creating activity for job posting:', activityError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Job posting created successfully',
+      data: {
+        ...jobPosting,
+        skills: jobSkills,
+      },
+    });
+  } catch (error) {
+    console.error('Create job posting error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Search / list active job postings
+const getJobPostings = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const filters = {
+      search: req.query.q,
+      specialty: req.query.specialty,
+      job_type: req.query.job_type,
+      location: req.query.location,
+      min_salary: parseFloat(req.query.min_salary) || undefined,
+    };
+    if (req.query.is_remote !== undefined) {
+      filters.is_remote = req.query.is_remote === 'true';
+    }
+
+    const jobPostings = await JobPosting.search(filters, limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: jobPostings,
+      pagination: {
+        limit,
+        offset,
+        hasMore: jobPostings.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get job postings error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get job postings created by the current user
+const getMyJobPostings = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const jobPostings = await JobPosting.findByPostedBy(req.user.id, limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: jobPostings,
+      pagination: {
+        limit,
+        offset,
+        hasMore: jobPostings.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get my job postings error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get job postings ranked for the current user ("jobs for you")
+const getRecommendedJobs = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const minScore = Math.max(parseInt(req.query.min_score) || 0, 0);
+
+    const jobPostings = await rankJobsForUser(req.user.id, limit, offset, minScore);
+
+    res.status(200).json({
+      success: true,
+      data: jobPostings,
+      pagination: {
+        limit,
+        offset,
+        hasMore: jobPostings.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get recommended jobs error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get ranked candidates for a job posting (poster / org admins only)
+// Only users who opted into being discoverable are returned
+const getJobCandidates = async (req, res) => {
+  try {
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const jobPosting = await JobPosting.findById(jobId);
+    if (!jobPosting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job posting not found',
+      });
+    }
+
+    if (!(await canManageJobPosting(jobPosting, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view candidates for this job posting',
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const minScore = Math.max(parseInt(req.query.min_score) || 0, 0);
+
+    const candidates = await getCandidatesForJob(jobId, req.user.id, limit, offset, minScore);
+
+    res.status(200).json({
+      success: true,
+      data: candidates,
+      pagination: {
+        limit,
+        offset,
+        hasMore: candidates.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get job candidates error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get job posting by ID
+const getJobPostingById = async (req, res) => {
+  try {
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const userId = req.user.id;
+    let jobPosting = await JobPosting.findById(jobId);
+
+    if (!jobPosting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job posting not found',
+      });
+    }
+
+    const canManage = await canManageJobPosting(jobPosting, userId);
+
+    // Closed postings are only visible to the people managing them
+    if (!jobPosting.is_active && !canManage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job posting not found',
+      });
+    }
+
+    // Count views from everyone except the people managing the posting
+    if (!canManage) {
+      const viewed = await JobPosting.incrementViews(jobId);
+      if (viewed) {
+        jobPosting = { ...jobPosting, views_count: viewed.views_count };
+      }
+    }
+
+    const [skills, isSaved, application] = await Promise.all([
+      JobSkill.findByJobPostingId(jobId),
+      SavedJob.isSaved(userId, jobId),
+      JobApplication.findByApplicantAndJobPosting(userId, jobId),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...jobPosting,
+        skills,
+        is_saved: isSaved,
+        has_applied: !!application,
+        application_status: application ? application.status : null,
+        can_manage: canManage,
+      },
+    });
+  } catch (error) {
+    console.error('Get job posting error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Update job posting
+const updateJobPosting = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const jobPosting = await JobPosting.findById(jobId);
+    if (!jobPosting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job posting not found',
+      });
+    }
+
+    if (!(await canManageJobPosting(jobPosting, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this job posting',
+      });
+    }
+
+    const { skills, ...jobData } = req.body;
+    const updated = await JobPosting.update(jobId, jobData);
+    const jobSkills = Array.isArray(skills)
+      ? await setJobSkills(jobId, skills)
+      : await JobSkill.findByJobPostingId(jobId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job posting updated successfully',
+      data: {
+        ...updated,
+        skills: jobSkills,
+      },
+    });
+  } catch (error) {
+    console.error('Update job posting error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Close job posting (stops accepting applications, keeps history)
+const closeJobPosting = async (req, res) => {
+  try {
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const jobPosting = await JobPosting.findById(jobId);
+    if (!jobPosting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job posting not found',
+      });
+    }
+
+    if (!(await canManageJobPosting(jobPosting, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to close this job posting',
+      });
+    }
+
+    const updated = await JobPosting.update(jobId, { is_active: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Job posting closed successfully',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Close job posting error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Delete job posting
+const deleteJobPosting = async (req, res) => {
+  try {
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const jobPosting = await JobPosting.findById(jobId);
+    if (!jobPosting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job posting not found',
+      });
+    }
+
+    if (!(await canManageJobPosting(jobPosting, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this job posting',
+      });
+    }
+
+    await JobPosting.remove(jobId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job posting deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete job posting error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Apply to a job posting
+const applyToJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const userId = req.user.id;
+    const jobPosting = await JobPosting.findById(jobId);
+
+    if (!jobPosting || !jobPosting.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job posting not found',
+      });
+    }
+
+    if (jobPosting.posted_by === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot apply to your own job posting',
+      });
+    }
+
+    if (jobPosting.application_deadline && new Date(jobPosting.application_deadline) < new Date(new Date().toDateString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'The application deadline for this job has passed',
+      });
+    }
+
+    // Create application (or resubmit a withdrawn one) and its stage history entry together
+    const applicationData = {
+      job_posting_id: jobId,
+      applicant_id: userId,
+      cover_letter: req.body.cover_letter,
+      resume_url: req.body.resume_url,
+    };
+    let fromStage = null;
+    const application = await withTransaction(async (client) => {
+      let saved = await JobApplication.create(applicationData, client);
+      if (!saved) {
+        saved = await JobApplication.reapply(applicationData, client);
+        fromStage = 'withdrawn';
+      }
+
+      if (saved) {
+        await ApplicationStageHistory.create({
+          application_id: saved.id,
+          from_stage: fromStage,
+          to_stage: saved.status,
+          changed_by: userId,
+        }, client);
+      }
+
+      return saved;
+    });
+
+    // ON CONFLICT DO NOTHING returns no row for duplicates; only withdrawn ones can be resubmitted
+    if (!application) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already applied to this job',
+      });
+    }
+
+    await JobPosting.syncApplicationsCount(jobId);
+
+    // Create activity
+    try {
+      const ActivityFeed = require('../models/ActivityFeed');
+      await ActivityFeed.create({
+        user_id: userId,
+        activity_type: 'job_applied',
+        activity_data: { job_posting_id: jobId, application_id: application.id, title: jobPosting.title },
+      });
+    } catch (activityError) {
+      console.error('Error creating activity for job application:', activityError.message);
+    }
+
+    // Let the poster know a new application arrived
+    if (jobPosting.posted_by) {
+      await createApplicationNotification(
+        jobPosting.posted_by,
+        userId,
+        'job_application_received',
+        `New application for ${jobPosting.title}`,
+        application,
+        jobPosting
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: fromStage ? 'Application resubmitted successfully' : 'Application submitted successfully',
+      data: application,
+    });
+  } catch (error) {
+    console.error('Apply to job error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Withdraw application to a job posting
+const withdrawApplication = async (req, res) => {
+  try {
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const userId = req.user.id;
+    const application = await JobApplication.findByApplicantAndJobPosting(userId, jobId);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    if (!isValidTransition(application.status, 'withdrawn', true)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This application can no longer be withdrawn',
+      });
+    }
+
+    const updated = await transitionApplication(application, 'withdrawn', userId);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Application stage changed, please try again',
+      });
+    }
+
+    const jobPosting = await JobPosting.findById(jobId);
+    await notifyStageChange(updated, jobPosting, application.status, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn successfully',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Withdraw application error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get applications for a job posting (poster / org admins only)
+const getJobApplications = async (req, res) => {
+  try {
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const stage = req.query.stage || null;
+    if (stage && !JobApplication.APPLICATION_STAGES.includes(stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Stage must be one of: ${JobApplication.APPLICATION_STAGES.join(', ')}`,
+      });
+    }
+
+    const jobPosting = await JobPosting.findById(jobId);
+    if (!jobPosting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job posting not found',
+      });
+    }
+
+    if (!(await canManageJobPosting(jobPosting, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view applications for this job posting',
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const [applications, stageCounts] = await Promise.all([
+      JobApplication.findByJobPostingId(jobId, limit, offset, stage),
+      JobApplication.countByStage(jobId),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: applications,
+      stage_counts: stageCounts,
+      pagination: {
+        limit,
+        offset,
+        hasMore: applications.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get job applications error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get a single application with its stage history
+// Applicants see their status and stage timeline; managers also see who moved it; only the poster sees notes
+const getApplicationById = async (req, res) => {
+  try {
+    const applicationId = parseInt(req.params.applicationId);
+    if (isNaN(applicationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    const userId = req.user.id;
+    const application = await JobApplication.findById(applicationId);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    const isApplicant = application.applicant_id === userId;
+    const jobPosting = await JobPosting.findById(application.job_posting_id);
+    const canManage = await canManageJobPosting(jobPosting, userId);
+
+    if (!isApplicant && !canManage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    const history = await ApplicationStageHistory.findByApplicationId(applicationId);
+    const data = {
+      ...application,
+      history: canManage
+        ? history
+        : history.map(entry => ({
+          from_stage: entry.from_stage,
+          to_stage: entry.to_stage,
+          created_at: entry.created_at,
+        })),
+    };
+
+    if (jobPosting.posted_by === userId) {
+      data.notes = await ApplicationNote.findByApplicationId(applicationId);
+    }
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error('Get application error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Move an application to another pipeline stage (poster / org admins only)
+const updateApplicationStage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const applicationId = parseInt(req.params.applicationId);
+    if (isNaN(applicationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    const userId = req.user.id;
+    const { stage, note } = req.body;
+    const application = await JobApplication.findById(applicationId);
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found',
+      });
+    }
+
+    const jobPosting = await JobPosting.findById(application.job_posting_id);
+    if (!(await canManageJobPosting(jobPosting, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this application',
+      });
+    }
+
+    if (!isValidTransition(application.status, stage, false)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move application from ${application.status} to ${stage}`,
+      });
+    }
+
+    const updated = await transitionApplication(application, stage, userId, note);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Application stage changed, please try again',
+      });
+    }
+
+    await notifyStageChange(updated, jobPosting, application.status, userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application stage updated successfully',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Update application stage error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Move several applications of a job posting to the same stage
+const bulkUpdateApplicationStage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const userId = req.user.id;
+    const { application_ids: applicationIds, stage, note } = req.body;
+
+    const jobPosting = await JobPosting.findById(jobId);
+    if (!jobPosting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job posting not found',
+      });
+    }
+
+    if (!(await canManageJobPosting(jobPosting, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update applications for this job posting',
+      });
+    }
+
+    const updated = [];
+    const failed = [];
+
+    for (const applicationId of [...new Set(applicationIds.map(id => parseInt(id)))]) {
+      const application = await JobApplication.findById(applicationId);
+      if (!application || application.job_posting_id !== jobId) {
+        failed.push({ application_id: applicationId, reason: 'Application not found' });
+        continue;
+      }
+
+      if (!isValidTransition(application.status, stage, false)) {
+        failed.push({
+          application_id: applicationId,
+          reason: `Cannot move application from ${application.status} to ${stage}`,
+        });
+        continue;
+      }
+
+      const moved = await transitionApplication(application, stage, userId, note);
+      if (!moved) {
+        failed.push({ application_id: applicationId, reason: 'Application stage changed concurrently' });
+        continue;
+      }
+
+      await notifyStageChange(moved, jobPosting, application.status, userId);
+      updated.push(moved);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${updated.length} application(s) moved to ${stage}`,
+      data: {
+        updated,
+        failed,
+      },
+    });
+  } catch (error) {
+    console.error('Bulk update application stage error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Load an application for its posting's owner (recruiter notes are owner-only)
+const findApplicationForOwner = async (applicationId, userId) => {
+  const application = await JobApplication.findById(applicationId);
+  if (!application) {
+    return { status: 404, message: 'Application not found' };
+  }
+  if (application.posted_by !== userId) {
+    return { status: 403, message: 'Only the job poster can access recruiter notes' };
+  }
+  return { application };
+};
+
+// Get recruiter notes for an application
+const getApplicationNotes = async (req, res) => {
+  try {
+    const applicationId = parseInt(req.params.applicationId);
+    if (isNaN(applicationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    const result = await findApplicationForOwner(applicationId, req.user.id);
+    if (!result.application) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    const notes = await ApplicationNote.findByApplicationId(applicationId);
+
+    res.status(200).json({
+      success: true,
+      data: notes,
+    });
+  } catch (error) {
+    console.error('Get application notes error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Add a recruiter note to an application
+const addApplicationNote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const applicationId = parseInt(req.params.applicationId);
+    if (isNaN(applicationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID',
+      });
+    }
+
+    const result = await findApplicationForOwner(applicationId, req.user.id);
+    if (!result.application) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    const note = await ApplicationNote.create({
+      application_id: applicationId,
+      author_id: req.user.id,
+      note: req.body.note,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: note,
+    });
+  } catch (error) {
+    console.error('Add application note error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Delete a recruiter note
+const deleteApplicationNote = async (req, res) => {
+  try {
+    const applicationId = parseInt(req.params.applicationId);
+    const noteId = parseInt(req.params.noteId);
+    if (isNaN(applicationId) || isNaN(noteId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application or note ID',
+      });
+    }
+
+    const result = await findApplicationForOwner(applicationId, req.user.id);
+    if (!result.application) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    const note = await ApplicationNote.findById(noteId);
+    if (!note || note.application_id !== applicationId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found',
+      });
+    }
+
+    await ApplicationNote.remove(noteId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Note deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete application note error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+// Get current user's applications
+const getMyApplications = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const applications = await JobApplication.findByApplicantId(req.user.id, limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: applications,
+      pagination: {
+        limit,
+        offset,
+        hasMore: applications.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get my applications error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Save job posting
+const saveJob = async (req, res) => {
+  try {
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const jobPosting = await JobPosting.findById(jobId);
+    if (!jobPosting || !jobPosting.is_active) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job posting not found',
+      });
+    }
+
+    const saved = await SavedJob.save(req.user.id, jobId, req.body.notes || null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job saved successfully',
+      data: saved,
+    });
+  } catch (error) {
+    console.error('Save job error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Unsave job posting
+const unsaveJob = async (req, res) => {
+  try {
+    const jobId = parseJobId(req);
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job posting ID',
+      });
+    }
+
+    const removed = await SavedJob.unsave(req.user.id, jobId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved job not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job removed from saved jobs',
+    });
+  } catch (error) {
+    console.error('Unsave job error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get current user's saved jobs
+const getSavedJobs = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const savedJobs = await SavedJob.findByUserId(req.user.id, limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: savedJobs,
+      pagination: {
+        limit,
+        offset,
+        hasMore: savedJobs.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get saved jobs error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  createJobPosting,
+  getJobPostings,
+  getMyJobPostings,
+  getRecommendedJobs,
+  getJobCandidates,
+  getJobPostingById,
+  updateJobPosting,
+  closeJobPosting,
+  deleteJobPosting,
+  applyToJob,
+  withdrawApplication,
+  getJobApplications,
+  getApplicationById,
+  updateApplicationStage,
+  bulkUpdateApplicationStage,
+  getApplicationNotes,
+  addApplicationNote,
+  deleteApplicationNote,
+  getMyApplications,
+  saveJob,
+  unsaveJob,
+  getSavedJobs,
+  validateJobPosting,
+  validateJobPostingUpdate,
+  validateJobApplication,
+  validateStageChange,
+  validateBulkStageChange,
+  validateApplicationNote,
+};
@@ -0,0 +1,317 @@
+// Message attachment controller - Direct uploads into the private container and signed read URLs for participants
+const { body, param, query, validationResult } = require('express-validator');
+const MessageAttachment = require('../models/MessageAttachment');
+const {
+  generateUploadToken,
+  generateReadUrl,
+  validateAttachmentUpload,
+  getMaxUploadSize,
+} = require('../services/sasTokenService');
+const { getBlobProperties, deleteBlob } = require('../services/azureBlobService');
+const { addImageProcessingJob, addVideoProcessingJob } = require('../services/jobQueue');
+const logger = require('../utils/logger');
+
+// Validation rules
+const validateCreateAttachment = [
+  body('content_type')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('content_type is required'),
+  body('file_size')
+    .isInt({ min: 1 })
+    .withMessage('file_size must be a positive integer (bytes)')
+    .toInt(),
+  body('file_name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('file_name must be between 1 and 255 characters'),
+];
+
+const validateAttachmentId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Attachment ID must be a positive integer')
+    .toInt(),
+];
+
+const validateGetAttachment = [
+  ...validateAttachmentId,
+  query('variant')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Variant must be a variant name'),
+];
+
+// Helper: send validation errors, if any
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
+
+// Helper: Content-Disposition that makes browsers download a document under its original name
+const downloadDisposition = (fileName) => {
+  const name = fileName || 'attachment';
+  const asciiName = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+};
+
+/**
+ * Start an attachment upload: validates the type and size and returns a write-only SAS URL
+ * POST /api/messages/attachments
+ */
+const createAttachmentUpload = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const userId = req.user.id;
+    const { content_type: contentType, file_size: fileSize, file_name: fileName } = req.body;
+
+    let mediaType;
+    try {
+      ({ mediaType } = validateAttachmentUpload(contentType, fileSize));
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message,
+      });
+    }
+
+    logger.info('Create message attachment upload', { userId, mediaType, contentType, fileSize });
+
+    const tokenData = await generateUploadToken(mediaType, contentType, fileSize);
+    const attachment = await MessageAttachment.create({
+      uploader_id: userId,
+      media_type: mediaType,
+      content_type: contentType,
+      file_name: fileName || null,
+      file_size: fileSize,
+      blob_name: tokenData.blob_name,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...MessageAttachment.toDescriptor(attachment),
+        sas_url: tokenData.sas_url,
+        expires_at: tokenData.expires_at,
+        expires_in: tokenData.expires_in,
+      },
+    });
+  } catch (error) {
+    logger.error('Create message attachment upload error', {
+      userId: req.user?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate upload token',
+    });
+  }
+};
+
+/**
+ * Confirm an attachment upload: checks the blob, then queues images and videos for processing
+ * (documents are ready at once)
+ * POST /api/messages/attachments/:id/complete
+ */
+const completeAttachmentUpload = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const userId = req.user.id;
+    const attachment = await MessageAttachment.findById(req.params.id);
+    if (!attachment || attachment.uploader_id !== userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found',
+      });
+    }
+    if (attachment.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload already completed',
+        data: MessageAttachment.toDescriptor(attachment),
+      });
+    }
+
+    let properties;
+    try {
+      properties = await getBlobProperties('private', attachment.blob_name);
+    } catch (blobError) {
+      if (blobError.statusCode === 404) {
+        return res.status(400).json({
+          success: false,
+          message: 'File has not been uploaded',
+        });
+      }
+      throw blobError;
+    }
+
+    // The SAS URL cannot enforce a size, so check what actually arrived
+    const maxSize = getMaxUploadSize(attachment.content_type);
+    if (properties.contentLength > maxSize) {
+      await deleteBlob('private', attachment.blob_name);
+      await MessageAttachment.updateStatus(attachment.id, 'failed', {
+        processing_error: `File size exceeds maximum allowed size of ${maxSize / 1024 / 1024}MB`,
+      });
+      return res.status(400).json({
+        success: false,
+        message: `File size exceeds maximum allowed size of ${maxSize / 1024 / 1024}MB`,
+      });
+    }
+
+    logger.info('Complete message attachment upload', {
+      userId,
+      attachmentId: attachment.id,
+      mediaType: attachment.media_type,
+      size: properties.contentLength,
+    });
+
+    let updated;
+    if (attachment.media_type === 'document') {
+      updated = await MessageAttachment.updateStatus(attachment.id, 'ready', { file_size: properties.contentLength });
+    } else {
+      updated = await MessageAttachment.updateStatus(attachment.id, 'uploaded', { file_size: properties.contentLength });
+      const jobData = {
+        mediaId: `attachment${attachment.id}`,
+        blobName: attachment.blob_name,
+        messageAttachmentId: attachment.id,
+      };
+      if (attachment.media_type === 'video') {
+        await addVideoProcessingJob(jobData);
+      } else {
+        await addImageProcessingJob(jobData);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: attachment.media_type === 'document' ? 'Upload completed' : 'Upload completed, processing started',
+      data: MessageAttachment.toDescriptor(updated),
+    });
+  } catch (error) {
+    logger.error('Complete message attachment upload error', {
+      userId: req.user?.id,
+      attachmentId: req.params?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete upload',
+    });
+  }
+};
+
+/**
+ * Get an attachment with short-lived signed read URLs. Open to its uploader and to current
+ * participants of a conversation where a message carries it. Images and videos are only
+ * served as processed variants, so the original's metadata never reaches recipients.
+ * GET /api/messages/attachments/:id
+ */
+const getAttachment = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const userId = req.user.id;
+    const attachment = await MessageAttachment.findById(req.params.id);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found',
+      });
+    }
+
+    const hasAccess = await MessageAttachment.canAccess(attachment.id, userId);
+    if (!hasAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this attachment',
+      });
+    }
+
+    const descriptor = MessageAttachment.toDescriptor(attachment);
+    if (attachment.status !== 'ready') {
+      return res.status(200).json({
+        success: true,
+        data: { ...descriptor, urls: {}, expires_at: null },
+      });
+    }
+
+    // Blob names to sign, by variant
+    const blobs = attachment.media_type === 'document'
+      ? { original: attachment.blob_name }
+      : { ...(attachment.variants || {}) };
+
+    const requestedVariant = req.query.variant;
+    if (requestedVariant && !blobs[requestedVariant]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found',
+        variants: Object.keys(blobs),
+      });
+    }
+
+    const readOptions = attachment.media_type === 'document'
+      ? { contentType: attachment.content_type, contentDisposition: downloadDisposition(attachment.file_name) }
+      : {};
+
+    const urls = {};
+    let expiresAt = null;
+    for (const [variant, blobName] of Object.entries(blobs)) {
+      if (requestedVariant && variant !== requestedVariant) {
+        continue;
+      }
+      const signed = await generateReadUrl(blobName, readOptions);
+      urls[variant] = signed.url;
+      expiresAt = signed.expires_at;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...descriptor,
+        urls,
+        expires_at: expiresAt,
+      },
+    });
+  } catch (error) {
+    logger.error('Get message attachment error', {
+      userId: req.user?.id,
+      attachmentId: req.params?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  createAttachmentUpload,
+  completeAttachmentUpload,
+  getAttachment,
+  validateCreateAttachment,
+  validateAttachmentId,
+  validateGetAttachment,
+};
@@ -3,13 +3,16 @@ const { body, query, validationResult } = require('express-validator');
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
 const MessageReaction = require('../models/MessageReaction');
-const Block = require('../models/Block');
-const Connection = require('../models/Connection');
+const ConversationParticipant = require('../models/ConversationParticipant');
+const MessageAttachment = require('../models/MessageAttachment');
 const Notification = require('../models/Notification');
 const UserOnlineStatus = require('../models/UserOnlineStatus');
 const NotificationPreference = require('../models/NotificationPreference');
-const { emitMessageCreated, emitMessageUpdated, emitMessageDeleted, emitNotificationNew } = require('../services/eventService');
+const { emitMessageUpdated, emitMessageDeleted, emitNotificationNew } = require('../services/eventService');
+const { openDirectConversation, deliverMessage, describeUsers } = require('../services/conversationService');
+const { markRead, getReceipts, getReadState, hideReadState } = require('../services/readReceiptService');
 const { emitToUser, emitToRoom } = require('../services/socketService');
+const { scanFields, shouldBlock, blockedResponse, flagForReview } = require('../services/phiScanService');
 const logger = require('../utils/logger');
 
 // Validation rules
@@ -27,14 +30,16 @@ const validateSendMessage = [
     .optional()
     .isInt({ min: 1 })
     .withMessage('Conversation ID must be a valid integer'),
-  body('attachment_url')
-    .optional()
-    .isURL()
-    .withMessage('Attachment URL must be a valid URL'),
-  body('attachment_type')
+  body('attachment_id')
     .optional()
-    .isIn(['image', 'document', 'video', 'audio'])
-    .withMessage('Attachment type must be one of: image, document, video, audio'),
+    .isInt({ min: 1 })
+    .withMessage('Attachment ID must be a valid integer')
+    .toInt(),
+  // External attachment links skip the upload checks; only messages sent before attachment_id carry one
+  body('attachment_url')
+    .not()
+    .exists()
+    .withMessage('attachment_url is no longer accepted: upload the file via POST /api/messages/attachments and send attachment_id'),
 ];
 
 const validateEditMessage = [
@@ -44,6 +49,64 @@ const validateEditMessage = [
     .withMessage('Content must be between 1 and 10000 characters'),
 ];
 
+const validateSearchMessages = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+  query('conversation_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Conversation ID must be a valid integer')
+    .toInt(),
+  query('sender_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Sender ID must be a valid integer')
+    .toInt(),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  query('has_attachment')
+    .optional()
+    .isBoolean()
+    .withMessage('has_attachment must be true or false')
+    .toBoolean(),
+  query('sort')
+    .optional()
+    .isIn(Message.SEARCH_SORTS)
+    .withMessage(`Sort must be one of: ${Message.SEARCH_SORTS.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  query('cursor')
+    .optional()
+    .matches(/^(\d+(\.\d+)?(e-\d+)?:)?\d+$/)
+    .withMessage('Invalid cursor'),
+];
+
+const validateMarkAsRead = [
+  body('message_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Message ID must be a valid integer')
+    .toInt(),
+];
+
+const validateListMessageRequests = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'ignored'])
+    .withMessage('Status must be pending or ignored'),
+];
+
 const validateAddReaction = [
   body('reaction_type')
     .trim()
@@ -51,26 +114,6 @@ const validateAddReaction = [
     .withMessage('Reaction type must be between 1 and 10 characters'),
 ];
 
-// Helper: Check if users can message each other
-const canMessage = async (userId1, userId2) => {
-  // Check if users are blocked either way
-  const blocked = await Block.isBlockedEitherWay(userId1, userId2);
-  if (blocked) {
-    return { allowed: false, reason: 'Users are blocked' };
-  }
-  
-  // Check if connection is required (optional, configurable via environment variable)
-  const requireConnection = process.env.REQUIRE_CONNECTION_FOR_MESSAGING === 'true';
-  if (requireConnection) {
-    const connection = await Connection.findConnection(userId1, userId2);
-    if (!connection || connection.status !== 'connected') {
-      return { allowed: false, reason: 'Connection required to send messages' };
-    }
-  }
-  
-  return { allowed: true };
-};
-
 // Helper: Create notification for new message
 const createMessageNotification = async (recipientId, senderId, message, conversationId, customTitle = null, customNotificationData = null) => {
   try {
@@ -123,6 +166,33 @@ const createMessageNotification = async (recipientId, senderId, message, convers
   }
 };
 
+// Helper: apply the messaging policy to a 1:1 conversation; sends the 403 and returns null when denied
+const authorizeDirectMessage = async (res, senderId, recipientId, deniedMessage) => {
+  const access = await openDirectConversation(senderId, recipientId);
+  if (!access.allowed) {
+    res.status(403).json({
+      success: false,
+      message: access.reason || deniedMessage,
+      ...(access.code && { code: access.code }),
+    });
+    return null;
+  }
+  return access;
+};
+
+// Helper: notify the recipient of a message request (instead of a regular new message notification)
+const notifyMessageRequest = async (recipientId, senderId, message, conversationId) => {
+  emitToUser(recipientId, 'message_request:new', { conversation_id: conversationId, message });
+  await createMessageNotification(
+    recipientId,
+    senderId,
+    message,
+    conversationId,
+    `Message request from ${await describeUsers([senderId])}`,
+    { message_id: message.id, conversation_id: conversationId, sender_id: senderId, is_request: true }
+  );
+};
+
 // List conversations
 const listConversations = async (req, res) => {
   try {
@@ -181,28 +251,49 @@ const getConversation = async (req, res) => {
       });
     }
 
-    // Get other participant info
-    const otherParticipantId = await Conversation.getOtherParticipantId(conversationId, userId);
-    const { pool } = require('../config/database');
-    const userResult = await pool.query(
-      'SELECT id, first_name, last_name, profile_image_url, headline FROM users WHERE id = $1',
-      [otherParticipantId]
-    );
-
-    // Get online status for other participant
-    const status = await UserOnlineStatus.getStatus(otherParticipantId);
-
-    const conversationData = {
-      ...conversation,
-      other_participant: userResult.rows[0] ? {
-        ...userResult.rows[0],
-        is_online: status.is_online,
-        last_seen_at: status.last_seen_at,
-      } : null,
-      unread_count: conversation.participant1_id === userId 
-        ? conversation.participant1_unread_count 
-        : conversation.participant2_unread_count,
-    };
+    const {
+      participant1_unread_count, participant2_unread_count, participant1_deleted, participant2_deleted,
+      ...conversationFields
+    } = conversation;
+    const membership = await ConversationParticipant.findOne(conversationId, userId);
+
+    let conversationData;
+    if (conversation.type === 'group') {
+      const participants = await hideReadState(
+        await ConversationParticipant.findByConversationId(conversationId),
+        userId
+      );
+      conversationData = {
+        ...conversationFields,
+        participants,
+        participant_count: participants.length,
+        role: membership.role,
+        unread_count: membership.unread_count,
+        last_read_message_id: membership.last_read_message_id,
+      };
+    } else {
+      // Get other participant info
+      const otherParticipantId = await Conversation.getOtherParticipantId(conversationId, userId);
+      const { pool } = require('../config/database');
+      const userResult = await pool.query(
+        'SELECT id, first_name, last_name, profile_image_url, headline FROM users WHERE id = $1',
+        [otherParticipantId]
+      );
+
+      // Get online status for other participant
+      const status = await UserOnlineStatus.getStatus(otherParticipantId);
+
+      conversationData = {
+        ...conversationFields,
+        other_participant: userResult.rows[0] ? {
+          ...userResult.rows[0],
+          is_online: status.is_online,
+          last_seen_at: status.last_seen_at,
+        } : null,
+        unread_count: membership.unread_count,
+        last_read_message_id: membership.last_read_message_id,
+      };
+    }
 
     res.status(200).json({
       success: true,
@@ -237,20 +328,18 @@ const createConversation = async (req, res) => {
       });
     }
 
-    // Check if users can message
-    const canMessageResult = await canMessage(userId, recipientId);
-    if (!canMessageResult.allowed) {
-      return res.status(403).json({
-        success: false,
-        message: canMessageResult.reason || 'Cannot send message to this user',
-      });
+    // Check if users can message (strangers may only send a message request)
+    const access = await authorizeDirectMessage(res, userId, recipientId, 'Cannot send message to this user');
+    if (!access) {
+      return;
     }
 
-    const conversation = await Conversation.findOrCreate(userId, recipientId);
-
     res.status(200).json({
       success: true,
-      data: conversation,
+      data: {
+        ...access.conversation,
+        is_request: access.request,
+      },
     });
   } catch (error) {
     logger.error('Create conversation error', {
@@ -285,40 +374,60 @@ const sendMessage = async (req, res) => {
     let conversationId = parseInt(req.body.conversation_id);
     const recipientId = req.body.recipient_id ? parseInt(req.body.recipient_id) : null;
     const content = req.body.content?.trim();
-    const attachmentUrl = req.body.attachment_url;
-    const attachmentType = req.body.attachment_type;
-    const attachmentName = req.body.attachment_name;
+    const attachmentId = req.body.attachment_id || null;
 
     logger.info('Send message start', {
       userId,
       conversationId,
       recipientId,
       hasContent: Boolean(content),
-      hasAttachment: Boolean(attachmentUrl),
-      attachmentType: attachmentType || undefined,
+      hasAttachment: Boolean(attachmentId),
     });
 
     // Validate that we have either content or attachment
-    if (!content && !attachmentUrl) {
+    if (!content && !attachmentId) {
       return res.status(400).json({
         success: false,
         message: 'Either content or attachment is required',
       });
     }
 
-    // Get or create conversation
-    if (!conversationId && recipientId) {
-      // Check if users can message
-      const canMessageResult = await canMessage(userId, recipientId);
-      if (!canMessageResult.allowed) {
-        return res.status(403).json({
+    // Uploaded attachments must be the sender's own and past the upload step
+    let attachment = null;
+    if (attachmentId) {
+      attachment = await MessageAttachment.findById(attachmentId);
+      if (!attachment || attachment.uploader_id !== userId) {
+        return res.status(404).json({
           success: false,
-          message: canMessageResult.reason || 'Cannot send message to this user',
+          message: 'Attachment not found',
         });
       }
+      if (attachment.status === 'failed') {
+        if (attachment.phi_findings) {
+          return res.status(422).json(blockedResponse(attachment.phi_findings));
+        }
+        return res.status(400).json({
+          success: false,
+          message: 'Attachment processing failed',
+        });
+      }
+      if (attachment.status === 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: 'Attachment upload has not been completed',
+        });
+      }
+    }
 
-      const conversation = await Conversation.findOrCreate(userId, recipientId);
-      conversationId = conversation.id;
+    // Get or create conversation
+    let access = null;
+    if (!conversationId && recipientId) {
+      // Check if users can message (strangers may only send a message request)
+      access = await authorizeDirectMessage(res, userId, recipientId, 'Cannot send message to this user');
+      if (!access) {
+        return;
+      }
+      conversationId = access.conversation.id;
     } else if (!conversationId) {
       return res.status(400).json({
         success: false,
@@ -335,43 +444,55 @@ const sendMessage = async (req, res) => {
       });
     }
 
-    // Get other participant
-    const otherParticipantId = await Conversation.getOtherParticipantId(conversationId, userId);
-    
-    // Check if other user has blocked current user
-    const blocked = await Block.isBlockedOneWay(otherParticipantId, userId);
-    if (blocked) {
-      return res.status(403).json({
-        success: false,
-        message: 'Cannot send message to this user',
-      });
+    // In a 1:1 conversation either user may have blocked the other since it started, or it is a pending request
+    const conversation = await Conversation.findById(conversationId);
+    if (conversation.type === 'direct' && !access) {
+      const otherParticipantId = await Conversation.getOtherParticipantId(conversationId, userId);
+      access = await authorizeDirectMessage(res, userId, otherParticipantId, 'Cannot send message to this user');
+      if (!access) {
+        return;
+      }
+    }
+
+    const phiFindings = scanFields({ content, attachment_name: attachment?.file_name });
+    if (shouldBlock(phiFindings)) {
+      logger.warn('Send message blocked by PHI scan', { userId, conversationId, findings: phiFindings.length });
+      return res.status(422).json(blockedResponse(phiFindings));
     }
 
     // Create message
     const messageData = {
       conversation_id: conversationId,
       sender_id: userId,
-      content: content || (attachmentUrl ? 'Attachment' : ''),
-      attachment_url: attachmentUrl || null,
-      attachment_type: attachmentType || null,
-      attachment_name: attachmentName || null,
+      content: content || (attachmentId ? 'Attachment' : ''),
+      attachment_id: attachmentId,
+      attachment_type: attachment?.media_type || null,
+      attachment_name: attachment?.file_name || null,
     };
 
     const message = await Message.create(messageData);
 
-    // Update conversation last message and increment unread count
-    await Conversation.updateLastMessage(conversationId, message.id);
-    await Conversation.incrementUnreadCount(conversationId, otherParticipantId);
-
-    // Emit events
-    emitMessageCreated(message, conversationId, userId, otherParticipantId);
-    emitToRoom(`conversation:${conversationId}`, 'message:new', {
-      message,
-      conversation_id: conversationId,
-    });
+    // Images scanned before the message was sent are flagged with it (later ones by the image worker)
+    const attachmentFindings = (attachment?.phi_findings || []).map(finding => ({ field: 'attachment', attachment_id: attachment.id, ...finding }));
+    await flagForReview(
+      { type: 'message', id: message.id, owner_id: userId, content: message.content },
+      [...phiFindings, ...attachmentFindings]
+    );
 
-    // Create notification
-    await createMessageNotification(otherParticipantId, userId, message, conversationId);
+    // Update last message and unread counts, emit to every participant
+    const recipientIds = await deliverMessage(message, conversationId, userId);
+
+    // Create notifications
+    const notificationTitle = conversation.type === 'group'
+      ? `${await describeUsers([userId])} in ${conversation.title || 'a group conversation'}`
+      : null;
+    for (const recipientId of recipientIds) {
+      if (access?.request) {
+        await notifyMessageRequest(recipientId, userId, message, conversationId);
+      } else {
+        await createMessageNotification(recipientId, userId, message, conversationId, notificationTitle);
+      }
+    }
 
     // Get message with sender info
     const { pool } = require('../config/database');
@@ -385,8 +506,11 @@ const sendMessage = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Message sent successfully',
-      data: messageWithSender.rows[0],
+      message: access?.request ? 'Message request sent' : 'Message sent successfully',
+      data: {
+        ...messageWithSender.rows[0],
+        is_request: Boolean(access?.request),
+      },
     });
   } catch (error) {
     logger.error('Send message error', {
@@ -450,10 +574,19 @@ const getMessages = async (req, res) => {
 // Mark conversation as read
 const markConversationAsRead = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
     const userId = req.user.id;
     const conversationId = parseInt(req.params.id);
+    const messageId = req.body?.message_id || null;
 
-    logger.info('Mark conversation as read', { userId, conversationId });
+    logger.info('Mark conversation as read', { userId, conversationId, messageId });
 
     // Verify user is participant
     const isParticipant = await Conversation.isParticipant(conversationId, userId);
@@ -464,22 +597,24 @@ const markConversationAsRead = async (req, res) => {
       });
     }
 
-    // Mark all messages as read
-    await Message.markConversationAsRead(conversationId, userId);
-    
-    // Reset unread count
-    await Conversation.markAsRead(conversationId, userId);
-
-    // Emit read receipt event
-    const otherParticipantId = await Conversation.getOtherParticipantId(conversationId, userId);
-    emitToUser(otherParticipantId, 'conversation:read', {
-      conversation_id: conversationId,
-      read_by: userId,
-    });
+    // Move the read cursor; receipts and multi-device sync are emitted by the service
+    const participant = await markRead(conversationId, userId, messageId);
+    if (!participant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message not found in this conversation',
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Conversation marked as read',
+      data: {
+        conversation_id: conversationId,
+        last_read_message_id: participant.last_read_message_id,
+        last_read_at: participant.last_read_at,
+        unread_count: participant.unread_count,
+      },
     });
   } catch (error) {
     logger.error('Mark conversation as read error', {
@@ -495,6 +630,62 @@ const markConversationAsRead = async (req, res) => {
   }
 };
 
+// Get read and delivery cursors of a conversation's participants
+const getConversationReceipts = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const conversationId = parseInt(req.params.id);
+
+    const isParticipant = await Conversation.isParticipant(conversationId, userId);
+    if (!isParticipant) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a participant in this conversation',
+      });
+    }
+
+    const receipts = await getReceipts(conversationId, userId);
+
+    res.status(200).json({
+      success: true,
+      data: receipts,
+    });
+  } catch (error) {
+    logger.error('Get conversation receipts error', {
+      userId: req.user?.id,
+      conversationId: req.params?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get read state across conversations (for clients catching up after being offline)
+const getMessageSyncState = async (req, res) => {
+  try {
+    const state = await getReadState(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: state,
+    });
+  } catch (error) {
+    logger.error('Get message sync state error', {
+      userId: req.user?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
 // Delete conversation
 const deleteConversation = async (req, res) => {
   try {
@@ -568,6 +759,13 @@ const editMessage = async (req, res) => {
       });
     }
 
+    if (message.message_type === 'system') {
+      return res.status(400).json({
+        success: false,
+        message: 'System messages cannot be edited',
+      });
+    }
+
     // Check if message is deleted
     if (message.deleted_at) {
       return res.status(400).json({
@@ -587,8 +785,14 @@ const editMessage = async (req, res) => {
       });
     }
 
+    const phiFindings = scanFields({ content });
+    if (shouldBlock(phiFindings)) {
+      return res.status(422).json(blockedResponse(phiFindings));
+    }
+
     // Update message
     const updatedMessage = await Message.update(messageId, { content });
+    await flagForReview({ type: 'message', id: updatedMessage.id, owner_id: userId, content: updatedMessage.content }, phiFindings);
 
     // Emit event
     emitMessageUpdated(updatedMessage, message.conversation_id);
@@ -651,6 +855,13 @@ const deleteMessage = async (req, res) => {
       });
     }
 
+    if (message.message_type === 'system') {
+      return res.status(400).json({
+        success: false,
+        message: 'System messages cannot be deleted',
+      });
+    }
+
     // Soft delete
     const deletedMessage = await Message.softDelete(messageId, userId);
 
@@ -679,24 +890,52 @@ const deleteMessage = async (req, res) => {
   }
 };
 
-// Search messages
+// Parse a search cursor: "rank:id" when sorting by relevance, "id" when sorting by recent
+const parseSearchCursor = (cursor, sort) => {
+  if (!cursor) {
+    return null;
+  }
+  const parts = cursor.split(':');
+  if (sort === 'relevance') {
+    return parts.length === 2 ? { rank: parseFloat(parts[0]), id: parseInt(parts[1]) } : undefined;
+  }
+  return parts.length === 1 ? { id: parseInt(parts[0]) } : undefined;
+};
+
+// Search messages (full text, ranked, with highlighted snippets)
 const searchMessages = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const searchQuery = req.query.q?.trim();
-    const conversationId = req.query.conversation_id ? parseInt(req.query.conversation_id) : null;
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
-
-    logger.info('Search messages', { userId, conversationId, limit, offset, hasQuery: Boolean(searchQuery) });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
 
-    if (!searchQuery || searchQuery.length < 1) {
+    const userId = req.user.id;
+    const searchQuery = req.query.q;
+    const conversationId = req.query.conversation_id || null;
+    const sort = req.query.sort || 'relevance';
+    const limit = req.query.limit || 20;
+    const cursor = parseSearchCursor(req.query.cursor, sort);
+    if (cursor === undefined) {
       return res.status(400).json({
         success: false,
-        message: 'Search query is required',
+        message: 'Invalid cursor',
       });
     }
 
+    const filters = {
+      conversationId,
+      senderId: req.query.sender_id || null,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      hasAttachment: req.query.has_attachment,
+    };
+
+    logger.info('Search messages', { userId, conversationId, sort, limit, hasCursor: Boolean(cursor) });
+
     // If conversation_id provided, verify user is participant
     if (conversationId) {
       const isParticipant = await Conversation.isParticipant(conversationId, userId);
@@ -708,15 +947,17 @@ const searchMessages = async (req, res) => {
       }
     }
 
-    const messages = await Message.search(userId, searchQuery, conversationId, limit, offset);
+    const messages = await Message.search(userId, searchQuery, filters, { sort, cursor, limit });
+    const hasMore = messages.length === limit;
 
     res.status(200).json({
       success: true,
       data: messages,
       pagination: {
         limit,
-        offset,
-        count: messages.length,
+        cursor: req.query.cursor || null,
+        nextCursor: hasMore ? messages[messages.length - 1].search_cursor : null,
+        hasMore,
       },
     });
   } catch (error) {
@@ -740,11 +981,13 @@ const getUnreadCount = async (req, res) => {
 
     logger.info('Get unread count', { userId });
     const count = await Conversation.getTotalUnreadCount(userId);
+    const requestCount = await Conversation.getPendingRequestCount(userId);
 
     res.status(200).json({
       success: true,
       data: {
         unread_count: count,
+        request_count: requestCount,
       },
     });
   } catch (error) {
@@ -760,6 +1003,103 @@ const getUnreadCount = async (req, res) => {
   }
 };
 
+// List message requests (pending by default, or the ones the user ignored)
+const listMessageRequests = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const status = req.query.status || 'pending';
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    logger.info('List message requests', { userId, status, limit, offset });
+
+    const requests = await Conversation.findRequestsByUserId(userId, status, limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: requests,
+      pagination: {
+        limit,
+        offset,
+        count: requests.length,
+      },
+    });
+  } catch (error) {
+    logger.error('List message requests error', {
+      userId: req.user?.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Helper: accept or ignore a message request sent to the current user
+const respondToMessageRequest = (decision) => async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const conversationId = parseInt(req.params.id);
+
+    logger.info('Respond to message request', { userId, conversationId, decision });
+
+    const membership = conversationId
+      ? await ConversationParticipant.findOne(conversationId, userId)
+      : null;
+    if (!membership || !['pending', 'ignored'].includes(membership.request_status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message request not found',
+      });
+    }
+
+    const updated = await ConversationParticipant.setRequestStatus(conversationId, userId, decision);
+
+    // The sender only learns about acceptance; ignoring is silent
+    if (decision === 'accepted') {
+      const senderId = await Conversation.getOtherParticipantId(conversationId, userId);
+      emitToUser(senderId, 'message_request:accepted', { conversation_id: conversationId, user_id: userId });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: decision === 'accepted' ? 'Message request accepted' : 'Message request ignored',
+      data: {
+        conversation_id: conversationId,
+        request_status: updated.request_status,
+      },
+    });
+  } catch (error) {
+    logger.error('Respond to message request error', {
+      userId: req.user?.id,
+      conversationId: req.params?.id,
+      decision,
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Accept a message request: the thread moves to the inbox and the sender can keep writing
+const acceptMessageRequest = respondToMessageRequest('accepted');
+
+// Ignore a message request: it stays out of the inbox and the sender cannot send more
+const ignoreMessageRequest = respondToMessageRequest('ignored');
+
 // Add reaction to message
 const addReaction = async (req, res) => {
   try {
@@ -980,15 +1320,22 @@ const forwardMessage = async (req, res) => {
       hasOptionalContent: Boolean(optionalContent),
     });
 
-    // Get original message
+    // Get original message (deleted or removed messages, and their attachments, stay gone)
     const originalMessage = await Message.findById(messageId);
-    if (!originalMessage) {
+    if (!originalMessage || originalMessage.deleted_at) {
       return res.status(404).json({
         success: false,
         message: 'Message not found',
       });
     }
 
+    if (originalMessage.message_type === 'system') {
+      return res.status(400).json({
+        success: false,
+        message: 'System messages cannot be forwarded',
+      });
+    }
+
     // Verify user has access to original message (must be participant)
     const isParticipant = await Conversation.isParticipant(originalMessage.conversation_id, userId);
     if (!isParticipant) {
@@ -1007,18 +1354,14 @@ const forwardMessage = async (req, res) => {
     }
 
     // Get or create target conversation
+    let access = null;
     if (!conversationId && recipientId) {
-      // Check if users can message
-      const canMessageResult = await canMessage(userId, recipientId);
-      if (!canMessageResult.allowed) {
-        return res.status(403).json({
-          success: false,
-          message: canMessageResult.reason || 'Cannot forward message to this user',
-        });
+      // Check if users can message (strangers may only send a message request)
+      access = await authorizeDirectMessage(res, userId, recipientId, 'Cannot forward message to this user');
+      if (!access) {
+        return;
       }
-
-      const conversation = await Conversation.findOrCreate(userId, recipientId);
-      conversationId = conversation.id;
+      conversationId = access.conversation.id;
     }
 
     // Verify user is participant in target conversation
@@ -1030,16 +1373,14 @@ const forwardMessage = async (req, res) => {
       });
     }
 
-    // Get target recipient
-    const targetRecipientId = await Conversation.getOtherParticipantId(conversationId, userId);
-
-    // Check if target recipient has blocked current user
-    const blocked = await Block.isBlockedOneWay(targetRecipientId, userId);
-    if (blocked) {
-      return res.status(403).json({
-        success: false,
-        message: 'Cannot forward message to this user',
-      });
+    // Apply blocks and the messaging policy to a 1:1 target conversation
+    const targetConversation = await Conversation.findById(conversationId);
+    if (targetConversation.type === 'direct' && !access) {
+      const targetRecipientId = await Conversation.getOtherParticipantId(conversationId, userId);
+      access = await authorizeDirectMessage(res, userId, targetRecipientId, 'Cannot forward message to this user');
+      if (!access) {
+        return;
+      }
     }
 
     // Get original sender info
@@ -1055,34 +1396,39 @@ const forwardMessage = async (req, res) => {
       ? optionalContent 
       : originalMessage.content;
 
+    // Forwarding re-shares the text, so it is scanned like a new message
+    const phiFindings = scanFields({ content: forwardContent });
+    if (shouldBlock(phiFindings)) {
+      return res.status(422).json(blockedResponse(phiFindings));
+    }
+
     // Create forwarded message
     const messageData = {
       conversation_id: conversationId,
       sender_id: userId,
       content: forwardContent,
       forwarded_from_message_id: messageId,
+      attachment_id: originalMessage.attachment_id || null,
       attachment_url: originalMessage.attachment_url || null,
       attachment_type: originalMessage.attachment_type || null,
       attachment_name: originalMessage.attachment_name || null,
     };
 
     const forwardedMessage = await Message.create(messageData);
-
-    // Update conversation last message and increment unread count
-    await Conversation.updateLastMessage(conversationId, forwardedMessage.id);
-    await Conversation.incrementUnreadCount(conversationId, targetRecipientId);
-
-    // Emit events
-    emitMessageCreated(forwardedMessage, conversationId, userId, targetRecipientId);
-    emitToRoom(`conversation:${conversationId}`, 'message:new', {
-      message: forwardedMessage,
-      conversation_id: conversationId,
-      forwarded: true,
-      original_sender: originalSender,
+    await flagForReview({ type: 'message', id: forwardedMessage.id, owner_id: userId, content: forwardedMessage.content }, phiFindings);
+
+    // Update last message and unread counts, emit to every participant
+    const recipientIds = await deliverMessage(forwardedMessage, conversationId, userId, {
+      roomPayload: {
+        message: forwardedMessage,
+        conversation_id: conversationId,
+        forwarded: true,
+        original_sender: originalSender,
+      },
     });
 
     // Create notification with forwarded context
-    const forwardTitle = `Forwarded message from ${req.user.first_name} ${req.user.last_name}`;
+    const forwardTitle = `Forwarded message from ${await describeUsers([userId])}`;
     const forwardNotificationData = {
       message_id: forwardedMessage.id,
       conversation_id: conversationId,
@@ -1092,7 +1438,13 @@ const forwardMessage = async (req, res) => {
       original_sender_id: originalMessage.sender_id,
       original_sender_name: originalSender ? `${originalSender.first_name} ${originalSender.last_name}` : null,
     };
-    await createMessageNotification(targetRecipientId, userId, forwardedMessage, conversationId, forwardTitle, forwardNotificationData);
+    for (const recipientId of recipientIds) {
+      if (access?.request) {
+        await notifyMessageRequest(recipientId, userId, forwardedMessage, conversationId);
+      } else {
+        await createMessageNotification(recipientId, userId, forwardedMessage, conversationId, forwardTitle, forwardNotificationData);
+      }
+    }
 
     // Get message with sender info
     const messageWithSender = await pool.query(
@@ -1110,6 +1462,7 @@ const forwardMessage = async (req, res) => {
         ...messageWithSender.rows[0],
         forwarded_from_message_id: messageId,
         original_sender: originalSender,
+        is_request: Boolean(access?.request),
       },
     });
   } catch (error) {
@@ -1135,11 +1488,16 @@ module.exports = {
   sendMessage,
   getMessages,
   markConversationAsRead,
+  getConversationReceipts,
+  getMessageSyncState,
   deleteConversation,
   editMessage,
   deleteMessage,
   searchMessages,
   getUnreadCount,
+  listMessageRequests,
+  acceptMessageRequest,
+  ignoreMessageRequest,
   addReaction,
   removeReaction,
   getMessageReactions,
@@ -1147,4 +1505,7 @@ module.exports = {
   validateSendMessage,
   validateEditMessage,
   validateAddReaction,
+  validateMarkAsRead,
+  validateSearchMessages,
+  validateListMessageRequests,
 };
@@ -0,0 +1,216 @@
+// Notification controller - Notification center (list, unread count, mark read, delete)
+const Notification = require('../models/Notification');
+
+const MAX_PAGE_SIZE = 50;
+
+// How a grouped entry reads after the actor names ("A and 4 others upvoted your post")
+const GROUP_SUMMARY_VERBS = {
+  post_upvote: 'upvoted your post',
+  post_comment: 'commented on your post',
+  post_repost: 'reposted your post',
+  post_mention: 'mentioned you in a post',
+  comment_upvote: 'upvoted your comment',
+  comment_reply: 'replied to your comment',
+  skill_endorsement: 'endorsed your skill',
+  new_follower: 'started following you',
+  group_join_request: 'asked to join your group',
+  job_application_received: 'applied to your job posting',
+};
+
+// Parse a notification ID from route params
+const parseNotificationId = (req) => {
+  const notificationId = parseInt(req.params.id);
+  return isNaN(notificationId) ? null : notificationId;
+};
+
+// Parse ?type=a,b into a list of notification types
+const parseTypes = (type) => {
+  if (!type) {
+    return [];
+  }
+  return String(type)
+    .split(',')
+    .map(value => value.trim())
+    .filter(value => /^[a-z_]+$/.test(value));
+};
+
+const actorName = (actor) => `${actor.first_name || ''} ${actor.last_name || ''}`.trim();
+
+// Human-readable line for a grouped entry; single notifications keep their title
+const summarizeEntry = (entry) => {
+  if (entry.group_count <= 1) {
+    return entry.title;
+  }
+
+  const verb = GROUP_SUMMARY_VERBS[entry.notification_type];
+  const actors = entry.actors || [];
+  if (!verb || actors.length === 0) {
+    return `${entry.title} (+${entry.group_count - 1} more)`;
+  }
+
+  const others = entry.actor_count - 1;
+  if (others <= 0) {
+    return `${actorName(actors[0])} ${verb}`;
+  }
+  if (others === 1 && actors[1]) {
+    return `${actorName(actors[0])} and ${actorName(actors[1])} ${verb}`;
+  }
+  return `${actorName(actors[0])} and ${others} others ${verb}`;
+};
+
+// List notifications (grouped by default) with cursor pagination
+const getNotifications = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_PAGE_SIZE);
+    const cursor = req.query.cursor ? parseInt(req.query.cursor) : null;
+    if (req.query.cursor && (isNaN(cursor) || cursor < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+      });
+    }
+
+    const filters = {
+      types: parseTypes(req.query.type),
+      unreadOnly: req.query.unread === 'true',
+    };
+    const grouped = req.query.grouped !== 'false';
+
+    let notifications;
+    if (grouped) {
+      const entries = await Notification.findGroupedByUserId(req.user.id, filters, cursor, limit);
+      notifications = entries.map(entry => ({
+        ...entry,
+        is_read: entry.unread_count === 0,
+        summary: summarizeEntry(entry),
+      }));
+    } else {
+      notifications = await Notification.findPageByUserId(req.user.id, filters, cursor, limit);
+    }
+
+    const hasMore = notifications.length === limit;
+
+    res.status(200).json({
+      success: true,
+      data: notifications,
+      pagination: {
+        limit,
+        cursor,
+        nextCursor: hasMore ? notifications[notifications.length - 1].id : null,
+        hasMore,
+      },
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get the unread notification count (badge)
+const getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.getUnreadCount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { count },
+    });
+  } catch (error) {
+    console.error('Get unread notification count error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Mark a notification read (and the rest of its group)
+const markNotificationRead = async (req, res) => {
+  try {
+    const notificationId = parseNotificationId(req);
+    const notification = notificationId ? await Notification.findById(notificationId) : null;
+    if (!notification || notification.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    const markedIds = await Notification.markGroupAsRead(req.user.id, notificationId);
+    const count = await Notification.getUnreadCount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification_ids: markedIds,
+        unread_count: count,
+      },
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Mark all notifications read
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const marked = await Notification.markAllAsRead(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        marked_count: marked.length,
+        unread_count: 0,
+      },
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Delete a notification (and the rest of its group)
+const deleteNotification = async (req, res) => {
+  try {
+    const notificationId = parseNotificationId(req);
+    const deletedIds = notificationId ? await Notification.removeGroup(req.user.id, notificationId) : [];
+    if (deletedIds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted',
+      data: { notification_ids: deletedIds },
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+};
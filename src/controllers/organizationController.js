@@ -1,6 +1,8 @@
 // Organization controller - Medical Organizations CRUD
 const { body, validationResult } = require('express-validator');
 const MedicalOrganization = require('../models/MedicalOrganization');
+const OrganizationAdmin = require('../models/OrganizationAdmin');
+const { hasPermission } = require('../services/accessControlService');
 
 // Validation rules
 const validateOrganization = [
@@ -32,6 +34,13 @@ const validateOrganizationUpdate = [
     .withMessage('Organization type cannot be empty'),
 ];
 
+const validateOrganizationSecurity = [
+  body('require_mfa')
+    .isBoolean()
+    .withMessage('require_mfa must be a boolean')
+    .toBoolean(),
+];
+
 // Create organization
 const createOrganization = async (req, res) => {
   try {
@@ -43,9 +52,13 @@ const createOrganization = async (req, res) => {
       });
     }
 
-    const organizationData = req.body;
+    // Verification is granted by platform admins (PUT /api/v1/admin/organizations/:id/verification)
+    const { is_verified, ...organizationData } = req.body;
     const organization = await MedicalOrganization.create(organizationData);
 
+    // Creator manages the organization (job postings, profile)
+    await OrganizationAdmin.addAdmin(organization.id, req.user.id, req.user.id);
+
     res.status(201).json({
       success: true,
       message: 'Organization created successfully',
@@ -134,7 +147,17 @@ const updateOrganization = async (req, res) => {
       });
     }
 
-    const updated = await MedicalOrganization.update(id, req.body);
+    const canManage = await OrganizationAdmin.isAdmin(organization.id, req.user.id)
+      || await hasPermission(req.user.id, 'organizations:manage');
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can update this organization',
+      });
+    }
+
+    const { is_verified, ...organizationData } = req.body;
+    const updated = await MedicalOrganization.update(id, organizationData);
 
     res.status(200).json({
       success: true,
@@ -150,11 +173,62 @@ const updateOrganization = async (req, res) => {
   }
 };
 
+// Update security settings - org admins only. With require_mfa on, admins and current staff
+// must set up two-factor authentication before they can sign in or refresh their session.
+const updateOrganizationSecurity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const organization = await MedicalOrganization.findById(id);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found',
+      });
+    }
+
+    const isAdmin = await OrganizationAdmin.isAdmin(organization.id, req.user.id);
+    if (!isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only organization admins can change security settings',
+      });
+    }
+
+    const updated = await MedicalOrganization.setRequireMfa(organization.id, req.body.require_mfa);
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization security settings updated',
+      data: {
+        id: updated.id,
+        require_mfa: updated.require_mfa,
+      },
+    });
+  } catch (error) {
+    console.error('Update organization security error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
 module.exports = {
   createOrganization,
   searchOrganizations,
   getOrganizationById,
   updateOrganization,
+  updateOrganizationSecurity,
   validateOrganization,
   validateOrganizationUpdate,
+  validateOrganizationSecurity,
 };
@@ -6,6 +6,8 @@ const PostMedia = require('../models/PostMedia');
 const Comment = require('../models/Comment');
 const Reaction = require('../models/Reaction');
 const Share = require('../models/Share');
+const MedicalGroup = require('../models/MedicalGroup');
+const GroupMembership = require('../models/GroupMembership');
 const {
   getPostFeed,
   setPostFeed,
@@ -21,6 +23,7 @@ const {
   emitVoteDownvote,
   emitVoteRemoved,
 } = require('../services/eventService');
+const { scanFields, shouldBlock, blockedResponse, flagForReview } = require('../services/phiScanService');
 
 // Validation rules
 const validatePost = [
@@ -40,6 +43,10 @@ const validatePost = [
     .trim()
     .isIn(['public', 'connections', 'private'])
     .withMessage('Visibility must be one of: public, connections, private'),
+  body('group_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Group ID must be a positive integer'),
 ];
 
 // Create post
@@ -59,6 +66,38 @@ const createPost = async (req, res) => {
       user_id: req.user.id,
     };
 
+    // Group posts require active membership in a live group
+    let group = null;
+    if (postData.group_id) {
+      postData.group_id = parseInt(postData.group_id);
+      group = await MedicalGroup.findById(postData.group_id);
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found',
+        });
+      }
+      if (group.is_archived) {
+        return res.status(400).json({
+          success: false,
+          message: 'This group is archived',
+        });
+      }
+      const membership = await GroupMembership.findMembership(req.user.id, group.id);
+      if (!membership || membership.status !== 'active') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only group members can post in this group',
+        });
+      }
+    }
+
+    // Patient identifiers either stop the post or send it to moderators, by policy
+    const phiFindings = scanFields({ content: postData.content });
+    if (shouldBlock(phiFindings)) {
+      return res.status(422).json(blockedResponse(phiFindings));
+    }
+
     // Create post
     const post = await Post.create(postData);
 
@@ -95,18 +134,27 @@ const createPost = async (req, res) => {
     const media = await PostMedia.findByPostId(post.id);
     const mediaDescriptors = media.map(m => PostMedia.toDescriptor(m));
 
-    // Create activity
-    try {
-      const ActivityFeed = require('../models/ActivityFeed');
-      await ActivityFeed.create({
-        user_id: req.user.id,
-        activity_type: 'post_created',
-        activity_data: { post_id: post.id, title: post.title || null },
-        related_post_id: post.id,
-      });
-    } catch (activityError) {
-      // Log but don't fail the request if activity creation fails
-      console.error('Error creating activity for post:', activityError.message);
+    // Images scanned before the post was written are flagged with it (later ones by the image worker)
+    const mediaFindings = media.flatMap(m => (m.phi_findings || []).map(finding => ({ field: 'media', media_id: m.id, ...finding })));
+    await flagForReview(
+      { type: 'post', id: post.id, owner_id: req.user.id, content: post.content },
+      [...phiFindings, ...mediaFindings]
+    );
+
+    // Create activity (private group posts stay out of the public activity stream)
+    if (!group || !group.is_private) {
+      try {
+        const ActivityFeed = require('../models/ActivityFeed');
+        await ActivityFeed.create({
+          user_id: req.user.id,
+          activity_type: 'post_created',
+          activity_data: { post_id: post.id, title: post.title || null },
+          related_post_id: post.id,
+        });
+      } catch (activityError) {
+        // Log but don't fail the request if activity creation fails
+        console.error('Error creating activity for post:', activityError.message);
+      }
     }
 
     // Emit event for real-time updates
@@ -129,6 +177,71 @@ const createPost = async (req, res) => {
   }
 };
 
+// Attach the viewer's votes, media descriptors and repost originals to feed rows
+const attachFeedData = async (posts, userId) => {
+  // Batch fetch user's reactions for all posts
+  const postIds = posts.map(p => p.id);
+  const reactions = await Reaction.findReactionsByPostIds(userId, postIds);
+  const reactionsByPostId = {};
+  reactions.forEach(reaction => {
+    reactionsByPostId[reaction.post_id] = reaction;
+  });
+
+  // Batch fetch media for all posts (reuse postIds from above)
+  const allMedia = postIds.length > 0
+    ? await pool.query(
+      'SELECT * FROM post_media WHERE post_id = ANY($1) ORDER BY post_id, display_order ASC',
+      [postIds]
+    )
+    : { rows: [] };
+
+  const mediaByPostId = {};
+  allMedia.rows.forEach(media => {
+    if (!mediaByPostId[media.post_id]) {
+      mediaByPostId[media.post_id] = [];
+    }
+    // Parse variants if present
+    if (media.variants) {
+      media.variants = typeof media.variants === 'string'
+        ? JSON.parse(media.variants)
+        : media.variants;
+    }
+    mediaByPostId[media.post_id].push(media);
+  });
+
+  // Map posts with user votes, media, and format reposts
+  const postsWithVotes = posts.map(post => {
+    const reaction = reactionsByPostId[post.id];
+    const postMedia = mediaByPostId[post.id] || [];
+    const mediaDescriptors = postMedia.map(m => PostMedia.toDescriptor(m));
+
+    const postData = {
+      ...post,
+      user_vote: reaction ? reaction.reaction_type : null,
+      media: mediaDescriptors,
+    };
+
+    // If this is a repost, include original post data
+    if (post.parent_post_id || post.original_post_id) {
+      postData.is_repost = true;
+      postData.original_post = post.original_post_id ? {
+        id: post.original_post_id,
+        content: post.original_content,
+        user_id: post.original_user_id,
+        first_name: post.original_first_name,
+        last_name: post.original_last_name,
+        profile_image_url: post.original_profile_image_url,
+        headline: post.original_headline,
+        created_at: post.original_created_at,
+      } : null;
+    }
+
+    return postData;
+  });
+
+  return postsWithVotes;
+};
+
 // Get posts feed
 const getFeed = async (req, res) => {
   try {
@@ -177,65 +290,59 @@ const getFeed = async (req, res) => {
       posts = await Post.findFeedSorted(userId, sortBy, limit, offset);
     }
 
-    // Batch fetch user's reactions for all posts
-    const postIds = posts.map(p => p.id);
-    const reactions = await Reaction.findReactionsByPostIds(userId, postIds);
-    const reactionsByPostId = {};
-    reactions.forEach(reaction => {
-      reactionsByPostId[reaction.post_id] = reaction;
-    });
+    const postsWithVotes = await attachFeedData(posts, userId);
 
-    // Batch fetch media for all posts (reuse postIds from above)
-    const allMedia = postIds.length > 0
-      ? await pool.query(
-        'SELECT * FROM post_media WHERE post_id = ANY($1) ORDER BY post_id, display_order ASC',
-        [postIds]
-      )
-      : { rows: [] };
-
-    const mediaByPostId = {};
-    allMedia.rows.forEach(media => {
-      if (!mediaByPostId[media.post_id]) {
-        mediaByPostId[media.post_id] = [];
-      }
-      // Parse variants if present
-      if (media.variants) {
-        media.variants = typeof media.variants === 'string'
-          ? JSON.parse(media.variants)
-          : media.variants;
-      }
-      mediaByPostId[media.post_id].push(media);
+    res.status(200).json({
+      success: true,
+      data: postsWithVotes,
+      pagination: {
+        limit,
+        offset,
+        hasMore: posts.length === limit,
+      },
     });
+  } catch (error) {
+    console.error('Get feed error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
 
-    // Map posts with user votes, media, and format reposts
-    const postsWithVotes = posts.map(post => {
-      const reaction = reactionsByPostId[post.id];
-      const postMedia = mediaByPostId[post.id] || [];
-      const mediaDescriptors = postMedia.map(m => PostMedia.toDescriptor(m));
+// Get a group's feed (pinned posts first)
+const getGroupFeed = async (req, res) => {
+  try {
+    const groupId = parseInt(req.params.id);
+    const userId = req.user.id;
+    const sortBy = req.query.sort || 'new'; // top, new, hot
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
 
-      const postData = {
-        ...post,
-        user_vote: reaction ? reaction.reaction_type : null,
-        media: mediaDescriptors,
-      };
+    if (isNaN(groupId) || groupId < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID',
+      });
+    }
 
-      // If this is a repost, include original post data
-      if (post.parent_post_id || post.original_post_id) {
-        postData.is_repost = true;
-        postData.original_post = post.original_post_id ? {
-          id: post.original_post_id,
-          content: post.original_content,
-          user_id: post.original_user_id,
-          first_name: post.original_first_name,
-          last_name: post.original_last_name,
-          profile_image_url: post.original_profile_image_url,
-          headline: post.original_headline,
-          created_at: post.original_created_at,
-        } : null;
-      }
+    const group = await MedicalGroup.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
 
-      return postData;
-    });
+    if (!(await MedicalGroup.canViewContent(groupId, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only members can view posts in this private group',
+      });
+    }
+
+    const posts = await Post.findByGroupIdSorted(groupId, sortBy, limit, offset);
+    const postsWithVotes = await attachFeedData(posts, userId);
 
     res.status(200).json({
       success: true,
@@ -247,7 +354,7 @@ const getFeed = async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('Get feed error:', error.message);
+    console.error('Get group feed error:', error.message);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -264,7 +371,7 @@ const getPostById = async (req, res) => {
     const commentLimit = parseInt(req.query.commentLimit) || 50;
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || !(await Post.canView(post, userId))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -344,7 +451,21 @@ const updatePost = async (req, res) => {
       });
     }
 
-    const updatedPost = await Post.update(postId, req.body);
+    const phiFindings = scanFields({ content: req.body.content });
+    if (shouldBlock(phiFindings)) {
+      return res.status(422).json(blockedResponse(phiFindings));
+    }
+
+    // A group post's audience is the group, so its visibility cannot be changed
+    const updateData = post.group_id ? { ...req.body, visibility: undefined } : req.body;
+    const updatedPost = await Post.update(postId, updateData);
+
+    if (updatedPost) {
+      await flagForReview(
+        { type: 'post', id: updatedPost.id, owner_id: updatedPost.user_id, content: updatedPost.content },
+        phiFindings
+      );
+    }
 
     // Emit event for real-time updates
     if (updatedPost) {
@@ -418,7 +539,7 @@ const upvotePost = async (req, res) => {
     }
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || !(await Post.canView(post, userId))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -511,7 +632,7 @@ const downvotePost = async (req, res) => {
     }
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || !(await Post.canView(post, userId))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -604,7 +725,7 @@ const removeVote = async (req, res) => {
     }
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || !(await Post.canView(post, userId))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -648,13 +769,20 @@ const repostPost = async (req, res) => {
 
     // Check if original post exists
     const originalPost = await Post.findById(originalPostId);
-    if (!originalPost) {
+    if (!originalPost || !(await Post.canView(originalPost, userId))) {
       return res.status(404).json({
         success: false,
         message: 'Original post not found',
       });
     }
 
+    if (originalPost.group_id && originalPost.group_is_private) {
+      return res.status(403).json({
+        success: false,
+        message: 'Posts from private groups cannot be reposted',
+      });
+    }
+
     // Check if user has already reposted this post
     const existingRepost = await Post.hasReposted(userId, originalPostId);
     if (existingRepost) {
@@ -679,7 +807,8 @@ const repostPost = async (req, res) => {
       user_id: userId,
       content: '', // Empty content for reposts (reference-only display)
       post_type: 'post',
-      visibility: originalPost.visibility, // Inherit visibility from original
+      // Inherit visibility from original; reposts of public group posts are public
+      visibility: originalPost.group_id ? 'public' : originalPost.visibility,
       parent_post_id: originalPostId,
     };
 
@@ -824,7 +953,7 @@ const getReposts = async (req, res) => {
     }
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || !(await Post.canView(post, req.user.id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -866,7 +995,7 @@ const checkReposted = async (req, res) => {
     }
 
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || !(await Post.canView(post, req.user.id))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -894,6 +1023,7 @@ const checkReposted = async (req, res) => {
 module.exports = {
   createPost,
   getFeed,
+  getGroupFeed,
   getPostById,
   updatePost,
   deletePost,
@@ -0,0 +1,541 @@
+// Recommendation controller - Request, write and review professional recommendations
+const { body, validationResult } = require('express-validator');
+const Recommendation = require('../models/Recommendation');
+const ProfileSettings = require('../models/ProfileSettings');
+const Connection = require('../models/Connection');
+const Block = require('../models/Block');
+const User = require('../models/User');
+const { emitRecommendationRequested } = require('../services/eventService');
+const { dispatchNotification } = require('../services/notificationDispatcher');
+
+// Validation rules for asking a connection for a recommendation
+const validateRecommendationRequest = [
+  body('recommender_id')
+    .isInt({ min: 1 })
+    .withMessage('recommender_id must be a positive integer'),
+  body('relationship_type')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Relationship type must be less than 100 characters'),
+  body('message')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Message must be less than 1000 characters'),
+];
+
+// Validation rules for writing or revising the recommendation text
+const validateRecommendationUpdate = [
+  body('recommendation_text')
+    .trim()
+    .notEmpty()
+    .withMessage('Recommendation text is required')
+    .isLength({ max: 5000 })
+    .withMessage('Recommendation text must be less than 5000 characters'),
+  body('relationship_type')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Relationship type must be less than 100 characters'),
+];
+
+// Validation rules for writing a recommendation for a connection
+const validateRecommendation = [
+  body('user_id')
+    .isInt({ min: 1 })
+    .withMessage('user_id must be a positive integer'),
+  ...validateRecommendationUpdate,
+];
+
+// Validation rules for asking the recommender to revise
+const validateRevisionRequest = [
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be less than 1000 characters'),
+];
+
+// Whether a user accepts recommendations on their profile (default true)
+const allowsRecommendations = async (userId) => {
+  const settings = await ProfileSettings.findByUserId(userId);
+  return !settings || settings.allow_recommendations !== false;
+};
+
+// Only connected, unblocked users may exchange recommendations; sends 403/404 and returns false otherwise
+const ensureConnected = async (currentUserId, otherUserId, res) => {
+  const otherUser = await User.findById(otherUserId);
+  if (!otherUser) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+    return false;
+  }
+
+  const [connection, blocked] = await Promise.all([
+    Connection.findConnection(currentUserId, otherUserId),
+    Block.isBlockedEitherWay(currentUserId, otherUserId),
+  ]);
+  if (blocked || !connection || connection.status !== 'connected') {
+    res.status(403).json({
+      success: false,
+      message: 'Recommendations can only be exchanged with your connections',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Notify a user about a recommendation step (never fails the request)
+const notifyRecommendationEvent = async (recipientId, actorId, type, title, recommendation) => {
+  try {
+    await dispatchNotification({
+      user_id: recipientId,
+      notification_type: type,
+      title,
+      notification_data: { recommendation_id: recommendation.id },
+      related_user_id: actorId,
+    });
+  } catch (notificationError) {
+    console.error('Error creating recommendation notification:', notificationError.message);
+  }
+};
+
+// Load a recommendation the current user is party to in the given role; sends 400/404 and returns null otherwise
+const loadRecommendation = async (req, res, role) => {
+  const recommendationId = parseInt(req.params.id);
+  if (isNaN(recommendationId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid recommendation ID',
+    });
+    return null;
+  }
+
+  const recommendation = await Recommendation.findById(recommendationId);
+  const ownerId = recommendation
+    ? (role === 'recipient' ? recommendation.user_id : recommendation.recommender_id)
+    : null;
+  if (!recommendation || ownerId !== req.user.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Recommendation not found',
+    });
+    return null;
+  }
+
+  return recommendation;
+};
+
+// Reject a transition from a status it does not apply to
+const rejectIfStatusNot = (recommendation, statuses, res) => {
+  if (!statuses.includes(recommendation.status)) {
+    res.status(400).json({
+      success: false,
+      message: `This action is not available for a recommendation that is ${recommendation.status.replace('_', ' ')}`,
+    });
+    return true;
+  }
+  return false;
+};
+
+// Ask a connection for a recommendation
+const requestRecommendation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const recommenderId = parseInt(req.body.recommender_id);
+
+    if (recommenderId === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot recommend yourself',
+      });
+    }
+
+    if (!(await allowsRecommendations(userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Enable recommendations in your profile settings to request one',
+      });
+    }
+
+    if (!(await ensureConnected(userId, recommenderId, res))) return;
+
+    const existing = await Recommendation.findOpenBetween(userId, recommenderId);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a recommendation from this user in progress',
+      });
+    }
+
+    const recommendation = await Recommendation.create({
+      user_id: userId,
+      recommender_id: recommenderId,
+      relationship_type: req.body.relationship_type,
+      request_message: req.body.message,
+    });
+
+    emitRecommendationRequested(recommendation);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recommendation requested',
+      data: recommendation,
+    });
+  } catch (error) {
+    console.error('Request recommendation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Write a recommendation for a connection (fulfils their open request if there is one)
+const writeRecommendation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const recommenderId = req.user.id;
+    const userId = parseInt(req.body.user_id);
+
+    if (recommenderId === userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot recommend yourself',
+      });
+    }
+
+    if (!(await ensureConnected(recommenderId, userId, res))) return;
+
+    if (!(await allowsRecommendations(userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user is not accepting recommendations',
+      });
+    }
+
+    const existing = await Recommendation.findOpenBetween(userId, recommenderId);
+    if (existing && !['requested', 'revision_requested'].includes(existing.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already written a recommendation for this user',
+      });
+    }
+
+    const recommendation = existing
+      ? await Recommendation.updateStatus(existing.id, 'pending', {
+        recommendation_text: req.body.recommendation_text,
+        relationship_type: req.body.relationship_type,
+      })
+      : await Recommendation.create({
+        user_id: userId,
+        recommender_id: recommenderId,
+        relationship_type: req.body.relationship_type,
+        recommendation_text: req.body.recommendation_text,
+      });
+
+    await notifyRecommendationEvent(userId, recommenderId, 'recommendation_received', 'You received a recommendation', recommendation);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: 'Recommendation sent for review',
+      data: recommendation,
+    });
+  } catch (error) {
+    console.error('Write recommendation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Revise a recommendation (recommender); it goes back to the recipient for review
+const updateRecommendation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const recommendation = await loadRecommendation(req, res, 'recommender');
+    if (!recommendation) return;
+    if (rejectIfStatusNot(recommendation, ['requested', 'revision_requested', 'pending', 'accepted', 'hidden'], res)) return;
+
+    if (!(await ensureConnected(req.user.id, recommendation.user_id, res))) return;
+
+    const updated = await Recommendation.updateStatus(recommendation.id, 'pending', {
+      recommendation_text: req.body.recommendation_text,
+      relationship_type: req.body.relationship_type,
+    });
+
+    await notifyRecommendationEvent(
+      recommendation.user_id,
+      req.user.id,
+      'recommendation_received',
+      recommendation.status === 'requested' ? 'You received a recommendation' : 'A recommendation was revised',
+      updated
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Recommendation sent for review',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Update recommendation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Decline a recommendation request (recommender)
+const declineRecommendationRequest = async (req, res) => {
+  try {
+    const recommendation = await loadRecommendation(req, res, 'recommender');
+    if (!recommendation) return;
+    if (rejectIfStatusNot(recommendation, ['requested', 'revision_requested'], res)) return;
+
+    const updated = await Recommendation.updateStatus(recommendation.id, 'declined');
+
+    await notifyRecommendationEvent(recommendation.user_id, req.user.id, 'recommendation_declined', 'A recommendation request was declined', updated);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recommendation request declined',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Decline recommendation request error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Accept a recommendation so it appears on the profile (recipient)
+const acceptRecommendation = async (req, res) => {
+  try {
+    const recommendation = await loadRecommendation(req, res, 'recipient');
+    if (!recommendation) return;
+    if (rejectIfStatusNot(recommendation, ['pending', 'hidden'], res)) return;
+
+    const updated = await Recommendation.updateStatus(recommendation.id, 'accepted');
+
+    // Un-hiding an already reviewed recommendation is not news to the recommender
+    if (recommendation.status === 'pending') {
+      await notifyRecommendationEvent(recommendation.recommender_id, req.user.id, 'recommendation_accepted', 'Your recommendation was added to their profile', updated);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Recommendation accepted',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Accept recommendation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Hide a recommendation from the profile (recipient)
+const hideRecommendation = async (req, res) => {
+  try {
+    const recommendation = await loadRecommendation(req, res, 'recipient');
+    if (!recommendation) return;
+    if (rejectIfStatusNot(recommendation, ['pending', 'accepted'], res)) return;
+
+    const updated = await Recommendation.updateStatus(recommendation.id, 'hidden');
+
+    res.status(200).json({
+      success: true,
+      message: 'Recommendation hidden',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Hide recommendation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Ask the recommender to revise (recipient)
+const requestRecommendationRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const recommendation = await loadRecommendation(req, res, 'recipient');
+    if (!recommendation) return;
+    if (rejectIfStatusNot(recommendation, ['pending', 'accepted', 'hidden'], res)) return;
+
+    const updated = await Recommendation.updateStatus(recommendation.id, 'revision_requested', {
+      revision_note: req.body.note,
+    });
+
+    await notifyRecommendationEvent(recommendation.recommender_id, req.user.id, 'recommendation_revision_requested', 'A revision to your recommendation was requested', updated);
+
+    res.status(200).json({
+      success: true,
+      message: 'Revision requested',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Request recommendation revision error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Delete a recommendation (either party)
+const deleteRecommendation = async (req, res) => {
+  try {
+    const recommendationId = parseInt(req.params.id);
+    const recommendation = isNaN(recommendationId) ? null : await Recommendation.findById(recommendationId);
+    if (!recommendation || ![recommendation.user_id, recommendation.recommender_id].includes(req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recommendation not found',
+      });
+    }
+
+    await Recommendation.remove(recommendation.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recommendation deleted',
+    });
+  } catch (error) {
+    console.error('Delete recommendation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Parse status filter and pagination for recommendation lists; sends 400 and returns null on a bad status
+const parseListQuery = (req, res) => {
+  const status = req.query.status || null;
+  if (status && !Recommendation.RECOMMENDATION_STATUSES.includes(status)) {
+    res.status(400).json({
+      success: false,
+      message: `Status must be one of: ${Recommendation.RECOMMENDATION_STATUSES.join(', ')}`,
+    });
+    return null;
+  }
+
+  return {
+    status,
+    limit: Math.min(parseInt(req.query.limit) || 20, 100),
+    offset: parseInt(req.query.offset) || 0,
+  };
+};
+
+// Get recommendations received by the current user (including requests they sent)
+const getReceivedRecommendations = async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req, res);
+    if (!listQuery) return;
+    const { status, limit, offset } = listQuery;
+
+    const recommendations = await Recommendation.findReceivedByUserId(req.user.id, status, limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: recommendations,
+      pagination: {
+        limit,
+        offset,
+        hasMore: recommendations.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get received recommendations error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get recommendations written by the current user (including requests waiting on them)
+const getGivenRecommendations = async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req, res);
+    if (!listQuery) return;
+    const { status, limit, offset } = listQuery;
+
+    const recommendations = await Recommendation.findGivenByRecommenderId(req.user.id, status, limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: recommendations,
+      pagination: {
+        limit,
+        offset,
+        hasMore: recommendations.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get given recommendations error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  validateRecommendationRequest,
+  validateRecommendation,
+  validateRecommendationUpdate,
+  validateRevisionRequest,
+  requestRecommendation,
+  writeRecommendation,
+  updateRecommendation,
+  declineRecommendationRequest,
+  acceptRecommendation,
+  hideRecommendation,
+  requestRecommendationRevision,
+  deleteRecommendation,
+  getReceivedRecommendations,
+  getGivenRecommendations,
+};
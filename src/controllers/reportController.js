@@ -0,0 +1,401 @@
+// Report controller - Users report content; moderators work the queue and act on reported targets
+const { body, param, query, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { getUserRoles, isStaff } = require('../services/accessControlService');
+const { MODERATION_ACTIONS, ACTIONS_BY_TARGET, getTarget, canReport, applyAction } = require('../services/moderationService');
+
+// Validation rules
+const validateReport = [
+  body('target_type')
+    .isIn(Report.REPORT_TARGET_TYPES)
+    .withMessage(`target_type must be one of: ${Report.REPORT_TARGET_TYPES.join(', ')}`),
+  body('target_id')
+    .isInt({ min: 1 })
+    .withMessage('target_id must be a positive integer')
+    .toInt(),
+  body('reason')
+    .isIn(Report.REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${Report.REPORT_REASONS.join(', ')}`),
+  body('details')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details must be less than 1000 characters'),
+];
+
+const validatePagination = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+    .toInt(),
+];
+
+const validateQueueQuery = [
+  ...validatePagination,
+  query('target_type')
+    .optional()
+    .isIn(Report.REPORT_TARGET_TYPES)
+    .withMessage(`target_type must be one of: ${Report.REPORT_TARGET_TYPES.join(', ')}`),
+  query('reason')
+    .optional()
+    .isIn(Report.REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${Report.REPORT_REASONS.join(', ')}`),
+];
+
+const validateTarget = [
+  param('targetType')
+    .isIn(Report.REPORT_TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${Report.REPORT_TARGET_TYPES.join(', ')}`),
+  param('targetId')
+    .isInt({ min: 1 })
+    .withMessage('Target ID must be a positive integer')
+    .toInt(),
+];
+
+const validateModerationAction = [
+  ...validateTarget,
+  body('action')
+    .isIn(MODERATION_ACTIONS)
+    .withMessage(`Action must be one of: ${MODERATION_ACTIONS.join(', ')}`),
+  body('note')
+    .if(body('action').isIn(['warn', 'suspend']))
+    .trim()
+    .notEmpty()
+    .withMessage('A note is required to warn or suspend a user'),
+  body('note')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be less than 1000 characters'),
+];
+
+// Report a post, comment, message or profile
+const createReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { target_type: targetType, target_id: targetId, reason, details } = req.body;
+    const target = await getTarget(targetType, targetId);
+
+    // Targets the reporter cannot see are reported as missing
+    if (!target || !(await canReport(target, req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found',
+      });
+    }
+
+    if (target.owner_id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own content',
+      });
+    }
+
+    const report = await Report.create({
+      reporter_id: req.user.id,
+      target_type: targetType,
+      target_id: targetId,
+      target_user_id: target.owner_id,
+      reason,
+      details,
+      content_snapshot: target.content ? target.content.substring(0, Report.SNAPSHOT_LENGTH) : null,
+    });
+
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted',
+      data: {
+        id: report.id,
+        target_type: report.target_type,
+        target_id: report.target_id,
+        reason: report.reason,
+        status: report.status,
+        created_at: report.created_at,
+      },
+    });
+  } catch (error) {
+    console.error('Create report error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Reports I filed and how they were resolved
+const getMyReports = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const limit = req.query.limit || 20;
+    const offset = req.query.offset || 0;
+    const reports = await Report.findByReporterId(req.user.id, limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: reports,
+      pagination: {
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    console.error('Get my reports error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Moderation queue: reported targets with open reports, most reported and oldest first
+const getModerationQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const limit = req.query.limit || 20;
+    const offset = req.query.offset || 0;
+    const { cases, total } = await Report.findQueue({
+      targetType: req.query.target_type || null,
+      reason: req.query.reason || null,
+      limit,
+      offset,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: cases,
+      pagination: {
+        total,
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// A reported target as it is now, its reports and the owner's moderation history
+const getModerationCase = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { targetType, targetId } = req.params;
+    const [target, reports] = await Promise.all([
+      getTarget(targetType, targetId),
+      Report.findByTarget(targetType, targetId),
+    ]);
+
+    // Only reported content is open to moderators (messages in particular are private)
+    if (reports.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reports for this content',
+      });
+    }
+
+    const ownerId = target ? target.owner_id : reports[0].target_user_id;
+    const ownerHistory = ownerId
+      ? await AdminAuditLog.findAll({ targetType: 'user', targetId: ownerId, limit: 20 })
+      : { logs: [] };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        target_type: targetType,
+        target_id: targetId,
+        target: target ? {
+          owner_id: target.owner_id,
+          content: target.content,
+          moderation_status: target.moderation_status,
+        } : null,
+        available_actions: target ? ACTIONS_BY_TARGET[targetType] : ['dismiss'],
+        reports,
+        owner_history: ownerHistory.logs,
+      },
+    });
+  } catch (error) {
+    console.error('Get moderation case error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Close reports on content that no longer exists (deleted by its author)
+const dismissDeletedTarget = async (req, note) => {
+  const { targetType, targetId } = req.params;
+  const reports = await Report.resolveForTarget(targetType, targetId, 'dismiss', req.user.id);
+  await AdminAuditLog.create({
+    actor_id: req.user.id,
+    action: 'moderation.dismiss',
+    target_type: targetType,
+    target_id: targetId,
+    details: { note, report_ids: reports.map(report => report.id), target_deleted: true },
+    ip_address: req.ip || null,
+  });
+  return { reports, target: null };
+};
+
+// Dismiss, hide, remove, warn or suspend; closes every open report on the target
+const takeModerationAction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { targetType, targetId } = req.params;
+    const { action } = req.body;
+    const note = req.body.note || null;
+
+    const [target, reports] = await Promise.all([
+      getTarget(targetType, targetId),
+      Report.findByTarget(targetType, targetId),
+    ]);
+
+    if (!reports.some(report => report.status === 'open')) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open reports for this content',
+      });
+    }
+
+    // Content deleted by its author since it was reported can only be dismissed
+    if (!target) {
+      if (action !== 'dismiss') {
+        return res.status(404).json({
+          success: false,
+          message: 'Content not found',
+        });
+      }
+      const result = await dismissDeletedTarget(req, note);
+      return res.status(200).json({
+        success: true,
+        message: 'Moderation action applied',
+        data: {
+          action,
+          resolved_reports: result.reports.length,
+          target: null,
+        },
+      });
+    }
+
+    if (!ACTIONS_BY_TARGET[targetType].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action '${action}' is not available for a ${targetType}`,
+      });
+    }
+
+    if ((action === 'warn' || action === 'suspend') && target.owner_id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot act on your own account',
+      });
+    }
+
+    if (action === 'suspend') {
+      if (!req.user.permissions.includes('users:suspend')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions',
+        });
+      }
+      const ownerRoles = await getUserRoles(target.owner_id);
+      if (isStaff(ownerRoles) && !req.user.roles.includes('platform_admin')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only platform admins can suspend staff accounts',
+        });
+      }
+      const owner = await User.findById(target.owner_id);
+      if (owner.is_active === false) {
+        return res.status(409).json({
+          success: false,
+          message: 'User is already suspended',
+        });
+      }
+    }
+
+    const result = await applyAction(target, action, { id: req.user.id, ip: req.ip || null }, note);
+
+    res.status(200).json({
+      success: true,
+      message: 'Moderation action applied',
+      data: {
+        action,
+        resolved_reports: result.reports.length,
+        target: result.target,
+      },
+    });
+  } catch (error) {
+    console.error('Moderation action error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  createReport,
+  getMyReports,
+  getModerationQueue,
+  getModerationCase,
+  takeModerationAction,
+  validateReport,
+  validatePagination,
+  validateQueueQuery,
+  validateTarget,
+  validateModerationAction,
+};
@@ -0,0 +1,292 @@
+// Saved job search controller - Saved job filters and job alert settings
+const { body, validationResult } = require('express-validator');
+const SavedJobSearch = require('../models/SavedJobSearch');
+const JobPosting = require('../models/JobPosting');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Validation rules shared by create and update
+const searchFieldRules = [
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+  body('filters.q')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Search text must be less than 255 characters'),
+  body('filters.specialty')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Specialty must be less than 255 characters'),
+  body('filters.job_type')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Job type must be less than 50 characters'),
+  body('filters.location')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('Location must be less than 255 characters'),
+  body('filters.is_remote')
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage('is_remote must be a boolean'),
+  body('filters.min_salary')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum salary must be a positive number'),
+  body('alert_frequency')
+    .optional()
+    .isIn(SavedJobSearch.ALERT_FREQUENCIES)
+    .withMessage(`Alert frequency must be one of: ${SavedJobSearch.ALERT_FREQUENCIES.join(', ')}`),
+];
+
+// Validation rules for creating a saved search
+const validateSavedJobSearch = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  body('filters')
+    .exists()
+    .withMessage('Filters are required'),
+  ...searchFieldRules,
+];
+
+// Validation rules for updating a saved search
+const validateSavedJobSearchUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  ...searchFieldRules,
+];
+
+// Keep known filters only and drop empty values
+const normalizeFilters = (filters = {}) => {
+  const normalized = {};
+  SavedJobSearch.SEARCH_FILTER_FIELDS.forEach(field => {
+    const value = filters[field];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (field === 'is_remote') {
+      normalized[field] = value === true || value === 'true';
+    } else if (field === 'min_salary') {
+      normalized[field] = parseFloat(value);
+    } else {
+      normalized[field] = String(value).trim();
+    }
+  });
+  return normalized;
+};
+
+// Parse saved search ID from route params
+const parseSearchId = (req) => {
+  const searchId = parseInt(req.params.searchId);
+  return isNaN(searchId) ? null : searchId;
+};
+
+// Load a saved search owned by the current user (null if missing or someone else's)
+const findOwnSearch = async (req) => {
+  const searchId = parseSearchId(req);
+  if (!searchId) {
+    return null;
+  }
+  const search = await SavedJobSearch.findById(searchId);
+  return search && search.user_id === req.user.id ? search : null;
+};
+
+// Save a job search
+const createSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const filters = normalizeFilters(req.body.filters);
+    if (Object.keys(filters).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one filter is required',
+      });
+    }
+
+    const count = await SavedJobSearch.countByUserId(req.user.id);
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} job searches`,
+      });
+    }
+
+    const search = await SavedJobSearch.create({
+      user_id: req.user.id,
+      name: req.body.name,
+      filters,
+      alert_frequency: req.body.alert_frequency,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Job search saved successfully',
+      data: search,
+    });
+  } catch (error) {
+    console.error('Create saved job search error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get the current user's saved searches
+const getSavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedJobSearch.findByUserId(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: searches,
+    });
+  } catch (error) {
+    console.error('Get saved job searches error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Update a saved search
+const updateSavedSearch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved job search not found',
+      });
+    }
+
+    const updateData = {
+      name: req.body.name,
+      alert_frequency: req.body.alert_frequency,
+    };
+    if (req.body.filters !== undefined) {
+      updateData.filters = normalizeFilters(req.body.filters);
+      if (Object.keys(updateData.filters).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one filter is required',
+        });
+      }
+    }
+
+    const updated = await SavedJobSearch.update(search.id, req.user.id, updateData);
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved job search updated successfully',
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Update saved job search error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Delete a saved search
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved job search not found',
+      });
+    }
+
+    await SavedJobSearch.remove(search.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved job search deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete saved job search error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Run a saved search against active postings
+const getSavedSearchResults = async (req, res) => {
+  try {
+    const search = await findOwnSearch(req);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved job search not found',
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const jobPostings = await JobPosting.search(SavedJobSearch.toJobPostingFilters(search.filters), limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: jobPostings,
+      pagination: {
+        limit,
+        offset,
+        hasMore: jobPostings.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get saved job search results error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+module.exports = {
+  validateSavedJobSearch,
+  validateSavedJobSearchUpdate,
+  createSavedSearch,
+  getSavedSearches,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchResults,
+};
@@ -150,6 +150,7 @@ const searchJobsHandler = async (req, res) => {
       job_type: req.query.job_type,
       location: req.query.location,
       is_remote: req.query.is_remote === 'true' ? true : req.query.is_remote === 'false' ? false : undefined,
+      min_salary: parseFloat(req.query.min_salary) || undefined,
     };
 
     if (!query || query.trim().length === 0) {
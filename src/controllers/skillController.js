@@ -1,7 +1,14 @@
-// Skill controller - Skills CRUD
+// Skill controller - Skills CRUD and endorsements
 const { body, validationResult } = require('express-validator');
+const { withTransaction } = require('../config/database');
 const MedicalSkill = require('../models/MedicalSkill');
 const UserSkill = require('../models/UserSkill');
+const SkillEndorsement = require('../models/SkillEndorsement');
+const ProfileSettings = require('../models/ProfileSettings');
+const Connection = require('../models/Connection');
+const Block = require('../models/Block');
+const Notification = require('../models/Notification');
+const { emitNotificationNew } = require('../services/eventService');
 
 // Validation rules
 const validateSkill = [
@@ -154,11 +161,224 @@ const removeSkill = async (req, res) => {
   }
 };
 
+// Load a skill on another user's profile; sends 400/403/404 and returns null when it cannot be viewed
+const loadProfileSkill = async (req, res) => {
+  const userId = parseInt(req.params.userId);
+  const skillId = parseInt(req.params.skillId);
+
+  if (isNaN(userId) || isNaN(skillId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user or skill ID',
+    });
+    return null;
+  }
+
+  if (userId !== req.user.id && await Block.isBlockedEitherWay(req.user.id, userId)) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot view this profile',
+    });
+    return null;
+  }
+
+  const userSkill = await UserSkill.findOne(userId, skillId);
+  if (!userSkill) {
+    res.status(404).json({
+      success: false,
+      message: 'Skill not found on this profile',
+    });
+    return null;
+  }
+
+  return userSkill;
+};
+
+// Get another user's skills with endorsement counts and whether the current user endorsed each
+const getProfileSkills = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID',
+      });
+    }
+
+    if (userId !== req.user.id && await Block.isBlockedEitherWay(req.user.id, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot view this profile',
+      });
+    }
+
+    const [skills, endorsedSkillIds] = await Promise.all([
+      UserSkill.findByUserId(userId),
+      SkillEndorsement.findSkillIdsEndorsedBy(req.user.id, userId),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: skills.map(skill => ({
+        ...skill,
+        endorsed_by_me: endorsedSkillIds.includes(skill.skill_id),
+      })),
+    });
+  } catch (error) {
+    console.error('Get profile skills error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Endorse a connection's skill (repeat endorsements are a no-op)
+const endorseSkill = async (req, res) => {
+  try {
+    const userSkill = await loadProfileSkill(req, res);
+    if (!userSkill) return;
+
+    const endorserId = req.user.id;
+    const { user_id: endorseeId, skill_id: skillId } = userSkill;
+
+    if (endorseeId === endorserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot endorse your own skills',
+      });
+    }
+
+    const connection = await Connection.findConnection(endorserId, endorseeId);
+    if (!connection || connection.status !== 'connected') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only endorse skills of your connections',
+      });
+    }
+
+    const settings = await ProfileSettings.findByUserId(endorseeId);
+    if (settings && settings.allow_endorsements === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'This user is not accepting endorsements',
+      });
+    }
+
+    const { endorsement, updatedSkill } = await withTransaction(async (client) => {
+      const created = await SkillEndorsement.create(endorserId, endorseeId, skillId, client);
+      const synced = await UserSkill.syncEndorsementsCount(endorseeId, skillId, client);
+      return { endorsement: created, updatedSkill: synced };
+    });
+
+    if (endorsement) {
+      try {
+        const notification = await Notification.create({
+          user_id: endorseeId,
+          notification_type: 'skill_endorsement',
+          title: 'New skill endorsement',
+          message: userSkill.name,
+          notification_data: { skill_id: skillId },
+          related_user_id: endorserId,
+        });
+        emitNotificationNew(notification);
+      } catch (notificationError) {
+        console.error('Error creating endorsement notification:', notificationError.message);
+      }
+    }
+
+    res.status(endorsement ? 201 : 200).json({
+      success: true,
+      message: endorsement ? 'Skill endorsed' : 'You have already endorsed this skill',
+      data: {
+        skill_id: skillId,
+        endorsements_count: updatedSkill.endorsements_count,
+        endorsed_by_me: true,
+      },
+    });
+  } catch (error) {
+    console.error('Endorse skill error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Withdraw an endorsement (idempotent)
+const removeEndorsement = async (req, res) => {
+  try {
+    const userSkill = await loadProfileSkill(req, res);
+    if (!userSkill) return;
+
+    const { user_id: endorseeId, skill_id: skillId } = userSkill;
+
+    const updatedSkill = await withTransaction(async (client) => {
+      await SkillEndorsement.remove(req.user.id, endorseeId, skillId, client);
+      return UserSkill.syncEndorsementsCount(endorseeId, skillId, client);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Endorsement removed',
+      data: {
+        skill_id: skillId,
+        endorsements_count: updatedSkill.endorsements_count,
+        endorsed_by_me: false,
+      },
+    });
+  } catch (error) {
+    console.error('Remove endorsement error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Get who endorsed a skill, people the current user knows first
+const getSkillEndorsers = async (req, res) => {
+  try {
+    const userSkill = await loadProfileSkill(req, res);
+    if (!userSkill) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const endorsers = await SkillEndorsement.findEndorsers(userSkill.user_id, userSkill.skill_id, req.user.id, limit, offset);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        skill_id: userSkill.skill_id,
+        name: userSkill.name,
+        endorsements_count: userSkill.endorsements_count,
+        endorsers,
+      },
+      pagination: {
+        limit,
+        offset,
+        hasMore: endorsers.length === limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get skill endorsers error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
 module.exports = {
   addSkill,
   getUserSkills,
   getAvailableSkills,
   searchSkills,
   removeSkill,
+  getProfileSkills,
+  endorseSkill,
+  removeEndorsement,
+  getSkillEndorsers,
   validateSkill,
 };
@@ -277,6 +277,7 @@ const getMediaStatus = async (req, res) => {
         id: media.id,
         status: media.status || 'uploaded',
         processing_error: media.processing_error,
+        phi_findings: media.phi_findings || [],
         variants: media.variants || {},
         aspect_ratio: media.aspect_ratio,
         dominant_color: media.dominant_color,
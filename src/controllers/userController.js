@@ -13,6 +13,7 @@ const MedicalCertification = require('../models/MedicalCertification');
 const MedicalPublication = require('../models/MedicalPublication');
 const MedicalProject = require('../models/MedicalProject');
 const Award = require('../models/Award');
+const Recommendation = require('../models/Recommendation');
 const Connection = require('../models/Connection');
 const Follow = require('../models/Follow');
 const Block = require('../models/Block');
@@ -27,6 +28,12 @@ const {
   setUserProfessionalData: setCachedUserProfessionalData,
   invalidateUserCaches,
 } = require('../services/cacheService');
+const {
+  emitConnectionRequested,
+  emitConnectionAccepted,
+  emitUserFollowed,
+} = require('../services/eventService');
+const { applyCertificationUpdate, removeCertification } = require('../services/certificationService');
 
 // Validation rules for profile update
 const validateProfileUpdate = [
@@ -89,6 +96,28 @@ const validateProfileUpdate = [
     .withMessage('Please provide a valid graduation year'),
 ];
 
+// Validation rules for profile settings update
+const validateSettingsUpdate = [
+  body('profile_visibility')
+    .optional()
+    .isIn(['public', 'connections', 'private'])
+    .withMessage('Profile visibility must be public, connections or private'),
+  body('allow_messages_from')
+    .optional()
+    .isIn(ProfileSettings.MESSAGE_PERMISSIONS)
+    .withMessage(`allow_messages_from must be one of: ${ProfileSettings.MESSAGE_PERMISSIONS.join(', ')}`),
+  body([
+    'show_email', 'show_phone', 'show_location', 'show_connections',
+    'show_experience', 'show_education', 'show_skills', 'show_certifications',
+    'show_publications', 'show_projects', 'show_awards',
+    'allow_connection_requests', 'allow_message_requests', 'read_receipts', 'allow_endorsements', 'allow_recommendations',
+    'open_to_opportunities', 'open_to_remote',
+  ])
+    .optional()
+    .isBoolean()
+    .withMessage('Setting must be a boolean'),
+];
+
 // Helper: validate and parse target user ID from params
 const parseTargetUserId = (req, res) => {
   const { id } = req.params;
@@ -144,6 +173,14 @@ const ensureNotBlockedEitherWay = async (userId1, userId2, res) => {
   return true;
 };
 
+// Helper: accepted recommendations for a profile (none when the owner turned recommendations off)
+const findProfileRecommendations = async (userId, settings) => {
+  if (settings && settings.allow_recommendations === false) {
+    return [];
+  }
+  return Recommendation.findByUserId(userId);
+};
+
 // Get current user's profile
 const getMyProfile = async (req, res) => {
   try {
@@ -295,6 +332,7 @@ const getUserProfile = async (req, res) => {
         followers: followersCount,
         following: followingCount,
       };
+      profilePayload.recommendations = await findProfileRecommendations(userId, settings);
 
       // Attach relationship flags if viewer is authenticated
       if (viewerId) {
@@ -378,6 +416,7 @@ const getUserProfile = async (req, res) => {
       followers: followersCount,
       following: followingCount,
     };
+    profileData.recommendations = await findProfileRecommendations(userId, settings);
 
     // Attach relationship flags if viewer is authenticated
     if (viewerId) {
@@ -683,7 +722,7 @@ const getCompleteProfile = async (req, res) => {
     const profile = await Profile.findByUserId(userId);
 
     // Get all professional data
-    const [experiences, education, userSkills, certifications, publications, projects, awards] = await Promise.all([
+    const [experiences, education, userSkills, certifications, publications, projects, awards, recommendations] = await Promise.all([
       MedicalExperience.findByUserId(userId),
       MedicalEducation.findByUserId(userId),
       UserSkill.findByUserId(userId),
@@ -691,6 +730,7 @@ const getCompleteProfile = async (req, res) => {
       MedicalPublication.findByUserId(userId),
       MedicalProject.findByUserId(userId),
       Award.findByUserId(userId),
+      Recommendation.findByUserId(userId),
     ]);
 
     // Remove password from response
@@ -709,6 +749,7 @@ const getCompleteProfile = async (req, res) => {
           publications: publications || [],
           projects: projects || [],
           awards: awards || [],
+          recommendations: recommendations || [],
         },
       },
     });
@@ -1182,15 +1223,9 @@ const updateCompleteProfile = async (req, res) => {
     if (Array.isArray(skills)) {
       console.log(`[${timestamp}] [PROFILE] [UPDATE_COMPLETE] Processing ${skills.length} skills - UserId: ${userId}`);
       const existingSkills = await UserSkill.findByUserId(userId);
-      const existingSkillIds = existingSkills.map(s => s.skill_id);
-      console.log(`[${timestamp}] [PROFILE] [UPDATE_COMPLETE] Removing ${existingSkills.length} existing skills - UserId: ${userId}`);
-
-      // Remove all existing skills
-      for (const userSkill of existingSkills) {
-        await UserSkill.removeSkill(userId, userSkill.skill_id);
-      }
 
-      // Add new skills
+      // Resolve incoming skills to IDs
+      const incomingSkills = [];
       for (const skill of skills) {
         let skillId;
         if (typeof skill === 'number') {
@@ -1213,9 +1248,22 @@ const updateCompleteProfile = async (req, res) => {
         }
 
         if (skillId) {
-          await UserSkill.addSkill(userId, skillId, skill);
+          incomingSkills.push({ skillId, skill });
         }
       }
+
+      // Remove only skills that were dropped; kept skills keep their endorsements
+      const incomingSkillIds = new Set(incomingSkills.map(s => s.skillId));
+      const removedSkills = existingSkills.filter(s => !incomingSkillIds.has(s.skill_id));
+      console.log(`[${timestamp}] [PROFILE] [UPDATE_COMPLETE] Removing ${removedSkills.length} existing skills - UserId: ${userId}`);
+      for (const userSkill of removedSkills) {
+        await UserSkill.removeSkill(userId, userSkill.skill_id);
+      }
+
+      // Add new skills and update kept ones
+      for (const { skillId, skill } of incomingSkills) {
+        await UserSkill.addSkill(userId, skillId, skill);
+      }
     }
 
     // Handle certifications
@@ -1238,19 +1286,17 @@ const updateCompleteProfile = async (req, res) => {
       }
 
       // Delete removed certifications (only owned ones)
-      const toDelete = existingCerts
-        .filter(c => !incomingIds.includes(c.id))
-        .map(c => c.id);
-      for (const id of toDelete) {
-        await MedicalCertification.remove(id);
+      const toDelete = existingCerts.filter(c => !incomingIds.includes(c.id));
+      for (const record of toDelete) {
+        await removeCertification(record);
       }
 
-      // Create or update certifications
+      // Create or update certifications; edits to reviewed fields reset the verification
       for (const cert of certifications) {
         if (cert.id && existingIds.has(cert.id)) {
           const record = await MedicalCertification.findById(cert.id);
           if (record && record.user_id === userId) {
-            await MedicalCertification.update(cert.id, { ...cert, user_id: userId });
+            await applyCertificationUpdate(record, { ...cert, user_id: userId });
           }
         } else {
           await MedicalCertification.create({ ...cert, user_id: userId });
@@ -1470,6 +1516,9 @@ const sendConnectionRequest = async (req, res) => {
     }
 
     const connection = await Connection.createRequest(currentUserId, targetUserId);
+    if (connection && connection.status === 'pending') {
+      emitConnectionRequested(connection);
+    }
 
     res.status(201).json({
       success: true,
@@ -1534,6 +1583,8 @@ const acceptConnectionRequest = async (req, res) => {
       console.error('Error creating activity for connection:', activityError.message);
     }
 
+    emitConnectionAccepted(connection);
+
     res.status(200).json({
       success: true,
       message: 'Connection request accepted',
@@ -1704,6 +1755,8 @@ const followUser = async (req, res) => {
       } catch (activityError) {
         console.error('Error creating activity for follow:', activityError.message);
       }
+
+      emitUserFollowed(follow);
     }
 
     res.status(201).json({
@@ -1953,6 +2006,61 @@ const updateMyStatus = async (req, res) => {
   }
 };
 
+// Get own profile settings
+const getMySettings = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    let settings = await ProfileSettings.findByUserId(userId);
+    if (!settings) {
+      settings = await ProfileSettings.upsert(userId, {});
+    }
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    console.error('Get my settings error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Update own profile settings (privacy, discoverability)
+const updateMySettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const settings = await ProfileSettings.upsert(userId, req.body);
+
+    // Invalidate user profile cache (settings affect profile visibility)
+    await invalidateUserCaches(userId).catch(err => {
+      console.error('Failed to invalidate user cache:', err.message);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings,
+    });
+  } catch (error) {
+    console.error('Update my settings error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
 module.exports = {
   getMyProfile,
   getUserProfile,
@@ -1980,4 +2088,7 @@ module.exports = {
   listBlockedUsers,
   getUserStatus,
   updateMyStatus,
+  getMySettings,
+  updateMySettings,
+  validateSettingsUpdate,
 };
\ No newline at end of file
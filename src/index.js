@@ -3,22 +3,35 @@
 require('dotenv').config();
 const { testConnection } = require('./config/database');
 const { initializeUsersTable } = require('./models/User');
+const { initializeAuthTokensTable } = require('./models/AuthToken');
+const { initializeAuthSessionsTable } = require('./models/AuthSession');
+const { initializeRefreshTokensTable } = require('./models/RefreshToken');
+const { initializeUserMfaTable } = require('./models/UserMfa');
+const { initializeMfaRecoveryCodesTable } = require('./models/MfaRecoveryCode');
+const { initializeUserRolesTable } = require('./models/UserRole');
+const { initializeAdminAuditLogsTable } = require('./models/AdminAuditLog');
+const { initializeReportsTable } = require('./models/Report');
 const { initializeProfilesTable } = require('./models/Profile');
 const { initializeMedicalOrganizationsTable } = require('./models/MedicalOrganization');
+const { initializeOrganizationAdminsTable } = require('./models/OrganizationAdmin');
 const { initializeMedicalSkillsTable } = require('./models/MedicalSkill');
 const { initializeMedicalExperiencesTable } = require('./models/MedicalExperience');
 const { initializeMedicalEducationTable } = require('./models/MedicalEducation');
 const { initializeUserSkillsTable } = require('./models/UserSkill');
 const { initializeMedicalCertificationsTable } = require('./models/MedicalCertification');
+const { initializeCredentialVerificationRequestsTable } = require('./models/CredentialVerification');
 const { initializeMedicalPublicationsTable } = require('./models/MedicalPublication');
 const { initializeMedicalProjectsTable } = require('./models/MedicalProject');
 const { initializeAwardsTable } = require('./models/Award');
 const { initializeConnectionsTable } = require('./models/Connection');
 const { initializeBlocksTable } = require('./models/Block');
 const { initializeRecommendationsTable } = require('./models/Recommendation');
+const { initializeSkillEndorsementsTable } = require('./models/SkillEndorsement');
 const { initializeFollowsTable } = require('./models/Follow');
 const { initializeConversationsTable } = require('./models/Conversation');
+const { initializeMessageAttachmentsTable } = require('./models/MessageAttachment');
 const { initializeMessagesTable } = require('./models/Message');
+const { initializeConversationParticipantsTable } = require('./models/ConversationParticipant');
 const { initializeMessageReactionsTable } = require('./models/MessageReaction');
 const { initializeUserOnlineStatusTable } = require('./models/UserOnlineStatus');
 const { initializeMedicalGroupsTable } = require('./models/MedicalGroup');
@@ -32,21 +45,33 @@ const { initializeHashtagsTable } = require('./models/Hashtag');
 const { initializePostHashtagsTable } = require('./models/PostHashtag');
 const { initializeJobPostingsTable } = require('./models/JobPosting');
 const { initializeJobApplicationsTable } = require('./models/JobApplication');
+const { initializeApplicationStageHistoryTable } = require('./models/ApplicationStageHistory');
+const { initializeApplicationNotesTable } = require('./models/ApplicationNote');
 const { initializeSavedJobsTable } = require('./models/SavedJob');
 const { initializeJobSkillsTable } = require('./models/JobSkill');
 const { initializeActivityFeedTable } = require('./models/ActivityFeed');
 const { initializeProfileVisitorsTable } = require('./models/ProfileVisitors');
 const { initializeNotificationsTable } = require('./models/Notification');
 const { initializeNotificationPreferencesTable } = require('./models/NotificationPreference');
+const { initializeDeviceTokensTable } = require('./models/DeviceToken');
+const { initializeEmailSendsTable } = require('./models/EmailSend');
+const { initializeWeeklyDigestSendsTable } = require('./models/WeeklyDigestSend');
 const { initializeProfileSettingsTable } = require('./models/ProfileSettings');
+const { initializeSavedJobSearchesTable } = require('./models/SavedJobSearch');
+const { initializeSavedJobSearchMatchesTable } = require('./models/SavedJobSearchMatch');
 const { testConnection: testRedisConnection } = require('./config/redis');
 const { initializeContainers: initializeAzureContainers } = require('./config/azureStorage');
 const { initializeSocketIO } = require('./services/socketService');
+const { initializeNotificationDispatcher } = require('./services/notificationDispatcher');
 const { addIndexes } = require('./migrations/addIndexes');
 const { setupUnhandledRejectionHandler, setupUncaughtExceptionHandler } = require('./middleware/errorMiddleware');
 const { createEmailWorker } = require('./jobs/emailJob');
 const { createImageProcessingWorker } = require('./jobs/imageProcessingJob');
 const { createVideoProcessingWorker } = require('./jobs/videoProcessingJob');
+const { createJobAlertWorker, scheduleJobAlerts } = require('./jobs/jobAlertJob');
+const { createWeeklyDigestWorker, scheduleWeeklyDigest } = require('./jobs/weeklyDigestJob');
+const { createCredentialExpiryWorker, scheduleCredentialExpiry } = require('./jobs/credentialExpiryJob');
+const { createNotificationWorker } = require('./jobs/notificationJob');
 const app = require('./server');
 const http = require('http');
 
@@ -72,8 +97,17 @@ const startServer = async () => {
       
       // Core tables
       await initializeUsersTable();
+      await initializeAuthTokensTable();
+      await initializeAuthSessionsTable();
+      await initializeRefreshTokensTable();
+      await initializeUserMfaTable();
+      await initializeMfaRecoveryCodesTable();
+      await initializeUserRolesTable();
+      await initializeAdminAuditLogsTable();
+      await initializeReportsTable();
       await initializeProfilesTable();
       await initializeMedicalOrganizationsTable();
+      await initializeOrganizationAdminsTable();
       await initializeMedicalSkillsTable();
       
       // Professional experience tables
@@ -81,6 +115,7 @@ const startServer = async () => {
       await initializeMedicalEducationTable();
       await initializeUserSkillsTable();
       await initializeMedicalCertificationsTable();
+      await initializeCredentialVerificationRequestsTable();
       await initializeMedicalPublicationsTable();
       await initializeMedicalProjectsTable();
       await initializeAwardsTable();
@@ -89,9 +124,12 @@ const startServer = async () => {
       await initializeConnectionsTable();
       await initializeBlocksTable();
       await initializeRecommendationsTable();
+      await initializeSkillEndorsementsTable();
       await initializeFollowsTable();
       await initializeConversationsTable();
+      await initializeMessageAttachmentsTable();
       await initializeMessagesTable();
+      await initializeConversationParticipantsTable();
       await initializeMessageReactionsTable();
       await initializeUserOnlineStatusTable();
       
@@ -111,6 +149,8 @@ const startServer = async () => {
       // Job and career tables
       await initializeJobPostingsTable();
       await initializeJobApplicationsTable();
+      await initializeApplicationStageHistoryTable();
+      await initializeApplicationNotesTable();
       await initializeSavedJobsTable();
       await initializeJobSkillsTable();
       
@@ -119,7 +159,12 @@ const startServer = async () => {
       await initializeProfileVisitorsTable();
       await initializeNotificationsTable();
       await initializeNotificationPreferencesTable();
+      await initializeDeviceTokensTable();
+      await initializeEmailSendsTable();
+      await initializeWeeklyDigestSendsTable();
       await initializeProfileSettingsTable();
+      await initializeSavedJobSearchesTable();
+      await initializeSavedJobSearchMatchesTable();
       
       console.log('\n✅ All database tables initialized successfully\n');
       
@@ -207,6 +252,10 @@ const startServer = async () => {
     }
   }
 
+  // Turn social and content events into notifications (DB + socket + push queue)
+  initializeNotificationDispatcher();
+  console.log('✅ Notification dispatcher subscribed');
+
   console.log('📍 Step 4: Socket.io complete, initializing job workers...');
 
   // Initialize job workers (only if Redis is available)
@@ -216,14 +265,33 @@ const startServer = async () => {
       const emailWorker = createEmailWorker();
       console.log('✅ Email worker started');
       
+      console.log('📍 Step 4.2: Creating job alert worker...');
+      createJobAlertWorker();
+      await scheduleJobAlerts();
+      console.log('✅ Job alert worker started');
+      
+      console.log('📍 Step 4.3: Creating notification worker...');
+      createNotificationWorker();
+      console.log('✅ Notification worker started');
+      
+      console.log('📍 Step 4.4: Creating weekly digest worker...');
+      createWeeklyDigestWorker();
+      await scheduleWeeklyDigest();
+      console.log('✅ Weekly digest worker started');
+      
+      console.log('📍 Step 4.5: Creating credential expiry worker...');
+      createCredentialExpiryWorker();
+      await scheduleCredentialExpiry();
+      console.log('✅ Credential expiry worker started');
+      
       // Start media processing workers (only if Azure is configured)
       if (process.env.AZURE_STORAGE_CONNECTION_STRING && (process.env.REDIS_CONNECTION_STRING || process.env.REDIS_HOST)) {
         try {
-          console.log('📍 Step 4.2: Creating image processing worker...');
+          console.log('📍 Step 4.6: Creating image processing worker...');
           const imageWorker = createImageProcessingWorker();
           console.log('✅ Image processing worker created');
           
-          console.log('📍 Step 4.3: Creating video processing worker...');
+          console.log('📍 Step 4.7: Creating video processing worker...');
           const videoWorker = createVideoProcessingWorker();
           console.log('✅ Video processing worker created');
           
@@ -0,0 +1,116 @@
+// Credential Expiry Job - Daily worker that expires verified credentials past their expiration date
+const { Worker } = require('bullmq');
+const { getRedisConnectionConfig } = require('../config/redis');
+const { getQueue, QUEUE_NAMES } = require('../services/jobQueue');
+const { dispatchNotification } = require('../services/notificationDispatcher');
+const MedicalCertification = require('../models/MedicalCertification');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Connection for BullMQ
+const connection = getRedisConnectionConfig();
+
+const EXPIRY_CRON = process.env.CREDENTIAL_EXPIRY_CRON || '0 3 * * *';
+
+/**
+ * Expire verifications whose credential has lapsed, drop the badge of users left without a
+ * verified credential and ask them to resubmit. Finally reconcile every user's is_verified flag
+ * so it cannot drift from their credentials.
+ */
+const expireCredentialVerifications = async () => {
+  const expired = await MedicalCertification.expireVerifications();
+
+  const userIds = [...new Set(expired.map(certification => certification.user_id))];
+  for (const userId of userIds) {
+    await User.syncCredentialVerification(userId);
+  }
+
+  for (const certification of expired) {
+    try {
+      await dispatchNotification({
+        user_id: certification.user_id,
+        notification_type: 'credential_expired',
+        title: 'Credential expired',
+        message: `"${certification.name}" has passed its expiration date. Update it and submit it for verification again.`,
+        notification_data: { certification_id: certification.id },
+      });
+    } catch (notificationError) {
+      logger.logError(notificationError, { context: 'expireCredentialVerifications.notify', certificationId: certification.id });
+    }
+  }
+
+  const reconciled = await User.reconcileCredentialVerification();
+
+  logger.info('Credential verifications expired', {
+    certificationsExpired: expired.length,
+    usersUpdated: userIds.length,
+    usersReconciled: reconciled.length,
+  });
+  return { certificationsExpired: expired.length, usersUpdated: userIds.length, usersReconciled: reconciled.length };
+};
+
+/**
+ * Process credential expiry job
+ */
+const processCredentialExpiryJob = async (job) => {
+  switch (job.name) {
+    case 'expire-credential-verifications':
+      return expireCredentialVerifications();
+    default:
+      throw new Error(`Unknown credential expiry job: ${job.name}`);
+  }
+};
+
+/**
+ * Register the repeatable credential expiry schedule (idempotent across restarts)
+ */
+const scheduleCredentialExpiry = async () => {
+  const queue = getQueue(QUEUE_NAMES.CREDENTIAL_EXPIRY);
+  await queue.upsertJobScheduler(
+    'credential-expiry',
+    { pattern: EXPIRY_CRON },
+    { name: 'expire-credential-verifications', opts: { attempts: 1 } }
+  );
+  logger.info('Credential expiry schedule registered', { cron: EXPIRY_CRON });
+};
+
+/**
+ * Create credential expiry worker
+ */
+const createCredentialExpiryWorker = () => {
+  const worker = new Worker(
+    QUEUE_NAMES.CREDENTIAL_EXPIRY,
+    processCredentialExpiryJob,
+    {
+      connection,
+      concurrency: 1,
+    }
+  );
+
+  worker.on('completed', (job) => {
+    logger.debug('Credential expiry job completed', { jobId: job.id, name: job.name });
+  });
+
+  worker.on('failed', (job, err) => {
+    logger.error('Credential expiry job failed', {
+      jobId: job?.id,
+      name: job?.name,
+      error: err.message,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Credential expiry worker error', { error: err.message });
+  });
+
+  logger.info(`Credential expiry worker started for queue: ${QUEUE_NAMES.CREDENTIAL_EXPIRY}`);
+
+  return worker;
+};
+
+module.exports = {
+  createCredentialExpiryWorker,
+  scheduleCredentialExpiry,
+  processCredentialExpiryJob,
+  expireCredentialVerifications,
+};
@@ -1,6 +1,16 @@
 // Email job processor
 const { Worker } = require('bullmq');
 const { getQueue, QUEUE_NAMES } = require('../services/jobQueue');
+const {
+  DEFAULT_FROM,
+  getEmailTransport,
+  createUnsubscribeToken,
+  buildUnsubscribeUrl,
+} = require('../services/emailService');
+const { renderEmail, TRANSACTIONAL_EMAIL_TYPES } = require('../services/emailTemplates');
+const EmailSend = require('../models/EmailSend');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
 const logger = require('../utils/logger');
 
 // Helper to mask email addresses for logging
@@ -14,18 +24,76 @@ const maskEmail = (email) => {
   return `${maskedLocal}@${domain}`;
 };
 
-// Email service will be implemented separately
-// For now, this is a placeholder that logs the email job
-const sendEmail = async (emailData) => {
-  // TODO: Implement actual email sending (nodemailer, SendGrid, etc.)
-  logger.info('Email job processed', {
-    to: maskEmail(emailData.to),
+/**
+ * Render and deliver one email through the configured transport.
+ * Every send is logged in email_sends (retries of the same job reuse the row);
+ * non-transactional email is skipped for users who turned email notifications off
+ * and carries a one-click unsubscribe link.
+ */
+const sendEmail = async (emailData, jobId = null) => {
+  const type = emailData.type;
+  const recipient = emailData.user_id
+    ? await User.findById(emailData.user_id)
+    : await User.findByEmail(emailData.to);
+  const to = emailData.to || (recipient && recipient.email);
+  if (!to) {
+    throw new Error('Email job has no recipient');
+  }
+
+  const send = await EmailSend.createForJob({
+    user_id: recipient ? recipient.id : null,
+    to_email: to,
+    email_type: type,
     subject: emailData.subject,
-    type: emailData.type,
+    job_id: jobId,
   });
-  
-  // Simulate email sending
-  return { success: true, messageId: `mock-${Date.now()}` };
+  if (send.status === 'sent') {
+    return { success: true, messageId: send.provider_message_id, skipped: 'already_sent' };
+  }
+
+  const transactional = TRANSACTIONAL_EMAIL_TYPES.includes(type);
+  if (!transactional && recipient) {
+    const preferences = await NotificationPreference.findByUserId(recipient.id);
+    if (preferences && !preferences.email_notifications) {
+      await EmailSend.markNotSent(send.id, 'suppressed', 'Email notifications disabled');
+      return { success: false, skipped: 'suppressed' };
+    }
+  }
+
+  const transport = getEmailTransport();
+  try {
+    const unsubscribeUrl = transactional ? null : buildUnsubscribeUrl(createUnsubscribeToken(send.id));
+    const content = renderEmail(type, emailData.data || {}, {
+      subject: emailData.subject,
+      unsubscribeUrl,
+    });
+
+    const result = await transport.send({
+      from: DEFAULT_FROM,
+      to,
+      subject: content.subject,
+      html: content.html,
+      text: content.text,
+      headers: unsubscribeUrl
+        ? {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        }
+        : undefined,
+    });
+
+    await EmailSend.markSent(send.id, transport.name, result.messageId);
+    logger.info('Email sent', {
+      to: maskEmail(to),
+      type,
+      transport: transport.name,
+      emailSendId: send.id,
+    });
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    await EmailSend.markNotSent(send.id, 'failed', error.message);
+    throw error;
+  }
 };
 
 /**
@@ -43,14 +111,17 @@ const createEmailWorker = () => {
       });
       
       try {
-        const result = await sendEmail(job.data);
+        const result = await sendEmail(job.data, String(job.id));
         logger.info(`Email job ${job.id} completed`, { result });
         return result;
       } catch (error) {
+        // Never log job.data: reset and verification emails carry live token links
         logger.logError(error, {
           context: 'emailWorker',
           jobId: job.id,
-          jobData: job.data,
+          type: job.data.type,
+          to: maskEmail(job.data.to),
+          userId: job.data.user_id,
         });
         throw error; // Will trigger retry
       }
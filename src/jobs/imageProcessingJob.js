@@ -1,8 +1,12 @@
 // Image Processing Job - Background worker for processing uploaded images
-const { Worker } = require('bullmq');
+const { Worker, UnrecoverableError } = require('bullmq');
 const { redisClient, getRedisConnectionConfig } = require('../config/redis');
 const { processImageFromBlob } = require('../services/imageProcessingService');
+const { flagForReview } = require('../services/phiScanService');
 const PostMedia = require('../models/PostMedia');
+const Post = require('../models/Post');
+const MessageAttachment = require('../models/MessageAttachment');
+const Message = require('../models/Message');
 const logger = require('../utils/logger');
 
 // Connection for BullMQ
@@ -12,18 +16,25 @@ const connection = getRedisConnectionConfig();
  * Process image processing job
  */
 const processImageJob = async (job) => {
-  const { mediaId, blobName, postMediaId } = job.data;
+  const { mediaId, blobName, postMediaId, messageAttachmentId } = job.data;
   
   try {
-    logger.info('Starting image processing job', { mediaId, blobName, postMediaId });
+    logger.info('Starting image processing job', { mediaId, blobName, postMediaId, messageAttachmentId });
     
     // Update status to processing
     if (postMediaId) {
       await PostMedia.updateStatus(postMediaId, 'processing');
     }
+    if (messageAttachmentId) {
+      await MessageAttachment.updateStatus(messageAttachmentId, 'processing');
+    }
     
-    // Process image from blob
-    const results = await processImageFromBlob(blobName, mediaId);
+    // Process image from blob (message attachment variants stay in the private container)
+    const results = await processImageFromBlob(
+      blobName,
+      mediaId,
+      messageAttachmentId ? { container: 'private' } : {}
+    );
     
     // Update PostMedia with results
     if (postMediaId) {
@@ -45,13 +56,47 @@ const processImageJob = async (job) => {
           dominant_color: results.dominantColor,
           width: width,
           height: height,
+          phi_findings: results.phiFindings.length > 0 ? results.phiFindings : null,
         }
       );
+
+      // Media already attached to a post sends the post to moderators (unattached media is checked in createPost)
+      if (results.phiFindings.length > 0) {
+        const media = await PostMedia.findById(postMediaId);
+        const post = media?.post_id ? await Post.findById(media.post_id) : null;
+        if (post) {
+          await flagForReview(
+            { type: 'post', id: post.id, owner_id: post.user_id, content: post.content },
+            results.phiFindings.map(finding => ({ field: 'media', media_id: postMediaId, ...finding }))
+          );
+        }
+      }
+    }
+    
+    if (messageAttachmentId) {
+      await MessageAttachment.updateStatus(messageAttachmentId, 'ready', {
+        variants: results.variants,
+        width: results.metadata?.width ?? null,
+        height: results.metadata?.height ?? null,
+        phi_findings: results.phiFindings.length > 0 ? results.phiFindings : null,
+      });
+
+      // Messages already sent with the image go to moderators (later sends are checked in sendMessage)
+      if (results.phiFindings.length > 0) {
+        const messages = await Message.findByAttachmentId(messageAttachmentId);
+        for (const message of messages) {
+          await flagForReview(
+            { type: 'message', id: message.id, owner_id: message.sender_id, content: message.content },
+            results.phiFindings.map(finding => ({ field: 'attachment', attachment_id: messageAttachmentId, ...finding }))
+          );
+        }
+      }
     }
     
     logger.info('Image processing job completed', { 
       mediaId, 
       postMediaId,
+      messageAttachmentId,
       variants: Object.keys(results.variants).length 
     });
     
@@ -67,6 +112,7 @@ const processImageJob = async (job) => {
       error: error.message,
       mediaId,
       postMediaId,
+      messageAttachmentId,
       stack: error.stack,
     });
     
@@ -75,10 +121,22 @@ const processImageJob = async (job) => {
       await PostMedia.updateStatus(
         postMediaId,
         'failed',
-        error.message
+        error.message,
+        null,
+        error.code === 'phi_detected' ? { phi_findings: error.findings } : {}
       );
     }
+    if (messageAttachmentId) {
+      await MessageAttachment.updateStatus(messageAttachmentId, 'failed', {
+        processing_error: error.message,
+        ...(error.code === 'phi_detected' && { phi_findings: error.findings }),
+      });
+    }
     
+    // A blocked image fails the same way on every attempt
+    if (error.code === 'phi_detected') {
+      throw new UnrecoverableError(error.message);
+    }
     throw error;
   }
 };
@@ -0,0 +1,295 @@
+// Job Alert Job - Repeatable worker that matches new job postings against saved job searches
+const { Worker } = require('bullmq');
+const { getRedisConnectionConfig } = require('../config/redis');
+const { getQueue, addEmailJob, QUEUE_NAMES } = require('../services/jobQueue');
+const { emitNotificationNew } = require('../services/eventService');
+const SavedJobSearch = require('../models/SavedJobSearch');
+const SavedJobSearchMatch = require('../models/SavedJobSearchMatch');
+const JobPosting = require('../models/JobPosting');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Connection for BullMQ
+const connection = getRedisConnectionConfig();
+
+const CHECK_INTERVAL_MS = parseInt(process.env.JOB_ALERT_INTERVAL_MS) || 15 * 60 * 1000;
+const DIGEST_CRON = process.env.JOB_ALERT_DIGEST_CRON || '0 8 * * *';
+const SEARCH_BATCH_SIZE = 100;
+const POSTING_PAGE_SIZE = 50;
+// Each run re-reads this much before the previous check: a posting whose transaction started
+// before that check but committed after it is still picked up (matches are deduplicated)
+const CHECK_OVERLAP_MS = 5 * 60 * 1000;
+
+// Describe a posting for notification and email bodies
+const describePosting = (posting) => {
+  const place = posting.is_remote ? 'Remote' : posting.location;
+  return [posting.title, posting.organization_name, place].filter(Boolean).join(' · ');
+};
+
+/**
+ * Match one saved search against postings created since its last run, page by page, so the
+ * next run can start from this one's check time without missing any
+ * Returns the number of new matches
+ */
+const processSavedSearch = async (search) => {
+  const checkedAt = await SavedJobSearch.getCheckTime();
+
+  if (!search.job_alerts) {
+    await SavedJobSearch.markChecked(search.id, checkedAt);
+    return 0;
+  }
+
+  // Postings created during the run are left for the next one, which keeps the pages stable
+  const filters = {
+    ...SavedJobSearch.toJobPostingFilters(search.filters),
+    created_after: search.last_checked_at
+      ? new Date(new Date(search.last_checked_at).getTime() - CHECK_OVERLAP_MS)
+      : null,
+    created_before: checkedAt,
+    exclude_posted_by: search.user_id,
+  };
+
+  const emailPending = search.email_notifications && !!search.email;
+  const matches = [];
+
+  let before = null;
+  while (true) {
+    const postings = await JobPosting.search({ ...filters, before }, POSTING_PAGE_SIZE, 0);
+
+    for (const posting of postings) {
+      const match = await SavedJobSearchMatch.create(search.id, posting.id, emailPending);
+      if (!match) {
+        continue; // Already alerted for this search
+      }
+
+      const notification = await Notification.create({
+        user_id: search.user_id,
+        notification_type: 'job_alert',
+        title: `New job matching "${search.name}"`,
+        message: describePosting(posting),
+        notification_data: { saved_search_id: search.id },
+        related_job_posting_id: posting.id,
+      });
+
+      try {
+        emitNotificationNew(notification);
+      } catch (error) {
+        logger.logError(error, { context: 'processSavedSearch.emitNotificationNew', savedSearchId: search.id });
+      }
+
+      matches.push({ match, posting });
+    }
+
+    if (postings.length < POSTING_PAGE_SIZE) {
+      break;
+    }
+    const last = postings[postings.length - 1];
+    before = { created_at: last.created_at, id: last.id };
+  }
+
+  await SavedJobSearch.markChecked(search.id, checkedAt, matches.length > 0);
+
+  // Daily searches stay pending for the digest; if an instant email fails to enqueue the digest picks it up
+  if (emailPending && search.alert_frequency === 'instant' && matches.length > 0) {
+    await addEmailJob({
+      to: search.email,
+      subject: matches.length === 1
+        ? `New job for "${search.name}": ${matches[0].posting.title}`
+        : `${matches.length} new jobs for "${search.name}"`,
+      type: 'job_alert',
+      data: {
+        first_name: search.first_name,
+        saved_search_id: search.id,
+        saved_search_name: search.name,
+        jobs: matches.map(({ posting }) => ({
+          id: posting.id,
+          title: posting.title,
+          summary: describePosting(posting),
+        })),
+      },
+    });
+    await SavedJobSearchMatch.settleEmail(matches.map(({ match }) => match.id));
+  }
+
+  return matches.length;
+};
+
+/**
+ * Run every saved search that has alerts enabled
+ */
+const checkSavedSearches = async () => {
+  let afterId = 0;
+  let searchesChecked = 0;
+  let matchesFound = 0;
+
+  while (true) {
+    const searches = await SavedJobSearch.findWithAlertsEnabled(afterId, SEARCH_BATCH_SIZE);
+    if (searches.length === 0) {
+      break;
+    }
+
+    for (const search of searches) {
+      try {
+        matchesFound += await processSavedSearch(search);
+        searchesChecked++;
+      } catch (error) {
+        // One broken search must not stop alerts for everyone else
+        logger.logError(error, { context: 'checkSavedSearches', savedSearchId: search.id });
+      }
+    }
+
+    afterId = searches[searches.length - 1].id;
+  }
+
+  logger.info('Saved job searches checked', { searchesChecked, matchesFound });
+  return { searchesChecked, matchesFound };
+};
+
+/**
+ * Send one digest email per user for matches waiting since the last digest
+ */
+const sendDailyDigests = async () => {
+  let afterUserId = 0;
+  let digestsSent = 0;
+
+  while (true) {
+    const userIds = await SavedJobSearchMatch.findUsersWithPendingEmail(afterUserId, SEARCH_BATCH_SIZE);
+    if (userIds.length === 0) {
+      break;
+    }
+
+    for (const userId of userIds) {
+      try {
+        const pending = await SavedJobSearchMatch.findPendingEmailByUserId(userId);
+        const ids = pending.map(match => match.id);
+        const jobs = pending.filter(match => match.job_is_active);
+
+        // Preferences may have changed since the matches were recorded
+        const searches = await SavedJobSearch.findByUserId(userId);
+        const recipient = await User.findById(userId);
+        const preferences = await NotificationPreference.findByUserId(userId);
+        const canEmail = recipient && recipient.is_active && recipient.email
+          && (!preferences || (preferences.email_notifications && preferences.job_alerts));
+
+        if (!canEmail || jobs.length === 0) {
+          await SavedJobSearchMatch.settleEmail(ids, false);
+          continue;
+        }
+
+        await addEmailJob({
+          to: recipient.email,
+          subject: jobs.length === 1
+            ? `New job for you: ${jobs[0].job_title}`
+            : `${jobs.length} new jobs match your saved searches`,
+          type: 'job_alert_digest',
+          data: {
+            first_name: recipient.first_name,
+            searches: searches
+              .filter(search => jobs.some(job => job.saved_search_id === search.id))
+              .map(search => ({
+                id: search.id,
+                name: search.name,
+                jobs: jobs
+                  .filter(job => job.saved_search_id === search.id)
+                  .map(job => ({
+                    id: job.job_posting_id,
+                    title: job.job_title,
+                    summary: describePosting({
+                      title: job.job_title,
+                      organization_name: job.organization_name,
+                      location: job.job_location,
+                      is_remote: job.job_is_remote,
+                    }),
+                  })),
+              })),
+          },
+        });
+        await SavedJobSearchMatch.settleEmail(ids);
+        digestsSent++;
+      } catch (error) {
+        logger.logError(error, { context: 'sendDailyDigests', userId });
+      }
+    }
+
+    afterUserId = userIds[userIds.length - 1];
+  }
+
+  logger.info('Job alert digests sent', { digestsSent });
+  return { digestsSent };
+};
+
+/**
+ * Process job alert job
+ */
+const processJobAlertJob = async (job) => {
+  switch (job.name) {
+    case 'check-saved-searches':
+      return checkSavedSearches();
+    case 'send-daily-digest':
+      return sendDailyDigests();
+    default:
+      throw new Error(`Unknown job alert job: ${job.name}`);
+  }
+};
+
+/**
+ * Register the repeatable job alert schedules (idempotent across restarts)
+ */
+const scheduleJobAlerts = async () => {
+  const queue = getQueue(QUEUE_NAMES.JOB_ALERTS);
+  await queue.upsertJobScheduler(
+    'job-alerts-check',
+    { every: CHECK_INTERVAL_MS },
+    { name: 'check-saved-searches', opts: { attempts: 1 } }
+  );
+  await queue.upsertJobScheduler(
+    'job-alerts-daily-digest',
+    { pattern: DIGEST_CRON },
+    { name: 'send-daily-digest', opts: { attempts: 1 } }
+  );
+  logger.info('Job alert schedules registered', { intervalMs: CHECK_INTERVAL_MS, digestCron: DIGEST_CRON });
+};
+
+/**
+ * Create job alert worker
+ */
+const createJobAlertWorker = () => {
+  const worker = new Worker(
+    QUEUE_NAMES.JOB_ALERTS,
+    processJobAlertJob,
+    {
+      connection,
+      concurrency: 1, // One run at a time; a run walks every saved search
+    }
+  );
+
+  worker.on('completed', (job) => {
+    logger.debug('Job alert job completed', { jobId: job.id, name: job.name });
+  });
+
+  worker.on('failed', (job, err) => {
+    logger.error('Job alert job failed', {
+      jobId: job?.id,
+      name: job?.name,
+      error: err.message,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Job alert worker error', { error: err.message });
+  });
+
+  logger.info(`Job alert worker started for queue: ${QUEUE_NAMES.JOB_ALERTS}`);
+
+  return worker;
+};
+
+module.exports = {
+  createJobAlertWorker,
+  scheduleJobAlerts,
+  processJobAlertJob,
+  checkSavedSearches,
+  sendDailyDigests,
+};
@@ -0,0 +1,113 @@
+// Notification Job - Push delivery worker for the notification queue
+const { Worker } = require('bullmq');
+const { getRedisConnectionConfig } = require('../config/redis');
+const { getQueue, QUEUE_NAMES } = require('../services/jobQueue');
+const { buildPushMessage, sendToTokens, isPushConfigured } = require('../services/pushService');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const DeviceToken = require('../models/DeviceToken');
+const logger = require('../utils/logger');
+
+// Connection for BullMQ
+const connection = getRedisConnectionConfig();
+
+/**
+ * Push one notification to every device of its recipient.
+ * Skips notifications that were read or deleted before the job ran, and
+ * deletes tokens FCM reports as no longer registered. Without Firebase nothing is sent.
+ */
+const sendPushNotification = async (jobData) => {
+  if (!isPushConfigured()) {
+    return { skipped: 'push_not_configured' };
+  }
+
+  const notification = await Notification.findById(jobData.notification_id);
+  if (!notification) {
+    return { skipped: 'not_found' };
+  }
+  if (notification.is_read) {
+    return { skipped: 'already_read' };
+  }
+
+  // Preferences may have changed since the job was queued
+  const preferences = await NotificationPreference.findByUserId(notification.user_id);
+  if (preferences && preferences.push_notifications === false) {
+    return { skipped: 'push_disabled' };
+  }
+
+  const devices = await DeviceToken.findTokensByUserId(notification.user_id);
+  if (devices.length === 0) {
+    return { skipped: 'no_devices' };
+  }
+
+  const badgeCount = await Notification.getUnreadCount(notification.user_id);
+  const message = buildPushMessage(notification, badgeCount);
+  const result = await sendToTokens(devices.map(device => device.token), message);
+
+  const prunedCount = await DeviceToken.removeTokens(result.invalidTokens);
+  if (prunedCount > 0) {
+    logger.info('Pruned invalid push tokens', { userId: notification.user_id, prunedCount });
+  }
+
+  return {
+    notificationId: notification.id,
+    successCount: result.successCount,
+    failureCount: result.failureCount,
+    prunedCount,
+  };
+};
+
+/**
+ * Process notification job
+ */
+const processNotificationJob = async (job) => {
+  switch (job.name) {
+    case 'send-notification':
+      return sendPushNotification(job.data);
+    default:
+      throw new Error(`Unknown notification job: ${job.name}`);
+  }
+};
+
+/**
+ * Create notification worker
+ */
+const createNotificationWorker = () => {
+  getQueue(QUEUE_NAMES.NOTIFICATION); // Initialize queue
+
+  const worker = new Worker(
+    QUEUE_NAMES.NOTIFICATION,
+    processNotificationJob,
+    {
+      connection,
+      concurrency: parseInt(process.env.NOTIFICATION_WORKER_CONCURRENCY) || 5,
+    }
+  );
+
+  worker.on('completed', (job, result) => {
+    logger.debug('Notification job completed', { jobId: job.id, result });
+  });
+
+  worker.on('failed', (job, err) => {
+    logger.error('Notification job failed', {
+      jobId: job?.id,
+      name: job?.name,
+      error: err.message,
+      attempts: job?.attemptsMade,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Notification worker error', { error: err.message });
+  });
+
+  logger.info(`Notification worker started for queue: ${QUEUE_NAMES.NOTIFICATION}`);
+
+  return worker;
+};
+
+module.exports = {
+  createNotificationWorker,
+  processNotificationJob,
+  sendPushNotification,
+};
@@ -3,6 +3,7 @@ const { Worker } = require('bullmq');
 const { redisClient, getRedisConnectionConfig } = require('../config/redis');
 const { processVideoFromBlob } = require('../services/videoProcessingService');
 const PostMedia = require('../models/PostMedia');
+const MessageAttachment = require('../models/MessageAttachment');
 const logger = require('../utils/logger');
 
 // Connection for BullMQ
@@ -12,18 +13,25 @@ const connection = getRedisConnectionConfig();
  * Process video processing job
  */
 const processVideoJob = async (job) => {
-  const { mediaId, blobName, postMediaId } = job.data;
+  const { mediaId, blobName, postMediaId, messageAttachmentId } = job.data;
   
   try {
-    logger.info('Starting video processing job', { mediaId, blobName, postMediaId });
+    logger.info('Starting video processing job', { mediaId, blobName, postMediaId, messageAttachmentId });
     
     // Update status to processing
     if (postMediaId) {
       await PostMedia.updateStatus(postMediaId, 'processing');
     }
+    if (messageAttachmentId) {
+      await MessageAttachment.updateStatus(messageAttachmentId, 'processing');
+    }
     
-    // Process video from blob
-    const results = await processVideoFromBlob(blobName, mediaId);
+    // Process video from blob (message attachment variants stay in the private container)
+    const results = await processVideoFromBlob(
+      blobName,
+      mediaId,
+      messageAttachmentId ? { container: 'private' } : {}
+    );
     
     // Combine video variants with poster
     const allVariants = {
@@ -47,9 +55,19 @@ const processVideoJob = async (job) => {
       );
     }
     
+    if (messageAttachmentId) {
+      await MessageAttachment.updateStatus(messageAttachmentId, 'ready', {
+        variants: allVariants,
+        width: results.metadata.width,
+        height: results.metadata.height,
+        duration: results.metadata.duration,
+      });
+    }
+    
     logger.info('Video processing job completed', { 
       mediaId, 
       postMediaId,
+      messageAttachmentId,
       variants: Object.keys(results.variants).length,
       duration: results.metadata.duration 
     });
@@ -67,6 +85,7 @@ const processVideoJob = async (job) => {
       error: error.message,
       mediaId,
       postMediaId,
+      messageAttachmentId,
       stack: error.stack,
     });
     
@@ -78,6 +97,9 @@ const processVideoJob = async (job) => {
         error.message
       );
     }
+    if (messageAttachmentId) {
+      await MessageAttachment.updateStatus(messageAttachmentId, 'failed', { processing_error: error.message });
+    }
     
     throw error;
   }
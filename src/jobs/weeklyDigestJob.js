@@ -0,0 +1,224 @@
+// Weekly Digest Job - Repeatable worker that emails opted-in users a summary of their week
+const { Worker } = require('bullmq');
+const { getRedisConnectionConfig } = require('../config/redis');
+const { getQueue, addEmailJob, QUEUE_NAMES } = require('../services/jobQueue');
+const Post = require('../models/Post');
+const Connection = require('../models/Connection');
+const ProfileVisitors = require('../models/ProfileVisitors');
+const MedicalCertification = require('../models/MedicalCertification');
+const SavedJobSearchMatch = require('../models/SavedJobSearchMatch');
+const WeeklyDigestSend = require('../models/WeeklyDigestSend');
+const logger = require('../utils/logger');
+
+// Connection for BullMQ
+const connection = getRedisConnectionConfig();
+
+const DIGEST_CRON = process.env.WEEKLY_DIGEST_CRON || '0 9 * * 1';
+const USER_BATCH_SIZE = parseInt(process.env.WEEKLY_DIGEST_BATCH_SIZE) || 100;
+const DIGEST_WINDOW_DAYS = 7;
+const CERTIFICATION_WINDOW_DAYS = 30;
+const MAX_TOP_POSTS = 5;
+const MAX_CONNECTION_REQUESTS = 5;
+const MAX_JOBS = 5;
+const EXCERPT_LENGTH = 140;
+
+// Monday of the current UTC week (YYYY-MM-DD); the send log is keyed on it
+const getWeekStart = (now = new Date()) => {
+  const monday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().slice(0, 10);
+};
+
+const excerpt = (content) => {
+  const text = (content || '').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.substring(0, EXCERPT_LENGTH - 1)}…` : text;
+};
+
+const fullName = (row) => [row.first_name, row.last_name].filter(Boolean).join(' ') || 'Someone';
+
+// Describe a matched job the same way job alert emails do
+const describeJob = (match) => {
+  const place = match.job_is_remote ? 'Remote' : match.job_location;
+  return [match.job_title, match.organization_name, place].filter(Boolean).join(' · ');
+};
+
+/**
+ * Build one user's digest from the past week. Returns the email data and the number of items in it.
+ */
+const buildWeeklyDigest = async (user, since) => {
+  // Over-fetch so the user's own posts can be dropped and still leave a full list
+  const feed = await Post.findFeedSorted(user.id, 'top', MAX_TOP_POSTS * 2, 0, since);
+  const topPosts = feed
+    .filter(post => post.user_id !== user.id)
+    .slice(0, MAX_TOP_POSTS)
+    .map(post => ({
+      id: post.id,
+      author_name: fullName(post),
+      excerpt: excerpt(post.content || post.original_content),
+    }));
+
+  const pending = await Connection.findPendingRequests(user.id);
+  const newRequests = pending.filter(request => new Date(request.requested_at) >= since);
+
+  const profileVisitorCount = await ProfileVisitors.getVisitorCountSince(user.id, since);
+
+  const certifications = await MedicalCertification.findExpiring(CERTIFICATION_WINDOW_DAYS, user.id);
+
+  // A posting can match several saved searches; list it once
+  const matches = await SavedJobSearchMatch.findRecentByUserId(user.id, since, MAX_JOBS * 2);
+  const jobs = [];
+  for (const match of matches) {
+    if (jobs.length < MAX_JOBS && !jobs.some(job => job.id === match.job_posting_id)) {
+      jobs.push({ id: match.job_posting_id, title: match.job_title, summary: describeJob(match) });
+    }
+  }
+
+  const itemCount = topPosts.length + newRequests.length + (profileVisitorCount > 0 ? 1 : 0)
+    + certifications.length + jobs.length;
+
+  return {
+    itemCount,
+    data: {
+      first_name: user.first_name,
+      top_posts: topPosts,
+      connection_request_count: newRequests.length,
+      connection_requests: newRequests.slice(0, MAX_CONNECTION_REQUESTS).map(request => ({
+        name: fullName(request),
+        headline: request.headline,
+      })),
+      profile_visitor_count: profileVisitorCount,
+      expiring_certifications: certifications.map(certification => ({
+        name: certification.name,
+        expiration_date: new Date(certification.expiration_date).toISOString().slice(0, 10),
+      })),
+      jobs,
+    },
+  };
+};
+
+/**
+ * Queue this week's digest for every opted-in user not yet logged for the week.
+ * Users are walked in batches; the send log makes reruns (and overlapping runs) skip anyone already handled.
+ */
+const sendWeeklyDigests = async (now = new Date()) => {
+  const weekStart = getWeekStart(now);
+  const since = new Date(now.getTime() - DIGEST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  let afterUserId = 0;
+  let digestsQueued = 0;
+  let digestsEmpty = 0;
+
+  while (true) {
+    const users = await WeeklyDigestSend.findDueUsers(weekStart, afterUserId, USER_BATCH_SIZE);
+    if (users.length === 0) {
+      break;
+    }
+
+    for (const user of users) {
+      try {
+        const digest = await buildWeeklyDigest(user, since);
+
+        // Nothing happened this week: log it so the user is not rebuilt on a rerun, but send nothing
+        if (digest.itemCount === 0) {
+          if (await WeeklyDigestSend.claim(user.id, weekStart, 'empty', 0)) {
+            digestsEmpty++;
+          }
+          continue;
+        }
+
+        const send = await WeeklyDigestSend.claim(user.id, weekStart, 'queued', digest.itemCount);
+        if (!send) {
+          continue; // Another run got there first
+        }
+
+        try {
+          await addEmailJob({
+            to: user.email,
+            user_id: user.id,
+            type: 'weekly_digest',
+            data: digest.data,
+          });
+        } catch (error) {
+          await WeeklyDigestSend.release(send.id);
+          throw error;
+        }
+        digestsQueued++;
+      } catch (error) {
+        // One broken digest must not stop everyone else's
+        logger.logError(error, { context: 'sendWeeklyDigests', userId: user.id });
+      }
+    }
+
+    afterUserId = users[users.length - 1].id;
+  }
+
+  logger.info('Weekly digests queued', { weekStart, digestsQueued, digestsEmpty });
+  return { weekStart, digestsQueued, digestsEmpty };
+};
+
+/**
+ * Process weekly digest job
+ */
+const processWeeklyDigestJob = async (job) => {
+  switch (job.name) {
+    case 'send-weekly-digest':
+      return sendWeeklyDigests();
+    default:
+      throw new Error(`Unknown weekly digest job: ${job.name}`);
+  }
+};
+
+/**
+ * Register the repeatable weekly digest schedule (idempotent across restarts)
+ */
+const scheduleWeeklyDigest = async () => {
+  const queue = getQueue(QUEUE_NAMES.WEEKLY_DIGEST);
+  await queue.upsertJobScheduler(
+    'weekly-digest',
+    { pattern: DIGEST_CRON },
+    { name: 'send-weekly-digest', opts: { attempts: 1 } }
+  );
+  logger.info('Weekly digest schedule registered', { cron: DIGEST_CRON });
+};
+
+/**
+ * Create weekly digest worker
+ */
+const createWeeklyDigestWorker = () => {
+  const worker = new Worker(
+    QUEUE_NAMES.WEEKLY_DIGEST,
+    processWeeklyDigestJob,
+    {
+      connection,
+      concurrency: 1, // One run at a time; a run walks every opted-in user
+    }
+  );
+
+  worker.on('completed', (job) => {
+    logger.debug('Weekly digest job completed', { jobId: job.id, name: job.name });
+  });
+
+  worker.on('failed', (job, err) => {
+    logger.error('Weekly digest job failed', {
+      jobId: job?.id,
+      name: job?.name,
+      error: err.message,
+    });
+  });
+
+  worker.on('error', (err) => {
+    logger.error('Weekly digest worker error', { error: err.message });
+  });
+
+  logger.info(`Weekly digest worker started for queue: ${QUEUE_NAMES.WEEKLY_DIGEST}`);
+
+  return worker;
+};
+
+module.exports = {
+  createWeeklyDigestWorker,
+  scheduleWeeklyDigest,
+  processWeeklyDigestJob,
+  buildWeeklyDigest,
+  sendWeeklyDigests,
+  getWeekStart,
+};
@@ -1,6 +1,12 @@
 // JWT authentication middleware
-const { verifyToken } = require('../utils/auth');
+const { verifyToken, verifyMfaPendingToken, isTokenRevoked } = require('../utils/auth');
 const User = require('../models/User');
+const { isSessionActive, hasRecentMfaVerification } = require('../services/sessionService');
+const { isMfaEnabled } = require('../services/mfaService');
+const { getAccess } = require('../services/accessControlService');
+
+// How recent a second-factor check must be for sensitive actions
+const MFA_STEP_UP_WINDOW_MINUTES = parseInt(process.env.MFA_STEP_UP_WINDOW_MINUTES) || 10;
 
 // Authenticate token middleware
 const authenticateToken = async (req, res, next) => {
@@ -28,10 +34,34 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password change or reset are no longer valid
+    if (isTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked',
+      });
+    }
+
+    if (user.is_active === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is suspended',
+      });
+    }
+
+    // Tokens of a signed-out or revoked session stop working before they expire
+    if (decoded.sessionId && !(await isSessionActive(decoded.sessionId, user.id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked',
+      });
+    }
+
     // Attach user info to request object
     req.user = {
       id: user.id,
       email: user.email,
+      sessionId: decoded.sessionId || null,
     };
 
     next();
@@ -56,6 +86,101 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Authenticate with either an access token or, during sign-in, the "mfa pending" token in the body.
+// Lets a user whose organization requires 2FA enrol before they get a session.
+const authenticateMfaEnrollment = async (req, res, next) => {
+  const mfaToken = req.body && req.body.mfa_token;
+  if (!mfaToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = verifyMfaPendingToken(mfaToken);
+    const user = await User.findById(decoded.userId);
+    if (!user || user.is_active === false || isTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token',
+      });
+    }
+
+    req.user = {
+      id: user.id,
+      email: user.email,
+      sessionId: null,
+      mfaPending: true,
+    };
+
+    next();
+  } catch (error) {
+    if (error.message === 'Token has expired' || error.message === 'Invalid token') {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error('Authentication error:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Step-up: users with 2FA enabled must have passed a second-factor check in this session recently.
+// Use after authenticateToken.
+const requireMfaStepUp = async (req, res, next) => {
+  try {
+    if (!(await isMfaEnabled(req.user.id))) {
+      return next();
+    }
+
+    if (req.user.sessionId && await hasRecentMfaVerification(req.user.sessionId, MFA_STEP_UP_WINDOW_MINUTES)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor verification required',
+      code: 'mfa_step_up_required',
+    });
+  } catch (error) {
+    console.error('MFA step-up check error:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Require a platform permission (see accessControlService). Use after authenticateToken;
+// attaches req.user.roles and req.user.permissions for the handler.
+const authorize = (permission) => async (req, res, next) => {
+  try {
+    const { roles, permissions } = await getAccess(req.user.id);
+    req.user.roles = roles;
+    req.user.permissions = permissions;
+
+    if (!permissions.includes(permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions',
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
 module.exports = {
   authenticateToken,
+  authorize,
+  authenticateMfaEnrollment,
+  requireMfaStepUp,
 };
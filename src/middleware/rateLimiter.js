@@ -158,6 +158,11 @@ const generalLimiter = rateLimit({
       '/api/v1/comments',
       '/api/v1/upload',
       '/api/v1/search',
+      '/api/v1/jobs',
+      '/api/v1/groups',
+      '/api/v1/recommendations',
+      '/api/v1/notifications',
+      '/api/v1/devices',
     ];
     
     // Skip if this is an authenticated route (will be handled by userLimiter)
@@ -1,6 +1,7 @@
 // WebSocket JWT authentication middleware for Socket.io
-const { verifyToken } = require('../utils/auth');
+const { verifyToken, isTokenRevoked } = require('../utils/auth');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
 
 // Authenticate WebSocket connection using JWT token
 const authenticateSocket = async (socket, next) => {
@@ -21,12 +22,26 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('User not found'));
     }
 
+    // Tokens issued before a password change or reset are no longer valid
+    if (isTokenRevoked(decoded, user)) {
+      return next(new Error('Token has been revoked'));
+    }
+
+    if (user.is_active === false) {
+      return next(new Error('Account is suspended'));
+    }
+
+    if (decoded.sessionId && !(await isSessionActive(decoded.sessionId, user.id))) {
+      return next(new Error('Session has been revoked'));
+    }
+
     // Attach user info to socket
     socket.user = {
       id: user.id,
       email: user.email,
       first_name: user.first_name,
       last_name: user.last_name,
+      sessionId: decoded.sessionId || null,
     };
 
     next();
@@ -21,6 +21,35 @@ const addIndexes = async () => {
       CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
     `);
 
+    // Auth tokens table indexes
+    logger.info('Creating indexes on auth_tokens table...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_purpose ON auth_tokens(user_id, purpose, created_at DESC);
+    `);
+
+    // Auth sessions and refresh tokens indexes
+    logger.info('Creating indexes on auth_sessions and refresh_tokens tables...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_active ON auth_sessions(user_id, last_used_at DESC) WHERE revoked_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+    `);
+
+    // User roles and admin audit log indexes
+    logger.info('Creating indexes on user_roles and admin_audit_logs tables...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_target ON admin_audit_logs(target_type, target_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_actor ON admin_audit_logs(actor_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_created_at ON admin_audit_logs(created_at DESC);
+    `);
+
+    // Reports (moderation queue) indexes
+    logger.info('Creating indexes on reports table...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_reports_open_target ON reports(target_type, target_id) WHERE status = 'open';
+      CREATE INDEX IF NOT EXISTS idx_reports_reporter_created ON reports(reporter_id, created_at DESC);
+    `);
+
     // Profiles table indexes
     logger.info('Creating indexes on profiles table...');
     await client.query(`
@@ -38,6 +67,7 @@ const addIndexes = async () => {
       CREATE INDEX IF NOT EXISTS idx_posts_post_type ON posts(post_type);
       CREATE INDEX IF NOT EXISTS idx_posts_user_created ON posts(user_id, created_at DESC);
       CREATE INDEX IF NOT EXISTS idx_posts_score_created ON posts(score DESC, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_posts_group_created ON posts(group_id, created_at DESC) WHERE group_id IS NOT NULL;
     `);
 
     // Comments table indexes
@@ -97,6 +127,23 @@ const addIndexes = async () => {
       CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
       CREATE INDEX IF NOT EXISTS idx_notifications_related_post_id ON notifications(related_post_id) WHERE related_post_id IS NOT NULL;
       CREATE INDEX IF NOT EXISTS idx_notifications_related_comment_id ON notifications(related_comment_id) WHERE related_comment_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_id_desc ON notifications(user_id, id DESC);
+      CREATE INDEX IF NOT EXISTS idx_notifications_user_group_key ON notifications(user_id, group_key) WHERE group_key IS NOT NULL;
+    `);
+
+    // Device tokens table indexes
+    logger.info('Creating indexes on device_tokens table...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_device_tokens_user_id ON device_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_device_tokens_installation ON device_tokens(user_id, installation_id) WHERE installation_id IS NOT NULL;
+    `);
+
+    // Email sends table indexes
+    logger.info('Creating indexes on email_sends table...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_email_sends_user_created ON email_sends(user_id, created_at DESC) WHERE user_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_email_sends_provider_message_id ON email_sends(provider_message_id) WHERE provider_message_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_email_sends_to_email ON email_sends(LOWER(to_email), created_at DESC);
     `);
 
     // Job postings table indexes
@@ -107,6 +154,7 @@ const addIndexes = async () => {
       CREATE INDEX IF NOT EXISTS idx_job_postings_created_at ON job_postings(created_at DESC);
       CREATE INDEX IF NOT EXISTS idx_job_postings_organization_id ON job_postings(organization_id) WHERE organization_id IS NOT NULL;
       CREATE INDEX IF NOT EXISTS idx_job_postings_active_created ON job_postings(is_active, created_at DESC) WHERE is_active = TRUE;
+      CREATE INDEX IF NOT EXISTS idx_job_postings_posted_by ON job_postings(posted_by);
     `);
 
     // Job applications table indexes
@@ -116,6 +164,14 @@ const addIndexes = async () => {
       CREATE INDEX IF NOT EXISTS idx_job_applications_job_posting_id ON job_applications(job_posting_id);
       CREATE INDEX IF NOT EXISTS idx_job_applications_status ON job_applications(status);
       CREATE INDEX IF NOT EXISTS idx_job_applications_created_at ON job_applications(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_job_applications_posting_status ON job_applications(job_posting_id, status);
+    `);
+
+    // Application pipeline table indexes
+    logger.info('Creating indexes on application_stage_history and application_notes tables...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_application_stage_history_application_id ON application_stage_history(application_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_application_notes_application_id ON application_notes(application_id, created_at DESC);
     `);
 
     // Medical experiences table indexes
@@ -142,11 +198,34 @@ const addIndexes = async () => {
       CREATE INDEX IF NOT EXISTS idx_user_skills_skill_id ON user_skills(skill_id);
     `);
 
+    // Job matching indexes (skill overlap, discoverable candidates)
+    logger.info('Creating indexes on job_skills and profile_settings tables...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_job_skills_skill_id ON job_skills(skill_id);
+      CREATE INDEX IF NOT EXISTS idx_profile_settings_open_to_opportunities ON profile_settings(user_id) WHERE open_to_opportunities = TRUE;
+    `);
+
+    // Saved job search indexes
+    logger.info('Creating indexes on saved_job_searches and saved_job_search_matches tables...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_saved_job_searches_user_id ON saved_job_searches(user_id);
+      CREATE INDEX IF NOT EXISTS idx_saved_job_searches_alerts ON saved_job_searches(id) WHERE alert_frequency <> 'off';
+      CREATE INDEX IF NOT EXISTS idx_saved_job_search_matches_pending ON saved_job_search_matches(saved_search_id) WHERE email_pending = TRUE;
+    `);
+
     // Medical certifications table indexes
     logger.info('Creating indexes on medical_certifications table...');
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_medical_certifications_user_id ON medical_certifications(user_id);
       CREATE INDEX IF NOT EXISTS idx_medical_certifications_status ON medical_certifications(status);
+      CREATE INDEX IF NOT EXISTS idx_medical_certifications_verified_expiry ON medical_certifications(expiration_date) WHERE verification_status = 'verified';
+    `);
+
+    // Credential verification requests table indexes
+    logger.info('Creating indexes on credential_verification_requests table...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_credential_verification_requests_queue ON credential_verification_requests(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_credential_verification_requests_certification ON credential_verification_requests(certification_id, created_at DESC);
     `);
 
     // Medical publications table indexes
@@ -185,6 +264,14 @@ const addIndexes = async () => {
       CREATE INDEX IF NOT EXISTS idx_messages_sender_id ON messages(sender_id);
       CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at DESC);
       CREATE INDEX IF NOT EXISTS idx_messages_conversation_created ON messages(conversation_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_messages_attachment_id ON messages(attachment_id) WHERE attachment_id IS NOT NULL;
+    `);
+
+    // Conversation participants table indexes
+    logger.info('Creating indexes on conversation_participants table...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_conversation_participants_user_active ON conversation_participants(user_id) WHERE left_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_conversation_participants_conversation_id ON conversation_participants(conversation_id);
     `);
 
     // Medical groups table indexes
@@ -192,6 +279,7 @@ const addIndexes = async () => {
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_medical_groups_created_by ON medical_groups(created_by);
       CREATE INDEX IF NOT EXISTS idx_medical_groups_created_at ON medical_groups(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_medical_groups_member_count ON medical_groups(member_count DESC) WHERE is_archived = FALSE;
     `);
 
     // Group memberships table indexes
@@ -200,6 +288,7 @@ const addIndexes = async () => {
       CREATE INDEX IF NOT EXISTS idx_group_memberships_user_id ON group_memberships(user_id);
       CREATE INDEX IF NOT EXISTS idx_group_memberships_group_id ON group_memberships(group_id);
       CREATE INDEX IF NOT EXISTS idx_group_memberships_status ON group_memberships(status);
+      CREATE INDEX IF NOT EXISTS idx_group_memberships_group_status ON group_memberships(group_id, status);
     `);
 
     // Shares table indexes
@@ -248,6 +337,14 @@ const addIndexes = async () => {
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_recommendations_user_id ON recommendations(user_id);
       CREATE INDEX IF NOT EXISTS idx_recommendations_recommender_id ON recommendations(recommender_id);
+      CREATE INDEX IF NOT EXISTS idx_recommendations_user_visible ON recommendations(user_id) WHERE is_visible = TRUE;
+    `);
+
+    // Skill endorsements table indexes
+    logger.info('Creating indexes on skill_endorsements table...');
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_skill_endorsements_endorsee_skill ON skill_endorsements(endorsee_id, skill_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_skill_endorsements_endorser_endorsee ON skill_endorsements(endorser_id, endorsee_id);
     `);
 
     // Profile visitors table indexes
@@ -1,6 +1,9 @@
 // Activity Feed model - User activity timeline
 const { pool } = require('../config/database');
 
+// Activity types only ever shown to the user who performed them (never in network feeds)
+const PRIVATE_ACTIVITY_TYPES = ['job_applied', 'application_stage_changed'];
+
 // Initialize activity_feed table
 const initializeActivityFeedTable = async () => {
   try {
@@ -88,7 +91,7 @@ const findFeed = async (userId, limit = 50, offset = 0) => {
       JOIN users u ON af.user_id = u.id
       LEFT JOIN posts p ON af.related_post_id = p.id
       LEFT JOIN comments c ON af.related_comment_id = c.id
-      WHERE af.user_id = $1
+      WHERE (af.user_id = $1
          OR EXISTS (
            SELECT 1 FROM follows f
            WHERE f.following_id = af.user_id AND f.follower_id = $1
@@ -99,10 +102,12 @@ const findFeed = async (userId, limit = 50, offset = 0) => {
                   (c.requester_id = af.user_id AND c.addressee_id = $1))
              AND c.status = 'connected'
          )
+      )
+        AND (af.user_id = $1 OR af.activity_type <> ALL($4::text[]))
       ORDER BY af.created_at DESC
       LIMIT $2 OFFSET $3
     `;
-    const result = await pool.query(query, [userId, limit, offset]);
+    const result = await pool.query(query, [userId, limit, offset, PRIVATE_ACTIVITY_TYPES]);
     return result.rows;
   } catch (error) {
     console.error('Error finding feed activities:', error.message);
@@ -158,7 +163,7 @@ const findByDateRange = async (userId, startDate, endDate, limit = 50, offset =
   }
 };
 
-// Find activities with filters (type and/or date range)
+// Find activities with filters (type, date range and/or exclude_private)
 const findWithFilters = async (userId, filters = {}, limit = 50, offset = 0) => {
   try {
     let query = `
@@ -176,6 +181,12 @@ const findWithFilters = async (userId, filters = {}, limit = 50, offset = 0) =>
     const params = [userId];
     let paramCount = 2;
 
+    if (filters.exclude_private) {
+      query += ` AND af.activity_type <> ALL($${paramCount}::text[])`;
+      params.push(PRIVATE_ACTIVITY_TYPES);
+      paramCount++;
+    }
+
     if (filters.activity_type) {
       query += ` AND af.activity_type = $${paramCount}`;
       params.push(filters.activity_type);
@@ -224,9 +235,10 @@ const findFeedWithFilters = async (userId, filters = {}, limit = 50, offset = 0)
                   (c.requester_id = af.user_id AND c.addressee_id = $1))
              AND c.status = 'connected'
          ))
+        AND (af.user_id = $1 OR af.activity_type <> ALL($2::text[]))
     `;
-    const params = [userId];
-    let paramCount = 2;
+    const params = [userId, PRIVATE_ACTIVITY_TYPES];
+    let paramCount = 3;
 
     if (filters.activity_type) {
       query += ` AND af.activity_type = $${paramCount}`;
@@ -276,6 +288,7 @@ const findMutualActivities = async (userId1, userId2, limit = 50, offset = 0) =>
 };
 
 module.exports = {
+  PRIVATE_ACTIVITY_TYPES,
   initializeActivityFeedTable,
   create,
   findByUserId,
@@ -0,0 +1,98 @@
+// Admin Audit Log model - Append-only record of staff actions (suspensions, role changes, verifications)
+const { pool } = require('../config/database');
+
+// Initialize admin_audit_logs table
+const initializeAdminAuditLogsTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS admin_audit_logs (
+        id SERIAL PRIMARY KEY,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(100) NOT NULL,
+        target_type VARCHAR(50) NOT NULL,
+        target_id INTEGER,
+        details JSONB DEFAULT '{}'::jsonb,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Admin audit logs table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing admin audit logs table:', error.message);
+    throw error;
+  }
+};
+
+// Record an action
+const create = async ({ actor_id, action, target_type, target_id = null, details = {}, ip_address = null }, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      INSERT INTO admin_audit_logs (actor_id, action, target_type, target_id, details, ip_address)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [
+      actor_id,
+      action,
+      target_type,
+      target_id,
+      JSON.stringify(details || {}),
+      ip_address,
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating admin audit log:', error.message);
+    throw error;
+  }
+};
+
+// Audit history, newest first, filtered by actor, target or action
+const findAll = async ({ actorId = null, targetType = null, targetId = null, action = null, limit = 50, offset = 0 } = {}) => {
+  try {
+    const conditions = [];
+    const values = [];
+
+    if (actorId) {
+      values.push(actorId);
+      conditions.push(`l.actor_id = $${values.length}`);
+    }
+    if (targetType) {
+      values.push(targetType);
+      conditions.push(`l.target_type = $${values.length}`);
+    }
+    if (targetId) {
+      values.push(targetId);
+      conditions.push(`l.target_id = $${values.length}`);
+    }
+    if (action) {
+      values.push(action);
+      conditions.push(`l.action = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM admin_audit_logs l ${where}`, values);
+
+    values.push(limit, offset);
+    const query = `
+      SELECT l.*, u.first_name AS actor_first_name, u.last_name AS actor_last_name, u.email AS actor_email
+      FROM admin_audit_logs l
+      LEFT JOIN users u ON l.actor_id = u.id
+      ${where}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+    const result = await pool.query(query, values);
+    return { logs: result.rows, total: countResult.rows[0].total };
+  } catch (error) {
+    console.error('Error finding admin audit logs:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeAdminAuditLogsTable,
+  create,
+  findAll,
+};
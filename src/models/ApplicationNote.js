@@ -0,0 +1,93 @@
+// Application Note model - Private recruiter notes on job applications
+const { pool } = require('../config/database');
+
+// Initialize application_notes table
+const initializeApplicationNotesTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS application_notes (
+        id SERIAL PRIMARY KEY,
+        application_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+        author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        note TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Application notes table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing application notes table:', error.message);
+    throw error;
+  }
+};
+
+// Create note
+const create = async (noteData) => {
+  try {
+    const query = `
+      INSERT INTO application_notes (application_id, author_id, note)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `;
+    const result = await pool.query(query, [
+      noteData.application_id,
+      noteData.author_id,
+      noteData.note
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating application note:', error.message);
+    throw error;
+  }
+};
+
+// Find note by ID
+const findById = async (id) => {
+  try {
+    const query = 'SELECT * FROM application_notes WHERE id = $1';
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding application note by ID:', error.message);
+    throw error;
+  }
+};
+
+// Find notes for an application (newest first)
+const findByApplicationId = async (applicationId) => {
+  try {
+    const query = `
+      SELECT an.*, u.first_name AS author_first_name, u.last_name AS author_last_name
+      FROM application_notes an
+      LEFT JOIN users u ON an.author_id = u.id
+      WHERE an.application_id = $1
+      ORDER BY an.created_at DESC
+    `;
+    const result = await pool.query(query, [applicationId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding application notes:', error.message);
+    throw error;
+  }
+};
+
+// Delete note
+const remove = async (id) => {
+  try {
+    const query = 'DELETE FROM application_notes WHERE id = $1 RETURNING *';
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error deleting application note:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeApplicationNotesTable,
+  create,
+  findById,
+  findByApplicationId,
+  remove,
+};
@@ -0,0 +1,71 @@
+// Application Stage History model - Audit trail of job application pipeline transitions
+const { pool } = require('../config/database');
+
+// Initialize application_stage_history table
+const initializeApplicationStageHistoryTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS application_stage_history (
+        id SERIAL PRIMARY KEY,
+        application_id INTEGER NOT NULL REFERENCES job_applications(id) ON DELETE CASCADE,
+        from_stage VARCHAR(50),
+        to_stage VARCHAR(50) NOT NULL,
+        changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Application stage history table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing application stage history table:', error.message);
+    throw error;
+  }
+};
+
+// Record a stage transition
+const create = async (historyData, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      INSERT INTO application_stage_history (application_id, from_stage, to_stage, changed_by, note)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [
+      historyData.application_id,
+      historyData.from_stage || null,
+      historyData.to_stage,
+      historyData.changed_by || null,
+      historyData.note || null
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating application stage history:', error.message);
+    throw error;
+  }
+};
+
+// Find stage history for an application (oldest first)
+const findByApplicationId = async (applicationId) => {
+  try {
+    const query = `
+      SELECT ash.*, u.first_name AS changed_by_first_name, u.last_name AS changed_by_last_name
+      FROM application_stage_history ash
+      LEFT JOIN users u ON ash.changed_by = u.id
+      WHERE ash.application_id = $1
+      ORDER BY ash.created_at ASC, ash.id ASC
+    `;
+    const result = await pool.query(query, [applicationId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding application stage history:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeApplicationStageHistoryTable,
+  create,
+  findByApplicationId,
+};
@@ -0,0 +1,175 @@
+// Auth Session model - One row per signed-in device; its refresh tokens form one rotating family
+const { pool } = require('../config/database');
+
+const SESSION_REVOKE_REASONS = ['logout', 'revoked', 'revoked_all', 'password_changed', 'password_reset', 'refresh_token_reuse', 'suspended'];
+
+// Initialize auth_sessions table
+const initializeAuthSessionsTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        device_name VARCHAR(255),
+        user_agent VARCHAR(500),
+        ip_address VARCHAR(45),
+        expires_at TIMESTAMP NOT NULL,
+        last_used_at TIMESTAMP DEFAULT NOW(),
+        revoked_at TIMESTAMP,
+        revoked_reason VARCHAR(50),
+        mfa_verified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+
+    // Migration: last two-factor check in the session, for step-up on sensitive actions
+    try {
+      await pool.query('ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS mfa_verified_at TIMESTAMP');
+    } catch (migrationError) {
+      console.log('Migration note: auth_sessions mfa_verified_at column may already exist');
+    }
+
+    console.log('✅ Auth sessions table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing auth sessions table:', error.message);
+    throw error;
+  }
+};
+
+// Create a session that lives for ttlDays unless refreshed; mfaVerified when sign-in passed a second factor
+const create = async (userId, { device_name, user_agent, ip_address }, ttlDays, client = null, mfaVerified = false) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      INSERT INTO auth_sessions (user_id, device_name, user_agent, ip_address, expires_at, mfa_verified_at)
+      VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5), CASE WHEN $6::boolean THEN NOW() END)
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [
+      userId,
+      device_name ? String(device_name).substring(0, 255) : null,
+      user_agent ? String(user_agent).substring(0, 500) : null,
+      ip_address || null,
+      ttlDays,
+      mfaVerified,
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating auth session:', error.message);
+    throw error;
+  }
+};
+
+// Find session by ID
+const findById = async (id) => {
+  try {
+    const query = 'SELECT * FROM auth_sessions WHERE id = $1';
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding auth session:', error.message);
+    throw error;
+  }
+};
+
+// Sessions that are neither revoked nor expired, most recently used first
+const findActiveByUserId = async (userId) => {
+  try {
+    const query = `
+      SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+      FROM auth_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY last_used_at DESC
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding active auth sessions:', error.message);
+    throw error;
+  }
+};
+
+// Record a refresh: slide the expiry and remember where it came from
+const touch = async (id, { user_agent, ip_address }, ttlDays, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE auth_sessions
+      SET last_used_at = NOW(),
+          expires_at = NOW() + make_interval(days => $4),
+          user_agent = COALESCE($2, user_agent),
+          ip_address = COALESCE($3, ip_address)
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [
+      id,
+      user_agent ? String(user_agent).substring(0, 500) : null,
+      ip_address || null,
+      ttlDays,
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error touching auth session:', error.message);
+    throw error;
+  }
+};
+
+// Record a successful two-factor check in the session (step-up)
+const markMfaVerified = async (id) => {
+  try {
+    const query = 'UPDATE auth_sessions SET mfa_verified_at = NOW() WHERE id = $1 RETURNING *';
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error marking auth session MFA verified:', error.message);
+    throw error;
+  }
+};
+
+// Revoke one session; pass userId to only revoke it if it belongs to that user. Returns the session or null.
+const revoke = async (id, reason, userId = null) => {
+  try {
+    const query = `
+      UPDATE auth_sessions
+      SET revoked_at = NOW(), revoked_reason = $2
+      WHERE id = $1 AND revoked_at IS NULL AND ($3::integer IS NULL OR user_id = $3)
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id, reason, userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error revoking auth session:', error.message);
+    throw error;
+  }
+};
+
+// Revoke every live session of a user except exceptSessionId; returns the revoked IDs
+const revokeAllForUser = async (userId, reason, exceptSessionId = null) => {
+  try {
+    const query = `
+      UPDATE auth_sessions
+      SET revoked_at = NOW(), revoked_reason = $2
+      WHERE user_id = $1 AND revoked_at IS NULL AND ($3::integer IS NULL OR id <> $3)
+      RETURNING id
+    `;
+    const result = await pool.query(query, [userId, reason, exceptSessionId]);
+    return result.rows.map(row => row.id);
+  } catch (error) {
+    console.error('Error revoking auth sessions:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  SESSION_REVOKE_REASONS,
+  initializeAuthSessionsTable,
+  create,
+  findById,
+  findActiveByUserId,
+  touch,
+  markMfaVerified,
+  revoke,
+  revokeAllForUser,
+};
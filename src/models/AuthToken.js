@@ -0,0 +1,118 @@
+// Auth Token model - Single-use, expiring tokens for emailed links (password reset, email verification)
+const { pool } = require('../config/database');
+const { generateSecureToken, hashToken } = require('../utils/auth');
+
+const AUTH_TOKEN_PURPOSES = ['password_reset', 'email_verification'];
+
+// Initialize auth_tokens table
+const initializeAuthTokensTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Auth tokens table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing auth tokens table:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Issue a token for a purpose. Earlier unused tokens for the same purpose are retired,
+ * so only the most recent link works. Returns the raw token (only its hash is stored).
+ */
+const issue = async (userId, purpose, ttlMinutes) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE auth_tokens SET used_at = NOW()
+       WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+      [userId, purpose]
+    );
+
+    const token = generateSecureToken();
+    await client.query(
+      `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+      [userId, purpose, hashToken(token), ttlMinutes]
+    );
+
+    await client.query('COMMIT');
+    return token;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error issuing auth token:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Redeem a raw token: marks it used and returns the row, or null if unknown, used or expired
+const consume = async (token, purpose) => {
+  try {
+    const query = `
+      UPDATE auth_tokens
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING *
+    `;
+    const result = await pool.query(query, [hashToken(token), purpose]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error consuming auth token:', error.message);
+    throw error;
+  }
+};
+
+// Most recently issued token for a user and purpose (used to throttle resends)
+const findLatest = async (userId, purpose) => {
+  try {
+    const query = `
+      SELECT * FROM auth_tokens
+      WHERE user_id = $1 AND purpose = $2
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [userId, purpose]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding latest auth token:', error.message);
+    throw error;
+  }
+};
+
+// Retire every unused token of a purpose (e.g. pending reset links once the password changes)
+const revokeForUser = async (userId, purpose) => {
+  try {
+    const query = `
+      UPDATE auth_tokens SET used_at = NOW()
+      WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+    `;
+    const result = await pool.query(query, [userId, purpose]);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error revoking auth tokens:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  AUTH_TOKEN_PURPOSES,
+  initializeAuthTokensTable,
+  issue,
+  consume,
+  findLatest,
+  revokeForUser,
+};
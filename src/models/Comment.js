@@ -43,6 +43,17 @@ const initializeCommentsTable = async () => {
       // Columns might already exist, ignore
       console.log('Migration note: Vote columns may already exist');
     }
+
+    // Migration: moderation state ('hidden' or 'removed' by a moderator; NULL when visible)
+    try {
+      await pool.query(`
+        ALTER TABLE comments
+        ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP;
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: Comment moderation columns may already exist');
+    }
     
     console.log('✅ Comments table initialized');
   } catch (error) {
@@ -97,7 +108,7 @@ const findByPostId = async (postId, limit = 50, offset = 0) => {
       SELECT c.*, u.first_name, u.last_name, u.profile_image_url
       FROM comments c
       JOIN users u ON c.user_id = u.id
-      WHERE c.post_id = $1 AND c.parent_comment_id IS NULL
+      WHERE c.post_id = $1 AND c.parent_comment_id IS NULL AND c.moderation_status IS NULL
       ORDER BY c.created_at ASC
       LIMIT $2 OFFSET $3
     `;
@@ -116,7 +127,7 @@ const findReplies = async (commentId, limit = 20, offset = 0) => {
       SELECT c.*, u.first_name, u.last_name, u.profile_image_url
       FROM comments c
       JOIN users u ON c.user_id = u.id
-      WHERE c.parent_comment_id = $1
+      WHERE c.parent_comment_id = $1 AND c.moderation_status IS NULL
       ORDER BY c.created_at ASC
       LIMIT $2 OFFSET $3
     `;
@@ -292,7 +303,7 @@ const findByPostIdSorted = async (postId, sortBy = 'best', limit = 50, offset =
       SELECT c.*, u.first_name, u.last_name, u.profile_image_url
       FROM comments c
       JOIN users u ON c.user_id = u.id
-      WHERE c.post_id = $1 AND c.parent_comment_id IS NULL
+      WHERE c.post_id = $1 AND c.parent_comment_id IS NULL AND c.moderation_status IS NULL
       ORDER BY ${orderClause}
       LIMIT $2 OFFSET $3
     `;
@@ -334,7 +345,7 @@ const findRepliesSorted = async (commentId, sortBy = 'best', limit = 20, offset
       SELECT c.*, u.first_name, u.last_name, u.profile_image_url
       FROM comments c
       JOIN users u ON c.user_id = u.id
-      WHERE c.parent_comment_id = $1
+      WHERE c.parent_comment_id = $1 AND c.moderation_status IS NULL
       ORDER BY ${orderClause}
       LIMIT $2 OFFSET $3
     `;
@@ -346,14 +357,15 @@ const findRepliesSorted = async (commentId, sortBy = 'best', limit = 20, offset
   }
 };
 
-// Find all comments for a post (including all nested replies)
+// Find all comments for a post (including all nested replies); replies under a hidden
+// or removed comment drop out of the tree with it
 const findAllByPostId = async (postId) => {
   try {
     const query = `
       SELECT c.*, u.first_name, u.last_name, u.profile_image_url
       FROM comments c
       JOIN users u ON c.user_id = u.id
-      WHERE c.post_id = $1
+      WHERE c.post_id = $1 AND c.moderation_status IS NULL
       ORDER BY c.created_at ASC
     `;
     const result = await pool.query(query, [postId]);
@@ -444,6 +456,25 @@ const findCommentTree = async (commentId, sortBy = 'best') => {
   }
 };
 
+// Hide or remove a comment ('hidden' / 'removed'), or make it visible again (null)
+const setModerationStatus = async (id, status, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE comments
+      SET moderation_status = $2::varchar,
+          moderated_at = CASE WHEN $2::varchar IS NULL THEN NULL ELSE NOW() END
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [id, status]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error setting comment moderation status:', error.message);
+    throw error;
+  }
+};
+
 // Delete comment
 const remove = async (id, client = null) => {
   try {
@@ -475,5 +506,6 @@ module.exports = {
   incrementDownvotes,
   incrementReplies,
   calculateWilsonScore,
+  setModerationStatus,
   remove,
 };
@@ -271,6 +271,28 @@ const findMutualConnections = async (userId1, userId2) => {
   }
 };
 
+// Check whether two users share at least one connection (each is in the other's 2nd degree)
+const hasMutualConnection = async (userId1, userId2) => {
+  try {
+    const query = `
+      SELECT 1
+      FROM connections c1
+      JOIN connections c2 ON c2.status = 'connected'
+        AND (c2.requester_id = $2 OR c2.addressee_id = $2)
+        AND (CASE WHEN c2.requester_id = $2 THEN c2.addressee_id ELSE c2.requester_id END)
+          = (CASE WHEN c1.requester_id = $1 THEN c1.addressee_id ELSE c1.requester_id END)
+      WHERE c1.status = 'connected'
+        AND (c1.requester_id = $1 OR c1.addressee_id = $1)
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [userId1, userId2]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error checking mutual connection:', error.message);
+    throw error;
+  }
+};
+
 // Find second-degree connections (connections of connections)
 const findSecondDegreeConnections = async (userId, limit = 50) => {
   try {
@@ -347,6 +369,7 @@ module.exports = {
   findOutgoingRequests,
   getConnectionCount,
   findMutualConnections,
+  hasMutualConnection,
   findSecondDegreeConnections,
   getNetworkStats,
 };
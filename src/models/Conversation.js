@@ -1,5 +1,15 @@
-// Conversation model - Message threads
-const { pool } = require('../config/database');
+// Conversation model - Message threads (1:1 and group)
+const { pool, withTransaction } = require('../config/database');
+const ConversationParticipant = require('./ConversationParticipant');
+
+// direct = 1:1 thread keyed by participant1_id/participant2_id; group = members in conversation_participants only
+const CONVERSATION_TYPES = ['direct', 'group'];
+
+// Conversation fields returned to clients (per-user state such as unread counts lives in conversation_participants)
+const PUBLIC_COLUMNS_SQL = `
+  c.id, c.type, c.title, c.avatar_url, c.created_by, c.participant1_id, c.participant2_id,
+  c.last_message_at, c.last_message_id, c.created_at, c.updated_at
+`;
 
 // Initialize conversations table
 const initializeConversationsTable = async () => {
@@ -22,6 +32,22 @@ const initializeConversationsTable = async () => {
       );
     `;
     await pool.query(query);
+
+    // Migration: group conversations have a title and avatar and no fixed participant pair
+    try {
+      await pool.query(`
+        ALTER TABLE conversations
+          ADD COLUMN IF NOT EXISTS type VARCHAR(20) NOT NULL DEFAULT 'direct',
+          ADD COLUMN IF NOT EXISTS title VARCHAR(100),
+          ADD COLUMN IF NOT EXISTS avatar_url VARCHAR(500),
+          ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          ALTER COLUMN participant1_id DROP NOT NULL,
+          ALTER COLUMN participant2_id DROP NOT NULL
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: conversations group columns may already exist', migrationError.message);
+    }
+
     console.log('✅ Conversations table initialized');
   } catch (error) {
     console.error('❌ Error initializing conversations table:', error.message);
@@ -29,24 +55,84 @@ const initializeConversationsTable = async () => {
   }
 };
 
-// Create or get conversation
+// Create or get the 1:1 conversation between two users
 const findOrCreate = async (userId1, userId2) => {
   try {
     // Ensure consistent ordering (smaller ID first)
     const [participant1, participant2] = userId1 < userId2 ? [userId1, userId2] : [userId2, userId1];
     
-    // Use atomic upsert
+    return await withTransaction(async (client) => {
+      // Use atomic upsert
+      const query = `
+        INSERT INTO conversations (participant1_id, participant2_id, type)
+        VALUES ($1, $2, 'direct')
+        ON CONFLICT (participant1_id, participant2_id) DO UPDATE SET
+          participant1_id = EXCLUDED.participant1_id
+        RETURNING *
+      `;
+      const result = await client.query(query, [participant1, participant2]);
+      const conversation = result.rows[0];
+      await client.query(
+        `INSERT INTO conversation_participants (conversation_id, user_id)
+         VALUES ($1, $2), ($1, $3)
+         ON CONFLICT (conversation_id, user_id) DO NOTHING`,
+        [conversation.id, participant1, participant2]
+      );
+      return conversation;
+    });
+  } catch (error) {
+    console.error('Error finding or creating conversation:', error.message);
+    throw error;
+  }
+};
+
+// Create a group conversation; the creator becomes its admin
+const createGroup = async ({ createdBy, title = null, avatarUrl = null, participantIds }, client = null) => {
+  try {
+    const queryClient = client || pool;
     const query = `
-      INSERT INTO conversations (participant1_id, participant2_id)
-      VALUES ($1, $2)
-      ON CONFLICT (participant1_id, participant2_id) DO UPDATE SET
-        participant1_id = EXCLUDED.participant1_id
+      INSERT INTO conversations (type, title, avatar_url, created_by)
+      VALUES ('group', $1, $2, $3)
       RETURNING *
     `;
-    const result = await pool.query(query, [participant1, participant2]);
-    return result.rows[0];
+    const result = await queryClient.query(query, [title, avatarUrl, createdBy]);
+    const conversation = result.rows[0];
+    await ConversationParticipant.add(conversation.id, [createdBy], { role: 'admin', addedBy: createdBy }, queryClient);
+    await ConversationParticipant.add(conversation.id, participantIds, { role: 'member', addedBy: createdBy }, queryClient);
+    return conversation;
   } catch (error) {
-    console.error('Error finding or creating conversation:', error.message);
+    console.error('Error creating group conversation:', error.message);
+    throw error;
+  }
+};
+
+// Update a group's title and/or avatar (null clears)
+const updateDetails = async (id, { title, avatar_url: avatarUrl }) => {
+  try {
+    const setParts = [];
+    const values = [];
+    if (title !== undefined) {
+      values.push(title);
+      setParts.push(`title = $${values.length}`);
+    }
+    if (avatarUrl !== undefined) {
+      values.push(avatarUrl);
+      setParts.push(`avatar_url = $${values.length}`);
+    }
+    if (setParts.length === 0) {
+      return findById(id);
+    }
+    values.push(id);
+    const query = `
+      UPDATE conversations
+      SET ${setParts.join(', ')}, updated_at = NOW()
+      WHERE id = $${values.length}
+      RETURNING *
+    `;
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating conversation details:', error.message);
     throw error;
   }
 };
@@ -63,40 +149,40 @@ const findById = async (id) => {
   }
 };
 
-// Find conversations for a user
+// Participant rows that belong in the user's inbox rather than their message requests
+const INBOX_FILTER_SQL = "(cp.request_status IS NULL OR cp.request_status = 'accepted')";
+
+// The user's conversations as listed in the inbox and requests views, newest activity first
+const USER_CONVERSATIONS_SQL = `
+  SELECT ${PUBLIC_COLUMNS_SQL},
+         other.id as other_user_id,
+         other.first_name as other_user_first_name,
+         other.last_name as other_user_last_name,
+         other.profile_image_url as other_user_profile_image,
+         cp.unread_count,
+         cp.role,
+         cp.last_read_message_id,
+         cp.request_status,
+         (SELECT COUNT(*)::int FROM conversation_participants p
+          WHERE p.conversation_id = c.id AND p.left_at IS NULL) as participant_count,
+         m.content as last_message_content,
+         m.created_at as last_message_created_at,
+         m.sender_id as last_message_sender_id,
+         m.message_type as last_message_type
+  FROM conversation_participants cp
+  JOIN conversations c ON cp.conversation_id = c.id
+  LEFT JOIN users other ON c.type = 'direct'
+    AND other.id = CASE WHEN c.participant1_id = $1 THEN c.participant2_id ELSE c.participant1_id END
+  LEFT JOIN messages m ON c.last_message_id = m.id
+  WHERE cp.user_id = $1 AND cp.left_at IS NULL AND cp.is_deleted = FALSE
+`;
+
+// Find conversations for a user (1:1 threads carry the other user, groups their title and size); message requests are left out
 const findByUserId = async (userId, limit = 50, offset = 0) => {
   try {
     const query = `
-      SELECT c.*,
-             CASE 
-               WHEN c.participant1_id = $1 THEN u2.id
-               ELSE u1.id
-             END as other_user_id,
-             CASE 
-               WHEN c.participant1_id = $1 THEN u2.first_name
-               ELSE u1.first_name
-             END as other_user_first_name,
-             CASE 
-               WHEN c.participant1_id = $1 THEN u2.last_name
-               ELSE u1.last_name
-             END as other_user_last_name,
-             CASE 
-               WHEN c.participant1_id = $1 THEN u2.profile_image_url
-               ELSE u1.profile_image_url
-             END as other_user_profile_image,
-             CASE 
-               WHEN c.participant1_id = $1 THEN c.participant1_unread_count
-               ELSE c.participant2_unread_count
-             END as unread_count,
-             m.content as last_message_content,
-             m.created_at as last_message_created_at,
-             m.sender_id as last_message_sender_id
-      FROM conversations c
-      JOIN users u1 ON c.participant1_id = u1.id
-      JOIN users u2 ON c.participant2_id = u2.id
-      LEFT JOIN messages m ON c.last_message_id = m.id
-      WHERE (c.participant1_id = $1 AND c.participant1_deleted = FALSE)
-         OR (c.participant2_id = $1 AND c.participant2_deleted = FALSE)
+      ${USER_CONVERSATIONS_SQL}
+        AND ${INBOX_FILTER_SQL}
       ORDER BY c.last_message_at DESC NULLS LAST, c.updated_at DESC
       LIMIT $2 OFFSET $3
     `;
@@ -108,20 +194,47 @@ const findByUserId = async (userId, limit = 50, offset = 0) => {
   }
 };
 
+// Find message requests sent to a user ('pending' or 'ignored'); requests without a message yet are not shown
+const findRequestsByUserId = async (userId, status = 'pending', limit = 50, offset = 0) => {
+  try {
+    const query = `
+      ${USER_CONVERSATIONS_SQL}
+        AND cp.request_status = $2 AND c.last_message_id IS NOT NULL
+      ORDER BY c.last_message_at DESC
+      LIMIT $3 OFFSET $4
+    `;
+    const result = await pool.query(query, [userId, status, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding message requests:', error.message);
+    throw error;
+  }
+};
+
+// Find the 1:1 conversation between two users without creating it
+const findDirect = async (userId1, userId2) => {
+  try {
+    const [participant1, participant2] = userId1 < userId2 ? [userId1, userId2] : [userId2, userId1];
+    const query = `
+      SELECT * FROM conversations
+      WHERE type = 'direct' AND participant1_id = $1 AND participant2_id = $2
+    `;
+    const result = await pool.query(query, [participant1, participant2]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding direct conversation:', error.message);
+    throw error;
+  }
+};
+
 // Get total unread count for user
 const getTotalUnreadCount = async (userId) => {
   try {
     const query = `
-      SELECT COALESCE(SUM(
-        CASE 
-          WHEN participant1_id = $1 THEN participant1_unread_count
-          WHEN participant2_id = $1 THEN participant2_unread_count
-          ELSE 0
-        END
-      ), 0) as total_unread
-      FROM conversations
-      WHERE (participant1_id = $1 AND participant1_deleted = FALSE)
-         OR (participant2_id = $1 AND participant2_deleted = FALSE)
+      SELECT COALESCE(SUM(cp.unread_count), 0) as total_unread
+      FROM conversation_participants cp
+      WHERE cp.user_id = $1 AND cp.left_at IS NULL AND cp.is_deleted = FALSE
+        AND ${INBOX_FILTER_SQL}
     `;
     const result = await pool.query(query, [userId]);
     return parseInt(result.rows[0].total_unread) || 0;
@@ -131,13 +244,31 @@ const getTotalUnreadCount = async (userId) => {
   }
 };
 
-// Check if user is participant
+// Get the number of pending message requests for user
+const getPendingRequestCount = async (userId) => {
+  try {
+    const query = `
+      SELECT COUNT(*)::int as count
+      FROM conversation_participants cp
+      JOIN conversations c ON cp.conversation_id = c.id
+      WHERE cp.user_id = $1 AND cp.left_at IS NULL AND cp.is_deleted = FALSE
+        AND cp.request_status = 'pending' AND c.last_message_id IS NOT NULL
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows[0].count;
+  } catch (error) {
+    console.error('Error getting pending message request count:', error.message);
+    throw error;
+  }
+};
+
+// Check if user is a current participant
 const isParticipant = async (conversationId, userId) => {
   try {
     const query = `
       SELECT 1
-      FROM conversations
-      WHERE id = $1 AND (participant1_id = $2 OR participant2_id = $2)
+      FROM conversation_participants
+      WHERE conversation_id = $1 AND user_id = $2 AND left_at IS NULL
       LIMIT 1
     `;
     const result = await pool.query(query, [conversationId, userId]);
@@ -148,7 +279,7 @@ const isParticipant = async (conversationId, userId) => {
   }
 };
 
-// Get other participant ID
+// Get other participant ID (1:1 conversations; null for groups)
 const getOtherParticipantId = async (conversationId, userId) => {
   try {
     const query = `
@@ -186,74 +317,30 @@ const updateLastMessage = async (conversationId, messageId) => {
   }
 };
 
-// Increment unread count
-const incrementUnreadCount = async (conversationId, userId) => {
+// Increment unread count for every current participant except the sender
+const incrementUnreadCount = async (conversationId, senderId) => {
   try {
     const query = `
-      UPDATE conversations
-      SET 
-        participant1_unread_count = CASE 
-          WHEN participant1_id = $2 THEN participant1_unread_count + 1
-          ELSE participant1_unread_count
-        END,
-        participant2_unread_count = CASE 
-          WHEN participant2_id = $2 THEN participant2_unread_count + 1
-          ELSE participant2_unread_count
-        END,
-        updated_at = NOW()
-      WHERE id = $1
-      RETURNING *
+      UPDATE conversation_participants
+      SET unread_count = unread_count + 1, updated_at = NOW()
+      WHERE conversation_id = $1 AND user_id != $2 AND left_at IS NULL
+      RETURNING user_id
     `;
-    const result = await pool.query(query, [conversationId, userId]);
-    return result.rows[0] || null;
+    const result = await pool.query(query, [conversationId, senderId]);
+    return result.rows.map(row => row.user_id);
   } catch (error) {
     console.error('Error incrementing unread count:', error.message);
     throw error;
   }
 };
 
-// Mark as read
-const markAsRead = async (conversationId, userId) => {
-  try {
-    const query = `
-      UPDATE conversations
-      SET 
-        participant1_unread_count = CASE 
-          WHEN participant1_id = $2 THEN 0
-          ELSE participant1_unread_count
-        END,
-        participant2_unread_count = CASE 
-          WHEN participant2_id = $2 THEN 0
-          ELSE participant2_unread_count
-        END,
-        updated_at = NOW()
-      WHERE id = $1
-      RETURNING *
-    `;
-    const result = await pool.query(query, [conversationId, userId]);
-    return result.rows[0] || null;
-  } catch (error) {
-    console.error('Error marking conversation as read:', error.message);
-    throw error;
-  }
-};
-
-// Delete conversation for user
+// Delete conversation for user (hides it from their list; they stay a participant)
 const deleteForUser = async (conversationId, userId) => {
   try {
     const query = `
-      UPDATE conversations
-      SET 
-        participant1_deleted = CASE 
-          WHEN participant1_id = $2 THEN TRUE
-          ELSE participant1_deleted
-        END,
-        participant2_deleted = CASE 
-          WHEN participant2_id = $2 THEN TRUE
-          ELSE participant2_deleted
-        END,
-        updated_at = NOW()
-      WHERE id = $1
+      UPDATE conversation_participants
+      SET is_deleted = TRUE, updated_at = NOW()
+      WHERE conversation_id = $1 AND user_id = $2
       RETURNING *
     `;
     const result = await pool.query(query, [conversationId, userId]);
@@ -265,15 +352,20 @@ const deleteForUser = async (conversationId, userId) => {
 };
 
 module.exports = {
+  CONVERSATION_TYPES,
   initializeConversationsTable,
   findOrCreate,
+  createGroup,
+  updateDetails,
   findById,
   findByUserId,
+  findRequestsByUserId,
+  findDirect,
   updateLastMessage,
   incrementUnreadCount,
-  markAsRead,
   deleteForUser,
   getTotalUnreadCount,
+  getPendingRequestCount,
   isParticipant,
   getOtherParticipantId,
 };
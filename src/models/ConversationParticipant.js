@@ -0,0 +1,423 @@
+// Conversation Participant model - Who is in a conversation, their role, unread count and read and delivery cursors
+const { pool } = require('../config/database');
+
+const PARTICIPANT_ROLES = ['admin', 'member'];
+
+// Message request state of the recipient's row in a 1:1 thread a stranger started; NULL for ordinary threads
+const REQUEST_STATUSES = ['pending', 'accepted', 'ignored'];
+
+// Largest group conversation, creator included
+const MAX_GROUP_PARTICIPANTS = 100;
+
+// Initialize conversation_participants table (after conversations and messages)
+const initializeConversationParticipantsTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS conversation_participants (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL DEFAULT 'member',
+        unread_count INTEGER NOT NULL DEFAULT 0,
+        last_read_message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+        last_read_at TIMESTAMP,
+        last_delivered_message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+        last_delivered_at TIMESTAMP,
+        is_deleted BOOLEAN NOT NULL DEFAULT FALSE,
+        request_status VARCHAR(20),
+        added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        joined_at TIMESTAMP DEFAULT NOW(),
+        left_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(conversation_id, user_id)
+      );
+    `;
+    await pool.query(query);
+
+    // Migration: 1:1 conversations kept their participants, unread counts and deleted flags on the conversation row
+    try {
+      await pool.query(`
+        INSERT INTO conversation_participants (conversation_id, user_id, unread_count, is_deleted, joined_at)
+        SELECT id, participant1_id, COALESCE(participant1_unread_count, 0), COALESCE(participant1_deleted, FALSE), created_at
+        FROM conversations
+        WHERE type = 'direct' AND participant1_id IS NOT NULL
+        UNION ALL
+        SELECT id, participant2_id, COALESCE(participant2_unread_count, 0), COALESCE(participant2_deleted, FALSE), created_at
+        FROM conversations
+        WHERE type = 'direct' AND participant2_id IS NOT NULL
+        ON CONFLICT (conversation_id, user_id) DO NOTHING
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: conversation participants backfill skipped', migrationError.message);
+    }
+
+    // Migration: message requests
+    try {
+      await pool.query('ALTER TABLE conversation_participants ADD COLUMN IF NOT EXISTS request_status VARCHAR(20)');
+    } catch (migrationError) {
+      console.log('Migration note: request_status column may already exist', migrationError.message);
+    }
+
+    // Migration: delivery cursor
+    try {
+      await pool.query(`
+        ALTER TABLE conversation_participants
+          ADD COLUMN IF NOT EXISTS last_delivered_message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS last_delivered_at TIMESTAMP
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: delivery cursor columns may already exist', migrationError.message);
+    }
+
+    console.log('✅ Conversation participants table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing conversation participants table:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Add users to a conversation. Users who left (or were removed) are brought back with a fresh
+ * unread count; current participants are left as they are. Returns the rows added or restored.
+ */
+const add = async (conversationId, userIds, { role = 'member', addedBy = null } = {}, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      INSERT INTO conversation_participants (conversation_id, user_id, role, added_by)
+      SELECT $1, user_id, $3, $4
+      FROM unnest($2::int[]) AS user_id
+      ON CONFLICT (conversation_id, user_id) DO UPDATE SET
+        role = EXCLUDED.role,
+        added_by = EXCLUDED.added_by,
+        unread_count = 0,
+        is_deleted = FALSE,
+        joined_at = NOW(),
+        left_at = NULL,
+        updated_at = NOW()
+      WHERE conversation_participants.left_at IS NOT NULL
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [conversationId, userIds, role, addedBy]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error adding conversation participants:', error.message);
+    throw error;
+  }
+};
+
+// A user's participant row in a conversation (including one they left), or null
+const findOne = async (conversationId, userId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = 'SELECT * FROM conversation_participants WHERE conversation_id = $1 AND user_id = $2';
+    const result = await queryClient.query(query, [conversationId, userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding conversation participant:', error.message);
+    throw error;
+  }
+};
+
+// Current participants with profile basics, admins first, then by join time
+const findByConversationId = async (conversationId) => {
+  try {
+    const query = `
+      SELECT cp.user_id, cp.role, cp.joined_at, cp.last_read_message_id, cp.last_read_at,
+             u.first_name, u.last_name, u.profile_image_url, u.headline
+      FROM conversation_participants cp
+      JOIN users u ON cp.user_id = u.id
+      WHERE cp.conversation_id = $1 AND cp.left_at IS NULL
+      ORDER BY (cp.role = 'admin') DESC, cp.joined_at ASC, cp.id ASC
+    `;
+    const result = await pool.query(query, [conversationId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding conversation participants:', error.message);
+    throw error;
+  }
+};
+
+// IDs of current participants, optionally without one user (usually the sender)
+const getActiveUserIds = async (conversationId, excludeUserId = null, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      SELECT user_id
+      FROM conversation_participants
+      WHERE conversation_id = $1 AND left_at IS NULL
+        AND ($2::int IS NULL OR user_id != $2::int)
+      ORDER BY joined_at ASC, id ASC
+    `;
+    const result = await queryClient.query(query, [conversationId, excludeUserId]);
+    return result.rows.map(row => row.user_id);
+  } catch (error) {
+    console.error('Error getting conversation participant IDs:', error.message);
+    throw error;
+  }
+};
+
+// Change a current participant's role
+const setRole = async (conversationId, userId, role, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE conversation_participants
+      SET role = $3, updated_at = NOW()
+      WHERE conversation_id = $1 AND user_id = $2 AND left_at IS NULL
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [conversationId, userId, role]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error setting conversation participant role:', error.message);
+    throw error;
+  }
+};
+
+// Take a user out of a conversation (leave or removal); returns null if they were not in it
+const markLeft = async (conversationId, userId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE conversation_participants
+      SET left_at = NOW(), unread_count = 0, updated_at = NOW()
+      WHERE conversation_id = $1 AND user_id = $2 AND left_at IS NULL
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [conversationId, userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error removing conversation participant:', error.message);
+    throw error;
+  }
+};
+
+// Set (or with null clear) the message request state of a participant's row
+const setRequestStatus = async (conversationId, userId, status, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE conversation_participants
+      SET request_status = $3::varchar, updated_at = NOW()
+      WHERE conversation_id = $1 AND user_id = $2
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [conversationId, userId, status]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error setting message request status:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Move a current participant's read cursor forward to `messageId` (never back), and their
+ * delivery cursor with it. The unread count is recounted from the new cursor. Returns the row
+ * with `previous_read_message_id`, or null if the user is not a current participant.
+ */
+const advanceReadCursor = async (conversationId, userId, messageId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      WITH previous AS (
+        SELECT id, last_read_message_id, last_delivered_message_id
+        FROM conversation_participants
+        WHERE conversation_id = $1 AND user_id = $2 AND left_at IS NULL
+        FOR UPDATE
+      )
+      UPDATE conversation_participants cp
+      SET
+        last_read_message_id = GREATEST(COALESCE(previous.last_read_message_id, 0), $3),
+        last_read_at = CASE
+          WHEN previous.last_read_message_id IS NULL OR previous.last_read_message_id < $3 THEN NOW()
+          ELSE cp.last_read_at
+        END,
+        last_delivered_message_id = GREATEST(COALESCE(previous.last_delivered_message_id, 0), $3),
+        last_delivered_at = CASE
+          WHEN previous.last_delivered_message_id IS NULL OR previous.last_delivered_message_id < $3 THEN NOW()
+          ELSE cp.last_delivered_at
+        END,
+        unread_count = (
+          SELECT COUNT(*)::int
+          FROM messages m
+          WHERE m.conversation_id = cp.conversation_id
+            AND m.id > GREATEST(COALESCE(previous.last_read_message_id, 0), $3)
+            AND m.sender_id != cp.user_id
+            AND m.message_type = 'user'
+            AND m.deleted_at IS NULL
+        ),
+        updated_at = NOW()
+      FROM previous
+      WHERE cp.id = previous.id
+      RETURNING cp.*, previous.last_read_message_id AS previous_read_message_id
+    `;
+    const result = await queryClient.query(query, [conversationId, userId, messageId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error advancing read cursor:', error.message);
+    throw error;
+  }
+};
+
+// Move a current participant's delivery cursor forward to `messageId`; null if it did not move
+const advanceDeliveredCursor = async (conversationId, userId, messageId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE conversation_participants
+      SET last_delivered_message_id = $3, last_delivered_at = NOW(), updated_at = NOW()
+      WHERE conversation_id = $1 AND user_id = $2 AND left_at IS NULL
+        AND (last_delivered_message_id IS NULL OR last_delivered_message_id < $3)
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [conversationId, userId, messageId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error advancing delivery cursor:', error.message);
+    throw error;
+  }
+};
+
+// Move the user's delivery cursor to the latest message in every conversation they are in; returns the rows that moved
+const advanceAllDeliveredCursors = async (userId) => {
+  try {
+    const query = `
+      UPDATE conversation_participants cp
+      SET last_delivered_message_id = c.last_message_id, last_delivered_at = NOW(), updated_at = NOW()
+      FROM conversations c
+      WHERE c.id = cp.conversation_id
+        AND cp.user_id = $1
+        AND cp.left_at IS NULL
+        AND c.last_message_id IS NOT NULL
+        AND (cp.last_delivered_message_id IS NULL OR cp.last_delivered_message_id < c.last_message_id)
+      RETURNING cp.*
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error advancing delivery cursors:', error.message);
+    throw error;
+  }
+};
+
+// Read and delivery cursors of the current participants
+const findCursors = async (conversationId) => {
+  try {
+    const query = `
+      SELECT user_id, last_read_message_id, last_read_at, last_delivered_message_id, last_delivered_at, request_status
+      FROM conversation_participants
+      WHERE conversation_id = $1 AND left_at IS NULL
+      ORDER BY joined_at ASC, id ASC
+    `;
+    const result = await pool.query(query, [conversationId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding conversation cursors:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * A user's read state in their most recently active conversations (hidden ones left out),
+ * with the other participant's cursors for 1:1 conversations.
+ */
+const findReadStateByUserId = async (userId, limit = 100) => {
+  try {
+    const query = `
+      SELECT
+        cp.conversation_id,
+        c.type,
+        c.last_message_id,
+        c.last_message_at,
+        cp.unread_count,
+        cp.last_read_message_id,
+        cp.last_delivered_message_id,
+        cp.request_status,
+        other.user_id AS other_user_id,
+        other.last_read_message_id AS other_last_read_message_id,
+        other.last_delivered_message_id AS other_last_delivered_message_id,
+        other.request_status AS other_request_status
+      FROM conversation_participants cp
+      JOIN conversations c ON c.id = cp.conversation_id
+      LEFT JOIN conversation_participants other ON c.type = 'direct'
+        AND other.conversation_id = c.id
+        AND other.user_id != cp.user_id
+      WHERE cp.user_id = $1 AND cp.left_at IS NULL AND cp.is_deleted = FALSE
+      ORDER BY c.last_message_at DESC NULLS LAST, c.id DESC
+      LIMIT $2
+    `;
+    const result = await pool.query(query, [userId, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding read state:', error.message);
+    throw error;
+  }
+};
+
+// Number of current admins
+const countAdmins = async (conversationId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      SELECT COUNT(*)::int AS count
+      FROM conversation_participants
+      WHERE conversation_id = $1 AND left_at IS NULL AND role = 'admin'
+    `;
+    const result = await queryClient.query(query, [conversationId]);
+    return result.rows[0].count;
+  } catch (error) {
+    console.error('Error counting conversation admins:', error.message);
+    throw error;
+  }
+};
+
+// Make the longest-standing member an admin when no admin is left; returns the promoted row or null
+const promoteOldestMember = async (conversationId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE conversation_participants
+      SET role = 'admin', updated_at = NOW()
+      WHERE id = (
+        SELECT id
+        FROM conversation_participants
+        WHERE conversation_id = $1 AND left_at IS NULL
+        ORDER BY joined_at ASC, id ASC
+        LIMIT 1
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM conversation_participants
+        WHERE conversation_id = $1 AND left_at IS NULL AND role = 'admin'
+      )
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [conversationId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error promoting conversation member:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  PARTICIPANT_ROLES,
+  REQUEST_STATUSES,
+  MAX_GROUP_PARTICIPANTS,
+  initializeConversationParticipantsTable,
+  add,
+  findOne,
+  findByConversationId,
+  getActiveUserIds,
+  setRole,
+  markLeft,
+  setRequestStatus,
+  advanceReadCursor,
+  advanceDeliveredCursor,
+  advanceAllDeliveredCursors,
+  findCursors,
+  findReadStateByUserId,
+  countAdmins,
+  promoteOldestMember,
+};
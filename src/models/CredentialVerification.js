@@ -0,0 +1,195 @@
+// Credential Verification model - Requests to verify a certification or licence, reviewed by staff
+const { pool } = require('../config/database');
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const REJECTION_REASONS = [
+  'document_illegible',
+  'document_mismatch',
+  'credential_not_found',
+  'credential_expired',
+  'insufficient_documents',
+  'other',
+];
+
+// Initialize credential_verification_requests table
+const initializeCredentialVerificationRequestsTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS credential_verification_requests (
+        id SERIAL PRIMARY KEY,
+        certification_id INTEGER NOT NULL REFERENCES medical_certifications(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        documents JSONB NOT NULL DEFAULT '[]'::jsonb,
+        credential_snapshot JSONB NOT NULL DEFAULT '{}'::jsonb,
+        notes TEXT,
+        reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        rejection_reason VARCHAR(50),
+        review_notes TEXT,
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+
+    // At most one open request per certification
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_credential_verification_one_pending
+      ON credential_verification_requests(certification_id)
+      WHERE status = 'pending'
+    `);
+
+    console.log('✅ Credential verification requests table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing credential verification requests table:', error.message);
+    throw error;
+  }
+};
+
+// Open a request; the snapshot records the credential as the reviewer will see it
+const create = async ({ certification, documents, notes = null }, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const snapshot = {
+      certification_type: certification.certification_type,
+      name: certification.name,
+      issuing_organization: certification.issuing_organization,
+      certification_board: certification.certification_board,
+      license_number: certification.license_number,
+      credential_id: certification.credential_id,
+      issue_date: certification.issue_date,
+      expiration_date: certification.expiration_date,
+      verification_url: certification.verification_url,
+    };
+    const query = `
+      INSERT INTO credential_verification_requests (certification_id, user_id, documents, credential_snapshot, notes)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [
+      certification.id,
+      certification.user_id,
+      JSON.stringify(documents),
+      JSON.stringify(snapshot),
+      notes,
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating credential verification request:', error.message);
+    throw error;
+  }
+};
+
+// Find a request with its certification and the requesting user
+const findById = async (id) => {
+  try {
+    const query = `
+      SELECT r.*,
+             mc.name AS certification_name, mc.verification_status AS certification_verification_status,
+             mc.expiration_date AS certification_expiration_date,
+             u.first_name, u.last_name, u.email, u.profile_image_url, u.is_verified AS user_is_verified
+      FROM credential_verification_requests r
+      JOIN medical_certifications mc ON r.certification_id = mc.id
+      JOIN users u ON r.user_id = u.id
+      WHERE r.id = $1
+    `;
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding credential verification request:', error.message);
+    throw error;
+  }
+};
+
+// Every request for a certification, newest first
+const findByCertificationId = async (certificationId) => {
+  try {
+    const query = `
+      SELECT id, status, documents, notes, rejection_reason, review_notes, reviewed_at, created_at
+      FROM credential_verification_requests
+      WHERE certification_id = $1
+      ORDER BY created_at DESC, id DESC
+    `;
+    const result = await pool.query(query, [certificationId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding credential verification requests:', error.message);
+    throw error;
+  }
+};
+
+// Reviewer queue: oldest first, so nobody waits indefinitely
+const findQueue = async ({ status = 'pending', limit = 20, offset = 0 } = {}) => {
+  try {
+    const countResult = await pool.query(
+      'SELECT COUNT(*)::int AS total FROM credential_verification_requests WHERE status = $1',
+      [status]
+    );
+    const query = `
+      SELECT r.id, r.certification_id, r.user_id, r.status, r.credential_snapshot, r.created_at, r.reviewed_at,
+             jsonb_array_length(r.documents) AS document_count,
+             u.first_name, u.last_name, u.email, u.profile_image_url
+      FROM credential_verification_requests r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.status = $1
+      ORDER BY r.created_at ${status === 'pending' ? 'ASC' : 'DESC'}, r.id ASC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, [status, limit, offset]);
+    return { requests: result.rows, total: countResult.rows[0].total };
+  } catch (error) {
+    console.error('Error finding credential verification queue:', error.message);
+    throw error;
+  }
+};
+
+// Close a pending request (approve, reject or cancel); returns null if it was no longer pending
+const close = async (id, { status, reviewerId = null, rejectionReason = null, reviewNotes = null }, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE credential_verification_requests
+      SET status = $2, reviewer_id = $3, rejection_reason = $4, review_notes = $5,
+          reviewed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [id, status, reviewerId, rejectionReason, reviewNotes]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error closing credential verification request:', error.message);
+    throw error;
+  }
+};
+
+// Cancel the open request of a certification, if any (e.g. after the user edits it)
+const cancelPendingForCertification = async (certificationId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE credential_verification_requests
+      SET status = 'cancelled', reviewed_at = NOW(), updated_at = NOW()
+      WHERE certification_id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [certificationId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error cancelling credential verification request:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  REQUEST_STATUSES,
+  REJECTION_REASONS,
+  initializeCredentialVerificationRequestsTable,
+  create,
+  findById,
+  findByCertificationId,
+  findQueue,
+  close,
+  cancelPendingForCertification,
+};
@@ -0,0 +1,148 @@
+// Device Token model - Push notification tokens registered per app install
+const { pool } = require('../config/database');
+
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+
+// Initialize device_tokens table
+const initializeDeviceTokensTable = async () => {
+  try {
+    // A token belongs to one install; re-registering it moves it to the current user
+    const query = `
+      CREATE TABLE IF NOT EXISTS device_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token VARCHAR(512) UNIQUE NOT NULL,
+        platform VARCHAR(20) NOT NULL CHECK (platform IN ('ios', 'android', 'web')),
+        installation_id VARCHAR(255),
+        app_version VARCHAR(50),
+        last_seen_at TIMESTAMP DEFAULT NOW(),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Device tokens table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing device tokens table:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Register (or refresh) a device token for a user.
+ * An install keeps a single token: older tokens with the same installation_id are dropped.
+ */
+const register = async (userId, deviceData) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (deviceData.installation_id) {
+      await client.query(
+        `DELETE FROM device_tokens
+         WHERE user_id = $1 AND installation_id = $2 AND token != $3`,
+        [userId, deviceData.installation_id, deviceData.token]
+      );
+    }
+
+    const query = `
+      INSERT INTO device_tokens (user_id, token, platform, installation_id, app_version)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (token) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        platform = EXCLUDED.platform,
+        installation_id = EXCLUDED.installation_id,
+        app_version = EXCLUDED.app_version,
+        last_seen_at = NOW(),
+        updated_at = NOW()
+      RETURNING *
+    `;
+    const result = await client.query(query, [
+      userId,
+      deviceData.token,
+      deviceData.platform,
+      deviceData.installation_id || null,
+      deviceData.app_version || null,
+    ]);
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error registering device token:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Unregister a device by token or installation ID (returns null if nothing matched)
+const unregister = async (userId, { token, installation_id: installationId }) => {
+  try {
+    const query = `
+      DELETE FROM device_tokens
+      WHERE user_id = $1
+        AND (token = $2 OR ($3::varchar IS NOT NULL AND installation_id = $3))
+      RETURNING *
+    `;
+    const result = await pool.query(query, [userId, token || null, installationId || null]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error unregistering device token:', error.message);
+    throw error;
+  }
+};
+
+// Find a user's registered devices, most recently seen first
+const findByUserId = async (userId) => {
+  try {
+    const query = `
+      SELECT id, platform, installation_id, app_version, last_seen_at, created_at
+      FROM device_tokens
+      WHERE user_id = $1
+      ORDER BY last_seen_at DESC
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding device tokens by user ID:', error.message);
+    throw error;
+  }
+};
+
+// Find the raw tokens to push to for a user
+const findTokensByUserId = async (userId) => {
+  try {
+    const query = 'SELECT token, platform FROM device_tokens WHERE user_id = $1';
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding push tokens:', error.message);
+    throw error;
+  }
+};
+
+// Delete tokens the push provider reported as invalid
+const removeTokens = async (tokens) => {
+  try {
+    if (!tokens || tokens.length === 0) {
+      return 0;
+    }
+    const query = 'DELETE FROM device_tokens WHERE token = ANY($1::varchar[])';
+    const result = await pool.query(query, [tokens]);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error removing device tokens:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  DEVICE_PLATFORMS,
+  initializeDeviceTokensTable,
+  register,
+  unregister,
+  findByUserId,
+  findTokensByUserId,
+  removeTokens,
+};
@@ -0,0 +1,173 @@
+// Email Send model - Delivery log for outgoing email (one row per queued email)
+const { pool } = require('../config/database');
+
+const EMAIL_SEND_STATUSES = ['queued', 'sent', 'failed', 'suppressed', 'bounced', 'complained'];
+
+// Initialize email_sends table
+const initializeEmailSendsTable = async () => {
+  try {
+    // job_id ties BullMQ retries of the same email to a single row
+    const query = `
+      CREATE TABLE IF NOT EXISTS email_sends (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        to_email VARCHAR(255) NOT NULL,
+        email_type VARCHAR(50) NOT NULL,
+        subject VARCHAR(500),
+        job_id VARCHAR(100) UNIQUE,
+        transport VARCHAR(20),
+        provider_message_id VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'sent', 'failed', 'suppressed', 'bounced', 'complained')),
+        error TEXT,
+        attempts INTEGER DEFAULT 0,
+        sent_at TIMESTAMP,
+        bounced_at TIMESTAMP,
+        unsubscribed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Email sends table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing email sends table:', error.message);
+    throw error;
+  }
+};
+
+// Record an email about to be sent; a retried job gets its existing row back with attempts bumped
+const createForJob = async (sendData) => {
+  try {
+    const query = `
+      INSERT INTO email_sends (user_id, to_email, email_type, subject, job_id, attempts)
+      VALUES ($1, $2, $3, $4, $5, 1)
+      ON CONFLICT (job_id) DO UPDATE SET
+        attempts = email_sends.attempts + 1,
+        updated_at = NOW()
+      RETURNING *
+    `;
+    const result = await pool.query(query, [
+      sendData.user_id || null,
+      sendData.to_email,
+      sendData.email_type,
+      sendData.subject || null,
+      sendData.job_id || null,
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating email send:', error.message);
+    throw error;
+  }
+};
+
+// Mark an email as handed to the transport
+const markSent = async (id, transport, providerMessageId) => {
+  try {
+    const query = `
+      UPDATE email_sends
+      SET status = 'sent', transport = $2, provider_message_id = $3, error = NULL,
+          sent_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id, transport, providerMessageId || null]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error marking email sent:', error.message);
+    throw error;
+  }
+};
+
+// Mark an email as failed or suppressed, with the reason
+const markNotSent = async (id, status, reason) => {
+  try {
+    const query = `
+      UPDATE email_sends
+      SET status = $2, error = $3, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id, status, reason || null]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error marking email not sent:', error.message);
+    throw error;
+  }
+};
+
+// Record a bounce or complaint reported by the provider (by message ID, else latest send to the address)
+const markBounced = async ({ providerMessageId, email }, status, reason) => {
+  try {
+    const query = `
+      UPDATE email_sends
+      SET status = $3, error = $4, bounced_at = NOW(), updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM email_sends
+        WHERE ($1::varchar IS NOT NULL AND provider_message_id = $1)
+           OR ($1::varchar IS NULL AND LOWER(to_email) = LOWER($2))
+        ORDER BY created_at DESC
+        LIMIT 1
+      )
+      RETURNING *
+    `;
+    const result = await pool.query(query, [providerMessageId || null, email || null, status, reason || null]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error marking email bounced:', error.message);
+    throw error;
+  }
+};
+
+// Find email send by ID
+const findById = async (id) => {
+  try {
+    const query = 'SELECT * FROM email_sends WHERE id = $1';
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding email send by ID:', error.message);
+    throw error;
+  }
+};
+
+// Find the send a provider message ID belongs to
+const findByProviderMessageId = async (providerMessageId) => {
+  try {
+    const query = 'SELECT * FROM email_sends WHERE provider_message_id = $1 ORDER BY created_at DESC LIMIT 1';
+    const result = await pool.query(query, [providerMessageId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding email send by provider message ID:', error.message);
+    throw error;
+  }
+};
+
+// Record that the recipient unsubscribed through this email
+const markUnsubscribed = async (id) => {
+  try {
+    const query = `
+      UPDATE email_sends
+      SET unsubscribed_at = COALESCE(unsubscribed_at, NOW()), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error marking email unsubscribed:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  EMAIL_SEND_STATUSES,
+  initializeEmailSendsTable,
+  createForJob,
+  markSent,
+  markNotSent,
+  markBounced,
+  findById,
+  findByProviderMessageId,
+  markUnsubscribed,
+};
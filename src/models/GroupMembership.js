@@ -1,6 +1,22 @@
 // Group Membership model - User-group relationships
 const { pool } = require('../config/database');
 
+// Roles from most to least privileged
+const GROUP_ROLES = ['owner', 'admin', 'moderator', 'member'];
+
+// active = member, pending = join request to a private group, invited = invitation not yet accepted
+const MEMBERSHIP_STATUSES = ['active', 'pending', 'invited'];
+
+// Orders members owner → admin → moderator → member
+const ROLE_ORDER_SQL = `
+  CASE gm.role
+    WHEN 'owner' THEN 0
+    WHEN 'admin' THEN 1
+    WHEN 'moderator' THEN 2
+    ELSE 3
+  END
+`;
+
 // Initialize group_memberships table
 const initializeGroupMembershipsTable = async () => {
   try {
@@ -17,6 +33,18 @@ const initializeGroupMembershipsTable = async () => {
       );
     `;
     await pool.query(query);
+
+    // Migration: track who invited a member
+    try {
+      await pool.query(`
+        ALTER TABLE group_memberships
+        ADD COLUMN IF NOT EXISTS invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW()
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: group_memberships invite columns may already exist');
+    }
+
     console.log('✅ Group memberships table initialized');
   } catch (error) {
     console.error('❌ Error initializing group memberships table:', error.message);
@@ -25,18 +53,20 @@ const initializeGroupMembershipsTable = async () => {
 };
 
 // Join group
-const joinGroup = async (userId, groupId, role = 'member') => {
+const joinGroup = async (userId, groupId, role = 'member', client = null) => {
   try {
+    const queryClient = client || pool;
     const query = `
       INSERT INTO group_memberships (user_id, group_id, role, status)
       VALUES ($1, $2, $3, 'active')
       ON CONFLICT (user_id, group_id) DO UPDATE SET
         role = EXCLUDED.role,
         status = 'active',
-        joined_at = NOW()
+        joined_at = NOW(),
+        updated_at = NOW()
       RETURNING *
     `;
-    const result = await pool.query(query, [userId, groupId, role]);
+    const result = await queryClient.query(query, [userId, groupId, role]);
     return result.rows[0];
   } catch (error) {
     console.error('Error joining group:', error.message);
@@ -44,15 +74,38 @@ const joinGroup = async (userId, groupId, role = 'member') => {
   }
 };
 
-// Leave group
-const leaveGroup = async (userId, groupId) => {
+// Record a join request or invitation; returns null if the user is already an active member
+const createPending = async (userId, groupId, status, invitedBy = null) => {
+  try {
+    const query = `
+      INSERT INTO group_memberships (user_id, group_id, role, status, invited_by)
+      VALUES ($1, $2, 'member', $3, $4)
+      ON CONFLICT (user_id, group_id) DO UPDATE SET
+        role = 'member',
+        status = EXCLUDED.status,
+        invited_by = EXCLUDED.invited_by,
+        updated_at = NOW()
+      WHERE group_memberships.status <> 'active'
+      RETURNING *
+    `;
+    const result = await pool.query(query, [userId, groupId, status, invitedBy]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error creating pending group membership:', error.message);
+    throw error;
+  }
+};
+
+// Leave group (also cancels join requests and declines invitations)
+const leaveGroup = async (userId, groupId, client = null) => {
   try {
+    const queryClient = client || pool;
     const query = `
       DELETE FROM group_memberships
       WHERE user_id = $1 AND group_id = $2
       RETURNING *
     `;
-    const result = await pool.query(query, [userId, groupId]);
+    const result = await queryClient.query(query, [userId, groupId]);
     return result.rows[0] || null;
   } catch (error) {
     console.error('Error leaving group:', error.message);
@@ -79,18 +132,64 @@ const findByUserId = async (userId) => {
   }
 };
 
-// Find members by group ID
-const findByGroupId = async (groupId, limit = 100, offset = 0) => {
+// Find pending invitations for a user
+const findInvitationsByUserId = async (userId) => {
   try {
     const query = `
+      SELECT gm.*, mg.name, mg.description, mg.group_type, mg.specialty,
+             mg.logo_url, mg.member_count, mg.is_private,
+             u.first_name AS invited_by_first_name, u.last_name AS invited_by_last_name
+      FROM group_memberships gm
+      JOIN medical_groups mg ON gm.group_id = mg.id AND mg.is_archived = FALSE
+      LEFT JOIN users u ON gm.invited_by = u.id
+      WHERE gm.user_id = $1 AND gm.status = 'invited'
+      ORDER BY gm.updated_at DESC
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding group invitations by user ID:', error.message);
+    throw error;
+  }
+};
+
+// Find a user's membership in a group (any status)
+const findMembership = async (userId, groupId) => {
+  try {
+    const query = `
+      SELECT * FROM group_memberships
+      WHERE user_id = $1 AND group_id = $2
+    `;
+    const result = await pool.query(query, [userId, groupId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding group membership:', error.message);
+    throw error;
+  }
+};
+
+// Find members by group ID (status 'pending' lists join requests, 'invited' open invitations)
+const findByGroupId = async (groupId, limit = 100, offset = 0, status = 'active', role = null) => {
+  try {
+    let query = `
       SELECT gm.*, u.first_name, u.last_name, u.profile_image_url, u.headline
       FROM group_memberships gm
       JOIN users u ON gm.user_id = u.id
-      WHERE gm.group_id = $1 AND gm.status = 'active'
-      ORDER BY gm.role DESC, gm.joined_at ASC
-      LIMIT $2 OFFSET $3
+      WHERE gm.group_id = $1 AND gm.status = $2
     `;
-    const result = await pool.query(query, [groupId, limit, offset]);
+    const params = [groupId, status];
+    let paramCount = 3;
+
+    if (role) {
+      query += ` AND gm.role = $${paramCount}`;
+      params.push(role);
+      paramCount++;
+    }
+
+    query += ` ORDER BY ${ROLE_ORDER_SQL}, gm.joined_at ASC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    params.push(limit, offset);
+
+    const result = await pool.query(query, params);
     return result.rows;
   } catch (error) {
     console.error('Error finding group members by group ID:', error.message);
@@ -113,16 +212,32 @@ const isMember = async (userId, groupId) => {
   }
 };
 
+// Find IDs of active members holding any of the given roles
+const findUserIdsByRoles = async (groupId, roles) => {
+  try {
+    const query = `
+      SELECT user_id FROM group_memberships
+      WHERE group_id = $1 AND status = 'active' AND role = ANY($2::text[])
+    `;
+    const result = await pool.query(query, [groupId, roles]);
+    return result.rows.map(row => row.user_id);
+  } catch (error) {
+    console.error('Error finding group members by role:', error.message);
+    throw error;
+  }
+};
+
 // Update membership role
-const updateRole = async (userId, groupId, role) => {
+const updateRole = async (userId, groupId, role, client = null) => {
   try {
+    const queryClient = client || pool;
     const query = `
       UPDATE group_memberships
-      SET role = $3
+      SET role = $3, updated_at = NOW()
       WHERE user_id = $1 AND group_id = $2
       RETURNING *
     `;
-    const result = await pool.query(query, [userId, groupId, role]);
+    const result = await queryClient.query(query, [userId, groupId, role]);
     return result.rows[0] || null;
   } catch (error) {
     console.error('Error updating membership role:', error.message);
@@ -131,11 +246,17 @@ const updateRole = async (userId, groupId, role) => {
 };
 
 module.exports = {
+  GROUP_ROLES,
+  MEMBERSHIP_STATUSES,
   initializeGroupMembershipsTable,
   joinGroup,
+  createPending,
   leaveGroup,
   findByUserId,
+  findInvitationsByUserId,
+  findMembership,
   findByGroupId,
+  findUserIdsByRoles,
   isMember,
   updateRole,
 };
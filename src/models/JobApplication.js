@@ -1,6 +1,12 @@
 // Job Application model - Applications to job postings
 const { pool } = require('../config/database');
 
+// Applicant tracking pipeline stages (in pipeline order)
+const APPLICATION_STAGES = ['applied', 'screening', 'interview', 'offer', 'hired', 'rejected', 'withdrawn'];
+
+// Stages that end the pipeline - no further transitions allowed
+const TERMINAL_STAGES = ['hired', 'rejected', 'withdrawn'];
+
 // Initialize job_applications table
 const initializeJobApplicationsTable = async () => {
   try {
@@ -11,15 +17,28 @@ const initializeJobApplicationsTable = async () => {
         applicant_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
         cover_letter TEXT,
         resume_url VARCHAR(500),
-        status VARCHAR(50) DEFAULT 'pending',
+        status VARCHAR(50) DEFAULT 'applied',
         applied_at TIMESTAMP DEFAULT NOW(),
         reviewed_at TIMESTAMP,
+        stage_changed_at TIMESTAMP DEFAULT NOW(),
         created_at TIMESTAMP DEFAULT NOW(),
         updated_at TIMESTAMP DEFAULT NOW(),
         UNIQUE(job_posting_id, applicant_id)
       );
     `;
     await pool.query(query);
+
+    // Migrate free-text status to pipeline stages
+    try {
+      await pool.query(`
+        ALTER TABLE job_applications
+          ADD COLUMN IF NOT EXISTS stage_changed_at TIMESTAMP DEFAULT NOW();
+      `);
+      await pool.query(`ALTER TABLE job_applications ALTER COLUMN status SET DEFAULT 'applied'`);
+      await pool.query(`UPDATE job_applications SET status = 'applied' WHERE status = 'pending' OR status IS NULL`);
+    } catch (migrationError) {
+      console.log('Migration note: job applications stage migration', migrationError.message);
+    }
     console.log('✅ Job applications table initialized');
   } catch (error) {
     console.error('❌ Error initializing job applications table:', error.message);
@@ -28,20 +47,21 @@ const initializeJobApplicationsTable = async () => {
 };
 
 // Create job application
-const create = async (applicationData) => {
+const create = async (applicationData, client = null) => {
   try {
+    const queryClient = client || pool;
     const query = `
       INSERT INTO job_applications (job_posting_id, applicant_id, cover_letter, resume_url, status)
       VALUES ($1, $2, $3, $4, $5)
       ON CONFLICT (job_posting_id, applicant_id) DO NOTHING
       RETURNING *
     `;
-    const result = await pool.query(query, [
+    const result = await queryClient.query(query, [
       applicationData.job_posting_id,
       applicationData.applicant_id,
       applicationData.cover_letter || null,
       applicationData.resume_url || null,
-      applicationData.status || 'pending'
+      applicationData.status || 'applied'
     ]);
     return result.rows[0] || null;
   } catch (error) {
@@ -50,12 +70,41 @@ const create = async (applicationData) => {
   }
 };
 
+// Resubmit a withdrawn application: back to 'applied' with the new cover letter and résumé
+const reapply = async (applicationData, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE job_applications
+      SET status = 'applied',
+          cover_letter = $3,
+          resume_url = $4,
+          applied_at = NOW(),
+          reviewed_at = NULL,
+          stage_changed_at = NOW(),
+          updated_at = NOW()
+      WHERE job_posting_id = $1 AND applicant_id = $2 AND status = 'withdrawn'
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [
+      applicationData.job_posting_id,
+      applicationData.applicant_id,
+      applicationData.cover_letter || null,
+      applicationData.resume_url || null,
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error resubmitting job application:', error.message);
+    throw error;
+  }
+};
+
 // Find application by ID
 const findById = async (id) => {
   try {
     const query = `
       SELECT ja.*, u.first_name, u.last_name, u.profile_image_url, u.headline,
-             jp.title as job_title, jp.organization_id
+             jp.title as job_title, jp.organization_id, jp.posted_by
       FROM job_applications ja
       JOIN users u ON ja.applicant_id = u.id
       JOIN job_postings jp ON ja.job_posting_id = jp.id
@@ -69,18 +118,26 @@ const findById = async (id) => {
   }
 };
 
-// Find applications by job posting ID
-const findByJobPostingId = async (jobPostingId, limit = 50, offset = 0) => {
+// Find applications by job posting ID (optionally filtered by stage)
+const findByJobPostingId = async (jobPostingId, limit = 50, offset = 0, stage = null) => {
   try {
+    const params = [jobPostingId];
+    let stageFilter = '';
+    if (stage) {
+      params.push(stage);
+      stageFilter = `AND ja.status = $${params.length}`;
+    }
+    params.push(limit, offset);
+
     const query = `
       SELECT ja.*, u.first_name, u.last_name, u.profile_image_url, u.headline
       FROM job_applications ja
       JOIN users u ON ja.applicant_id = u.id
-      WHERE ja.job_posting_id = $1
+      WHERE ja.job_posting_id = $1 ${stageFilter}
       ORDER BY ja.applied_at DESC
-      LIMIT $2 OFFSET $3
+      LIMIT $${params.length - 1} OFFSET $${params.length}
     `;
-    const result = await pool.query(query, [jobPostingId, limit, offset]);
+    const result = await pool.query(query, params);
     return result.rows;
   } catch (error) {
     console.error('Error finding job applications by job posting ID:', error.message);
@@ -124,16 +181,60 @@ const hasApplied = async (applicantId, jobPostingId) => {
   }
 };
 
-// Update application status
-const updateStatus = async (id, status) => {
+// Find a user's application to a job posting
+const findByApplicantAndJobPosting = async (applicantId, jobPostingId) => {
   try {
+    const query = `
+      SELECT * FROM job_applications
+      WHERE applicant_id = $1 AND job_posting_id = $2
+    `;
+    const result = await pool.query(query, [applicantId, jobPostingId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding job application by applicant and job posting:', error.message);
+    throw error;
+  }
+};
+
+// Count applications per stage for a job posting
+const countByStage = async (jobPostingId) => {
+  try {
+    const query = `
+      SELECT status AS stage, COUNT(*)::int AS count
+      FROM job_applications
+      WHERE job_posting_id = $1
+      GROUP BY status
+    `;
+    const result = await pool.query(query, [jobPostingId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error counting job applications by stage:', error.message);
+    throw error;
+  }
+};
+
+// Update application status (pipeline stage)
+// Only moves the application if it is still in expectedStage (guards concurrent moves)
+const updateStatus = async (id, status, expectedStage = null, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const params = [status, id];
+    let stageGuard = '';
+    if (expectedStage) {
+      params.push(expectedStage);
+      stageGuard = 'AND status = $3';
+    }
+
     const query = `
       UPDATE job_applications
-      SET status = $1, reviewed_at = NOW(), updated_at = NOW()
-      WHERE id = $2
+      SET status = $1,
+          reviewed_at = COALESCE(reviewed_at, NOW()),
+          stage_changed_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $2 ${stageGuard}
       RETURNING *
     `;
-    const result = await pool.query(query, [status, id]);
+    const result = await queryClient.query(query, params);
     return result.rows[0] || null;
   } catch (error) {
     console.error('Error updating application status:', error.message);
@@ -148,7 +249,8 @@ const update = async (id, applicationData) => {
     const values = [];
     let paramCount = 1;
 
-    const allowedFields = ['cover_letter', 'resume_url', 'status'];
+    // Stage changes go through updateStatus so they are recorded in the stage history
+    const allowedFields = ['cover_letter', 'resume_url'];
 
     for (const [key, value] of Object.entries(applicationData)) {
       if (allowedFields.includes(key) && value !== undefined) {
@@ -197,12 +299,17 @@ const remove = async (id) => {
 };
 
 module.exports = {
+  APPLICATION_STAGES,
+  TERMINAL_STAGES,
   initializeJobApplicationsTable,
   create,
+  reapply,
   findById,
   findByJobPostingId,
   findByApplicantId,
   hasApplied,
+  findByApplicantAndJobPosting,
+  countByStage,
   updateStatus,
   update,
   remove,
@@ -105,6 +105,9 @@ const findById = async (id) => {
   }
 };
 
+// Newest first; milliseconds only, so a keyset cursor survives the round trip through a JS Date
+const SEARCH_SORT_KEY = "date_trunc('milliseconds', jp.created_at)";
+
 // Search job postings
 const search = async (filters = {}, limit = 20, offset = 0) => {
   try {
@@ -147,7 +150,39 @@ const search = async (filters = {}, limit = 20, offset = 0) => {
       paramCount++;
     }
 
-    query += ` ORDER BY jp.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    // Postings whose advertised range reaches the requested salary
+    if (filters.min_salary) {
+      query += ` AND COALESCE(jp.salary_max, jp.salary_min) >= $${paramCount}`;
+      params.push(filters.min_salary);
+      paramCount++;
+    }
+
+    if (filters.created_after) {
+      query += ` AND jp.created_at > $${paramCount}`;
+      params.push(filters.created_after);
+      paramCount++;
+    }
+
+    if (filters.created_before) {
+      query += ` AND jp.created_at <= $${paramCount}`;
+      params.push(filters.created_before);
+      paramCount++;
+    }
+
+    if (filters.exclude_posted_by) {
+      query += ` AND jp.posted_by IS DISTINCT FROM $${paramCount}`;
+      params.push(filters.exclude_posted_by);
+      paramCount++;
+    }
+
+    // Keyset paging: postings after `before` (the last posting of the previous page) in the sort order
+    if (filters.before) {
+      query += ` AND (${SEARCH_SORT_KEY}, jp.id) < ($${paramCount}::timestamp, $${paramCount + 1})`;
+      params.push(filters.before.created_at, filters.before.id);
+      paramCount += 2;
+    }
+
+    query += ` ORDER BY ${SEARCH_SORT_KEY} DESC, jp.id DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
     params.push(limit, offset);
 
     const result = await pool.query(query, params);
@@ -175,6 +210,25 @@ const findByOrganizationId = async (organizationId, limit = 20, offset = 0) => {
   }
 };
 
+// Find job postings created by a user (including closed ones)
+const findByPostedBy = async (userId, limit = 20, offset = 0) => {
+  try {
+    const query = `
+      SELECT jp.*, mo.name as organization_name, mo.logo_url as organization_logo
+      FROM job_postings jp
+      LEFT JOIN medical_organizations mo ON jp.organization_id = mo.id
+      WHERE jp.posted_by = $1
+      ORDER BY jp.created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, [userId, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding job postings by poster:', error.message);
+    throw error;
+  }
+};
+
 // Increment views
 const incrementViews = async (id) => {
   try {
@@ -209,6 +263,25 @@ const incrementApplications = async (id, increment = 1) => {
   }
 };
 
+// Recalculate applications count from job_applications (withdrawn applications don't count)
+const syncApplicationsCount = async (id) => {
+  try {
+    const query = `
+      UPDATE job_postings
+      SET applications_count = (
+        SELECT COUNT(*) FROM job_applications WHERE job_posting_id = $1 AND status <> 'withdrawn'
+      ), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error syncing applications count:', error.message);
+    throw error;
+  }
+};
+
 // Update job posting
 const update = async (id, jobData) => {
   try {
@@ -274,6 +347,8 @@ module.exports = {
   findByOrganizationId,
   incrementViews,
   incrementApplications,
+  syncApplicationsCount,
+  findByPostedBy,
   update,
   remove,
 };
@@ -1,6 +1,15 @@
 // Medical Certification model - Certifications and licenses
 const { pool } = require('../config/database');
 
+// Credential verification state; only 'verified' (and not past expiration_date) earns the user's badge
+const VERIFICATION_STATUSES = ['unverified', 'pending', 'verified', 'rejected', 'expired'];
+
+// Editing any of these invalidates a verification (the reviewer checked the old values)
+const VERIFIED_FIELDS = [
+  'certification_type', 'name', 'issuing_organization', 'certification_board',
+  'license_number', 'credential_id', 'issue_date', 'expiration_date', 'verification_url'
+];
+
 // Initialize medical_certifications table
 const initializeMedicalCertificationsTable = async () => {
   try {
@@ -19,11 +28,25 @@ const initializeMedicalCertificationsTable = async () => {
         status VARCHAR(50) DEFAULT 'Active',
         verification_url VARCHAR(500),
         description TEXT,
+        verification_status VARCHAR(20) NOT NULL DEFAULT 'unverified',
+        verified_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT NOW(),
         updated_at TIMESTAMP DEFAULT NOW()
       );
     `;
     await pool.query(query);
+
+    // Migration: credential verification state
+    try {
+      await pool.query(`
+        ALTER TABLE medical_certifications
+        ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20) NOT NULL DEFAULT 'unverified',
+        ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: medical_certifications verification columns may already exist');
+    }
+
     console.log('✅ Medical certifications table initialized');
   } catch (error) {
     console.error('❌ Error initializing medical certifications table:', error.message);
@@ -126,8 +149,9 @@ const findExpiring = async (daysAhead = 90, userId = null) => {
 };
 
 // Update medical certification
-const update = async (id, certificationData) => {
+const update = async (id, certificationData, client = null) => {
   try {
+    const queryClient = client || pool;
     const fields = [];
     const values = [];
     let paramCount = 1;
@@ -159,7 +183,7 @@ const update = async (id, certificationData) => {
       WHERE id = $${paramCount}
       RETURNING *
     `;
-    const result = await pool.query(query, values);
+    const result = await queryClient.query(query, values);
     return result.rows[0] || null;
   } catch (error) {
     console.error('Error updating medical certification:', error.message);
@@ -179,6 +203,45 @@ const remove = async (id) => {
   }
 };
 
+// Set the verification state (verified_at is stamped when it becomes 'verified')
+const setVerificationStatus = async (id, status, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE medical_certifications
+      SET verification_status = $2::varchar,
+          verified_at = CASE WHEN $2::varchar = 'verified' THEN NOW() WHEN $2::varchar = 'unverified' THEN NULL ELSE verified_at END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [id, status]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error setting certification verification status:', error.message);
+    throw error;
+  }
+};
+
+// Move verified certifications past their expiration_date to 'expired'; returns them
+const expireVerifications = async () => {
+  try {
+    const query = `
+      UPDATE medical_certifications
+      SET verification_status = 'expired', updated_at = NOW()
+      WHERE verification_status = 'verified'
+        AND expiration_date IS NOT NULL
+        AND expiration_date < CURRENT_DATE
+      RETURNING id, user_id, name, expiration_date
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  } catch (error) {
+    console.error('Error expiring certification verifications:', error.message);
+    throw error;
+  }
+};
+
 // Bulk create medical certifications
 const bulkCreate = async (client, userId, certifications) => {
   if (!certifications || certifications.length === 0) {
@@ -230,6 +293,8 @@ const bulkCreate = async (client, userId, certifications) => {
 };
 
 module.exports = {
+  VERIFICATION_STATUSES,
+  VERIFIED_FIELDS,
   initializeMedicalCertificationsTable,
   create,
   findByUserId,
@@ -237,5 +302,7 @@ module.exports = {
   findExpiring,
   update,
   remove,
+  setVerificationStatus,
+  expireVerifications,
   bulkCreate,
 };
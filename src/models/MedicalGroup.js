@@ -24,6 +24,18 @@ const initializeMedicalGroupsTable = async () => {
       );
     `;
     await pool.query(query);
+
+    // Migration: archived groups stay readable but accept no new members or changes
+    try {
+      await pool.query(`
+        ALTER TABLE medical_groups
+        ADD COLUMN IF NOT EXISTS is_archived BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: medical_groups archive columns may already exist');
+    }
+
     console.log('✅ Medical groups table initialized');
   } catch (error) {
     console.error('❌ Error initializing medical groups table:', error.message);
@@ -32,7 +44,7 @@ const initializeMedicalGroupsTable = async () => {
 };
 
 // Create medical group
-const create = async (groupData) => {
+const create = async (groupData, client = null) => {
   try {
     const query = `
       INSERT INTO medical_groups (
@@ -42,7 +54,8 @@ const create = async (groupData) => {
       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *
     `;
-    const result = await pool.query(query, [
+    const queryClient = client || pool;
+    const result = await queryClient.query(query, [
       groupData.name,
       groupData.description || null,
       groupData.group_type,
@@ -80,6 +93,7 @@ const search = async (searchTerm, groupType = null, specialty = null) => {
     let query = `
       SELECT * FROM medical_groups
       WHERE (name ILIKE $1 OR description ILIKE $1)
+        AND is_archived = FALSE
     `;
     const params = [`%${searchTerm}%`];
     let paramCount = 2;
@@ -104,6 +118,47 @@ const search = async (searchTerm, groupType = null, specialty = null) => {
   }
 };
 
+// List active groups with the viewer's membership (role/status) if any
+const list = async (filters = {}, viewerId = null, limit = 20, offset = 0) => {
+  try {
+    let query = `
+      SELECT mg.*, vm.role AS viewer_role, vm.status AS viewer_status
+      FROM medical_groups mg
+      LEFT JOIN group_memberships vm ON vm.group_id = mg.id AND vm.user_id = $1
+      WHERE mg.is_archived = FALSE
+    `;
+    const params = [viewerId];
+    let paramCount = 2;
+
+    if (filters.search) {
+      query += ` AND (mg.name ILIKE $${paramCount} OR mg.description ILIKE $${paramCount})`;
+      params.push(`%${filters.search}%`);
+      paramCount++;
+    }
+
+    if (filters.group_type) {
+      query += ` AND mg.group_type = $${paramCount}`;
+      params.push(filters.group_type);
+      paramCount++;
+    }
+
+    if (filters.specialty) {
+      query += ` AND mg.specialty = $${paramCount}`;
+      params.push(filters.specialty);
+      paramCount++;
+    }
+
+    query += ` ORDER BY mg.member_count DESC, mg.name ASC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    params.push(limit, offset);
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing medical groups:', error.message);
+    throw error;
+  }
+};
+
 // Update member count
 const updateMemberCount = async (groupId, increment = 1) => {
   try {
@@ -121,6 +176,66 @@ const updateMemberCount = async (groupId, increment = 1) => {
   }
 };
 
+// Recalculate member_count from active memberships
+const syncMemberCount = async (groupId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE medical_groups
+      SET member_count = (
+        SELECT COUNT(*) FROM group_memberships
+        WHERE group_id = $1 AND status = 'active'
+      )
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [groupId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error syncing member count:', error.message);
+    throw error;
+  }
+};
+
+// Check whether a user can read a group's content (public group or active member)
+const canViewContent = async (groupId, userId) => {
+  try {
+    const query = `
+      SELECT 1 FROM medical_groups mg
+      WHERE mg.id = $1
+        AND (
+          mg.is_private = FALSE
+          OR EXISTS (
+            SELECT 1 FROM group_memberships gm
+            WHERE gm.group_id = mg.id AND gm.user_id = $2 AND gm.status = 'active'
+          )
+        )
+    `;
+    const result = await pool.query(query, [groupId, userId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error checking group content access:', error.message);
+    throw error;
+  }
+};
+
+// Archive medical group
+const archive = async (id) => {
+  try {
+    const query = `
+      UPDATE medical_groups
+      SET is_archived = TRUE, archived_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND is_archived = FALSE
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error archiving medical group:', error.message);
+    throw error;
+  }
+};
+
 // Update medical group
 const update = async (id, groupData) => {
   try {
@@ -167,6 +282,10 @@ module.exports = {
   create,
   findById,
   search,
+  list,
   updateMemberCount,
+  syncMemberCount,
+  canViewContent,
+  archive,
   update,
 };
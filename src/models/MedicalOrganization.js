@@ -24,11 +24,22 @@ const initializeMedicalOrganizationsTable = async () => {
         employee_count INTEGER,
         specialties TEXT[],
         is_verified BOOLEAN DEFAULT FALSE,
+        require_mfa BOOLEAN DEFAULT FALSE,
         created_at TIMESTAMP DEFAULT NOW(),
         updated_at TIMESTAMP DEFAULT NOW()
       );
     `;
     await pool.query(query);
+
+    // Migration: organization admins can require two-factor authentication for their people
+    try {
+      await pool.query(`
+        ALTER TABLE medical_organizations
+        ADD COLUMN IF NOT EXISTS require_mfa BOOLEAN DEFAULT FALSE
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: medical_organizations require_mfa column may already exist');
+    }
     console.log('✅ Medical organizations table initialized');
   } catch (error) {
     console.error('❌ Error initializing medical organizations table:', error.message);
@@ -163,6 +174,50 @@ const update = async (id, organizationData) => {
   }
 };
 
+// Turn the two-factor requirement on or off
+const setRequireMfa = async (id, requireMfa) => {
+  try {
+    const query = `
+      UPDATE medical_organizations
+      SET require_mfa = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id, requireMfa]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating organization MFA requirement:', error.message);
+    throw error;
+  }
+};
+
+// Organizations requiring 2FA that apply to a user: ones they administer or currently work at
+const findRequiringMfaForUser = async (userId) => {
+  try {
+    const query = `
+      SELECT mo.id, mo.name
+      FROM medical_organizations mo
+      WHERE mo.require_mfa = TRUE
+        AND (
+          EXISTS (
+            SELECT 1 FROM organization_admins oa
+            WHERE oa.organization_id = mo.id AND oa.user_id = $1
+          )
+          OR EXISTS (
+            SELECT 1 FROM medical_experiences me
+            WHERE me.organization_id = mo.id AND me.user_id = $1 AND me.is_current = TRUE
+          )
+        )
+      ORDER BY mo.name
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding organizations requiring MFA:', error.message);
+    throw error;
+  }
+};
+
 module.exports = {
   initializeMedicalOrganizationsTable,
   create,
@@ -170,4 +225,6 @@ module.exports = {
   findByName,
   search,
   update,
+  setRequireMfa,
+  findRequiringMfaForUser,
 };
@@ -1,6 +1,19 @@
-// Message model - Direct messages
+// Message model - Direct and group messages
 const { pool } = require('../config/database');
 
+// user = sent by a participant; system = membership and group changes, with the event in `metadata`
+const MESSAGE_TYPES = ['user', 'system'];
+
+// Full-text search document: content weighs more than attachment file names (split on punctuation,
+// so "echo-report-march.pdf" matches "echo report"). Searches build it with the same function so
+// the planner can use the GIN index on it.
+const searchVectorSql = (alias = '') => {
+  const prefix = alias ? `${alias}.` : '';
+  return `(setweight(to_tsvector('english', coalesce(${prefix}content, '')), 'A') || setweight(to_tsvector('english', regexp_replace(coalesce(${prefix}attachment_name, ''), '[^[:alnum:]]+', ' ', 'g')), 'B'))`;
+};
+
+const SEARCH_SORTS = ['relevance', 'recent'];
+
 // Initialize messages table
 const initializeMessagesTable = async () => {
   try {
@@ -13,6 +26,7 @@ const initializeMessagesTable = async () => {
         attachment_url VARCHAR(500),
         attachment_type VARCHAR(50),
         attachment_name VARCHAR(255),
+        attachment_id INTEGER REFERENCES message_attachments(id) ON DELETE SET NULL,
         edited_at TIMESTAMP,
         deleted_at TIMESTAMP,
         forwarded_from_message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
@@ -20,6 +34,8 @@ const initializeMessagesTable = async () => {
         read_at TIMESTAMP,
         delivered_at TIMESTAMP,
         delivery_status VARCHAR(20) DEFAULT 'sent',
+        message_type VARCHAR(20) DEFAULT 'user',
+        metadata JSONB,
         created_at TIMESTAMP DEFAULT NOW()
       );
     `;
@@ -35,6 +51,9 @@ const initializeMessagesTable = async () => {
       { name: 'forwarded_from_message_id', type: 'INTEGER REFERENCES messages(id) ON DELETE SET NULL' },
       { name: 'delivered_at', type: 'TIMESTAMP' },
       { name: 'delivery_status', type: "VARCHAR(20) DEFAULT 'sent'" },
+      { name: 'message_type', type: "VARCHAR(20) DEFAULT 'user'" },
+      { name: 'metadata', type: 'JSONB' },
+      { name: 'attachment_id', type: 'INTEGER REFERENCES message_attachments(id) ON DELETE SET NULL' },
     ];
     
     for (const col of columnsToAdd) {
@@ -51,6 +70,11 @@ const initializeMessagesTable = async () => {
       }
     }
     
+    // Full-text search index
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (${searchVectorSql()})
+    `);
+
     console.log('✅ Messages table initialized');
   } catch (error) {
     console.error('❌ Error initializing messages table:', error.message);
@@ -64,10 +88,10 @@ const create = async (messageData) => {
     const query = `
       INSERT INTO messages (
         conversation_id, sender_id, content, 
-        attachment_url, attachment_type, attachment_name,
-        forwarded_from_message_id
+        attachment_url, attachment_type, attachment_name, attachment_id,
+        forwarded_from_message_id, message_type, metadata
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING *
     `;
     const result = await pool.query(query, [
@@ -77,7 +101,10 @@ const create = async (messageData) => {
       messageData.attachment_url || null,
       messageData.attachment_type || null,
       messageData.attachment_name || null,
-      messageData.forwarded_from_message_id || null
+      messageData.attachment_id || null,
+      messageData.forwarded_from_message_id || null,
+      messageData.message_type || 'user',
+      messageData.metadata ? JSON.stringify(messageData.metadata) : null,
     ]);
     return result.rows[0];
   } catch (error) {
@@ -138,6 +165,38 @@ const findById = async (id) => {
   }
 };
 
+// Check whether a user has sent any (non-system) message in a conversation
+const hasUserMessageFrom = async (conversationId, senderId) => {
+  try {
+    const query = `
+      SELECT 1 FROM messages
+      WHERE conversation_id = $1 AND sender_id = $2 AND message_type = 'user'
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [conversationId, senderId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error checking messages from sender:', error.message);
+    throw error;
+  }
+};
+
+// Find messages (not deleted) that carry an attachment, forwarded copies included
+const findByAttachmentId = async (attachmentId) => {
+  try {
+    const query = `
+      SELECT * FROM messages
+      WHERE attachment_id = $1 AND deleted_at IS NULL
+      ORDER BY created_at ASC
+    `;
+    const result = await pool.query(query, [attachmentId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding messages by attachment ID:', error.message);
+    throw error;
+  }
+};
+
 // Mark message as delivered
 const markAsDelivered = async (id) => {
   try {
@@ -172,18 +231,19 @@ const markAsRead = async (id) => {
   }
 };
 
-// Mark all messages in conversation as read
-const markConversationAsRead = async (conversationId, userId) => {
+// Mark messages in conversation as read (all of them, or up to `upToMessageId`)
+const markConversationAsRead = async (conversationId, userId, upToMessageId = null) => {
   try {
     const query = `
       UPDATE messages
-      SET is_read = TRUE, read_at = NOW()
+      SET is_read = TRUE, read_at = NOW(), delivery_status = 'read'
       WHERE conversation_id = $1 
         AND sender_id != $2 
         AND is_read = FALSE
+        AND ($3::int IS NULL OR id <= $3::int)
       RETURNING *
     `;
-    const result = await pool.query(query, [conversationId, userId]);
+    const result = await pool.query(query, [conversationId, userId, upToMessageId]);
     return result.rows;
   } catch (error) {
     console.error('Error marking conversation messages as read:', error.message);
@@ -261,32 +321,90 @@ const remove = async (id) => {
   }
 };
 
-// Search messages
-const search = async (userId, searchQuery, conversationId = null, limit = 50, offset = 0) => {
+/**
+ * Full-text search over the messages a user can see: user messages (not deleted) in
+ * conversations they are still in and have not hidden. `searchQuery` uses web search syntax
+ * ("quoted phrases", or, -excluded). `filters`: conversationId, senderId, from, to and
+ * hasAttachment. `sort` is relevance (ts_rank, then newest) or recent. `cursor` is the
+ * `search_cursor` of the last row of the previous page. Each row carries `rank` and a
+ * `highlight` snippet: HTML-escaped content with matches wrapped in <mark>.
+ */
+const search = async (userId, searchQuery, filters = {}, { sort = 'relevance', cursor = null, limit = 20 } = {}) => {
   try {
-    let query = `
-      SELECT m.*, u.first_name, u.last_name, u.profile_image_url, c.id as conversation_id
-      FROM messages m
-      JOIN users u ON m.sender_id = u.id
-      JOIN conversations c ON m.conversation_id = c.id
-      WHERE (c.participant1_id = $1 OR c.participant2_id = $1)
-        AND m.deleted_at IS NULL
-        AND m.content ILIKE $2
-    `;
-    const params = [userId, `%${searchQuery}%`];
-    let paramCount = 3;
+    const params = [userId, searchQuery];
+    const conditions = [];
 
-    if (conversationId) {
-      query += ` AND m.conversation_id = $${paramCount}`;
-      params.push(conversationId);
-      paramCount++;
+    if (filters.conversationId) {
+      params.push(filters.conversationId);
+      conditions.push(`m.conversation_id = $${params.length}`);
+    }
+    if (filters.senderId) {
+      params.push(filters.senderId);
+      conditions.push(`m.sender_id = $${params.length}`);
+    }
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`m.created_at >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`m.created_at < $${params.length}`);
+    }
+    if (filters.hasAttachment === true) {
+      conditions.push('(m.attachment_id IS NOT NULL OR m.attachment_url IS NOT NULL)');
+    } else if (filters.hasAttachment === false) {
+      conditions.push('m.attachment_id IS NULL AND m.attachment_url IS NULL');
     }
 
-    query += ` ORDER BY m.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    params.push(limit, offset);
+    // Keyset pagination: rows after the previous page's last (rank, id) or id
+    let cursorCondition = '';
+    if (cursor && sort === 'relevance') {
+      params.push(cursor.rank, cursor.id);
+      cursorCondition = `WHERE (matches.rank, matches.id) < ($${params.length - 1}::real, $${params.length}::int)`;
+    } else if (cursor) {
+      params.push(cursor.id);
+      cursorCondition = `WHERE matches.id < $${params.length}`;
+    }
+    const orderBy = sort === 'relevance' ? 'matches.rank DESC, matches.id DESC' : 'matches.id DESC';
+
+    params.push(limit);
+    const query = `
+      WITH matches AS (
+        SELECT m.id, ts_rank(${searchVectorSql('m')}, search_query) AS rank
+        FROM messages m
+        JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id
+          AND cp.user_id = $1 AND cp.left_at IS NULL AND cp.is_deleted = FALSE
+        CROSS JOIN websearch_to_tsquery('english', $2) AS search_query
+        WHERE ${searchVectorSql('m')} @@ search_query
+          AND m.deleted_at IS NULL
+          AND m.message_type = 'user'
+          ${conditions.map(condition => `AND ${condition}`).join('\n          ')}
+      )
+      SELECT
+        m.*,
+        u.first_name,
+        u.last_name,
+        u.profile_image_url,
+        matches.rank,
+        ts_headline(
+          'english',
+          replace(replace(replace(m.content, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+          websearch_to_tsquery('english', $2),
+          'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" ... "'
+        ) AS highlight
+      FROM matches
+      JOIN messages m ON m.id = matches.id
+      JOIN users u ON m.sender_id = u.id
+      ${cursorCondition}
+      ORDER BY ${orderBy}
+      LIMIT $${params.length}
+    `;
 
     const result = await pool.query(query, params);
-    return result.rows;
+    return result.rows.map(row => ({
+      ...row,
+      search_cursor: sort === 'relevance' ? `${row.rank}:${row.id}` : String(row.id),
+    }));
   } catch (error) {
     console.error('Error searching messages:', error.message);
     throw error;
@@ -294,10 +412,14 @@ const search = async (userId, searchQuery, conversationId = null, limit = 50, of
 };
 
 module.exports = {
+  MESSAGE_TYPES,
+  SEARCH_SORTS,
   initializeMessagesTable,
   create,
   findByConversationId,
   findById,
+  findByAttachmentId,
+  hasUserMessageFrom,
   markAsDelivered,
   markAsRead,
   markConversationAsRead,
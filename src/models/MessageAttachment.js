@@ -0,0 +1,184 @@
+// Message Attachment model - Files uploaded to the private container for messages, with their processed variants
+const { pool } = require('../config/database');
+
+const ATTACHMENT_MEDIA_TYPES = ['image', 'video', 'document'];
+
+// pending = upload token issued, uploaded = client reported the upload, then processing, ready or failed
+const ATTACHMENT_STATUSES = ['pending', 'uploaded', 'processing', 'ready', 'failed'];
+
+// Parse JSONB columns that may come back as strings
+const parseRow = (row) => {
+  if (!row) return null;
+  if (row.variants && typeof row.variants === 'string') {
+    row.variants = JSON.parse(row.variants);
+  }
+  if (row.phi_findings && typeof row.phi_findings === 'string') {
+    row.phi_findings = JSON.parse(row.phi_findings);
+  }
+  return row;
+};
+
+// Initialize message_attachments table (before messages, which reference it)
+const initializeMessageAttachmentsTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS message_attachments (
+        id SERIAL PRIMARY KEY,
+        uploader_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        media_type VARCHAR(20) NOT NULL,
+        content_type VARCHAR(150) NOT NULL,
+        file_name VARCHAR(255),
+        file_size INTEGER,
+        blob_name VARCHAR(500) NOT NULL UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        processing_error TEXT,
+        variants JSONB,
+        width INTEGER,
+        height INTEGER,
+        duration INTEGER,
+        phi_findings JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        CHECK (media_type IN ('image', 'video', 'document')),
+        CHECK (status IN ('pending', 'uploaded', 'processing', 'ready', 'failed'))
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Message attachments table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing message attachments table:', error.message);
+    throw error;
+  }
+};
+
+// Create an attachment when its upload token is issued
+const create = async (attachmentData) => {
+  try {
+    const query = `
+      INSERT INTO message_attachments (uploader_id, media_type, content_type, file_name, file_size, blob_name)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await pool.query(query, [
+      attachmentData.uploader_id,
+      attachmentData.media_type,
+      attachmentData.content_type,
+      attachmentData.file_name || null,
+      attachmentData.file_size || null,
+      attachmentData.blob_name,
+    ]);
+    return parseRow(result.rows[0]);
+  } catch (error) {
+    console.error('Error creating message attachment:', error.message);
+    throw error;
+  }
+};
+
+// Find attachment by ID
+const findById = async (id) => {
+  try {
+    const query = 'SELECT * FROM message_attachments WHERE id = $1';
+    const result = await pool.query(query, [id]);
+    return parseRow(result.rows[0] || null);
+  } catch (error) {
+    console.error('Error finding message attachment by ID:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Update processing state. `fields` may set file_size, processing_error, variants, width,
+ * height, duration and phi_findings.
+ */
+const updateStatus = async (id, status, fields = {}) => {
+  try {
+    const setParts = ['status = $1', 'updated_at = NOW()'];
+    const values = [status];
+    const columns = ['file_size', 'processing_error', 'variants', 'width', 'height', 'duration', 'phi_findings'];
+
+    for (const column of columns) {
+      if (fields[column] !== undefined) {
+        const value = ['variants', 'phi_findings'].includes(column) && fields[column] !== null
+          ? JSON.stringify(fields[column])
+          : fields[column];
+        values.push(value);
+        setParts.push(`${column} = $${values.length}`);
+      }
+    }
+
+    values.push(id);
+    const query = `
+      UPDATE message_attachments
+      SET ${setParts.join(', ')}
+      WHERE id = $${values.length}
+      RETURNING *
+    `;
+    const result = await pool.query(query, values);
+    return parseRow(result.rows[0] || null);
+  } catch (error) {
+    console.error('Error updating message attachment status:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a user may read an attachment: its uploader, or a current participant of a
+ * conversation where a (not deleted) message carries it, including forwarded copies.
+ */
+const canAccess = async (attachmentId, userId) => {
+  try {
+    const query = `
+      SELECT 1
+      FROM message_attachments a
+      WHERE a.id = $1
+        AND (
+          a.uploader_id = $2
+          OR EXISTS (
+            SELECT 1
+            FROM messages m
+            JOIN conversation_participants cp ON cp.conversation_id = m.conversation_id
+            WHERE m.attachment_id = a.id
+              AND m.deleted_at IS NULL
+              AND cp.user_id = $2
+              AND cp.left_at IS NULL
+          )
+        )
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [attachmentId, userId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error checking message attachment access:', error.message);
+    throw error;
+  }
+};
+
+// Convert an attachment to the fields clients see (blob names stay server-side)
+const toDescriptor = (attachment) => {
+  if (!attachment) return null;
+
+  return {
+    id: attachment.id,
+    media_type: attachment.media_type,
+    content_type: attachment.content_type,
+    file_name: attachment.file_name,
+    file_size: attachment.file_size,
+    status: attachment.status,
+    processing_error: attachment.processing_error,
+    width: attachment.width,
+    height: attachment.height,
+    duration: attachment.duration,
+    variant_names: Object.keys(attachment.variants || {}),
+  };
+};
+
+module.exports = {
+  ATTACHMENT_MEDIA_TYPES,
+  ATTACHMENT_STATUSES,
+  initializeMessageAttachmentsTable,
+  create,
+  findById,
+  updateStatus,
+  canAccess,
+  toDescriptor,
+};
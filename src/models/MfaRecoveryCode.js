@@ -0,0 +1,94 @@
+// MFA Recovery Code model - Hashed one-time codes for signing in without the authenticator app
+const { pool } = require('../config/database');
+
+// Initialize mfa_recovery_codes table
+const initializeMfaRecoveryCodesTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(user_id, code_hash)
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ MFA recovery codes table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing MFA recovery codes table:', error.message);
+    throw error;
+  }
+};
+
+// Replace a user's codes with a new set of hashes
+const replaceForUser = async (userId, codeHashes) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    for (const codeHash of codeHashes) {
+      await client.query(
+        'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, codeHash]
+      );
+    }
+    await client.query('COMMIT');
+    return codeHashes.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error replacing MFA recovery codes:', error.message);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Spend a code; returns false if it is unknown or already used
+const consume = async (userId, codeHash) => {
+  try {
+    const query = `
+      UPDATE mfa_recovery_codes
+      SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `;
+    const result = await pool.query(query, [userId, codeHash]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error consuming MFA recovery code:', error.message);
+    throw error;
+  }
+};
+
+// Number of unused codes left
+const countRemaining = async (userId) => {
+  try {
+    const query = 'SELECT COUNT(*)::int AS count FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL';
+    const result = await pool.query(query, [userId]);
+    return result.rows[0].count;
+  } catch (error) {
+    console.error('Error counting MFA recovery codes:', error.message);
+    throw error;
+  }
+};
+
+// Delete every code of a user (MFA turned off)
+const deleteForUser = async (userId) => {
+  try {
+    const query = 'DELETE FROM mfa_recovery_codes WHERE user_id = $1';
+    await pool.query(query, [userId]);
+  } catch (error) {
+    console.error('Error deleting MFA recovery codes:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeMfaRecoveryCodesTable,
+  replaceForUser,
+  consume,
+  countRemaining,
+  deleteForUser,
+};
@@ -1,6 +1,44 @@
 // Notification model - System notifications
 const { pool } = require('../config/database');
 
+/**
+ * Notification types that collapse into one entry in the notification center,
+ * mapped to what they are grouped by ("A and 4 others upvoted your post").
+ * `related_*` keys read the column, other keys read notification_data; null groups by type alone.
+ */
+const GROUPABLE_TYPES = {
+  post_upvote: 'related_post_id',
+  post_comment: 'related_post_id',
+  post_repost: 'related_post_id',
+  post_mention: 'related_post_id',
+  comment_upvote: 'related_comment_id',
+  comment_reply: 'related_comment_id',
+  skill_endorsement: 'skill_id',
+  new_follower: null,
+  new_message: 'conversation_id',
+  group_join_request: 'group_id',
+  job_alert: 'saved_search_id',
+  job_application_received: 'related_job_posting_id',
+};
+
+// Build the grouping key for a new notification (null when it stands alone)
+const buildGroupKey = (notificationData) => {
+  const type = notificationData.notification_type;
+  if (!Object.prototype.hasOwnProperty.call(GROUPABLE_TYPES, type)) {
+    return null;
+  }
+
+  const groupBy = GROUPABLE_TYPES[type];
+  if (!groupBy) {
+    return type;
+  }
+
+  const value = groupBy.startsWith('related_')
+    ? notificationData[groupBy]
+    : (notificationData.notification_data || {})[groupBy];
+  return value ? `${type}:${value}` : null;
+};
+
 // Initialize notifications table
 const initializeNotificationsTable = async () => {
   try {
@@ -23,6 +61,17 @@ const initializeNotificationsTable = async () => {
       );
     `;
     await pool.query(query);
+
+    // Migration: grouping key for the notification center
+    try {
+      await pool.query(`
+        ALTER TABLE notifications
+        ADD COLUMN IF NOT EXISTS group_key VARCHAR(255);
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: Notification group_key column may already exist');
+    }
+
     console.log('✅ Notifications table initialized');
   } catch (error) {
     console.error('❌ Error initializing notifications table:', error.message);
@@ -37,9 +86,9 @@ const create = async (notificationData) => {
       INSERT INTO notifications (
         user_id, notification_type, title, message, notification_data,
         related_user_id, related_post_id, related_comment_id,
-        related_connection_id, related_job_posting_id
+        related_connection_id, related_job_posting_id, group_key
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *
     `;
     const result = await pool.query(query, [
@@ -52,7 +101,8 @@ const create = async (notificationData) => {
       notificationData.related_post_id || null,
       notificationData.related_comment_id || null,
       notificationData.related_connection_id || null,
-      notificationData.related_job_posting_id || null
+      notificationData.related_job_posting_id || null,
+      buildGroupKey(notificationData)
     ]);
     return result.rows[0];
   } catch (error) {
@@ -90,6 +140,114 @@ const findByUserId = async (userId, limit = 50, offset = 0, unreadOnly = false)
   }
 };
 
+// Shared WHERE clause for notification center queries; returns { conditions, params }
+const buildCenterFilters = (userId, filters = {}) => {
+  const conditions = ['n.user_id = $1'];
+  const params = [userId];
+
+  if (filters.types && filters.types.length > 0) {
+    params.push(filters.types);
+    conditions.push(`n.notification_type = ANY($${params.length})`);
+  }
+  if (filters.unreadOnly) {
+    conditions.push('n.is_read = FALSE');
+  }
+
+  return { conditions, params };
+};
+
+/**
+ * Find a page of notifications, newest first, with similar notifications collapsed into one entry.
+ * Each entry is the group's latest notification plus group_count, actor_count, unread_count,
+ * notification_ids and up to three recent actors. Pass the last entry's id as `before` for the next page.
+ */
+const findGroupedByUserId = async (userId, filters = {}, before = null, limit = 20) => {
+  try {
+    const { conditions, params } = buildCenterFilters(userId, filters);
+    params.push(before, limit);
+    const beforeParam = `$${params.length - 1}`;
+    const limitParam = `$${params.length}`;
+
+    const query = `
+      WITH grouped AS (
+        SELECT
+          COALESCE(n.group_key, 'notification:' || n.id) AS entry_key,
+          MAX(n.id) AS latest_id,
+          COUNT(*)::int AS group_count,
+          COUNT(DISTINCT n.related_user_id)::int AS actor_count,
+          COUNT(*) FILTER (WHERE n.is_read = FALSE)::int AS unread_count,
+          ARRAY_AGG(n.id ORDER BY n.id DESC) AS notification_ids
+        FROM notifications n
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY entry_key
+        HAVING ${beforeParam}::int IS NULL OR MAX(n.id) < ${beforeParam}::int
+        ORDER BY latest_id DESC
+        LIMIT ${limitParam}
+      )
+      SELECT n.*,
+             u.first_name as related_user_first_name,
+             u.last_name as related_user_last_name,
+             u.profile_image_url as related_user_profile_image,
+             g.group_count, g.actor_count, g.unread_count, g.notification_ids,
+             COALESCE(actors.list, '[]'::json) AS actors
+      FROM grouped g
+      JOIN notifications n ON n.id = g.latest_id
+      LEFT JOIN users u ON n.related_user_id = u.id
+      LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object(
+          'id', recent.related_user_id,
+          'first_name', a.first_name,
+          'last_name', a.last_name,
+          'profile_image_url', a.profile_image_url
+        ) ORDER BY recent.latest_id DESC) AS list
+        FROM (
+          SELECT n2.related_user_id, MAX(n2.id) AS latest_id
+          FROM notifications n2
+          WHERE n2.id = ANY(g.notification_ids) AND n2.related_user_id IS NOT NULL
+          GROUP BY n2.related_user_id
+          ORDER BY latest_id DESC
+          LIMIT 3
+        ) recent
+        JOIN users a ON a.id = recent.related_user_id
+      ) actors ON TRUE
+      ORDER BY g.latest_id DESC
+    `;
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding grouped notifications:', error.message);
+    throw error;
+  }
+};
+
+// Find a page of individual notifications, newest first (keyset on id)
+const findPageByUserId = async (userId, filters = {}, before = null, limit = 20) => {
+  try {
+    const { conditions, params } = buildCenterFilters(userId, filters);
+    if (before) {
+      params.push(before);
+      conditions.push(`n.id < $${params.length}`);
+    }
+    params.push(limit);
+
+    const query = `
+      SELECT n.*, u.first_name as related_user_first_name,
+             u.last_name as related_user_last_name,
+             u.profile_image_url as related_user_profile_image
+      FROM notifications n
+      LEFT JOIN users u ON n.related_user_id = u.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY n.id DESC
+      LIMIT $${params.length}
+    `;
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding notifications page:', error.message);
+    throw error;
+  }
+};
+
 // Find notification by ID
 const findById = async (id) => {
   try {
@@ -152,6 +310,46 @@ const getUnreadCount = async (userId) => {
   }
 };
 
+// Mark a notification and the rest of its group as read (only the owner's rows)
+const markGroupAsRead = async (userId, id) => {
+  try {
+    const query = `
+      UPDATE notifications n
+      SET is_read = TRUE, read_at = NOW()
+      FROM notifications target
+      WHERE target.id = $2 AND target.user_id = $1
+        AND n.user_id = $1
+        AND n.is_read = FALSE
+        AND (n.id = target.id OR (target.group_key IS NOT NULL AND n.group_key = target.group_key))
+      RETURNING n.id
+    `;
+    const result = await pool.query(query, [userId, id]);
+    return result.rows.map(row => row.id);
+  } catch (error) {
+    console.error('Error marking notification group as read:', error.message);
+    throw error;
+  }
+};
+
+// Delete a notification and the rest of its group (only the owner's rows)
+const removeGroup = async (userId, id) => {
+  try {
+    const query = `
+      DELETE FROM notifications n
+      USING notifications target
+      WHERE target.id = $2 AND target.user_id = $1
+        AND n.user_id = $1
+        AND (n.id = target.id OR (target.group_key IS NOT NULL AND n.group_key = target.group_key))
+      RETURNING n.id
+    `;
+    const result = await pool.query(query, [userId, id]);
+    return result.rows.map(row => row.id);
+  } catch (error) {
+    console.error('Error deleting notification group:', error.message);
+    throw error;
+  }
+};
+
 // Delete notification
 const remove = async (id) => {
   try {
@@ -177,13 +375,18 @@ const removeAllByUserId = async (userId) => {
 };
 
 module.exports = {
+  GROUPABLE_TYPES,
   initializeNotificationsTable,
   create,
   findByUserId,
+  findGroupedByUserId,
+  findPageByUserId,
   findById,
   markAsRead,
+  markGroupAsRead,
   markAllAsRead,
   getUnreadCount,
   remove,
+  removeGroup,
   removeAllByUserId,
 };
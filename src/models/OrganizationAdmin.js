@@ -0,0 +1,129 @@
+// Organization Admin model - Users who manage a medical organization's presence (job postings, profile)
+const { pool } = require('../config/database');
+
+// Initialize organization_admins table
+const initializeOrganizationAdminsTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS organization_admins (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER NOT NULL REFERENCES medical_organizations(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(organization_id, user_id)
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Organization admins table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing organization admins table:', error.message);
+    throw error;
+  }
+};
+
+// Add admin to organization
+const addAdmin = async (organizationId, userId, addedBy = null) => {
+  try {
+    const query = `
+      INSERT INTO organization_admins (organization_id, user_id, added_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (organization_id, user_id) DO NOTHING
+      RETURNING *
+    `;
+    const result = await pool.query(query, [organizationId, userId, addedBy]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error adding organization admin:', error.message);
+    throw error;
+  }
+};
+
+// Remove admin from organization
+const removeAdmin = async (organizationId, userId) => {
+  try {
+    const query = `
+      DELETE FROM organization_admins
+      WHERE organization_id = $1 AND user_id = $2
+      RETURNING *
+    `;
+    const result = await pool.query(query, [organizationId, userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error removing organization admin:', error.message);
+    throw error;
+  }
+};
+
+// Check if user is an admin of the organization
+const isAdmin = async (organizationId, userId) => {
+  try {
+    const query = `
+      SELECT 1 FROM organization_admins
+      WHERE organization_id = $1 AND user_id = $2
+    `;
+    const result = await pool.query(query, [organizationId, userId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error checking organization admin:', error.message);
+    throw error;
+  }
+};
+
+// Whether the user administers at least one organization (the org_admin role)
+const isAdminOfAny = async (userId) => {
+  try {
+    const query = 'SELECT 1 FROM organization_admins WHERE user_id = $1 LIMIT 1';
+    const result = await pool.query(query, [userId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error checking organization admin:', error.message);
+    throw error;
+  }
+};
+
+// Find admins of an organization
+const findByOrganizationId = async (organizationId) => {
+  try {
+    const query = `
+      SELECT oa.*, u.first_name, u.last_name, u.profile_image_url, u.headline
+      FROM organization_admins oa
+      JOIN users u ON oa.user_id = u.id
+      WHERE oa.organization_id = $1
+      ORDER BY oa.created_at ASC
+    `;
+    const result = await pool.query(query, [organizationId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding organization admins:', error.message);
+    throw error;
+  }
+};
+
+// Organizations a user administers
+const findByUserId = async (userId) => {
+  try {
+    const query = `
+      SELECT oa.organization_id, oa.created_at, mo.name, mo.is_verified
+      FROM organization_admins oa
+      JOIN medical_organizations mo ON oa.organization_id = mo.id
+      WHERE oa.user_id = $1
+      ORDER BY mo.name
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding organizations for admin:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeOrganizationAdminsTable,
+  addAdmin,
+  removeAdmin,
+  isAdmin,
+  isAdminOfAny,
+  findByOrganizationId,
+  findByUserId,
+};
@@ -48,6 +48,29 @@ const initializePostsTable = async () => {
       // Columns might already exist, ignore
       console.log('Migration note: Vote columns may already exist');
     }
+
+    // Migration: group-scoped posts (visibility 'group') and moderator pins within the group feed
+    try {
+      await pool.query(`
+        ALTER TABLE posts
+        ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES medical_groups(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS group_pinned_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS group_pinned_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: Group post columns may already exist');
+    }
+
+    // Migration: moderation state ('hidden' or 'removed' by a moderator; NULL when visible)
+    try {
+      await pool.query(`
+        ALTER TABLE posts
+        ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP;
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: Post moderation columns may already exist');
+    }
     
     console.log('✅ Posts table initialized');
   } catch (error) {
@@ -56,23 +79,56 @@ const initializePostsTable = async () => {
   }
 };
 
+// Viewer ($param) is an active member of the post's group
+const groupMemberSql = (alias, param) => `
+  EXISTS (
+    SELECT 1 FROM group_memberships gm
+    WHERE gm.group_id = ${alias}.group_id AND gm.user_id = ${param} AND gm.status = 'active'
+  )
+`;
+
+// Group post is readable by the viewer: public group, or active member of a private one
+const groupPostReadableSql = (alias, param) => `
+  EXISTS (
+    SELECT 1 FROM medical_groups g
+    WHERE g.id = ${alias}.group_id
+      AND (g.is_private = FALSE OR ${groupMemberSql(alias, param)})
+  )
+`;
+
+// ORDER BY for the feed sorts (best/top, hot, new)
+const feedOrderClause = (sortBy) => {
+  switch (sortBy) {
+    case 'best':
+    case 'top':
+      return 'p.score DESC, p.created_at DESC';
+    case 'hot':
+      // Hot algorithm: score / (hours_since_post + 2)^1.5
+      return `(p.score::FLOAT / POWER(EXTRACT(EPOCH FROM (NOW() - p.created_at)) / 3600 + 2, 1.5)) DESC`;
+    case 'new':
+    default:
+      return 'p.created_at DESC';
+  }
+};
+
 // Create post
 const create = async (postData, client = null) => {
   try {
     const queryClient = client || pool;
     const query = `
       INSERT INTO posts (
-        user_id, content, post_type, visibility, parent_post_id
+        user_id, content, post_type, visibility, parent_post_id, group_id
       )
-      VALUES ($1, $2, $3, $4, $5)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING *
     `;
     const result = await queryClient.query(query, [
       postData.user_id,
       postData.content,
       postData.post_type || 'post',
-      postData.visibility || 'public',
-      postData.parent_post_id || null
+      postData.group_id ? 'group' : (postData.visibility || 'public'),
+      postData.parent_post_id || null,
+      postData.group_id || null
     ]);
     return result.rows[0];
   } catch (error) {
@@ -85,9 +141,11 @@ const create = async (postData, client = null) => {
 const findById = async (id) => {
   try {
     const query = `
-      SELECT p.*, u.first_name, u.last_name, u.profile_image_url, u.headline
+      SELECT p.*, u.first_name, u.last_name, u.profile_image_url, u.headline,
+             g.name as group_name, g.is_private as group_is_private
       FROM posts p
       JOIN users u ON p.user_id = u.id
+      LEFT JOIN medical_groups g ON p.group_id = g.id
       WHERE p.id = $1
     `;
     const result = await pool.query(query, [id]);
@@ -98,6 +156,28 @@ const findById = async (id) => {
   }
 };
 
+// Check whether a user can read a post (private group posts: active members only;
+// hidden or removed posts: their author only)
+const canView = async (post, userId) => {
+  try {
+    if (post.moderation_status && post.user_id !== userId) {
+      return false;
+    }
+    if (!post.group_id) {
+      return true;
+    }
+    const query = `
+      SELECT 1 FROM posts p
+      WHERE p.id = $1 AND ${groupPostReadableSql('p', '$2')}
+    `;
+    const result = await pool.query(query, [post.id, userId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error checking post access:', error.message);
+    throw error;
+  }
+};
+
 // Find posts by user ID
 const findByUserId = async (userId, limit = 20, offset = 0) => {
   try {
@@ -105,7 +185,8 @@ const findByUserId = async (userId, limit = 20, offset = 0) => {
       SELECT p.*, u.first_name, u.last_name, u.profile_image_url, u.headline
       FROM posts p
       JOIN users u ON p.user_id = u.id
-      WHERE p.user_id = $1 AND p.parent_post_id IS NULL
+      WHERE p.user_id = $1 AND p.parent_post_id IS NULL AND p.group_id IS NULL
+        AND p.moderation_status IS NULL
       ORDER BY p.is_pinned DESC, p.created_at DESC
       LIMIT $2 OFFSET $3
     `;
@@ -130,10 +211,14 @@ const findFeed = async (userId, limit = 20, offset = 0) => {
         (c.requester_id = p.user_id AND c.addressee_id = $1)
       ) AND c.status = 'connected'
       WHERE p.parent_post_id IS NULL
+        AND p.moderation_status IS NULL
         AND (
-          p.user_id = $1
-          OR (p.visibility = 'public')
-          OR (p.visibility = 'connections' AND c.id IS NOT NULL)
+          (p.group_id IS NULL AND (
+            p.user_id = $1
+            OR (p.visibility = 'public')
+            OR (p.visibility = 'connections' AND c.id IS NOT NULL)
+          ))
+          OR (p.group_id IS NOT NULL AND ${groupMemberSql('p', '$1')})
         )
       ORDER BY p.created_at DESC
       LIMIT $2 OFFSET $3
@@ -365,33 +450,22 @@ const hasReposted = async (userId, originalPostId) => {
 
 // Find feed posts with sorting (includes reposts with original post data)
 // Optimized query with better JOIN strategies and query time logging
-const findFeedSorted = async (userId, sortBy = 'new', limit = 20, offset = 0) => {
+// Pass `since` to only rank posts created after that time (e.g. the weekly digest)
+const findFeedSorted = async (userId, sortBy = 'new', limit = 20, offset = 0, since = null) => {
   const startTime = Date.now();
   try {
-    let orderClause = 'p.created_at DESC';
-    
-    switch (sortBy) {
-      case 'best':
-      case 'top':
-        orderClause = 'p.score DESC, p.created_at DESC';
-        break;
-      case 'hot':
-        // Hot algorithm: score / (hours_since_post + 2)^1.5
-        orderClause = `(p.score::FLOAT / POWER(EXTRACT(EPOCH FROM (NOW() - p.created_at)) / 3600 + 2, 1.5)) DESC`;
-        break;
-      case 'new':
-      default:
-        orderClause = 'p.created_at DESC';
-        break;
-    }
+    const orderClause = feedOrderClause(sortBy);
     
     // Optimized query: Use EXISTS for connection checks (faster than LEFT JOIN + IS NOT NULL)
     // Pre-filter posts by visibility before joining to reduce dataset size
+    // Group posts surface only for active members of the group
+    // Posts hidden or removed by a moderator, and reposts of them, are left out
     const query = `
       WITH visible_posts AS (
         SELECT DISTINCT p.id
         FROM posts p
         WHERE p.parent_post_id IS NULL
+          AND p.group_id IS NULL
           AND (
             p.user_id = $1
             OR p.visibility = 'public'
@@ -406,6 +480,12 @@ const findFeedSorted = async (userId, sortBy = 'new', limit = 20, offset = 0) =>
             )
           )
         UNION
+        SELECT p.id
+        FROM posts p
+        WHERE p.group_id IS NOT NULL
+          AND p.parent_post_id IS NULL
+          AND ${groupMemberSql('p', '$1')}
+        UNION
         SELECT DISTINCT p.id
         FROM posts p
         INNER JOIN posts op ON p.parent_post_id = op.id
@@ -425,6 +505,7 @@ const findFeedSorted = async (userId, sortBy = 'new', limit = 20, offset = 0) =>
           )
           AND (
             op.visibility = 'public'
+            OR (op.group_id IS NOT NULL AND ${groupPostReadableSql('op', '$1')})
             OR (
               op.visibility = 'connections' AND EXISTS (
                 SELECT 1 FROM connections oc
@@ -450,17 +531,22 @@ const findFeedSorted = async (userId, sortBy = 'new', limit = 20, offset = 0) =>
         ou.first_name as original_first_name,
         ou.last_name as original_last_name,
         ou.profile_image_url as original_profile_image_url,
-        ou.headline as original_headline
+        ou.headline as original_headline,
+        g.name as group_name
       FROM visible_posts vp
       INNER JOIN posts p ON vp.id = p.id
       INNER JOIN users u ON p.user_id = u.id
       LEFT JOIN posts op ON p.parent_post_id = op.id
       LEFT JOIN users ou ON op.user_id = ou.id
+      LEFT JOIN medical_groups g ON p.group_id = g.id
+      WHERE ($4::timestamp IS NULL OR p.created_at >= $4)
+        AND p.moderation_status IS NULL
+        AND op.moderation_status IS NULL
       ORDER BY ${orderClause}
       LIMIT $2 OFFSET $3
     `;
     
-    const result = await pool.query(query, [userId, limit, offset]);
+    const result = await pool.query(query, [userId, limit, offset, since]);
     const duration = Date.now() - startTime;
     
     // Log slow queries (over 500ms)
@@ -492,6 +578,62 @@ const findFeedSorted = async (userId, sortBy = 'new', limit = 20, offset = 0) =>
   }
 };
 
+// Find a group's posts (moderator pins first, then the requested sort)
+const findByGroupIdSorted = async (groupId, sortBy = 'new', limit = 20, offset = 0) => {
+  try {
+    const query = `
+      SELECT p.*, u.first_name, u.last_name, u.profile_image_url, u.headline
+      FROM posts p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.group_id = $1 AND p.parent_post_id IS NULL AND p.moderation_status IS NULL
+      ORDER BY p.group_pinned_at DESC NULLS LAST, ${feedOrderClause(sortBy)}
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, [groupId, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding group posts:', error.message);
+    throw error;
+  }
+};
+
+// Pin or unpin a post in its group feed
+const setGroupPinned = async (id, pinnedBy = null) => {
+  try {
+    const query = `
+      UPDATE posts
+      SET group_pinned_at = CASE WHEN $2::int IS NULL THEN NULL ELSE NOW() END,
+          group_pinned_by = $2
+      WHERE id = $1 AND group_id IS NOT NULL
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id, pinnedBy]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error pinning group post:', error.message);
+    throw error;
+  }
+};
+
+// Hide or remove a post ('hidden' / 'removed'), or make it visible again (null)
+const setModerationStatus = async (id, status, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE posts
+      SET moderation_status = $2::varchar,
+          moderated_at = CASE WHEN $2::varchar IS NULL THEN NULL ELSE NOW() END
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [id, status]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error setting post moderation status:', error.message);
+    throw error;
+  }
+};
+
 // Delete post
 const remove = async (id, client = null) => {
   try {
@@ -509,9 +651,13 @@ module.exports = {
   initializePostsTable,
   create,
   findById,
+  canView,
   findByUserId,
   findFeed,
   findFeedSorted,
+  findByGroupIdSorted,
+  setGroupPinned,
+  setModerationStatus,
   findOriginalPost,
   findByRepostId,
   hasReposted,
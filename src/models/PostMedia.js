@@ -32,7 +32,8 @@ const initializePostMediaTable = async () => {
           ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'uploaded',
           ADD COLUMN IF NOT EXISTS processing_error TEXT,
           ADD COLUMN IF NOT EXISTS variants JSONB,
-          ADD COLUMN IF NOT EXISTS original_blob_name VARCHAR(500);
+          ADD COLUMN IF NOT EXISTS original_blob_name VARCHAR(500),
+          ADD COLUMN IF NOT EXISTS phi_findings JSONB;
       `);
       
       // Add status constraint if it doesn't exist (check specifically for post_media table)
@@ -183,6 +184,12 @@ const updateStatus = async (id, status, error = null, variants = null, metadata
       paramCount++;
     }
 
+    if (metadata.phi_findings !== undefined) {
+      fields.push(`phi_findings = $${paramCount}`);
+      values.push(JSON.stringify(metadata.phi_findings));
+      paramCount++;
+    }
+
     if (metadata.duration !== undefined) {
       fields.push(`duration = $${paramCount}`);
       values.push(metadata.duration);
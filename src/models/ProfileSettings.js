@@ -1,6 +1,9 @@
 // Profile Settings model - User profile settings (privacy, visibility)
 const { pool } = require('../config/database');
 
+// Who can start a conversation with the user (see conversationService.canMessage)
+const MESSAGE_PERMISSIONS = ['everyone', 'connections', 'second_degree', 'followers_i_follow', 'nobody'];
+
 // Initialize profile_settings table
 const initializeProfileSettingsTable = async () => {
   try {
@@ -22,13 +25,30 @@ const initializeProfileSettingsTable = async () => {
         show_awards BOOLEAN DEFAULT TRUE,
         allow_connection_requests BOOLEAN DEFAULT TRUE,
         allow_messages_from VARCHAR(50) DEFAULT 'connections',
+        allow_message_requests BOOLEAN DEFAULT TRUE,
+        read_receipts BOOLEAN DEFAULT TRUE,
         allow_endorsements BOOLEAN DEFAULT TRUE,
         allow_recommendations BOOLEAN DEFAULT TRUE,
+        open_to_opportunities BOOLEAN DEFAULT FALSE,
+        open_to_remote BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMP DEFAULT NOW(),
         updated_at TIMESTAMP DEFAULT NOW()
       );
     `;
     await pool.query(query);
+
+    // Add new columns if they don't exist (migration)
+    try {
+      await pool.query(`
+        ALTER TABLE profile_settings
+          ADD COLUMN IF NOT EXISTS open_to_opportunities BOOLEAN DEFAULT FALSE,
+          ADD COLUMN IF NOT EXISTS open_to_remote BOOLEAN DEFAULT TRUE,
+          ADD COLUMN IF NOT EXISTS allow_message_requests BOOLEAN DEFAULT TRUE,
+          ADD COLUMN IF NOT EXISTS read_receipts BOOLEAN DEFAULT TRUE;
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: Some columns may already exist', migrationError.message);
+    }
     console.log('✅ Profile settings table initialized');
   } catch (error) {
     console.error('❌ Error initializing profile settings table:', error.message);
@@ -43,8 +63,8 @@ const upsert = async (userId, settings, client = null) => {
       'profile_visibility', 'show_email', 'show_phone', 'show_location',
       'show_connections', 'show_experience', 'show_education', 'show_skills',
       'show_certifications', 'show_publications', 'show_projects', 'show_awards',
-      'allow_connection_requests', 'allow_messages_from', 'allow_endorsements',
-      'allow_recommendations'
+      'allow_connection_requests', 'allow_messages_from', 'allow_message_requests', 'read_receipts', 'allow_endorsements',
+      'allow_recommendations', 'open_to_opportunities', 'open_to_remote'
     ];
 
     // Defaults for new records
@@ -63,8 +83,12 @@ const upsert = async (userId, settings, client = null) => {
       show_awards: true,
       allow_connection_requests: true,
       allow_messages_from: 'connections',
+      allow_message_requests: true,
+      read_receipts: true,
       allow_endorsements: true,
-      allow_recommendations: true
+      allow_recommendations: true,
+      open_to_opportunities: false,
+      open_to_remote: true
     };
     
     // Merge defaults with provided settings
@@ -79,16 +103,19 @@ const upsert = async (userId, settings, client = null) => {
       fieldNames.push(field);
       placeholders.push(`$${paramCount}`);
       values.push(mergedSettings[field] !== undefined ? mergedSettings[field] : defaults[field]);
-      updateParts.push(`${field} = EXCLUDED.${field}`);
+      // Only overwrite existing values for fields that were explicitly provided
+      if (settings[field] !== undefined) {
+        updateParts.push(`${field} = EXCLUDED.${field}`);
+      }
       paramCount++;
     });
+    updateParts.push('updated_at = NOW()');
 
     const query = `
       INSERT INTO profile_settings (${fieldNames.join(', ')})
       VALUES (${placeholders.join(', ')})
       ON CONFLICT (user_id) DO UPDATE SET
-        ${updateParts.join(', ')},
-        updated_at = NOW()
+        ${updateParts.join(', ')}
       RETURNING *
     `;
     
@@ -113,6 +140,22 @@ const findByUserId = async (userId) => {
   }
 };
 
+// Which of these users turned read receipts off (users without settings have them on)
+const findReadReceiptsDisabled = async (userIds) => {
+  try {
+    const query = `
+      SELECT user_id
+      FROM profile_settings
+      WHERE user_id = ANY($1::int[]) AND read_receipts = FALSE
+    `;
+    const result = await pool.query(query, [userIds]);
+    return result.rows.map(row => row.user_id);
+  } catch (error) {
+    console.error('Error finding read receipt settings:', error.message);
+    throw error;
+  }
+};
+
 // Update profile settings
 const update = async (userId, settings) => {
   try {
@@ -120,8 +163,8 @@ const update = async (userId, settings) => {
       'profile_visibility', 'show_email', 'show_phone', 'show_location',
       'show_connections', 'show_experience', 'show_education', 'show_skills',
       'show_certifications', 'show_publications', 'show_projects', 'show_awards',
-      'allow_connection_requests', 'allow_messages_from', 'allow_endorsements',
-      'allow_recommendations'
+      'allow_connection_requests', 'allow_messages_from', 'allow_message_requests', 'read_receipts', 'allow_endorsements',
+      'allow_recommendations', 'open_to_opportunities', 'open_to_remote'
     ];
 
     const fields = [];
@@ -158,8 +201,10 @@ const update = async (userId, settings) => {
 };
 
 module.exports = {
+  MESSAGE_PERMISSIONS,
   initializeProfileSettingsTable,
   upsert,
   findByUserId,
+  findReadReceiptsDisabled,
   update,
 };
@@ -127,6 +127,22 @@ const getUniqueVisitorCount = async (profileUserId) => {
   }
 };
 
+// Count distinct visitors whose latest visit to a profile was at or after a given time
+const getVisitorCountSince = async (profileUserId, since) => {
+  try {
+    const query = `
+      SELECT COUNT(*) as count
+      FROM profile_visitors
+      WHERE profile_user_id = $1 AND last_visited_at >= $2
+    `;
+    const result = await pool.query(query, [profileUserId, since]);
+    return parseInt(result.rows[0].count);
+  } catch (error) {
+    console.error('Error getting recent visitor count:', error.message);
+    throw error;
+  }
+};
+
 // Check if user has visited a profile
 const hasVisited = async (visitorId, profileUserId) => {
   try {
@@ -151,5 +167,6 @@ module.exports = {
   getVisitedProfiles,
   getVisitCount,
   getUniqueVisitorCount,
+  getVisitorCountSince,
   hasVisited,
 };
@@ -1,6 +1,13 @@
 // Recommendation model - Professional recommendations and endorsements
 const { pool } = require('../config/database');
 
+// Lifecycle: requested -> pending (written) -> accepted | hidden | revision_requested -> pending ...
+// A recommender may decline a request; only accepted recommendations are shown on the profile
+const RECOMMENDATION_STATUSES = ['requested', 'declined', 'pending', 'revision_requested', 'accepted', 'hidden'];
+
+// Statuses that block a new request between the same pair
+const OPEN_STATUSES = ['requested', 'pending', 'revision_requested', 'accepted', 'hidden'];
+
 // Initialize recommendations table
 const initializeRecommendationsTable = async () => {
   try {
@@ -18,6 +25,23 @@ const initializeRecommendationsTable = async () => {
       );
     `;
     await pool.query(query);
+
+    // Migration: request/write/review flow (requests have no text until written)
+    try {
+      await pool.query(`
+        ALTER TABLE recommendations
+        ADD COLUMN IF NOT EXISTS status VARCHAR(30) DEFAULT 'accepted',
+        ADD COLUMN IF NOT EXISTS request_message TEXT,
+        ADD COLUMN IF NOT EXISTS revision_note TEXT,
+        ADD COLUMN IF NOT EXISTS requested_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS written_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS responded_at TIMESTAMP;
+      `);
+      await pool.query('ALTER TABLE recommendations ALTER COLUMN recommendation_text DROP NOT NULL');
+    } catch (migrationError) {
+      console.log('Migration note: Recommendation flow columns may already exist');
+    }
+
     console.log('✅ Recommendations table initialized');
   } catch (error) {
     console.error('❌ Error initializing recommendations table:', error.message);
@@ -25,20 +49,27 @@ const initializeRecommendationsTable = async () => {
   }
 };
 
-// Create recommendation
+// Create recommendation (a request when no text is given, otherwise written and awaiting review)
 const create = async (recommendationData) => {
   try {
+    const written = !!recommendationData.recommendation_text;
     const query = `
-      INSERT INTO recommendations (user_id, recommender_id, relationship_type, recommendation_text, is_visible)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO recommendations (
+        user_id, recommender_id, relationship_type, recommendation_text, is_visible,
+        status, request_message, requested_at, written_at
+      )
+      VALUES ($1, $2, $3, $4, FALSE, $5, $6, $7, $8)
       RETURNING *
     `;
     const result = await pool.query(query, [
       recommendationData.user_id,
       recommendationData.recommender_id,
       recommendationData.relationship_type || null,
-      recommendationData.recommendation_text,
-      recommendationData.is_visible !== undefined ? recommendationData.is_visible : true
+      recommendationData.recommendation_text || null,
+      written ? 'pending' : 'requested',
+      recommendationData.request_message || null,
+      written ? null : new Date(),
+      written ? new Date() : null
     ]);
     return result.rows[0];
   } catch (error) {
@@ -55,7 +86,7 @@ const findByUserId = async (userId) => {
       FROM recommendations r
       JOIN users u ON r.recommender_id = u.id
       WHERE r.user_id = $1 AND r.is_visible = TRUE
-      ORDER BY r.created_at DESC
+      ORDER BY COALESCE(r.responded_at, r.created_at) DESC
     `;
     const result = await pool.query(query, [userId]);
     return result.rows;
@@ -77,6 +108,103 @@ const findById = async (id) => {
   }
 };
 
+// Find the open recommendation between a recipient and a recommender
+const findOpenBetween = async (userId, recommenderId) => {
+  try {
+    const query = `
+      SELECT * FROM recommendations
+      WHERE user_id = $1 AND recommender_id = $2 AND status = ANY($3)
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [userId, recommenderId, OPEN_STATUSES]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding open recommendation:', error.message);
+    throw error;
+  }
+};
+
+// Find recommendations received by a user (every status, or the given one)
+const findReceivedByUserId = async (userId, status = null, limit = 20, offset = 0) => {
+  try {
+    const params = [userId, limit, offset];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = 'AND r.status = $4';
+    }
+    const query = `
+      SELECT r.*, u.first_name, u.last_name, u.profile_image_url, u.headline
+      FROM recommendations r
+      JOIN users u ON r.recommender_id = u.id
+      WHERE r.user_id = $1 ${statusFilter}
+      ORDER BY r.updated_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding received recommendations:', error.message);
+    throw error;
+  }
+};
+
+// Find recommendations given (or requested from) a user
+const findGivenByRecommenderId = async (recommenderId, status = null, limit = 20, offset = 0) => {
+  try {
+    const params = [recommenderId, limit, offset];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = 'AND r.status = $4';
+    }
+    const query = `
+      SELECT r.*, u.first_name, u.last_name, u.profile_image_url, u.headline
+      FROM recommendations r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.recommender_id = $1 ${statusFilter}
+      ORDER BY r.updated_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding given recommendations:', error.message);
+    throw error;
+  }
+};
+
+// Move a recommendation to a new status; is_visible follows the status
+const updateStatus = async (id, status, extra = {}) => {
+  try {
+    const query = `
+      UPDATE recommendations
+      SET status = $2::varchar,
+          is_visible = ($2::varchar = 'accepted'),
+          recommendation_text = COALESCE($3, recommendation_text),
+          relationship_type = COALESCE($4, relationship_type),
+          revision_note = CASE WHEN $2::varchar = 'revision_requested' THEN $5 ELSE revision_note END,
+          written_at = CASE WHEN $2::varchar = 'pending' THEN NOW() ELSE written_at END,
+          responded_at = CASE WHEN $2::varchar IN ('accepted', 'hidden', 'revision_requested', 'declined') THEN NOW() ELSE responded_at END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [
+      id,
+      status,
+      extra.recommendation_text || null,
+      extra.relationship_type || null,
+      extra.revision_note || null,
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating recommendation status:', error.message);
+    throw error;
+  }
+};
+
 // Update recommendation
 const update = async (id, recommendationData) => {
   try {
@@ -128,10 +256,15 @@ const remove = async (id) => {
 };
 
 module.exports = {
+  RECOMMENDATION_STATUSES,
   initializeRecommendationsTable,
   create,
   findByUserId,
   findById,
+  findOpenBetween,
+  findReceivedByUserId,
+  findGivenByRecommenderId,
+  updateStatus,
   update,
   remove,
 };
@@ -0,0 +1,82 @@
+// Refresh Token model - Hashed, single-use refresh tokens; each use rotates to a new one in the same session
+const { pool } = require('../config/database');
+const { generateSecureToken, hashToken } = require('../utils/auth');
+
+// Initialize refresh_tokens table
+const initializeRefreshTokensTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        rotated_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Refresh tokens table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing refresh tokens table:', error.message);
+    throw error;
+  }
+};
+
+// Issue a refresh token for a session; returns the raw token (only its hash is stored)
+const issue = async (sessionId, ttlDays, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const token = generateSecureToken();
+    await queryClient.query(
+      `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+      [sessionId, hashToken(token), ttlDays]
+    );
+    return token;
+  } catch (error) {
+    console.error('Error issuing refresh token:', error.message);
+    throw error;
+  }
+};
+
+// Look up a raw refresh token together with its session
+const findByToken = async (token) => {
+  try {
+    const query = `
+      SELECT rt.*, s.user_id, s.revoked_at AS session_revoked_at, s.expires_at AS session_expires_at
+      FROM refresh_tokens rt
+      JOIN auth_sessions s ON rt.session_id = s.id
+      WHERE rt.token_hash = $1
+    `;
+    const result = await pool.query(query, [hashToken(token)]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding refresh token:', error.message);
+    throw error;
+  }
+};
+
+// Mark a token as used; returns false if it was already rotated (a concurrent or replayed use)
+const markRotated = async (id, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE refresh_tokens SET rotated_at = NOW()
+      WHERE id = $1 AND rotated_at IS NULL
+      RETURNING id
+    `;
+    const result = await queryClient.query(query, [id]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error rotating refresh token:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeRefreshTokensTable,
+  issue,
+  findByToken,
+  markRotated,
+};
@@ -0,0 +1,212 @@
+// Report model - User reports of posts, comments, messages and profiles for the moderation queue
+const { pool } = require('../config/database');
+
+const REPORT_TARGET_TYPES = ['post', 'comment', 'message', 'user'];
+
+const REPORT_REASONS = ['misinformation', 'patient_privacy', 'harassment', 'spam', 'impersonation'];
+
+// Longest excerpt of the reported content kept with a report
+const SNAPSHOT_LENGTH = 5000;
+
+// Initialize reports table
+const initializeReportsTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS reports (
+        id SERIAL PRIMARY KEY,
+        reporter_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        target_type VARCHAR(20) NOT NULL,
+        target_id INTEGER NOT NULL,
+        target_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        reason VARCHAR(50) NOT NULL,
+        details TEXT,
+        content_snapshot TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        resolution VARCHAR(20),
+        resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(reporter_id, target_type, target_id)
+      );
+    `;
+    await pool.query(query);
+
+    // Automated flags (the PHI scanner) have no reporter; one open flag per target
+    try {
+      await pool.query('ALTER TABLE reports ALTER COLUMN reporter_id DROP NOT NULL');
+      await pool.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open_automated
+        ON reports(target_type, target_id)
+        WHERE reporter_id IS NULL AND status = 'open'
+      `);
+    } catch (migrationError) {
+      console.log('Migration note: reports automated flag columns may already exist', migrationError.message);
+    }
+
+    console.log('✅ Reports table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing reports table:', error.message);
+    throw error;
+  }
+};
+
+// File a report; returns null when the reporter already reported this target
+const create = async (reportData) => {
+  try {
+    const query = `
+      INSERT INTO reports (reporter_id, target_type, target_id, target_user_id, reason, details, content_snapshot)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (reporter_id, target_type, target_id) DO NOTHING
+      RETURNING *
+    `;
+    const result = await pool.query(query, [
+      reportData.reporter_id,
+      reportData.target_type,
+      reportData.target_id,
+      reportData.target_user_id || null,
+      reportData.reason,
+      reportData.details || null,
+      reportData.content_snapshot || null,
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error creating report:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * File or refresh the automated (reporter-less) report on a target. While it is open, later
+ * flags on the same target replace its details and snapshot instead of adding a case.
+ */
+const createAutomated = async (reportData) => {
+  try {
+    const query = `
+      INSERT INTO reports (reporter_id, target_type, target_id, target_user_id, reason, details, content_snapshot)
+      VALUES (NULL, $1, $2, $3, $4, $5, $6)
+      ON CONFLICT (target_type, target_id) WHERE reporter_id IS NULL AND status = 'open'
+      DO UPDATE SET reason = EXCLUDED.reason, details = EXCLUDED.details, content_snapshot = EXCLUDED.content_snapshot
+      RETURNING *
+    `;
+    const result = await pool.query(query, [
+      reportData.target_type,
+      reportData.target_id,
+      reportData.target_user_id || null,
+      reportData.reason,
+      reportData.details || null,
+      reportData.content_snapshot || null,
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating automated report:', error.message);
+    throw error;
+  }
+};
+
+// Reports filed by a user, newest first
+const findByReporterId = async (reporterId, limit = 20, offset = 0) => {
+  try {
+    const query = `
+      SELECT id, target_type, target_id, reason, details, status, resolution, resolved_at, created_at
+      FROM reports
+      WHERE reporter_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, [reporterId, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding reports by reporter:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Moderation queue: one entry per reported target with open reports, most reported first,
+ * then longest waiting. Optionally narrowed to a target type or to targets with a given reason.
+ */
+const findQueue = async ({ targetType = null, reason = null, limit = 20, offset = 0 } = {}) => {
+  try {
+    const query = `
+      WITH cases AS (
+        SELECT r.target_type, r.target_id,
+               MAX(r.target_user_id) AS target_user_id,
+               COUNT(*)::int AS report_count,
+               array_agg(DISTINCT r.reason) AS reasons,
+               MIN(r.created_at) AS first_reported_at,
+               MAX(r.created_at) AS last_reported_at,
+               (array_agg(r.content_snapshot ORDER BY r.created_at DESC))[1] AS content_snapshot
+        FROM reports r
+        WHERE r.status = 'open'
+          AND ($1::varchar IS NULL OR r.target_type = $1::varchar)
+        GROUP BY r.target_type, r.target_id
+        HAVING $2::varchar IS NULL OR bool_or(r.reason = $2::varchar)
+      )
+      SELECT c.*, COUNT(*) OVER()::int AS total_count,
+             u.first_name AS target_user_first_name, u.last_name AS target_user_last_name,
+             u.profile_image_url AS target_user_profile_image_url
+      FROM cases c
+      LEFT JOIN users u ON c.target_user_id = u.id
+      ORDER BY c.report_count DESC, c.first_reported_at ASC
+      LIMIT $3 OFFSET $4
+    `;
+    const result = await pool.query(query, [targetType, reason, limit, offset]);
+    const total = result.rows.length > 0 ? result.rows[0].total_count : 0;
+    return {
+      cases: result.rows.map(({ total_count, ...row }) => row),
+      total,
+    };
+  } catch (error) {
+    console.error('Error finding moderation queue:', error.message);
+    throw error;
+  }
+};
+
+// Every report on a target (open first, then newest), with reporter names (null for automated flags)
+const findByTarget = async (targetType, targetId) => {
+  try {
+    const query = `
+      SELECT r.*, u.first_name AS reporter_first_name, u.last_name AS reporter_last_name
+      FROM reports r
+      LEFT JOIN users u ON r.reporter_id = u.id
+      WHERE r.target_type = $1 AND r.target_id = $2
+      ORDER BY (r.status = 'open') DESC, r.created_at DESC, r.id DESC
+    `;
+    const result = await pool.query(query, [targetType, targetId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding reports by target:', error.message);
+    throw error;
+  }
+};
+
+// Close every open report on a target with the moderator's action; returns the closed reports
+const resolveForTarget = async (targetType, targetId, resolution, resolvedBy, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE reports
+      SET status = 'resolved', resolution = $3, resolved_by = $4, resolved_at = NOW()
+      WHERE target_type = $1 AND target_id = $2 AND status = 'open'
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [targetType, targetId, resolution, resolvedBy]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error resolving reports:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  SNAPSHOT_LENGTH,
+  initializeReportsTable,
+  create,
+  createAutomated,
+  findByReporterId,
+  findQueue,
+  findByTarget,
+  resolveForTarget,
+};
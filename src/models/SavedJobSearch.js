@@ -0,0 +1,237 @@
+// Saved Job Search model - Persisted job search filters with optional job alerts
+const { pool } = require('../config/database');
+
+// How often new matches are delivered; 'off' keeps the search without alerting
+const ALERT_FREQUENCIES = ['instant', 'daily', 'off'];
+
+// Filters a saved search may store (same set the job search endpoints accept)
+const SEARCH_FILTER_FIELDS = ['q', 'specialty', 'job_type', 'location', 'is_remote', 'min_salary'];
+
+// Initialize saved_job_searches table
+const initializeSavedJobSearchesTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS saved_job_searches (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        filters JSONB NOT NULL DEFAULT '{}',
+        alert_frequency VARCHAR(20) NOT NULL DEFAULT 'daily',
+        last_checked_at TIMESTAMP DEFAULT NOW(),
+        last_notified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Saved job searches table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing saved job searches table:', error.message);
+    throw error;
+  }
+};
+
+// Map stored filters onto JobPosting.search filters
+const toJobPostingFilters = (filters = {}) => {
+  const postingFilters = {
+    search: filters.q,
+    specialty: filters.specialty,
+    job_type: filters.job_type,
+    location: filters.location,
+    min_salary: filters.min_salary,
+  };
+  if (filters.is_remote !== undefined && filters.is_remote !== null) {
+    postingFilters.is_remote = filters.is_remote;
+  }
+  return postingFilters;
+};
+
+// Create saved search
+const create = async (searchData) => {
+  try {
+    const query = `
+      INSERT INTO saved_job_searches (user_id, name, filters, alert_frequency)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+    const result = await pool.query(query, [
+      searchData.user_id,
+      searchData.name,
+      JSON.stringify(searchData.filters || {}),
+      searchData.alert_frequency || 'daily',
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating saved job search:', error.message);
+    throw error;
+  }
+};
+
+// Find saved search by ID
+const findById = async (id) => {
+  try {
+    const query = 'SELECT * FROM saved_job_searches WHERE id = $1';
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding saved job search by ID:', error.message);
+    throw error;
+  }
+};
+
+// Find saved searches by user ID
+const findByUserId = async (userId) => {
+  try {
+    const query = `
+      SELECT * FROM saved_job_searches
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding saved job searches by user ID:', error.message);
+    throw error;
+  }
+};
+
+// Count saved searches for a user
+const countByUserId = async (userId) => {
+  try {
+    const query = 'SELECT COUNT(*)::int AS count FROM saved_job_searches WHERE user_id = $1';
+    const result = await pool.query(query, [userId]);
+    return result.rows[0].count;
+  } catch (error) {
+    console.error('Error counting saved job searches:', error.message);
+    throw error;
+  }
+};
+
+// Update saved search (changing filters restarts alerts from now so older postings are not replayed)
+const update = async (id, userId, updateData) => {
+  try {
+    const allowedFields = ['name', 'filters', 'alert_frequency'];
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key) && updateData[key] !== undefined) {
+        fields.push(`${key} = $${paramCount}`);
+        values.push(key === 'filters' ? JSON.stringify(updateData[key]) : updateData[key]);
+        paramCount++;
+      }
+    });
+
+    if (fields.length === 0) {
+      return await findById(id);
+    }
+
+    if (updateData.filters !== undefined) {
+      fields.push('last_checked_at = NOW()');
+    } else if (updateData.alert_frequency !== undefined) {
+      // Re-enabling alerts starts from now rather than everything posted while they were off
+      fields.push("last_checked_at = CASE WHEN alert_frequency = 'off' THEN NOW() ELSE last_checked_at END");
+    }
+    fields.push('updated_at = NOW()');
+    values.push(id, userId);
+
+    const query = `
+      UPDATE saved_job_searches
+      SET ${fields.join(', ')}
+      WHERE id = $${paramCount} AND user_id = $${paramCount + 1}
+      RETURNING *
+    `;
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating saved job search:', error.message);
+    throw error;
+  }
+};
+
+// Delete saved search
+const remove = async (id, userId) => {
+  try {
+    const query = `
+      DELETE FROM saved_job_searches
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error deleting saved job search:', error.message);
+    throw error;
+  }
+};
+
+// Find searches with alerts enabled, in ID order, with the owner's email and notification preferences
+const findWithAlertsEnabled = async (afterId = 0, limit = 100) => {
+  try {
+    const query = `
+      SELECT
+        sjs.*,
+        u.email,
+        u.first_name,
+        COALESCE(np.job_alerts, TRUE) AS job_alerts,
+        COALESCE(np.email_notifications, TRUE) AS email_notifications
+      FROM saved_job_searches sjs
+      JOIN users u ON sjs.user_id = u.id AND u.is_active = TRUE
+      LEFT JOIN notification_preferences np ON np.user_id = sjs.user_id
+      WHERE sjs.alert_frequency <> 'off' AND sjs.id > $1
+      ORDER BY sjs.id ASC
+      LIMIT $2
+    `;
+    const result = await pool.query(query, [afterId, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding saved job searches with alerts:', error.message);
+    throw error;
+  }
+};
+
+// Start time of an alert run, from the database clock that also stamps job_postings.created_at
+const getCheckTime = async () => {
+  try {
+    const result = await pool.query('SELECT LOCALTIMESTAMP AS now');
+    return result.rows[0].now;
+  } catch (error) {
+    console.error('Error reading saved job search check time:', error.message);
+    throw error;
+  }
+};
+
+// Record an alert run
+const markChecked = async (id, checkedAt, notified = false) => {
+  try {
+    const query = `
+      UPDATE saved_job_searches
+      SET last_checked_at = $2,
+          last_notified_at = CASE WHEN $3 THEN NOW() ELSE last_notified_at END
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [id, checkedAt, notified]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error marking saved job search checked:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  ALERT_FREQUENCIES,
+  SEARCH_FILTER_FIELDS,
+  initializeSavedJobSearchesTable,
+  toJobPostingFilters,
+  create,
+  findById,
+  findByUserId,
+  countByUserId,
+  update,
+  remove,
+  findWithAlertsEnabled,
+  getCheckTime,
+  markChecked,
+};
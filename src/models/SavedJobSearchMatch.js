@@ -0,0 +1,143 @@
+// Saved Job Search Match model - Postings already alerted for a saved search (dedupe + daily digest queue)
+const { pool } = require('../config/database');
+
+// Initialize saved_job_search_matches table
+const initializeSavedJobSearchMatchesTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS saved_job_search_matches (
+        id SERIAL PRIMARY KEY,
+        saved_search_id INTEGER NOT NULL REFERENCES saved_job_searches(id) ON DELETE CASCADE,
+        job_posting_id INTEGER NOT NULL REFERENCES job_postings(id) ON DELETE CASCADE,
+        email_pending BOOLEAN DEFAULT FALSE,
+        emailed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(saved_search_id, job_posting_id)
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Saved job search matches table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing saved job search matches table:', error.message);
+    throw error;
+  }
+};
+
+// Record a match; returns null if the posting was already matched for this search
+const create = async (savedSearchId, jobPostingId, emailPending = false) => {
+  try {
+    const query = `
+      INSERT INTO saved_job_search_matches (saved_search_id, job_posting_id, email_pending)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (saved_search_id, job_posting_id) DO NOTHING
+      RETURNING *
+    `;
+    const result = await pool.query(query, [savedSearchId, jobPostingId, emailPending]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error creating saved job search match:', error.message);
+    throw error;
+  }
+};
+
+// Find users with matches waiting for the daily digest, in ID order
+const findUsersWithPendingEmail = async (afterUserId = 0, limit = 100) => {
+  try {
+    const query = `
+      SELECT DISTINCT sjs.user_id
+      FROM saved_job_search_matches m
+      JOIN saved_job_searches sjs ON m.saved_search_id = sjs.id
+      WHERE m.email_pending = TRUE AND sjs.user_id > $1
+      ORDER BY sjs.user_id ASC
+      LIMIT $2
+    `;
+    const result = await pool.query(query, [afterUserId, limit]);
+    return result.rows.map(row => row.user_id);
+  } catch (error) {
+    console.error('Error finding users with pending job alert emails:', error.message);
+    throw error;
+  }
+};
+
+// Find a user's matches waiting for the daily digest (postings closed since matching are skipped by callers)
+const findPendingEmailByUserId = async (userId) => {
+  try {
+    const query = `
+      SELECT
+        m.*,
+        sjs.name AS saved_search_name,
+        jp.title AS job_title,
+        jp.location AS job_location,
+        jp.is_remote AS job_is_remote,
+        jp.is_active AS job_is_active,
+        mo.name AS organization_name
+      FROM saved_job_search_matches m
+      JOIN saved_job_searches sjs ON m.saved_search_id = sjs.id
+      JOIN job_postings jp ON m.job_posting_id = jp.id
+      LEFT JOIN medical_organizations mo ON jp.organization_id = mo.id
+      WHERE sjs.user_id = $1 AND m.email_pending = TRUE
+      ORDER BY m.created_at ASC
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding pending job alert emails:', error.message);
+    throw error;
+  }
+};
+
+// Find a user's matches recorded since a given time (newest first), for the weekly digest
+const findRecentByUserId = async (userId, since, limit = 10) => {
+  try {
+    const query = `
+      SELECT
+        m.id, m.saved_search_id, m.job_posting_id, m.created_at,
+        sjs.name AS saved_search_name,
+        jp.title AS job_title,
+        jp.location AS job_location,
+        jp.is_remote AS job_is_remote,
+        mo.name AS organization_name
+      FROM saved_job_search_matches m
+      JOIN saved_job_searches sjs ON m.saved_search_id = sjs.id
+      JOIN job_postings jp ON m.job_posting_id = jp.id
+      LEFT JOIN medical_organizations mo ON jp.organization_id = mo.id
+      WHERE sjs.user_id = $1 AND m.created_at >= $2 AND jp.is_active = TRUE
+      ORDER BY m.created_at DESC
+      LIMIT $3
+    `;
+    const result = await pool.query(query, [userId, since, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding recent job search matches:', error.message);
+    throw error;
+  }
+};
+
+// Clear the pending flag; emailed marks the matches as delivered by email
+const settleEmail = async (ids, emailed = true) => {
+  try {
+    if (!ids || ids.length === 0) {
+      return 0;
+    }
+    const query = `
+      UPDATE saved_job_search_matches
+      SET email_pending = FALSE,
+          emailed_at = CASE WHEN $2 THEN NOW() ELSE emailed_at END
+      WHERE id = ANY($1::int[])
+    `;
+    const result = await pool.query(query, [ids, emailed]);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error settling job alert emails:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeSavedJobSearchMatchesTable,
+  create,
+  findUsersWithPendingEmail,
+  findPendingEmailByUserId,
+  findRecentByUserId,
+  settleEmail,
+};
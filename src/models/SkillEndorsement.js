@@ -0,0 +1,129 @@
+// Skill Endorsement model - Who endorsed which skill on whose profile
+const { pool } = require('../config/database');
+
+// Initialize skill_endorsements table
+const initializeSkillEndorsementsTable = async () => {
+  try {
+    // Endorsements hang off the user_skills row, so removing a skill removes its endorsements
+    const query = `
+      CREATE TABLE IF NOT EXISTS skill_endorsements (
+        id SERIAL PRIMARY KEY,
+        endorser_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        endorsee_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        skill_id INTEGER NOT NULL REFERENCES medical_skills(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        FOREIGN KEY (endorsee_id, skill_id) REFERENCES user_skills(user_id, skill_id) ON DELETE CASCADE,
+        CHECK (endorser_id != endorsee_id),
+        UNIQUE(endorser_id, endorsee_id, skill_id)
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Skill endorsements table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing skill endorsements table:', error.message);
+    throw error;
+  }
+};
+
+// Endorse a skill (returns null if already endorsed)
+const create = async (endorserId, endorseeId, skillId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      INSERT INTO skill_endorsements (endorser_id, endorsee_id, skill_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (endorser_id, endorsee_id, skill_id) DO NOTHING
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [endorserId, endorseeId, skillId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error creating skill endorsement:', error.message);
+    throw error;
+  }
+};
+
+// Remove an endorsement (returns null if there was none)
+const remove = async (endorserId, endorseeId, skillId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      DELETE FROM skill_endorsements
+      WHERE endorser_id = $1 AND endorsee_id = $2 AND skill_id = $3
+      RETURNING *
+    `;
+    const result = await queryClient.query(query, [endorserId, endorseeId, skillId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error removing skill endorsement:', error.message);
+    throw error;
+  }
+};
+
+// Skill IDs on a profile that the viewer has endorsed
+const findSkillIdsEndorsedBy = async (endorserId, endorseeId) => {
+  try {
+    const query = `
+      SELECT skill_id FROM skill_endorsements
+      WHERE endorser_id = $1 AND endorsee_id = $2
+    `;
+    const result = await pool.query(query, [endorserId, endorseeId]);
+    return result.rows.map(row => row.skill_id);
+  } catch (error) {
+    console.error('Error finding endorsed skills:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Find endorsers of a user's skill, people the viewer knows first:
+ * the viewer, then the viewer's connections, then people the viewer follows, then everyone else.
+ * Endorsers blocked either way with the viewer are left out.
+ */
+const findEndorsers = async (endorseeId, skillId, viewerId, limit = 20, offset = 0) => {
+  try {
+    const query = `
+      SELECT
+        se.endorser_id AS user_id,
+        se.created_at AS endorsed_at,
+        u.first_name, u.last_name, u.profile_image_url, u.headline,
+        EXISTS (
+          SELECT 1 FROM connections c
+          WHERE c.status = 'connected'
+            AND ((c.requester_id = $3 AND c.addressee_id = se.endorser_id)
+              OR (c.addressee_id = $3 AND c.requester_id = se.endorser_id))
+        ) AS is_connection,
+        EXISTS (
+          SELECT 1 FROM follows f
+          WHERE f.follower_id = $3 AND f.following_id = se.endorser_id
+        ) AS is_following
+      FROM skill_endorsements se
+      JOIN users u ON se.endorser_id = u.id
+      WHERE se.endorsee_id = $1 AND se.skill_id = $2
+        AND NOT EXISTS (
+          SELECT 1 FROM blocks b
+          WHERE (b.blocker_id = $3 AND b.blocked_id = se.endorser_id)
+             OR (b.blocker_id = se.endorser_id AND b.blocked_id = $3)
+        )
+      ORDER BY
+        (se.endorser_id = $3) DESC,
+        is_connection DESC,
+        is_following DESC,
+        se.created_at DESC
+      LIMIT $4 OFFSET $5
+    `;
+    const result = await pool.query(query, [endorseeId, skillId, viewerId, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding skill endorsers:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeSkillEndorsementsTable,
+  create,
+  remove,
+  findSkillIdsEndorsedBy,
+  findEndorsers,
+};
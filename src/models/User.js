@@ -31,6 +31,11 @@ const initializeUsersTable = async () => {
         fellowship_completion_year INTEGER,
         is_verified BOOLEAN DEFAULT FALSE,
         is_active BOOLEAN DEFAULT TRUE,
+        email_verified_at TIMESTAMP,
+        password_changed_at TIMESTAMP,
+        token_version INTEGER NOT NULL DEFAULT 0,
+        suspended_at TIMESTAMP,
+        suspension_reason VARCHAR(500),
         created_at TIMESTAMP DEFAULT NOW(),
         updated_at TIMESTAMP DEFAULT NOW()
       );
@@ -59,6 +64,11 @@ const initializeUsersTable = async () => {
       { name: 'fellowship_completion_year', type: 'INTEGER' },
       { name: 'is_verified', type: 'BOOLEAN DEFAULT FALSE' },
       { name: 'is_active', type: 'BOOLEAN DEFAULT TRUE' },
+      { name: 'email_verified_at', type: 'TIMESTAMP' },
+      { name: 'password_changed_at', type: 'TIMESTAMP' },
+      { name: 'token_version', type: 'INTEGER NOT NULL DEFAULT 0' },
+      { name: 'suspended_at', type: 'TIMESTAMP' },
+      { name: 'suspension_reason', type: 'VARCHAR(500)' },
       { name: 'created_at', type: 'TIMESTAMP DEFAULT NOW()' },
       { name: 'updated_at', type: 'TIMESTAMP DEFAULT NOW()' },
     ];
@@ -406,6 +416,150 @@ const updateUsername = async (userId, username) => {
   }
 };
 
+// Set a new password hash and bump token_version so every existing session token stops working
+const updatePassword = async (userId, hashedPassword) => {
+  try {
+    const query = `
+      UPDATE users
+      SET password = $1, password_changed_at = NOW(), token_version = token_version + 1, updated_at = NOW()
+      WHERE id = $2
+      RETURNING id, email, first_name, last_name, token_version
+    `;
+    const result = await pool.query(query, [hashedPassword, userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating password:', error.message);
+    throw error;
+  }
+};
+
+// Mark the user's email address as verified (is_verified is the credential badge, see syncCredentialVerification)
+const markEmailVerified = async (userId) => {
+  try {
+    const query = `
+      UPDATE users
+      SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, email, is_verified, email_verified_at
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error marking email verified:', error.message);
+    throw error;
+  }
+};
+
+// A user is verified while at least one of their credentials is verified and not past its expiration date
+const HAS_VERIFIED_CREDENTIAL = `
+  EXISTS (
+    SELECT 1 FROM medical_certifications mc
+    WHERE mc.user_id = users.id
+      AND mc.verification_status = 'verified'
+      AND (mc.expiration_date IS NULL OR mc.expiration_date >= CURRENT_DATE)
+  )
+`;
+
+// Recompute is_verified for one user from their credentials
+const syncCredentialVerification = async (userId, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE users
+      SET is_verified = ${HAS_VERIFIED_CREDENTIAL}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, is_verified
+    `;
+    const result = await queryClient.query(query, [userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error syncing user credential verification:', error.message);
+    throw error;
+  }
+};
+
+// Recompute is_verified for every user whose flag disagrees with their credentials; returns the changed users
+const reconcileCredentialVerification = async () => {
+  try {
+    const query = `
+      UPDATE users
+      SET is_verified = ${HAS_VERIFIED_CREDENTIAL}, updated_at = NOW()
+      WHERE is_verified IS DISTINCT FROM ${HAS_VERIFIED_CREDENTIAL}
+      RETURNING id, is_verified
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  } catch (error) {
+    console.error('Error reconciling credential verification:', error.message);
+    throw error;
+  }
+};
+
+// Suspend (isActive false) or reactivate an account
+const setActive = async (userId, isActive, reason = null, client = null) => {
+  try {
+    const queryClient = client || pool;
+    const query = `
+      UPDATE users
+      SET is_active = $2,
+          suspended_at = CASE WHEN $2 THEN NULL ELSE NOW() END,
+          suspension_reason = CASE WHEN $2 THEN NULL ELSE $3 END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, email, first_name, last_name, is_active, suspended_at, suspension_reason
+    `;
+    const result = await queryClient.query(query, [userId, isActive, reason]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error updating user active status:', error.message);
+    throw error;
+  }
+};
+
+// Admin user search by name, email or username, optionally filtered by status and role
+const searchForAdmin = async ({ q = null, isActive = null, role = null, limit = 20, offset = 0 } = {}) => {
+  try {
+    const conditions = [];
+    const values = [];
+
+    if (q) {
+      values.push(`%${q}%`);
+      conditions.push(`(u.email ILIKE $${values.length} OR u.username ILIKE $${values.length}
+        OR (u.first_name || ' ' || u.last_name) ILIKE $${values.length})`);
+    }
+    if (isActive !== null) {
+      values.push(isActive);
+      conditions.push(`u.is_active = $${values.length}`);
+    }
+    if (role === 'org_admin') {
+      conditions.push('EXISTS (SELECT 1 FROM organization_admins oa WHERE oa.user_id = u.id)');
+    } else if (role && role !== 'user') {
+      values.push(role);
+      conditions.push(`EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role = $${values.length})`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM users u ${where}`, values);
+
+    values.push(limit, offset);
+    const query = `
+      SELECT u.id, u.email, u.username, u.first_name, u.last_name, u.profile_image_url,
+             u.is_verified, u.is_active, u.email_verified_at, u.suspended_at, u.suspension_reason, u.created_at,
+             COALESCE((SELECT array_agg(ur.role ORDER BY ur.role) FROM user_roles ur WHERE ur.user_id = u.id), '{}') AS roles,
+             EXISTS (SELECT 1 FROM organization_admins oa WHERE oa.user_id = u.id) AS is_org_admin
+      FROM users u
+      ${where}
+      ORDER BY u.created_at DESC, u.id DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+    const result = await pool.query(query, values);
+    return { users: result.rows, total: countResult.rows[0].total };
+  } catch (error) {
+    console.error('Error searching users for admin:', error.message);
+    throw error;
+  }
+};
+
 module.exports = {
   initializeUsersTable,
   findByEmail,
@@ -415,4 +569,10 @@ module.exports = {
   createOAuthUser,
   updateProfile,
   updateUsername,
+  updatePassword,
+  markEmailVerified,
+  syncCredentialVerification,
+  reconcileCredentialVerification,
+  setActive,
+  searchForAdmin,
 };
@@ -0,0 +1,109 @@
+// User MFA model - TOTP enrolment per user (secret encrypted at rest, last accepted time step for replay protection)
+const { pool } = require('../config/database');
+
+// Initialize user_mfa table
+const initializeUserMfaTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS user_mfa (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        secret_encrypted TEXT NOT NULL,
+        enabled_at TIMESTAMP,
+        last_used_step BIGINT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ User MFA table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing user MFA table:', error.message);
+    throw error;
+  }
+};
+
+// Find a user's MFA row (enabled or still pending confirmation)
+const findByUserId = async (userId) => {
+  try {
+    const query = 'SELECT * FROM user_mfa WHERE user_id = $1';
+    const result = await pool.query(query, [userId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding user MFA:', error.message);
+    throw error;
+  }
+};
+
+// Start (or restart) enrolment with a new secret; returns null if MFA is already enabled
+const upsertPending = async (userId, secretEncrypted) => {
+  try {
+    const query = `
+      INSERT INTO user_mfa (user_id, secret_encrypted)
+      VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE
+      SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL, updated_at = NOW()
+      WHERE user_mfa.enabled_at IS NULL
+      RETURNING *
+    `;
+    const result = await pool.query(query, [userId, secretEncrypted]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error starting MFA enrolment:', error.message);
+    throw error;
+  }
+};
+
+// Confirm a pending enrolment; returns null if there was nothing pending
+const enable = async (userId, usedStep) => {
+  try {
+    const query = `
+      UPDATE user_mfa
+      SET enabled_at = NOW(), last_used_step = $2, updated_at = NOW()
+      WHERE user_id = $1 AND enabled_at IS NULL
+      RETURNING *
+    `;
+    const result = await pool.query(query, [userId, usedStep]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error enabling MFA:', error.message);
+    throw error;
+  }
+};
+
+// Record an accepted code's time step; false if that step (or a later one) was already used
+const recordUsedStep = async (userId, step) => {
+  try {
+    const query = `
+      UPDATE user_mfa
+      SET last_used_step = $2, updated_at = NOW()
+      WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+      RETURNING user_id
+    `;
+    const result = await pool.query(query, [userId, step]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error recording MFA step:', error.message);
+    throw error;
+  }
+};
+
+// Remove MFA for a user
+const remove = async (userId) => {
+  try {
+    const query = 'DELETE FROM user_mfa WHERE user_id = $1 RETURNING user_id';
+    const result = await pool.query(query, [userId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error removing user MFA:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  initializeUserMfaTable,
+  findByUserId,
+  upsertPending,
+  enable,
+  recordUsedStep,
+  remove,
+};
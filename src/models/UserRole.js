@@ -0,0 +1,88 @@
+// User Role model - Platform-wide roles granted to staff (every account is implicitly a plain user)
+const { pool } = require('../config/database');
+
+// 'user' is implicit and 'org_admin' comes from organization_admins; only these are stored here
+const GLOBAL_ROLES = ['moderator', 'platform_admin'];
+
+// Initialize user_roles table
+const initializeUserRolesTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS user_roles (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(50) NOT NULL,
+        granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(user_id, role)
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ User roles table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing user roles table:', error.message);
+    throw error;
+  }
+};
+
+// Stored roles of a user
+const findByUserId = async (userId) => {
+  try {
+    const query = 'SELECT role, granted_by, created_at FROM user_roles WHERE user_id = $1 ORDER BY role';
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding user roles:', error.message);
+    throw error;
+  }
+};
+
+// Grant a role; returns null if the user already had it
+const grant = async (userId, role, grantedBy = null) => {
+  try {
+    const query = `
+      INSERT INTO user_roles (user_id, role, granted_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, role) DO NOTHING
+      RETURNING *
+    `;
+    const result = await pool.query(query, [userId, role, grantedBy]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error granting user role:', error.message);
+    throw error;
+  }
+};
+
+// Revoke a role; returns false if the user did not have it
+const revoke = async (userId, role) => {
+  try {
+    const query = 'DELETE FROM user_roles WHERE user_id = $1 AND role = $2 RETURNING id';
+    const result = await pool.query(query, [userId, role]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error revoking user role:', error.message);
+    throw error;
+  }
+};
+
+// Number of users holding a role (e.g. to keep at least one platform admin)
+const countByRole = async (role) => {
+  try {
+    const query = 'SELECT COUNT(*)::int AS count FROM user_roles WHERE role = $1';
+    const result = await pool.query(query, [role]);
+    return result.rows[0].count;
+  } catch (error) {
+    console.error('Error counting user roles:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  GLOBAL_ROLES,
+  initializeUserRolesTable,
+  findByUserId,
+  grant,
+  revoke,
+  countByRole,
+};
@@ -82,19 +82,40 @@ const removeSkill = async (userId, skillId) => {
   }
 };
 
-// Increment endorsements count
-const incrementEndorsements = async (userId, skillId) => {
+// Recount endorsements from skill_endorsements (idempotent, so repeated calls cannot inflate the count)
+const syncEndorsementsCount = async (userId, skillId, client = null) => {
   try {
+    const queryClient = client || pool;
     const query = `
       UPDATE user_skills
-      SET endorsements_count = endorsements_count + 1
+      SET endorsements_count = (
+        SELECT COUNT(*) FROM skill_endorsements
+        WHERE endorsee_id = $1 AND skill_id = $2
+      )
       WHERE user_id = $1 AND skill_id = $2
       RETURNING *
     `;
+    const result = await queryClient.query(query, [userId, skillId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error syncing endorsements count:', error.message);
+    throw error;
+  }
+};
+
+// Find a single skill on a user's profile
+const findOne = async (userId, skillId) => {
+  try {
+    const query = `
+      SELECT us.*, ms.name, ms.category, ms.description
+      FROM user_skills us
+      JOIN medical_skills ms ON us.skill_id = ms.id
+      WHERE us.user_id = $1 AND us.skill_id = $2
+    `;
     const result = await pool.query(query, [userId, skillId]);
     return result.rows[0] || null;
   } catch (error) {
-    console.error('Error incrementing endorsements:', error.message);
+    console.error('Error finding user skill:', error.message);
     throw error;
   }
 };
@@ -151,7 +172,8 @@ module.exports = {
   initializeUserSkillsTable,
   addSkill,
   findByUserId,
+  findOne,
   removeSkill,
-  incrementEndorsements,
+  syncEndorsementsCount,
   bulkUpsertUserSkills,
 };
@@ -0,0 +1,93 @@
+// Weekly Digest Send model - One row per user per digest week, so nobody gets a digest twice
+const { pool } = require('../config/database');
+
+const DIGEST_SEND_STATUSES = ['queued', 'empty'];
+
+// Initialize weekly_digest_sends table
+const initializeWeeklyDigestSendsTable = async () => {
+  try {
+    const query = `
+      CREATE TABLE IF NOT EXISTS weekly_digest_sends (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        week_start DATE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'empty')),
+        item_count INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(user_id, week_start)
+      );
+    `;
+    await pool.query(query);
+    console.log('✅ Weekly digest sends table initialized');
+  } catch (error) {
+    console.error('❌ Error initializing weekly digest sends table:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Find the next batch of users due a digest for the week: opted in to weekly_digest
+ * and email notifications, active, with an email, and not yet logged for the week.
+ * Keyset-paginated by user ID.
+ */
+const findDueUsers = async (weekStart, afterUserId = 0, limit = 100) => {
+  try {
+    const query = `
+      SELECT u.id, u.email, u.first_name, u.last_name
+      FROM users u
+      JOIN notification_preferences np ON np.user_id = u.id
+      WHERE u.id > $2
+        AND u.is_active = TRUE
+        AND u.email IS NOT NULL
+        AND np.weekly_digest = TRUE
+        AND np.email_notifications = TRUE
+        AND NOT EXISTS (
+          SELECT 1 FROM weekly_digest_sends wds
+          WHERE wds.user_id = u.id AND wds.week_start = $1
+        )
+      ORDER BY u.id
+      LIMIT $3
+    `;
+    const result = await pool.query(query, [weekStart, afterUserId, limit]);
+    return result.rows;
+  } catch (error) {
+    console.error('Error finding users due a weekly digest:', error.message);
+    throw error;
+  }
+};
+
+// Claim a user's digest for the week; returns null if another run already logged it
+const claim = async (userId, weekStart, status, itemCount) => {
+  try {
+    const query = `
+      INSERT INTO weekly_digest_sends (user_id, week_start, status, item_count)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, week_start) DO NOTHING
+      RETURNING *
+    `;
+    const result = await pool.query(query, [userId, weekStart, status, itemCount]);
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error claiming weekly digest send:', error.message);
+    throw error;
+  }
+};
+
+// Release a claim (e.g. the email could not be queued) so the next run retries it
+const release = async (id) => {
+  try {
+    const query = 'DELETE FROM weekly_digest_sends WHERE id = $1';
+    await pool.query(query, [id]);
+  } catch (error) {
+    console.error('Error releasing weekly digest send:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  DIGEST_SEND_STATUSES,
+  initializeWeeklyDigestSendsTable,
+  findDueUsers,
+  claim,
+  release,
+};
@@ -0,0 +1,726 @@
+// Admin routes - platform staff only; each route requires a permission (see accessControlService)
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorize, requireMfaStepUp } = require('../middleware/authMiddleware');
+const {
+  searchUsers,
+  getUser,
+  suspendUser,
+  reactivateUser,
+  grantRole,
+  revokeRole,
+  getAuditLogs,
+  setOrganizationVerification,
+  setGroupVerification,
+  validateUserId,
+  validateUserSearch,
+  validateSuspension,
+  validateRoleChange,
+  validateAuditQuery,
+  validateVerification,
+} = require('../controllers/adminController');
+const {
+  getVerificationQueue,
+  getVerificationRequest,
+  approveVerification,
+  rejectVerification,
+  validateRequestId,
+  validateQueueQuery,
+  validateApproval,
+  validateRejection,
+} = require('../controllers/credentialVerificationController');
+const {
+  getModerationQueue,
+  getModerationCase,
+  takeModerationAction,
+  validateQueueQuery: validateModerationQueueQuery,
+  validateTarget,
+  validateModerationAction,
+} = require('../controllers/reportController');
+
+// Suspending from the moderation queue needs the same step-up as POST /users/:id/suspend
+const requireStepUpForSuspend = (req, res, next) => (
+  req.body && req.body.action === 'suspend' ? requireMfaStepUp(req, res, next) : next()
+);
+
+// All admin routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/v1/admin/users:
+ *   get:
+ *     summary: Search users
+ *     description: Requires `users:read` (moderator, platform_admin). Matches name, email or username.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, org_admin, moderator, platform_admin]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Users with their stored roles, newest first
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/users', authorize('users:read'), validateUserSearch, searchUsers);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}:
+ *   get:
+ *     summary: Get a user's account status, roles, administered organizations and audit history
+ *     description: Requires `users:read`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User detail
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/users/:id', authorize('users:read'), validateUserId, getUser);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     description: |
+ *       Requires `users:suspend`. Sets `is_active` to false, revokes every session and disconnects
+ *       the user's sockets. Only platform admins can suspend moderators or other platform admins.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       400:
+ *         description: Validation error, or suspending yourself
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions or step-up required
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is already suspended
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/users/:id/suspend', authorize('users:suspend'), requireMfaStepUp, validateSuspension, suspendUser);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a suspended user
+ *     description: Requires `users:suspend`. The user signs in again; revoked sessions stay revoked.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions or step-up required
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User is not suspended
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/users/:id/reactivate', authorize('users:suspend'), requireMfaStepUp, validateUserId, reactivateUser);
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/roles/{role}:
+ *   put:
+ *     summary: Grant a role
+ *     description: Requires `roles:manage` (platform_admin). `org_admin` needs `organization_id` and makes the user an admin of that organization.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [org_admin, moderator, platform_admin]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               organization_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Role granted; returns the user's roles
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions or step-up required
+ *       404:
+ *         description: User or organization not found
+ *       409:
+ *         description: User already has this role
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Revoke a role
+ *     description: Requires `roles:manage`. For `org_admin` pass `organization_id` (query or body). The last platform admin cannot be removed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [org_admin, moderator, platform_admin]
+ *       - in: query
+ *         name: organization_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role revoked; returns the user's roles
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions or step-up required
+ *       404:
+ *         description: User does not have this role
+ *       409:
+ *         description: Cannot remove the last platform admin
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/users/:id/roles/:role', authorize('roles:manage'), requireMfaStepUp, validateRoleChange, grantRole);
+router.delete('/users/:id/roles/:role', authorize('roles:manage'), requireMfaStepUp, validateRoleChange, revokeRole);
+
+/**
+ * @swagger
+ * /api/v1/admin/audit-logs:
+ *   get:
+ *     summary: Audit history of admin actions
+ *     description: Requires `audit:read`. Newest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *           example: user
+ *       - in: query
+ *         name: target_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: user.suspend
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/audit-logs', authorize('audit:read'), validateAuditQuery, getAuditLogs);
+
+/**
+ * @swagger
+ * /api/v1/admin/organizations/{id}/verification:
+ *   put:
+ *     summary: Verify or unverify an organization
+ *     description: Requires `organizations:verify` (platform_admin).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - is_verified
+ *             properties:
+ *               is_verified:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Verification updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Organization not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/organizations/:id/verification', authorize('organizations:verify'), validateVerification, setOrganizationVerification);
+
+/**
+ * @swagger
+ * /api/v1/admin/groups/{id}/verification:
+ *   put:
+ *     summary: Verify or unverify a group
+ *     description: Requires `groups:verify` (platform_admin).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - is_verified
+ *             properties:
+ *               is_verified:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Verification updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/groups/:id/verification', authorize('groups:verify'), validateVerification, setGroupVerification);
+
+/**
+ * @swagger
+ * /api/v1/admin/credential-verifications:
+ *   get:
+ *     summary: Credential verification queue
+ *     description: Requires `credentials:review` (moderator, platform_admin). Pending requests are listed oldest first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *           default: pending
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Verification requests with the submitted credential
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/credential-verifications', authorize('credentials:review'), validateQueueQuery, getVerificationQueue);
+
+/**
+ * @swagger
+ * /api/v1/admin/credential-verifications/{id}:
+ *   get:
+ *     summary: Get a verification request
+ *     description: |
+ *       Requires `credentials:review`. Returns the supporting documents, the credential as submitted
+ *       (`credential_snapshot`), the certification as it is now and earlier requests for it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Verification request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Verification request not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/credential-verifications/:id', authorize('credentials:review'), validateRequestId, getVerificationRequest);
+
+/**
+ * @swagger
+ * /api/v1/admin/credential-verifications/{id}/approve:
+ *   post:
+ *     summary: Approve a verification request
+ *     description: Requires `credentials:review`. The certification becomes `verified` and the user's `is_verified` badge is recomputed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Credential verified
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or reviewing your own credential
+ *       404:
+ *         description: Verification request not found
+ *       409:
+ *         description: Request is no longer pending
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/credential-verifications/:id/approve', authorize('credentials:review'), validateApproval, approveVerification);
+
+/**
+ * @swagger
+ * /api/v1/admin/credential-verifications/{id}/reject:
+ *   post:
+ *     summary: Reject a verification request
+ *     description: Requires `credentials:review`. The certification becomes `rejected`; the reason is shown to the user, who can submit again.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason_code
+ *               - reason
+ *             properties:
+ *               reason_code:
+ *                 type: string
+ *                 enum: [document_illegible, document_mismatch, credential_not_found, credential_expired, insufficient_documents, other]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Credential verification rejected
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or reviewing your own credential
+ *       404:
+ *         description: Verification request not found
+ *       409:
+ *         description: Request is no longer pending
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/credential-verifications/:id/reject', authorize('credentials:review'), validateRejection, rejectVerification);
+
+/**
+ * @swagger
+ * /api/v1/admin/reports:
+ *   get:
+ *     summary: Moderation queue
+ *     description: |
+ *       Requires `content:moderate` (moderator, platform_admin). One entry per reported item with open
+ *       reports, sorted by report count, then by the age of the oldest report.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *           enum: [post, comment, message, user]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [misinformation, patient_privacy, harassment, spam, impersonation]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Reported items with `report_count`, `reasons`, `first_reported_at` and the latest content snapshot
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/reports', authorize('content:moderate'), validateModerationQueueQuery, getModerationQueue);
+
+/**
+ * @swagger
+ * /api/v1/admin/reports/{targetType}/{targetId}:
+ *   get:
+ *     summary: Reports on an item, the item as it is now and its owner's moderation history
+ *     description: Requires `content:moderate`. Only reported items can be opened.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: targetType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [post, comment, message, user]
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Moderation case with `available_actions`
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: No reports for this content
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/reports/:targetType/:targetId', authorize('content:moderate'), validateTarget, getModerationCase);
+
+/**
+ * @swagger
+ * /api/v1/admin/reports/{targetType}/{targetId}/actions:
+ *   post:
+ *     summary: Act on a reported item
+ *     description: |
+ *       Requires `content:moderate`; `suspend` also requires `users:suspend` and a recent 2FA step-up.
+ *       Closes every open report on the item and records the action in the audit log.
+ *
+ *       - `dismiss` — no violation
+ *       - `hide` — posts and comments only; hidden from everyone but the author
+ *       - `remove` — posts and comments are removed from view; messages are deleted
+ *       - `warn` — notifies the owner with `note`
+ *       - `suspend` — suspends the owner's account with `note` as the reason
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: targetType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [post, comment, message, user]
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [dismiss, hide, remove, warn, suspend]
+ *               note:
+ *                 type: string
+ *                 description: Required for warn and suspend
+ *     responses:
+ *       200:
+ *         description: Action applied; returns the number of reports resolved
+ *       400:
+ *         description: Validation error, or the action does not apply to this item
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions or step-up required
+ *       404:
+ *         description: No open reports for this content, or content not found
+ *       409:
+ *         description: User is already suspended
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/reports/:targetType/:targetId/actions', authorize('content:moderate'), requireStepUpForSuspend, validateModerationAction, takeModerationAction);
+
+module.exports = router;
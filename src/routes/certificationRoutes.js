@@ -11,6 +11,13 @@ const {
   deleteCertification,
   validateCertification,
 } = require('../controllers/certificationController');
+const {
+  submitVerification,
+  getVerification,
+  cancelVerification,
+  validateCertificationId,
+  validateVerificationRequest,
+} = require('../controllers/credentialVerificationController');
 
 /**
  * @swagger
@@ -143,6 +150,9 @@ router.get('/:id', authenticateToken, getCertificationById);
  * /api/certifications/{id}:
  *   put:
  *     summary: Update a certification
+ *     description: |
+ *       Changing a verified field (type, name, issuer, board, licence number, credential ID, dates or
+ *       verification URL) resets `verification_status` to `unverified` and cancels any pending request.
  *     tags: [Certifications]
  *     security:
  *       - bearerAuth: []
@@ -212,4 +222,115 @@ router.put('/:id', authenticateToken, validateCertification, updateCertification
  */
 router.delete('/:id', authenticateToken, deleteCertification);
 
+/**
+ * @swagger
+ * /api/certifications/{id}/verification:
+ *   post:
+ *     summary: Submit a certification for verification
+ *     description: |
+ *       Upload each supporting document with `POST /api/upload/document` first and pass the returned
+ *       URLs. A reviewer approves or rejects the request; while any of the user's certifications is
+ *       verified and unexpired, the user's `is_verified` badge is set.
+ *     tags: [Certifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Certification ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documents
+ *             properties:
+ *               documents:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - url
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                       example: "/uploads/documents/1700000000000-123456789.pdf"
+ *                     name:
+ *                       type: string
+ *                       example: "Medical board licence.pdf"
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Verification request submitted; the certification is now pending
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Unauthorized access
+ *       404:
+ *         description: Certification not found
+ *       409:
+ *         description: Already verified, or a request is already pending
+ *       500:
+ *         description: Internal server error
+ *   get:
+ *     summary: Verification status and request history of a certification
+ *     tags: [Certifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Certification ID
+ *     responses:
+ *       200:
+ *         description: Verification status and requests, newest first (with reviewer reasons)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Unauthorized access
+ *       404:
+ *         description: Certification not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Cancel the pending verification request
+ *     tags: [Certifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Certification ID
+ *     responses:
+ *       200:
+ *         description: Request cancelled; the certification is unverified again
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Unauthorized access
+ *       404:
+ *         description: Certification not found, or no pending request
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/verification', authenticateToken, validateVerificationRequest, submitVerification);
+router.get('/:id/verification', authenticateToken, validateCertificationId, getVerification);
+router.delete('/:id/verification', authenticateToken, validateCertificationId, cancelVerification);
+
 module.exports = router;
@@ -91,6 +91,8 @@ const {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Contains patient identifiers and PHI_SCAN_POLICY is block (`code` phi_detected, `findings` with field, type, start and end)
  *       500:
  *         description: Internal server error
  */
@@ -230,6 +232,8 @@ router.get('/:id', authenticateToken, getCommentById);
  *         description: Comment not found
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         description: Contains patient identifiers and PHI_SCAN_POLICY is block (`code` phi_detected, `findings` with field, type, start and end)
  *       500:
  *         description: Internal server error
  */
@@ -0,0 +1,114 @@
+// Device routes
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  validateDeviceRegistration,
+  validateDeviceRemoval,
+  getMyDevices,
+  registerDevice,
+  unregisterDevice,
+} = require('../controllers/deviceController');
+
+// All device routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/v1/devices:
+ *   get:
+ *     summary: List the current user's push notification devices
+ *     description: Tokens themselves are not returned.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered devices, most recently seen first
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', getMyDevices);
+
+/**
+ * @swagger
+ * /api/v1/devices:
+ *   post:
+ *     summary: Register or refresh a push notification device token
+ *     description: |
+ *       Call on every app start and whenever FCM rotates the token. Registering a token
+ *       that belongs to another account moves it to the current user, and an
+ *       `installation_id` keeps only the newest token for that install.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - platform
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: FCM registration token
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android, web]
+ *               installation_id:
+ *                 type: string
+ *                 description: Stable per-install identifier
+ *               app_version:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Device registered
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', validateDeviceRegistration, registerDevice);
+
+/**
+ * @swagger
+ * /api/v1/devices:
+ *   delete:
+ *     summary: Unregister a push notification device
+ *     description: Call on sign-out. Identify the device by token or installation ID.
+ *     tags: [Devices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               installation_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Device unregistered
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Device not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/', validateDeviceRemoval, unregisterDevice);
+
+module.exports = router;
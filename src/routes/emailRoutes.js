@@ -0,0 +1,100 @@
+// Email routes (public: unsubscribe links and provider webhooks)
+const express = require('express');
+const router = express.Router();
+const {
+  validateEmailEvent,
+  showUnsubscribePage,
+  unsubscribe,
+  handleEmailEvent,
+} = require('../controllers/emailController');
+
+/**
+ * @swagger
+ * /api/v1/email/unsubscribe:
+ *   get:
+ *     summary: Confirmation page for the unsubscribe link in an email
+ *     description: |
+ *       Returns an HTML page with an Unsubscribe button that POSTs the token back. Changes nothing by itself,
+ *       so mail scanners and link prefetchers cannot unsubscribe anyone.
+ *     tags: [Email]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Confirmation page
+ *         content:
+ *           text/html: {}
+ *       400:
+ *         description: Invalid unsubscribe link (HTML page)
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Unsubscribe from email notifications (confirmation form and RFC 8058 one-click List-Unsubscribe-Post target)
+ *     description: |
+ *       Turns `email_notifications` off for the recipient. Account emails (password reset, verification) are still sent.
+ *       The token comes from the query string or the form body. Browsers asking for HTML get a page, other clients JSON.
+ *     tags: [Email]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       400:
+ *         description: Invalid unsubscribe link
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/unsubscribe', showUnsubscribePage);
+router.post('/unsubscribe', unsubscribe);
+
+/**
+ * @swagger
+ * /api/v1/email/webhooks/events:
+ *   post:
+ *     summary: Receive bounces, complaints and unsubscribes from the email provider
+ *     description: |
+ *       Authenticated with the `X-Email-Webhook-Secret` header (EMAIL_WEBHOOK_SECRET).
+ *       Hard bounces, complaints and unsubscribes turn `email_notifications` off for the address;
+ *       soft bounces are only logged.
+ *     tags: [Email]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - event
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 enum: [bounce, complaint, unsubscribe]
+ *               bounce_type:
+ *                 type: string
+ *                 enum: [hard, soft]
+ *               message_id:
+ *                 type: string
+ *                 description: Provider message ID returned when the email was sent
+ *               email:
+ *                 type: string
+ *                 description: Recipient address, used when message_id is not known
+ *     responses:
+ *       200:
+ *         description: Event recorded
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid webhook secret
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/webhooks/events', validateEmailEvent, handleEmailEvent);
+
+module.exports = router;
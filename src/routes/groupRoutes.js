@@ -0,0 +1,742 @@
+// Group routes
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  createGroup,
+  getGroups,
+  getMyGroups,
+  getMyGroupInvitations,
+  getGroupById,
+  updateGroup,
+  archiveGroup,
+  joinGroup,
+  leaveGroup,
+  getGroupMembers,
+  getJoinRequests,
+  approveJoinRequest,
+  declineJoinRequest,
+  inviteToGroup,
+  updateMemberRole,
+  removeMember,
+  pinGroupPost,
+  unpinGroupPost,
+  removeGroupPost,
+  validateGroup,
+  validateGroupUpdate,
+  validateGroupInvitation,
+  validateMemberRole,
+} = require('../controllers/groupController');
+const { getGroupFeed } = require('../controllers/postController');
+
+// All group routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/v1/groups:
+ *   post:
+ *     summary: Create a group
+ *     description: The creator becomes the group owner.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - group_type
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Residency Cohort 2026"
+ *               group_type:
+ *                 type: string
+ *                 example: "specialty_society"
+ *               description:
+ *                 type: string
+ *               specialty:
+ *                 type: string
+ *                 example: "Cardiology"
+ *               location:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *               logo_url:
+ *                 type: string
+ *               cover_image_url:
+ *                 type: string
+ *               is_private:
+ *                 type: boolean
+ *                 description: Private groups require approval to join and hide their member list from non-members
+ *     responses:
+ */
+router.post('/', validateGroup, createGroup);
+
+/**
+ * @swagger
+ * /api/v1/groups:
+ *   get:
+ *     summary: List groups
+ *     description: Archived groups are excluded. Each group includes the viewer's `viewer_role` and `viewer_status`.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search in name and description
+ *       - in: query
+ *         name: group_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Groups retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', getGroups);
+
+/**
+ * @swagger
+ * /api/v1/groups/me:
+ *   get:
+ *     summary: Get the current user's groups
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/me', getMyGroups);
+
+/**
+ * @swagger
+ * /api/v1/groups/invitations:
+ *   get:
+ *     summary: Get the current user's pending group invitations
+ *     description: Accept with `POST /api/v1/groups/{id}/join`, decline with `DELETE /api/v1/groups/{id}/join`.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/invitations', getMyGroupInvitations);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}:
+ *   get:
+ *     summary: Get a group by ID
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Group retrieved successfully
+ *       400:
+ *         description: Invalid group ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ *   put:
+ *     summary: Update a group (owner / admins)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Residency Cohort 2026"
+ *               group_type:
+ *                 type: string
+ *                 example: "specialty_society"
+ *               description:
+ *                 type: string
+ *               specialty:
+ *                 type: string
+ *                 example: "Cardiology"
+ *               location:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *               logo_url:
+ *                 type: string
+ *               cover_image_url:
+ *                 type: string
+ *               is_private:
+ *                 type: boolean
+ *                 description: Private groups require approval to join and hide their member list from non-members
+ *     responses:
+ *       200:
+ *         description: Group updated successfully
+ *       400:
+ *         description: Validation error or group archived
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a group owner or admin
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', getGroupById);
+router.put('/:id', validateGroupUpdate, updateGroup);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/archive:
+ *   post:
+ *     summary: Archive a group (owner only)
+ *     description: Archived groups stay readable but accept no new members, invitations or changes.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Group archived successfully
+ *       400:
+ *         description: Group already archived
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the group owner
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/archive', archiveGroup);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/join:
+ *   post:
+ *     summary: Join a group
+ *     description: Public groups are joined directly; private groups create a join request for moderators to approve. A pending invitation is accepted.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Joined group successfully
+ *       202:
+ *         description: Join request sent (private group)
+ *       400:
+ *         description: Group archived
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Group not found
+ *       409:
+ *         description: Already a member or request pending
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Leave a group, cancel a join request or decline an invitation
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Membership removed
+ *       400:
+ *         description: Owner must transfer ownership first
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Not a member of this group
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/join', joinGroup);
+router.delete('/:id/join', leaveGroup);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/members:
+ *   get:
+ *     summary: List group members
+ *     description: Ordered owner, admins, moderators, then members.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [owner, admin, moderator, member]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Members retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Private group and not a member
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/members', getGroupMembers);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/members/{userId}/role:
+ *   put:
+ *     summary: Change a member's role
+ *     description: Admins manage moderators and members. Only the owner grants admin; assigning `owner` transfers ownership and makes the previous owner an admin.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, moderator, member]
+ *     responses:
+ *       200:
+ *         description: Member role updated
+ *       400:
+ *         description: Validation error or group archived
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to assign this role
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/members/:userId/role', validateMemberRole, updateMemberRole);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member or revoke an invitation (moderators and up)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Member removed from group
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Cannot remove a member of equal or higher role
+ *       404:
+ *         description: Member not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/members/:userId', removeMember);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/requests:
+ *   get:
+ *     summary: List pending join requests (moderators and up)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Join requests retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a group moderator
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/requests', getJoinRequests);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/requests/{userId}/approve:
+ *   post:
+ *     summary: Approve a join request
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Join request approved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a group moderator
+ *       404:
+ *         description: Join request not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/requests/:userId/approve', approveJoinRequest);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/requests/{userId}/decline:
+ *   post:
+ *     summary: Decline a join request
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Join request declined
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a group moderator
+ *       404:
+ *         description: Join request not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/requests/:userId/decline', declineJoinRequest);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/invitations:
+ *   post:
+ *     summary: Invite a user to a group
+ *     description: Any member may invite to a public group; private groups require a moderator or above.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error or group archived
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to invite
+ *       404:
+ *         description: Group or user not found
+ *       409:
+ *         description: User is already a member
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/invitations', validateGroupInvitation, inviteToGroup);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/posts:
+ *   get:
+ *     summary: Get the group feed (pinned posts first)
+ *     description: Public groups are readable by any user; private groups only by active members. Create group posts with POST /api/v1/posts and a group_id.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [new, top, hot]
+ *           default: new
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Group posts with the current user's votes and media
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Private group and not a member
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/posts', getGroupFeed);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/posts/{postId}/pin:
+ *   post:
+ *     summary: Pin a post to the top of the group feed (moderators and up)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Post pinned
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a group moderator
+ *       404:
+ *         description: Post not found in this group
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Unpin a group post (moderators and up)
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Post unpinned
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a group moderator
+ *       404:
+ *         description: Post not found in this group
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/posts/:postId/pin', pinGroupPost);
+router.delete('/:id/posts/:postId/pin', unpinGroupPost);
+
+/**
+ * @swagger
+ * /api/v1/groups/{id}/posts/{postId}:
+ *   delete:
+ *     summary: Remove a post from the group (moderators and up)
+ *     description: The author is notified with a group_post_removed notification.
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: postId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Post removed from group
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a group moderator
+ *       404:
+ *         description: Post not found in this group
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/posts/:postId', removeGroupPost);
+
+module.exports = router;
@@ -0,0 +1,1090 @@
+// Job routes
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  createJobPosting,
+  getJobPostings,
+  getMyJobPostings,
+  getRecommendedJobs,
+  getJobCandidates,
+  getJobPostingById,
+  updateJobPosting,
+  closeJobPosting,
+  deleteJobPosting,
+  applyToJob,
+  withdrawApplication,
+  getJobApplications,
+  getApplicationById,
+  updateApplicationStage,
+  bulkUpdateApplicationStage,
+  getApplicationNotes,
+  addApplicationNote,
+  deleteApplicationNote,
+  getMyApplications,
+  saveJob,
+  unsaveJob,
+  getSavedJobs,
+  validateJobPosting,
+  validateJobPostingUpdate,
+  validateJobApplication,
+  validateStageChange,
+  validateBulkStageChange,
+  validateApplicationNote,
+} = require('../controllers/jobController');
+const {
+  createSavedSearch,
+  getSavedSearches,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchResults,
+  validateSavedJobSearch,
+  validateSavedJobSearchUpdate,
+} = require('../controllers/savedJobSearchController');
+
+// All job routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/v1/jobs:
+ *   post:
+ *     summary: Create a job posting
+ *     description: |
+ *       Publish a job posting (position, residency, fellowship).
+ *       Posting on behalf of an organization requires being an admin of that organization.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - job_type
+ *               - description
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: "Cardiology Fellowship"
+ *               job_type:
+ *                 type: string
+ *                 example: "fellowship"
+ *               description:
+ *                 type: string
+ *               organization_id:
+ *                 type: integer
+ *               requirements:
+ *                 type: string
+ *               responsibilities:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               is_remote:
+ *                 type: boolean
+ *               salary_min:
+ *                 type: number
+ *               salary_max:
+ *                 type: number
+ *               salary_currency:
+ *                 type: string
+ *               employment_type:
+ *                 type: string
+ *               specialty:
+ *                 type: string
+ *               department:
+ *                 type: string
+ *               experience_level:
+ *                 type: string
+ *               application_deadline:
+ *                 type: string
+ *                 format: date
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *               skills:
+ *                 type: array
+ *                 description: Skill names or { name, is_required } objects
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         is_required:
+ *                           type: boolean
+ *     responses:
+ *       201:
+ *         description: Job posting created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not an admin of the organization
+ *       404:
+ *         description: Organization not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', validateJobPosting, createJobPosting);
+
+/**
+ * @swagger
+ * /api/v1/jobs:
+ *   get:
+ *     summary: Search active job postings
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search in title and description
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: job_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_remote
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: min_salary
+ *         schema:
+ *           type: number
+ *         description: Only postings whose salary range reaches this amount
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Job postings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', getJobPostings);
+
+/**
+ * @swagger
+ * /api/v1/jobs/mine:
+ *   get:
+ *     summary: Get job postings created by the current user (including closed ones)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Job postings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/mine', getMyJobPostings);
+
+/**
+ * @swagger
+ * /api/v1/jobs/recommended:
+ *   get:
+ *     summary: Get job postings ranked for the current user ("jobs for you")
+ *     description: |
+ *       Ranks active postings by skill overlap (50), specialty match with the user's
+ *       specialization/subspecialization (25), location or remote preference (15) and
+ *       experience level (10). Each result includes `match_score`, `score_breakdown`,
+ *       `matched_skills` and `missing_skills`. Postings the user created or applied to are excluded.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: min_score
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Only return postings scoring at least this much (0-100)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Recommended job postings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/recommended', getRecommendedJobs);
+
+/**
+ * @swagger
+ * /api/v1/jobs/applications/me:
+ *   get:
+ *     summary: Get the current user's job applications
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/applications/me', getMyApplications);
+
+/**
+ * @swagger
+ * /api/v1/jobs/applications/{applicationId}:
+ *   get:
+ *     summary: Get an application with its stage history
+ *     description: |
+ *       Visible to the applicant and to the posting's managers.
+ *       Applicants see their current stage and stage timeline; managers also see who moved it.
+ *       Recruiter notes are included only for the posting's owner.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Application retrieved successfully
+ *       400:
+ *         description: Invalid application ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Application not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/applications/:applicationId', getApplicationById);
+
+/**
+ * @swagger
+ * /api/v1/jobs/applications/{applicationId}/stage:
+ *   put:
+ *     summary: Move an application to another pipeline stage (poster or organization admins only)
+ *     description: |
+ *       Stages: applied → screening → interview → offer → hired / rejected.
+ *       `hired`, `rejected` and `withdrawn` are final. Only applicants can withdraw.
+ *       Every transition is recorded in the stage history and notifies the applicant.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stage
+ *             properties:
+ *               stage:
+ *                 type: string
+ *                 enum: [applied, screening, interview, offer, hired, rejected]
+ *               note:
+ *                 type: string
+ *                 description: Internal note stored with the stage history (not shown to the applicant)
+ *     responses:
+ *       200:
+ *         description: Application stage updated successfully
+ *       400:
+ *         description: Validation error or invalid transition
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Application not found
+ *       409:
+ *         description: Application stage changed concurrently
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/applications/:applicationId/stage', validateStageChange, updateApplicationStage);
+
+/**
+ * @swagger
+ * /api/v1/jobs/applications/{applicationId}/notes:
+ *   get:
+ *     summary: Get recruiter notes for an application (posting owner only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Notes retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the job poster can access recruiter notes
+ *       404:
+ *         description: Application not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/applications/:applicationId/notes', getApplicationNotes);
+
+/**
+ * @swagger
+ * /api/v1/jobs/applications/{applicationId}/notes:
+ *   post:
+ *     summary: Add a recruiter note to an application (posting owner only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Note added successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the job poster can access recruiter notes
+ *       404:
+ *         description: Application not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/applications/:applicationId/notes', validateApplicationNote, addApplicationNote);
+
+/**
+ * @swagger
+ * /api/v1/jobs/applications/{applicationId}/notes/{noteId}:
+ *   delete:
+ *     summary: Delete a recruiter note (posting owner only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: noteId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Note deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only the job poster can access recruiter notes
+ *       404:
+ *         description: Application or note not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/applications/:applicationId/notes/:noteId', deleteApplicationNote);
+
+/**
+ * @swagger
+ * /api/v1/jobs/searches:
+ *   post:
+ *     summary: Save a job search
+ *     description: |
+ *       Stores a filter set and, unless `alert_frequency` is `off`, alerts the user about new matching postings.
+ *       Every new match creates a `job_alert` notification; when email notifications are on an email is sent
+ *       right away (`instant`) or in the morning digest (`daily`).
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - filters
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Remote cardiology
+ *               filters:
+ *                 type: object
+ *                 description: At least one filter is required
+ *                 properties:
+ *                   q:
+ *                     type: string
+ *                   specialty:
+ *                     type: string
+ *                   job_type:
+ *                     type: string
+ *                   location:
+ *                     type: string
+ *                   is_remote:
+ *                     type: boolean
+ *                   min_salary:
+ *                     type: number
+ *               alert_frequency:
+ *                 type: string
+ *                 enum: [instant, daily, off]
+ *                 default: daily
+ *     responses:
+ *       201:
+ *         description: Job search saved successfully
+ *       400:
+ *         description: Validation error or saved search limit reached
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ *   get:
+ *     summary: Get the current user's saved job searches
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved job searches retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/searches', validateSavedJobSearch, createSavedSearch);
+router.get('/searches', getSavedSearches);
+
+/**
+ * @swagger
+ * /api/v1/jobs/searches/{searchId}:
+ *   put:
+ *     summary: Update a saved job search
+ *     description: Changing the filters restarts alerts from now, so postings older than the change are not alerted.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: searchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *               alert_frequency:
+ *                 type: string
+ *                 enum: [instant, daily, off]
+ *     responses:
+ *       200:
+ *         description: Saved job search updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Saved job search not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a saved job search
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: searchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Saved job search deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Saved job search not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/searches/:searchId', validateSavedJobSearchUpdate, updateSavedSearch);
+router.delete('/searches/:searchId', deleteSavedSearch);
+
+/**
+ * @swagger
+ * /api/v1/jobs/searches/{searchId}/results:
+ *   get:
+ *     summary: Run a saved job search
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: searchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Matching job postings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Saved job search not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/searches/:searchId/results', getSavedSearchResults);
+
+/**
+ * @swagger
+ * /api/v1/jobs/saved:
+ *   get:
+ *     summary: Get the current user's saved jobs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Saved jobs retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/saved', getSavedJobs);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}:
+ *   get:
+ *     summary: Get a job posting by ID
+ *     description: Increments the posting's view count unless the viewer manages the posting.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *     responses:
+ *       200:
+ *         description: Job posting retrieved successfully
+ *       400:
+ *         description: Invalid job posting ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Job posting not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id', getJobPostingById);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}:
+ *   put:
+ *     summary: Update a job posting (poster or organization admins only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Any job posting field; `skills` replaces the posting's skills when provided
+ *     responses:
+ *       200:
+ *         description: Job posting updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job posting not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', validateJobPostingUpdate, updateJobPosting);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/close:
+ *   post:
+ *     summary: Close a job posting so it stops accepting applications
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *     responses:
+ *       200:
+ *         description: Job posting closed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job posting not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/close', closeJobPosting);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}:
+ *   delete:
+ *     summary: Delete a job posting (poster or organization admins only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *     responses:
+ *       200:
+ *         description: Job posting deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job posting not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', deleteJobPosting);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/apply:
+ *   post:
+ *     summary: Apply to a job posting
+ *     description: |
+ *       Upload the résumé first via `POST /api/v1/upload/document` and pass the returned `url` as `resume_url`.
+ *       A withdrawn application can be resubmitted: it moves back to `applied` with the new cover letter and résumé.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cover_letter:
+ *                 type: string
+ *               resume_url:
+ *                 type: string
+ *                 example: "/uploads/documents/cv-1700000000000-123456789.pdf"
+ *     responses:
+ *       201:
+ *         description: Application submitted (or resubmitted after a withdrawal) successfully
+ *       400:
+ *         description: Validation error, own posting or deadline passed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Job posting not found
+ *       409:
+ *         description: Already applied (and not withdrawn)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/apply', validateJobApplication, applyToJob);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/apply:
+ *   delete:
+ *     summary: Withdraw the current user's application
+ *     description: Moves the application to the `withdrawn` stage and notifies the poster.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *     responses:
+ *       200:
+ *         description: Application withdrawn successfully
+ *       400:
+ *         description: Application is already in a final stage
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Application not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/apply', withdrawApplication);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/applications:
+ *   get:
+ *     summary: Get applications for a job posting (poster or organization admins only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *           enum: [applied, screening, interview, offer, hired, rejected, withdrawn]
+ *         description: Only return applications in this stage
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Applications and per-stage counts (`stage_counts`) retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job posting not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/applications', getJobApplications);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/applications/stage:
+ *   post:
+ *     summary: Move several applications to the same stage (poster or organization admins only)
+ *     description: Applications that can't be moved are reported in `failed` with a reason.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - application_ids
+ *               - stage
+ *             properties:
+ *               application_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [12, 15, 18]
+ *               stage:
+ *                 type: string
+ *                 enum: [applied, screening, interview, offer, hired, rejected]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Bulk stage change processed
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job posting not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/applications/stage', validateBulkStageChange, bulkUpdateApplicationStage);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/candidates:
+ *   get:
+ *     summary: Get ranked candidates for a job posting (poster or organization admins only)
+ *     description: |
+ *       Only users who opted in via `open_to_opportunities` in `PUT /api/users/me/settings` are returned.
+ *       Uses the same scoring as `/api/v1/jobs/recommended`.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *       - in: query
+ *         name: min_score
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Candidates retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Job posting not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/:id/candidates', getJobCandidates);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/save:
+ *   post:
+ *     summary: Save a job posting
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Job saved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Job posting not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/save', saveJob);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/save:
+ *   delete:
+ *     summary: Remove a job posting from saved jobs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job posting ID
+ *     responses:
+ *       200:
+ *         description: Job removed from saved jobs
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Saved job not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id/save', unsaveJob);
+
+module.exports = router;
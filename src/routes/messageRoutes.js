@@ -9,11 +9,16 @@ const {
   sendMessage,
   getMessages,
   markConversationAsRead,
+  getConversationReceipts,
+  getMessageSyncState,
   deleteConversation,
   editMessage,
   deleteMessage,
   searchMessages,
   getUnreadCount,
+  listMessageRequests,
+  acceptMessageRequest,
+  ignoreMessageRequest,
   addReaction,
   removeReaction,
   getMessageReactions,
@@ -21,7 +26,33 @@ const {
   validateSendMessage,
   validateEditMessage,
   validateAddReaction,
+  validateMarkAsRead,
+  validateSearchMessages,
+  validateListMessageRequests,
 } = require('../controllers/messageController');
+const {
+  createGroupConversation,
+  updateGroupConversation,
+  getParticipants,
+  addParticipants,
+  removeParticipant,
+  leaveConversation,
+  updateParticipantRole,
+  validateCreateGroup,
+  validateUpdateGroup,
+  validateConversationId,
+  validateAddParticipants,
+  validateParticipant,
+  validateParticipantRole,
+} = require('../controllers/groupConversationController');
+const {
+  createAttachmentUpload,
+  completeAttachmentUpload,
+  getAttachment,
+  validateCreateAttachment,
+  validateAttachmentId,
+  validateGetAttachment,
+} = require('../controllers/messageAttachmentController');
 
 /**
  * @swagger
@@ -105,7 +136,7 @@ router.get('/conversations', authenticateToken, listConversations);
  *       400:
  *         description: Invalid recipient ID
  *       403:
- *         description: Cannot message this user (blocked)
+ *         description: Cannot message this user (blocked, or outside their allow_messages_from with requests off; `code` messages_not_allowed). Strangers get a conversation with `is_request` true instead.
  *       401:
  *         description: Unauthorized
  *       500:
@@ -243,17 +274,9 @@ router.get('/conversations/:id/messages', authenticateToken, getMessages);
  *                 maxLength: 10000
  *                 example: "Hello, how are you?"
  *                 description: Message content (required if no attachment)
- *               attachment_url:
- *                 type: string
- *                 format: uri
- *                 description: URL of attachment (optional)
- *               attachment_type:
- *                 type: string
- *                 enum: [image, document, video, audio]
- *                 description: Type of attachment
- *               attachment_name:
- *                 type: string
- *                 description: Name of attachment file
+ *               attachment_id:
+ *                 type: integer
+ *                 description: Attachment uploaded via POST /api/messages/attachments (must not be pending or failed). The only way to attach a file; attachment_url is rejected.
  *     responses:
  *       201:
  *         description: Message sent successfully
@@ -269,11 +292,13 @@ router.get('/conversations/:id/messages', authenticateToken, getMessages);
  *                 data:
  *                   $ref: '#/components/schemas/Message'
  *       400:
- *         description: Validation error or missing content/attachment
+ *         description: Validation error, missing content/attachment or attachment not uploaded yet
  *       403:
- *         description: Not a participant or cannot send message
+ *         description: Not a participant, blocked, not allowed by the recipient's messaging settings (`code` messages_not_allowed) or a message request not yet accepted (`code` message_request_pending)
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         description: Contains patient identifiers and PHI_SCAN_POLICY is block (`code` phi_detected, `findings` with field, type, start and end)
  */
 router.post('/conversations/:id/messages', authenticateToken, validateSendMessage, sendMessage);
 
@@ -282,7 +307,295 @@ router.post('/conversations/:id/messages', authenticateToken, validateSendMessag
  * /api/messages/conversations/{id}/read:
  *   put:
  *     summary: Mark conversation as read
- *     description: Mark all messages in a conversation as read for current user
+ *     description: |
+ *       Move the current user's read cursor to `message_id`, or to the latest message. The cursor never
+ *       moves back, and the unread count is recounted from it. Other participants get a `message:read`
+ *       socket event unless either side turned `read_receipts` off (or the reader has not answered a
+ *       message request); the reader's other devices get `conversation:read_state`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message_id:
+ *                 type: integer
+ *                 description: Last message the user has seen (default the latest)
+ *     responses:
+ *       200:
+ *         description: Conversation marked as read (last_read_message_id, last_read_at, unread_count)
+ *       400:
+ *         description: Validation error or message not in this conversation
+ *       403:
+ *         description: Not a participant in this conversation
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/conversations/:id/read', authenticateToken, validateMarkAsRead, markConversationAsRead);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}/receipts:
+ *   get:
+ *     summary: Get read receipts
+ *     description: Read and delivery cursors of the current participants. Read cursors (`last_read_message_id`, `last_read_at`) are null for people whose receipts you may not see, and all of them are null if you turned `read_receipts` off.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Cursors retrieved (user_id, last_read_message_id, last_read_at, last_delivered_message_id, last_delivered_at)
+ *       403:
+ *         description: Not a participant in this conversation
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/conversations/:id/receipts', authenticateToken, getConversationReceipts);
+
+/**
+ * @swagger
+ * /api/messages/conversations/groups:
+ *   post:
+ *     summary: Create a group conversation
+ *     description: Start a group thread with one or more users. The creator becomes its admin and a `group_created` system message is posted.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - participant_ids
+ *             properties:
+ *               participant_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [2, 3]
+ *                 description: Users to add besides the creator (at most 99)
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Night shift team
+ *               avatar_url:
+ *                 type: string
+ *                 format: uri
+ *     responses:
+ *       201:
+ *         description: Group conversation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: Validation error or no other participant
+ *       403:
+ *         description: Cannot message one of the users (blocked)
+ *       404:
+ *         description: One of the users does not exist or is inactive
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/conversations/groups', authenticateToken, validateCreateGroup, createGroupConversation);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}:
+ *   patch:
+ *     summary: Rename a group or change its avatar
+ *     description: Admins only. Posts a `title_changed` or `avatar_changed` system message.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 100
+ *               avatar_url:
+ *                 type: string
+ *                 format: uri
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Group conversation updated
+ *       400:
+ *         description: Validation error, nothing to change or not a group conversation
+ *       403:
+ *         description: Not a participant or not an admin
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/conversations/:id', authenticateToken, validateUpdateGroup, updateGroupConversation);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}/participants:
+ *   get:
+ *     summary: List conversation participants
+ *     description: Current participants with their role and read cursor, admins first
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Participants retrieved successfully
+ *       403:
+ *         description: Not a participant in this conversation
+ *       404:
+ *         description: Conversation not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/conversations/:id/participants', authenticateToken, validateConversationId, getParticipants);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}/participants:
+ *   post:
+ *     summary: Add participants to a group
+ *     description: Admins only. Users who left earlier can be added back. Posts a `participants_added` system message.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_ids
+ *             properties:
+ *               user_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [4]
+ *     responses:
+ *       201:
+ *         description: Participants added
+ *       400:
+ *         description: Validation error, group full or not a group conversation
+ *       403:
+ *         description: Not an admin, or cannot message one of the users (blocked)
+ *       404:
+ *         description: Conversation or user not found
+ *       409:
+ *         description: All users are already participants
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/conversations/:id/participants', authenticateToken, validateAddParticipants, addParticipants);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}/participants/{userId}:
+ *   patch:
+ *     summary: Change a participant's role
+ *     description: Admins only. A group always keeps at least one admin. Posts a `role_changed` system message.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Conversation ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Participant not found
+ *       409:
+ *         description: Would leave the group without an admin
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/conversations/:id/participants/:userId', authenticateToken, validateParticipantRole, updateParticipantRole);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}/participants/{userId}:
+ *   delete:
+ *     summary: Remove a participant from a group
+ *     description: Admins only, except that anyone may remove themselves (same as leaving). Posts a `participant_removed` system message.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -293,15 +606,50 @@ router.post('/conversations/:id/messages', authenticateToken, validateSendMessag
  *         schema:
  *           type: integer
  *         description: Conversation ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Conversation marked as read
+ *         description: Participant removed
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Participant not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/conversations/:id/participants/:userId', authenticateToken, validateParticipant, removeParticipant);
+
+/**
+ * @swagger
+ * /api/messages/conversations/{id}/leave:
+ *   post:
+ *     summary: Leave a group conversation
+ *     description: If the last admin leaves, the longest-standing member becomes admin. Posts a `participant_left` system message.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Left the conversation
+ *       400:
+ *         description: Not a group conversation
  *       403:
  *         description: Not a participant in this conversation
  *       401:
  *         description: Unauthorized
  */
-router.put('/conversations/:id/read', authenticateToken, markConversationAsRead);
+router.post('/conversations/:id/leave', authenticateToken, validateConversationId, leaveConversation);
 
 /**
  * @swagger
@@ -334,26 +682,20 @@ router.put('/conversations/:id/read', authenticateToken, markConversationAsRead)
  *                 maxLength: 10000
  *                 example: "Hello!"
  *                 description: Message content (required if no attachment)
- *               attachment_url:
- *                 type: string
- *                 format: uri
- *                 description: URL of attachment
- *               attachment_type:
- *                 type: string
- *                 enum: [image, document, video, audio]
- *                 description: Type of attachment
- *               attachment_name:
- *                 type: string
- *                 description: Name of attachment file
+ *               attachment_id:
+ *                 type: integer
+ *                 description: Attachment uploaded via POST /api/messages/attachments (must not be pending or failed). The only way to attach a file; attachment_url is rejected.
  *     responses:
  *       201:
  *         description: Message sent successfully
  *       400:
  *         description: Validation error
  *       403:
- *         description: Cannot send message to this user
+ *         description: Blocked, not allowed by the recipient's messaging settings (`code` messages_not_allowed) or a message request not yet accepted (`code` message_request_pending)
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         description: Contains patient identifiers and PHI_SCAN_POLICY is block (`code` phi_detected, `findings` with field, type, start and end)
  */
 router.post('/', authenticateToken, validateSendMessage, sendMessage);
 
@@ -362,7 +704,12 @@ router.post('/', authenticateToken, validateSendMessage, sendMessage);
  * /api/messages/search:
  *   get:
  *     summary: Search messages
- *     description: Search messages across user's conversations
+ *     description: |
+ *       Full-text search across the user's conversations, ranked by relevance. Deleted messages, system
+ *       messages and conversations the user left or deleted are left out. `q` takes web search syntax:
+ *       `"exact phrase"`, `or`, `-excluded`. Matches in attachment file names count too, below matches
+ *       in the text. Each result has `rank`, a `highlight` snippet (HTML-escaped content with matches in
+ *       `<mark>` tags) and `search_cursor`.
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -372,40 +719,72 @@ router.post('/', authenticateToken, validateSendMessage, sendMessage);
  *         required: true
  *         schema:
  *           type: string
+ *           maxLength: 200
+ *         example: echo report
  *         description: Search query
  *       - in: query
  *         name: conversation_id
  *         schema:
  *           type: integer
- *         description: Filter by conversation ID (optional)
+ *         description: Only this conversation
+ *       - in: query
+ *         name: sender_id
+ *         schema:
+ *           type: integer
+ *         description: Only messages from this user
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Sent at or after (ISO 8601)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Sent before (ISO 8601)
+ *       - in: query
+ *         name: has_attachment
+ *         schema:
+ *           type: boolean
+ *         description: Only messages with (true) or without (false) an attachment
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, recent]
+ *           default: relevance
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
- *           default: 50
+ *           default: 20
+ *           maximum: 50
  *         description: Number of results to return
  *       - in: query
- *         name: offset
+ *         name: cursor
  *         schema:
- *           type: integer
- *           default: 0
- *         description: Number of results to skip
+ *           type: string
+ *         description: "`pagination.nextCursor` from the previous page (use the same q, filters and sort)"
  *     responses:
  *       200:
- *         description: Search results
+ *         description: Search results (`pagination` has limit, cursor, nextCursor and hasMore)
  *       400:
- *         description: Search query required
+ *         description: Validation error or invalid cursor
+ *       403:
+ *         description: Not a participant in conversation_id
  *       401:
  *         description: Unauthorized
  */
-router.get('/search', authenticateToken, searchMessages);
+router.get('/search', authenticateToken, validateSearchMessages, searchMessages);
 
 /**
  * @swagger
  * /api/messages/unread-count:
  *   get:
  *     summary: Get total unread message count
- *     description: Get total number of unread messages across all conversations
+ *     description: Get total number of unread messages across all conversations (message requests excluded) and the number of pending message requests (`request_count`)
  *     tags: [Messages]
  *     security:
  *       - bearerAuth: []
@@ -417,6 +796,238 @@ router.get('/search', authenticateToken, searchMessages);
  */
 router.get('/unread-count', authenticateToken, getUnreadCount);
 
+/**
+ * @swagger
+ * /api/messages/sync:
+ *   get:
+ *     summary: Get read state for catching up
+ *     description: |
+ *       Unread counts and cursors for the 100 most recently active conversations, with the other
+ *       participant's cursors in 1:1 conversations, plus `total_unread_count` and `request_count`.
+ *       The same payload is pushed as `sync:state` when a socket connects. Read-only: unlike a socket
+ *       connection, it does not mark anything delivered.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Read state retrieved
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sync', authenticateToken, getMessageSyncState);
+
+/**
+ * @swagger
+ * /api/messages/requests:
+ *   get:
+ *     summary: List message requests
+ *     description: 1:1 conversations started by people outside your allow_messages_from setting. They are kept out of the conversation list and unread count until accepted.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, ignored]
+ *           default: pending
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Message requests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/requests', authenticateToken, validateListMessageRequests, listMessageRequests);
+
+/**
+ * @swagger
+ * /api/messages/requests/{id}/accept:
+ *   post:
+ *     summary: Accept a message request
+ *     description: Moves the conversation to your inbox and lets the sender keep writing. Replying to a request also accepts it.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Message request accepted
+ *       404:
+ *         description: Message request not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/requests/:id/accept', authenticateToken, acceptMessageRequest);
+
+/**
+ * @swagger
+ * /api/messages/requests/{id}/ignore:
+ *   post:
+ *     summary: Ignore a message request
+ *     description: Keeps the conversation out of your inbox. The sender is not told and cannot send further messages.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Message request ignored
+ *       404:
+ *         description: Message request not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/requests/:id/ignore', authenticateToken, ignoreMessageRequest);
+
+/**
+ * @swagger
+ * /api/messages/attachments:
+ *   post:
+ *     summary: Start a message attachment upload
+ *     description: |
+ *       Checks the file type and size and returns a write-only SAS URL into the private container.
+ *       Upload the file with `PUT {sas_url}` (header `x-ms-blob-type: BlockBlob`), then call
+ *       POST /api/messages/attachments/{id}/complete and send the message with `attachment_id`.
+ *       Images (jpeg, png, webp, gif) up to MAX_IMAGE_SIZE, videos (mp4, quicktime, avi) up to
+ *       MAX_VIDEO_SIZE and documents (pdf, Word, Excel, PowerPoint, plain text, csv) up to MAX_DOCUMENT_SIZE.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content_type
+ *               - file_size
+ *             properties:
+ *               content_type:
+ *                 type: string
+ *                 example: application/pdf
+ *               file_size:
+ *                 type: integer
+ *                 description: File size in bytes
+ *                 example: 245760
+ *               file_name:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: referral-letter.pdf
+ *     responses:
+ *       201:
+ *         description: Upload token generated (attachment with status pending, plus sas_url, expires_at and expires_in)
+ *       400:
+ *         description: Validation error, unsupported file type or file too large
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/attachments', authenticateToken, validateCreateAttachment, createAttachmentUpload);
+
+/**
+ * @swagger
+ * /api/messages/attachments/{id}/complete:
+ *   post:
+ *     summary: Complete a message attachment upload
+ *     description: Confirms the file is in storage. Documents become ready at once; images and videos are queued for processing (status uploaded, then processing, then ready or failed).
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: Upload completed
+ *       400:
+ *         description: File not uploaded yet or larger than allowed
+ *       404:
+ *         description: Attachment not found
+ *       409:
+ *         description: Upload already completed
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/attachments/:id/complete', authenticateToken, validateAttachmentId, completeAttachmentUpload);
+
+/**
+ * @swagger
+ * /api/messages/attachments/{id}:
+ *   get:
+ *     summary: Get a message attachment with signed read URLs
+ *     description: |
+ *       Open to the uploader and to current participants of a conversation where a message carries the
+ *       attachment (forwarded copies included). `urls` holds short-lived read-only URLs (SAS_READ_URL_EXPIRY_MINUTES):
+ *       the processed variants for images and videos, `original` for documents (served as a download).
+ *       `urls` is empty until the attachment is ready.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Attachment ID
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *         description: Only sign this variant (e.g. thumb, feed, full, 720p, poster)
+ *     responses:
+ *       200:
+ *         description: Attachment retrieved
+ *       403:
+ *         description: No access to this attachment
+ *       404:
+ *         description: Attachment or variant not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/attachments/:id', authenticateToken, validateGetAttachment, getAttachment);
+
 /**
  * @swagger
  * /api/messages/{id}:
@@ -458,6 +1069,8 @@ router.get('/unread-count', authenticateToken, getUnreadCount);
  *         description: Message not found
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         description: Contains patient identifiers and PHI_SCAN_POLICY is block (`code` phi_detected, `findings` with field, type, start and end)
  */
 router.put('/:id', authenticateToken, validateEditMessage, editMessage);
 
@@ -646,11 +1259,13 @@ router.delete('/:id/reactions/:type', authenticateToken, removeReaction);
  *       400:
  *         description: Validation error
  *       403:
- *         description: Cannot forward message (access denied or blocked)
+ *         description: Cannot forward message (access denied, blocked, not allowed by the recipient's messaging settings or a message request not yet accepted)
  *       404:
- *         description: Message not found
+ *         description: Message not found (or deleted)
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         description: Contains patient identifiers and PHI_SCAN_POLICY is block (`code` phi_detected, `findings` with field, type, start and end)
  */
 router.post('/:id/forward', authenticateToken, forwardMessage);
 
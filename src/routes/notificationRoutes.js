@@ -0,0 +1,160 @@
+// Notification routes
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+} = require('../controllers/notificationController');
+
+// All notification routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/v1/notifications:
+ *   get:
+ *     summary: Get the current user's notifications
+ *     description: |
+ *       Newest first. By default similar notifications are collapsed into one entry
+ *       (for example several upvotes on the same post) with `group_count`, `actor_count`,
+ *       `unread_count`, `notification_ids`, up to three recent `actors` and a `summary`
+ *       such as "Jane Doe and 4 others upvoted your post".
+ *       Pass `pagination.nextCursor` as `cursor` to get the next page.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: integer
+ *         description: ID of the last entry from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma-separated notification types, e.g. post_upvote,comment_reply
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: grouped
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to list notifications individually
+ *     responses:
+ *       200:
+ *         description: Notifications with cursor pagination
+ *       400:
+ *         description: Invalid cursor
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/', getNotifications);
+
+/**
+ * @swagger
+ * /api/v1/notifications/unread-count:
+ *   get:
+ *     summary: Get the unread notification count
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/unread-count', getUnreadCount);
+
+/**
+ * @swagger
+ * /api/v1/notifications/read-all:
+ *   put:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All notifications marked as read
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/read-all', markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/v1/notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     description: Marks every notification in the same group as read.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Marked IDs and the new unread count
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/read', markNotificationRead);
+
+/**
+ * @swagger
+ * /api/v1/notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     description: Deletes every notification in the same group.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notification deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', deleteNotification);
+
+module.exports = router;
@@ -1,14 +1,16 @@
 // Organization routes
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, requireMfaStepUp } = require('../middleware/authMiddleware');
 const {
   createOrganization,
   searchOrganizations,
   getOrganizationById,
   updateOrganization,
+  updateOrganizationSecurity,
   validateOrganization,
   validateOrganizationUpdate,
+  validateOrganizationSecurity,
 } = require('../controllers/organizationController');
 
 /**
@@ -125,6 +127,7 @@ router.get('/:id', authenticateToken, getOrganizationById);
  * /api/organizations/{id}:
  *   put:
  *     summary: Update an organization
+ *     description: Organization admins (or platform admins) only. `is_verified` is ignored; platform admins set it through the admin API.
  *     tags: [Organizations]
  *     security:
  *       - bearerAuth: []
@@ -163,9 +166,57 @@ router.get('/:id', authenticateToken, getOrganizationById);
  *         description: Organization not found
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not an admin of this organization
  *       500:
  *         description: Internal server error
  */
 router.put('/:id', authenticateToken, validateOrganizationUpdate, updateOrganization);
 
+/**
+ * @swagger
+ * /api/organizations/{id}/security:
+ *   put:
+ *     summary: Update organization security settings
+ *     description: |
+ *       Organization admins only. With `require_mfa` on, the organization's admins and current staff must set up
+ *       two-factor authentication: sign-in asks them to enrol and existing sessions are not refreshed until they do.
+ *       Admins who have 2FA themselves need a recent step-up.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Organization ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - require_mfa
+ *             properties:
+ *               require_mfa:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Security settings updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not an organization admin, or step-up required
+ *       404:
+ *         description: Organization not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id/security', authenticateToken, requireMfaStepUp, validateOrganizationSecurity, updateOrganizationSecurity);
+
 module.exports = router;
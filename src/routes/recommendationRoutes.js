@@ -0,0 +1,374 @@
+// Recommendation routes
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  requestRecommendation,
+  writeRecommendation,
+  updateRecommendation,
+  declineRecommendationRequest,
+  acceptRecommendation,
+  hideRecommendation,
+  requestRecommendationRevision,
+  deleteRecommendation,
+  getReceivedRecommendations,
+  getGivenRecommendations,
+  validateRecommendationRequest,
+  validateRecommendation,
+  validateRecommendationUpdate,
+  validateRevisionRequest,
+} = require('../controllers/recommendationController');
+
+// All recommendation routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/v1/recommendations/requests:
+ *   post:
+ *     summary: Ask a connection for a recommendation
+ *     description: |
+ *       The recommender writes it, then you accept it (shown on your profile), hide it, or ask for a revision.
+ *       Requires `allow_recommendations` in your profile settings.
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recommender_id
+ *             properties:
+ *               recommender_id:
+ *                 type: integer
+ *               relationship_type:
+ *                 type: string
+ *                 example: Worked together at St. Mary's
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Recommendation requested
+ *       400:
+ *         description: Validation error or a recommendation from this user is already in progress
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not connected, or recommendations are turned off in your settings
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/requests', validateRecommendationRequest, requestRecommendation);
+
+/**
+ * @swagger
+ * /api/v1/recommendations:
+ *   post:
+ *     summary: Write a recommendation for a connection
+ *     description: Fulfils the recipient's open request if there is one. The recipient reviews it before it appears on their profile.
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - recommendation_text
+ *             properties:
+ *               user_id:
+ *                 type: integer
+ *               recommendation_text:
+ *                 type: string
+ *               relationship_type:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Open request fulfilled and sent for review
+ *       201:
+ *         description: Recommendation sent for review
+ *       400:
+ *         description: Validation error or already written
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not connected, or the user is not accepting recommendations
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', validateRecommendation, writeRecommendation);
+
+/**
+ * @swagger
+ * /api/v1/recommendations/received:
+ *   get:
+ *     summary: Get recommendations you received or requested
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, declined, pending, revision_requested, accepted, hidden]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Recommendations with the recommender's profile
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/received', getReceivedRecommendations);
+
+/**
+ * @swagger
+ * /api/v1/recommendations/given:
+ *   get:
+ *     summary: Get recommendations you wrote or were asked to write
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, declined, pending, revision_requested, accepted, hidden]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Recommendations with the recipient's profile
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/given', getGivenRecommendations);
+
+/**
+ * @swagger
+ * /api/v1/recommendations/{id}:
+ *   put:
+ *     summary: Write or revise a recommendation (recommender)
+ *     description: Answers a request or a revision request, or edits an existing recommendation. The recipient reviews it again before it is shown.
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recommendation_text
+ *             properties:
+ *               recommendation_text:
+ *                 type: string
+ *               relationship_type:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recommendation sent for review
+ *       400:
+ *         description: Validation error or action not available in the current status
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: No longer connected
+ *       404:
+ *         description: Recommendation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/:id', validateRecommendationUpdate, updateRecommendation);
+
+/**
+ * @swagger
+ * /api/v1/recommendations/{id}:
+ *   delete:
+ *     summary: Delete a recommendation (recipient or recommender)
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recommendation deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Recommendation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/:id', deleteRecommendation);
+
+/**
+ * @swagger
+ * /api/v1/recommendations/{id}/decline:
+ *   post:
+ *     summary: Decline a recommendation request (recommender)
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recommendation request declined
+ *       400:
+ *         description: Action not available in the current status
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Recommendation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/decline', declineRecommendationRequest);
+
+/**
+ * @swagger
+ * /api/v1/recommendations/{id}/accept:
+ *   post:
+ *     summary: Accept a recommendation so it appears on your profile (recipient)
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recommendation accepted
+ *       400:
+ *         description: Action not available in the current status
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Recommendation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/accept', acceptRecommendation);
+
+/**
+ * @swagger
+ * /api/v1/recommendations/{id}/hide:
+ *   post:
+ *     summary: Hide a recommendation from your profile (recipient)
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Recommendation hidden
+ *       400:
+ *         description: Action not available in the current status
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Recommendation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/hide', hideRecommendation);
+
+/**
+ * @swagger
+ * /api/v1/recommendations/{id}/revision:
+ *   post:
+ *     summary: Ask the recommender for a revision (recipient)
+ *     tags: [Recommendations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: Could you mention the ICU rotation?
+ *     responses:
+ *       200:
+ *         description: Revision requested
+ *       400:
+ *         description: Validation error or action not available in the current status
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Recommendation not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:id/revision', validateRevisionRequest, requestRecommendationRevision);
+
+module.exports = router;
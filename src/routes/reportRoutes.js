@@ -0,0 +1,93 @@
+// Report routes - Flag posts, comments, messages and profiles for moderator review
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/authMiddleware');
+const {
+  createReport,
+  getMyReports,
+  validateReport,
+  validatePagination,
+} = require('../controllers/reportController');
+
+// All report routes require authentication
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/v1/reports:
+ *   post:
+ *     summary: Report a post, comment, message or profile
+ *     description: |
+ *       Each user can report a given item once. You can only report content you can see (messages:
+ *       conversations you are part of), and not your own.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - target_type
+ *               - target_id
+ *               - reason
+ *             properties:
+ *               target_type:
+ *                 type: string
+ *                 enum: [post, comment, message, user]
+ *               target_id:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *                 enum: [misinformation, patient_privacy, harassment, spam, impersonation]
+ *               details:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Report submitted
+ *       400:
+ *         description: Validation error, or reporting your own content
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Content not found
+ *       409:
+ *         description: You have already reported this
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/', validateReport, createReport);
+
+/**
+ * @swagger
+ * /api/v1/reports/mine:
+ *   get:
+ *     summary: Reports I filed and their outcome
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Reports, newest first, with `status` (open/resolved) and `resolution`
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/mine', validatePagination, getMyReports);
+
+module.exports = router;
@@ -8,6 +8,10 @@ const {
   getAvailableSkills,
   searchSkills,
   removeSkill,
+  getProfileSkills,
+  endorseSkill,
+  removeEndorsement,
+  getSkillEndorsers,
   validateSkill,
 } = require('../controllers/skillController');
 
@@ -121,6 +125,144 @@ router.get('/available', authenticateToken, getAvailableSkills);
  */
 router.get('/search', authenticateToken, searchSkills);
 
+/**
+ * @swagger
+ * /api/skills/users/{userId}:
+ *   get:
+ *     summary: Get a user's skills with endorsement counts
+ *     description: Each skill includes `endorsed_by_me` for the current user.
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of user skills retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Blocked
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/users/:userId', authenticateToken, getProfileSkills);
+
+/**
+ * @swagger
+ * /api/skills/users/{userId}/{skillId}/endorsements:
+ *   get:
+ *     summary: Get who endorsed a user's skill
+ *     description: Ordered with people you know first (you, your connections, people you follow), then most recent.
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Profile owner's user ID
+ *       - in: path
+ *         name: skillId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Skill ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Endorsers with is_connection / is_following flags
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Blocked
+ *       404:
+ *         description: Skill not found on this profile
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Endorse a connection's skill
+ *     description: Endorsing twice is a no-op (200). Respects the user's `allow_endorsements` setting.
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Profile owner's user ID
+ *       - in: path
+ *         name: skillId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Skill ID
+ *     responses:
+ *       201:
+ *         description: Skill endorsed
+ *       200:
+ *         description: Already endorsed
+ *       400:
+ *         description: Cannot endorse your own skills
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not connected, blocked, or the user is not accepting endorsements
+ *       404:
+ *         description: Skill not found on this profile
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Remove your endorsement of a skill
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Profile owner's user ID
+ *       - in: path
+ *         name: skillId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Skill ID
+ *     responses:
+ *       200:
+ *         description: Endorsement removed (also when there was none)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Blocked
+ *       404:
+ *         description: Skill not found on this profile
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/users/:userId/:skillId/endorsements', authenticateToken, getSkillEndorsers);
+router.post('/users/:userId/:skillId/endorsements', authenticateToken, endorseSkill);
+router.delete('/users/:userId/:skillId/endorsements', authenticateToken, removeEndorsement);
+
 /**
  * @swagger
  * /api/skills/{id}:
@@ -29,6 +29,9 @@ const {
   listBlockedUsers,
   getUserStatus,
   updateMyStatus,
+  getMySettings,
+  updateMySettings,
+  validateSettingsUpdate,
 } = require('../controllers/userController');
 
 /**
@@ -408,6 +411,77 @@ router.get('/me/profile/complete', authenticateToken, getCompleteProfile);
  */
 router.put('/me/profile/complete', authenticateToken, updateCompleteProfile);
 
+/**
+ * @swagger
+ * /api/users/me/settings:
+ *   get:
+ *     summary: Get current user's profile settings (privacy, discoverability)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/me/settings', authenticateToken, getMySettings);
+
+/**
+ * @swagger
+ * /api/users/me/settings:
+ *   put:
+ *     summary: Update current user's profile settings
+ *     description: Only the provided fields are changed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               profile_visibility:
+ *                 type: string
+ *                 enum: [public, connections, private]
+ *               allow_connection_requests:
+ *                 type: boolean
+ *               allow_messages_from:
+ *                 type: string
+ *                 enum: [everyone, connections, second_degree, followers_i_follow, nobody]
+ *                 description: Who can message you directly; others send a message request unless this is nobody
+ *               allow_message_requests:
+ *                 type: boolean
+ *                 description: Let people outside allow_messages_from send you message requests
+ *               read_receipts:
+ *                 type: boolean
+ *                 description: Let others see when you have read their messages (off also hides their read receipts from you)
+ *               allow_endorsements:
+ *                 type: boolean
+ *               allow_recommendations:
+ *                 type: boolean
+ *               open_to_opportunities:
+ *                 type: boolean
+ *                 description: Let recruiters find you as a ranked candidate for their job postings
+ *               open_to_remote:
+ *                 type: boolean
+ *                 description: Rank remote jobs as a location match in job recommendations
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/me/settings', authenticateToken, validateSettingsUpdate, updateMySettings);
+
 /**
  * @swagger
  * /api/users/{id}/connect:
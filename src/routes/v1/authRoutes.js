@@ -1,16 +1,42 @@
 // Authentication routes
 const express = require('express');
 const router = express.Router();
-const { authenticateToken } = require('../../middleware/authMiddleware');
+const { authenticateToken, authenticateMfaEnrollment, requireMfaStepUp } = require('../../middleware/authMiddleware');
 const { authLimiter } = require('../../middleware/rateLimiter');
 const {
   signUp,
   signIn,
   signInWithGoogle,
   logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  refresh,
+  getSessions,
+  revokeSessionById,
+  revokeAllUserSessions,
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  verifyMfa,
+  stepUpMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
   validateSignUp,
   validateSignIn,
   validateGoogleSignIn,
+  validateEmailOnly,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateChangePassword,
+  validateRefreshToken,
+  validateSessionId,
+  validateRevokeAllSessions,
+  validateMfaCode,
+  validateMfaSecondFactor,
+  validateMfaVerify,
 } = require('../../controllers/authController');
 
 /**
@@ -58,6 +84,10 @@ router.post('/signup', authLimiter, validateSignUp, signUp);
  * /api/auth/signin:
  *   post:
  *     summary: Sign in an existing user
+ *     description: |
+ *       When the user has two-factor authentication enabled, or an organization they belong to requires it,
+ *       the response carries `mfa_token` with `mfa_required` or `mfa_enrollment_required` instead of a session.
+ *       Finish with `POST /mfa/verify`, or `POST /mfa/setup` and `POST /mfa/enable`.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -151,6 +181,7 @@ router.post('/google', authLimiter, validateGoogleSignIn, signInWithGoogle);
  * /api/auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the current session, so its refresh token and unexpired access tokens stop working.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -183,4 +214,647 @@ router.post('/google', authLimiter, validateGoogleSignIn, signInWithGoogle);
  */
 router.post('/logout', authenticateToken, logout);
 
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always answers 200 so it cannot be used to find out which emails have accounts. The emailed link is single-use and expires after PASSWORD_RESET_TTL_MINUTES (default 60).
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/forgot-password', authLimiter, validateEmailOnly, forgotPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with the token from the reset email
+ *     description: The token works once. Every existing session token is revoked; sign in again afterwards.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Validation error, or invalid, used or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/reset-password', authLimiter, validateResetPassword, resetPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     summary: Verify the account's email with the token from the verification email
+ *     description: Sets `email_verified_at`. The token works once and expires after EMAIL_VERIFICATION_TTL_MINUTES (default 48 hours).
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Validation error, or invalid, used or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/verify-email', authLimiter, validateVerifyEmail, verifyEmail);
+
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     description: Always answers 200. Earlier verification links stop working; one email per account per minute.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account needs it
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/resend-verification', authLimiter, validateEmailOnly, resendVerification);
+
+/**
+ * @swagger
+ * /api/v1/auth/change-password:
+ *   post:
+ *     summary: Change the password of the signed-in user
+ *     description: |
+ *       Revokes every existing session token and returns a new token for the caller.
+ *       Users with two-factor authentication must have passed `POST /mfa/step-up` within the last few minutes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - current_password
+ *               - new_password
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *               new_password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed; `token` replaces the old one
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Not authenticated, or current password is incorrect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Two-factor step-up required (`code` is `mfa_step_up_required`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/change-password', authLimiter, authenticateToken, requireMfaStepUp, validateChangePassword, changePassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: |
+ *       Refresh tokens are single-use: each call returns a new one and spends the old one.
+ *       Presenting a spent refresh token again revokes its whole session (reuse detection).
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair (`token`, `refresh_token`, `expires_in`, `session_id`)
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: An organization now requires two-factor authentication that the user has not set up (`code` is `mfa_enrollment_required`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/refresh', authLimiter, validateRefreshToken, refresh);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List the signed-in user's active sessions
+ *     description: One entry per signed-in device with its device name, user agent, IP and last use. `is_current` marks the caller's session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Sign out every other session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_current
+ *         schema:
+ *           type: boolean
+ *         description: Also sign out the caller's own session
+ *     responses:
+ *       200:
+ *         description: Sessions revoked (`revoked_count`)
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions', authenticateToken, validateRevokeAllSessions, revokeAllUserSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one session (e.g. a lost device)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked; its refresh token and access tokens stop working and its sockets are disconnected
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Session not found or already revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/sessions/:id', authenticateToken, validateSessionId, revokeSessionById);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa:
+ *   get:
+ *     summary: Two-factor authentication status
+ *     description: Whether 2FA is enabled, how many recovery codes are left and which organizations require it.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: MFA status
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/mfa', authenticateToken, getMfaStatus);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/setup:
+ *   post:
+ *     summary: Start TOTP enrolment
+ *     description: |
+ *       Returns a new `secret` and an `otpauth_url` for the client to show as a QR code.
+ *       Authenticate with a bearer token, or pass the sign-in `mfa_token` when an organization requires 2FA.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/mfa/setup', authLimiter, authenticateMfaEnrollment, setupMfa);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/enable:
+ *   post:
+ *     summary: Confirm TOTP enrolment
+ *     description: |
+ *       Checks a code from the authenticator app and turns 2FA on. Returns 10 one-time `recovery_codes`, shown only once.
+ *       When called with the sign-in `mfa_token`, the response also contains the session tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               mfa_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled; recovery codes (and session tokens when signing in)
+ *       400:
+ *         description: Validation error or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/mfa/enable', authLimiter, authenticateMfaEnrollment, validateMfaCode, enableMfa);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/verify:
+ *   post:
+ *     summary: Complete sign-in with a second factor
+ *     description: Trades the sign-in `mfa_token` and a TOTP `code` (or a one-time `recovery_code`) for a session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfa_token
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *               device_name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid or expired mfa_token, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/mfa/verify', authLimiter, validateMfaVerify, verifyMfa);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/step-up:
+ *   post:
+ *     summary: Re-verify the second factor for sensitive actions
+ *     description: Marks the current session as recently verified so step-up protected endpoints (change password, disable 2FA, new recovery codes) are allowed.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session verified
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/mfa/step-up', authLimiter, authenticateToken, validateMfaSecondFactor, stepUpMfa);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     description: Requires a recent step-up. Not allowed while an organization the user belongs to requires 2FA.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 2FA disabled and recovery codes deleted
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Step-up required, or 2FA is required by an organization
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Two-factor authentication is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/mfa/disable', authLimiter, authenticateToken, requireMfaStepUp, disableMfa);
+
+/**
+ * @swagger
+ * /api/v1/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Generate new recovery codes
+ *     description: Requires a recent step-up. Replaces every existing recovery code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New recovery codes, shown only once
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Step-up required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/mfa/recovery-codes', authLimiter, authenticateToken, requireMfaStepUp, regenerateRecoveryCodes);
+
 module.exports = router;
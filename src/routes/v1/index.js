@@ -19,6 +19,14 @@ const publicationRoutes = require('../publicationRoutes');
 const projectRoutes = require('../projectRoutes');
 const awardRoutes = require('../awardRoutes');
 const organizationRoutes = require('../organizationRoutes');
+const jobRoutes = require('../jobRoutes');
+const groupRoutes = require('../groupRoutes');
+const recommendationRoutes = require('../recommendationRoutes');
+const notificationRoutes = require('../notificationRoutes');
+const deviceRoutes = require('../deviceRoutes');
+const emailRoutes = require('../emailRoutes');
+const adminRoutes = require('../adminRoutes');
+const reportRoutes = require('../reportRoutes');
 
 // Apply userLimiter to all routes
 // Note: userLimiter uses user ID if authenticated, IP if not
@@ -44,5 +52,13 @@ router.use('/publications', publicationRoutes);
 router.use('/projects', projectRoutes);
 router.use('/awards', awardRoutes);
 router.use('/organizations', organizationRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/groups', groupRoutes);
+router.use('/recommendations', recommendationRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/devices', deviceRoutes);
+router.use('/email', emailRoutes);
+router.use('/admin', adminRoutes);
+router.use('/reports', reportRoutes);
 
 module.exports = router;
@@ -65,7 +65,11 @@ const { getPostComments } = require('../../controllers/commentController');
  *                 enum: [public, connections, private]
  *                 default: public
  *                 example: "public"
- *                 description: Visibility setting for the post
+ *                 description: Visibility setting for the post (ignored for group posts)
+ *               group_id:
+ *                 type: integer
+ *                 example: 3
+ *                 description: Post into a group you are an active member of; the post is visible to group readers only
  *     responses:
  *       201:
  *         description: Post created successfully
@@ -475,7 +479,7 @@ router.get('/:id', authenticateToken, getPostById);
  *       **Editable fields:**
  *       - `content`: Update post content
  *       - `post_type`: Change post type (post/article/discussion)
- *       - `visibility`: Change visibility (public/connections/private)
+ *       - `visibility`: Change visibility (public/connections/private; not editable on group posts)
  *       - `is_pinned`: Pin/unpin the post
  *       
  *       **Note:** Updates are marked with `is_edited: true` and `edited_at` timestamp
@@ -0,0 +1,76 @@
+// Access control service - Roles, the permissions they carry, and lookups for the authorize middleware
+const UserRole = require('../models/UserRole');
+const OrganizationAdmin = require('../models/OrganizationAdmin');
+
+const ROLES = ['user', 'moderator', 'org_admin', 'platform_admin'];
+
+const PERMISSIONS = [
+  'users:read',
+  'users:suspend',
+  'roles:manage',
+  'audit:read',
+  'content:moderate',
+  'credentials:review',
+  'organizations:manage',
+  'organizations:verify',
+  'groups:verify',
+];
+
+// org_admin rights are scoped to the organizations a user administers and are checked per
+// organization (OrganizationAdmin.isAdmin); it carries no platform-wide permission.
+const ROLE_PERMISSIONS = {
+  user: [],
+  org_admin: [],
+  moderator: ['users:read', 'users:suspend', 'audit:read', 'content:moderate', 'credentials:review'],
+  platform_admin: PERMISSIONS,
+};
+
+/**
+ * Every role a user holds: always 'user', 'org_admin' when they administer an organization,
+ * plus the stored platform roles.
+ */
+const getUserRoles = async (userId) => {
+  const [stored, isOrgAdmin] = await Promise.all([
+    UserRole.findByUserId(userId),
+    OrganizationAdmin.isAdminOfAny(userId),
+  ]);
+  const roles = ['user'];
+  if (isOrgAdmin) {
+    roles.push('org_admin');
+  }
+  stored.forEach(({ role }) => {
+    if (ROLES.includes(role) && !roles.includes(role)) {
+      roles.push(role);
+    }
+  });
+  return roles;
+};
+
+const getPermissionsForRoles = (roles) => [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+
+/**
+ * Roles and permissions of a user
+ */
+const getAccess = async (userId) => {
+  const roles = await getUserRoles(userId);
+  return { roles, permissions: getPermissionsForRoles(roles) };
+};
+
+const hasPermission = async (userId, permission) => {
+  const { permissions } = await getAccess(userId);
+  return permissions.includes(permission);
+};
+
+// Staff (moderators and platform admins) can only be suspended by a platform admin
+const isStaff = (roles) => roles.includes('moderator') || roles.includes('platform_admin');
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getUserRoles,
+  getPermissionsForRoles,
+  getAccess,
+  hasPermission,
+  isStaff,
+};
@@ -0,0 +1,57 @@
+// Certification service - Edits and deletions that keep verification status and the users.is_verified badge honest
+const { withTransaction } = require('../config/database');
+const MedicalCertification = require('../models/MedicalCertification');
+const CredentialVerification = require('../models/CredentialVerification');
+const User = require('../models/User');
+
+// Compare as text so '2024-01-01' matches a DATE column read back as a Date
+const normalizeField = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    // pg parses DATE as local midnight; 'en-CA' formats it as YYYY-MM-DD in local time
+    return value.toLocaleDateString('en-CA');
+  }
+  return String(value).trim();
+};
+
+// True when an update changes anything a reviewer checked
+const changesVerifiedFields = (certification, updates) => MedicalCertification.VERIFIED_FIELDS.some(
+  field => updates[field] !== undefined && normalizeField(updates[field]) !== normalizeField(certification[field])
+);
+
+/**
+ * Update a certification. A verification (or pending review) covers the values the reviewer
+ * saw, so changing any of them cancels pending reviews, resets the status to unverified and
+ * re-syncs the owner's badge, all in one transaction. Returns the updated row.
+ */
+const applyCertificationUpdate = async (certification, updates) => {
+  const resetVerification = certification.verification_status !== 'unverified'
+    && changesVerifiedFields(certification, updates);
+
+  return withTransaction(async (client) => {
+    const result = await MedicalCertification.update(certification.id, updates, client);
+    if (resetVerification) {
+      await CredentialVerification.cancelPendingForCertification(certification.id, client);
+      const reset = await MedicalCertification.setVerificationStatus(certification.id, 'unverified', client);
+      await User.syncCredentialVerification(certification.user_id, client);
+      return reset;
+    }
+    return result;
+  });
+};
+
+// Delete a certification; losing a verified one may take the owner's badge with it
+const removeCertification = async (certification) => {
+  await MedicalCertification.remove(certification.id);
+  if (certification.verification_status === 'verified') {
+    await User.syncCredentialVerification(certification.user_id);
+  }
+};
+
+module.exports = {
+  changesVerifiedFields,
+  applyCertificationUpdate,
+  removeCertification,
+};
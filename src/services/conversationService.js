@@ -0,0 +1,187 @@
+// Conversation service - Who may message whom (messaging policy and message requests), message fan-out to participants and system messages
+const { pool } = require('../config/database');
+const Conversation = require('../models/Conversation');
+const ConversationParticipant = require('../models/ConversationParticipant');
+const Message = require('../models/Message');
+const Block = require('../models/Block');
+const Connection = require('../models/Connection');
+const Follow = require('../models/Follow');
+const ProfileSettings = require('../models/ProfileSettings');
+const { emitMessageCreated } = require('./eventService');
+const { emitToUser, emitToRoom } = require('./socketService');
+
+// Does the sender fall within the recipient's allow_messages_from audience?
+const matchesMessagePermission = async (permission, senderId, recipientId) => {
+  switch (permission) {
+    case 'everyone':
+      return true;
+    case 'connections': {
+      const connection = await Connection.findConnection(senderId, recipientId);
+      return Boolean(connection && connection.status === 'connected');
+    }
+    case 'second_degree': {
+      const connection = await Connection.findConnection(senderId, recipientId);
+      if (connection && connection.status === 'connected') {
+        return true;
+      }
+      return Connection.hasMutualConnection(senderId, recipientId);
+    }
+    case 'followers_i_follow': {
+      // People who follow the recipient and whom the recipient follows back
+      const [followsRecipient, followedByRecipient] = await Promise.all([
+        Follow.isFollowing(senderId, recipientId),
+        Follow.isFollowing(recipientId, senderId),
+      ]);
+      return followsRecipient && followedByRecipient;
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether `senderId` may start a conversation with (or add to a group) `recipientId`.
+ * Blocks either way always deny. Otherwise the recipient's `allow_messages_from` setting
+ * decides; senders outside it may still send a message request (`request: true`) unless the
+ * setting is `nobody` or the recipient turned `allow_message_requests` off.
+ * REQUIRE_CONNECTION_FOR_MESSAGING=true narrows `everyone` to `connections`.
+ */
+const canMessage = async (senderId, recipientId) => {
+  // Check if users are blocked either way
+  const blocked = await Block.isBlockedEitherWay(senderId, recipientId);
+  if (blocked) {
+    return { allowed: false, reason: 'Users are blocked' };
+  }
+
+  const settings = await ProfileSettings.findByUserId(recipientId);
+  let permission = settings?.allow_messages_from || 'connections';
+  if (permission === 'everyone' && process.env.REQUIRE_CONNECTION_FOR_MESSAGING === 'true') {
+    permission = 'connections';
+  }
+
+  if (await matchesMessagePermission(permission, senderId, recipientId)) {
+    return { allowed: true, request: false };
+  }
+  if (permission !== 'nobody' && settings?.allow_message_requests !== false) {
+    return { allowed: true, request: true };
+  }
+  return {
+    allowed: false,
+    reason: 'This user is not accepting messages from you',
+    code: 'messages_not_allowed',
+  };
+};
+
+/**
+ * Get or create the 1:1 conversation a sender is about to post into, applying the messaging
+ * policy. An ongoing thread stays open whatever the recipient's settings; a first message from
+ * outside their audience puts the thread in their requests (only one message until they accept),
+ * and replying to a request accepts it. Returns `{ allowed, reason?, code?, request, conversation }`.
+ */
+const openDirectConversation = async (senderId, recipientId) => {
+  const existing = await Conversation.findDirect(senderId, recipientId);
+  if (existing) {
+    const blocked = await Block.isBlockedEitherWay(senderId, recipientId);
+    if (blocked) {
+      return { allowed: false, reason: 'Users are blocked' };
+    }
+
+    const [own, other] = await Promise.all([
+      ConversationParticipant.findOne(existing.id, senderId),
+      ConversationParticipant.findOne(existing.id, recipientId),
+    ]);
+
+    // Replying to a message request accepts it
+    if (own && (own.request_status === 'pending' || own.request_status === 'ignored')) {
+      await ConversationParticipant.setRequestStatus(existing.id, senderId, 'accepted');
+      emitToUser(recipientId, 'message_request:accepted', { conversation_id: existing.id, user_id: senderId });
+      return { allowed: true, request: false, conversation: existing };
+    }
+
+    if (other && (other.request_status === 'pending' || other.request_status === 'ignored')) {
+      if (await Message.hasUserMessageFrom(existing.id, senderId)) {
+        return {
+          allowed: false,
+          reason: 'Your message request has not been accepted yet',
+          code: 'message_request_pending',
+        };
+      }
+      return { allowed: true, request: true, conversation: existing };
+    }
+
+    if (other) {
+      return { allowed: true, request: false, conversation: existing };
+    }
+  }
+
+  const decision = await canMessage(senderId, recipientId);
+  if (!decision.allowed) {
+    return decision;
+  }
+
+  const conversation = existing || await Conversation.findOrCreate(senderId, recipientId);
+  if (decision.request) {
+    await ConversationParticipant.setRequestStatus(conversation.id, recipientId, 'pending');
+  }
+  return { ...decision, conversation };
+};
+
+/**
+ * Record a new message as the conversation's latest and push it to every other current
+ * participant: unread counts (unless `countUnread` is false), the conversation room and each
+ * participant's user room. Returns the recipient IDs.
+ */
+const deliverMessage = async (message, conversationId, senderId, { countUnread = true, roomPayload = null } = {}) => {
+  await Conversation.updateLastMessage(conversationId, message.id);
+  const recipientIds = countUnread
+    ? await Conversation.incrementUnreadCount(conversationId, senderId)
+    : await ConversationParticipant.getActiveUserIds(conversationId, senderId);
+
+  emitMessageCreated(message, conversationId, senderId, recipientIds);
+  emitToRoom(`conversation:${conversationId}`, 'message:new', roomPayload || {
+    message,
+    conversation_id: conversationId,
+  });
+  return recipientIds;
+};
+
+// "Jane Doe", "Jane Doe and John Roe", "Jane Doe, John Roe and Ann Lee" in the given order
+const describeUsers = async (userIds) => {
+  const result = await pool.query(
+    'SELECT id, first_name, last_name FROM users WHERE id = ANY($1::int[])',
+    [userIds]
+  );
+  const names = userIds
+    .map(id => result.rows.find(row => row.id === id))
+    .filter(Boolean)
+    .map(user => `${user.first_name} ${user.last_name}`.trim());
+  if (names.length <= 1) {
+    return names[0] || 'someone';
+  }
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+/**
+ * Post a system message (membership or group change) into a conversation. `event` and `data`
+ * are stored in `metadata` for clients to render their own text; `content` is the fallback.
+ * System messages do not count as unread.
+ */
+const postSystemMessage = async (conversationId, actorId, event, content, data = {}) => {
+  const message = await Message.create({
+    conversation_id: conversationId,
+    sender_id: actorId,
+    content,
+    message_type: 'system',
+    metadata: { event, ...data },
+  });
+  await deliverMessage(message, conversationId, actorId, { countUnread: false });
+  return message;
+};
+
+module.exports = {
+  canMessage,
+  openDirectConversation,
+  deliverMessage,
+  describeUsers,
+  postSystemMessage,
+};
@@ -0,0 +1,198 @@
+// Email service - Pluggable delivery transports (SMTP, file outbox, provider HTTP API) and unsubscribe links
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const EMAIL_TRANSPORTS = ['smtp', 'outbox', 'http'];
+
+const DEFAULT_FROM = process.env.EMAIL_FROM || 'Latis <no-reply@latis.local>';
+
+const HTTP_TIMEOUT_MS = parseInt(process.env.EMAIL_HTTP_TIMEOUT_MS) || 10000;
+
+/**
+ * SMTP transport (nodemailer). Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASSWORD.
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+/**
+ * Outbox transport for development and tests: writes each email as an .eml file
+ * (open it in any mail client) plus a .json copy into EMAIL_OUTBOX_DIR.
+ */
+const createOutboxTransport = (outboxDir = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')) => {
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'outbox',
+    outboxDir,
+    send: async (message) => {
+      const info = await composer.sendMail(message);
+      const messageId = `outbox-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      await fs.promises.writeFile(path.join(outboxDir, `${messageId}.eml`), info.message);
+      await fs.promises.writeFile(
+        path.join(outboxDir, `${messageId}.json`),
+        JSON.stringify({ messageId, ...message }, null, 2)
+      );
+
+      return { messageId };
+    },
+  };
+};
+
+/**
+ * Provider HTTP transport: POSTs the message as JSON to EMAIL_HTTP_URL with EMAIL_HTTP_API_KEY as a bearer token.
+ * The provider's message ID is read from `id` or `messageId` in the response.
+ */
+const createHttpTransport = () => {
+  const url = process.env.EMAIL_HTTP_URL;
+  if (!url) {
+    throw new Error('EMAIL_HTTP_URL is required for the http email transport');
+  }
+
+  return {
+    name: 'http',
+    send: async (message) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${process.env.EMAIL_HTTP_API_KEY || ''}`,
+        },
+        body: JSON.stringify({
+          from: message.from,
+          to: message.to,
+          subject: message.subject,
+          html: message.html,
+          text: message.text,
+          headers: message.headers,
+        }),
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Email provider responded ${response.status}: ${detail.substring(0, 200)}`);
+      }
+
+      const result = await response.json().catch(() => ({}));
+      return { messageId: result.id || result.messageId || null };
+    },
+  };
+};
+
+let emailTransport = null;
+
+// Swap the transport (pass null to go back to the configured one)
+const setEmailTransport = (transport) => {
+  emailTransport = transport;
+};
+
+// Transport from EMAIL_TRANSPORT; defaults to SMTP when SMTP_HOST is set, otherwise the outbox
+const getEmailTransport = () => {
+  if (emailTransport) {
+    return emailTransport;
+  }
+
+  const name = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+  switch (name) {
+    case 'smtp':
+      emailTransport = createSmtpTransport();
+      break;
+    case 'http':
+      emailTransport = createHttpTransport();
+      break;
+    case 'outbox':
+      emailTransport = createOutboxTransport();
+      break;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${name} (expected one of ${EMAIL_TRANSPORTS.join(', ')})`);
+  }
+
+  logger.info('Email transport configured', { transport: emailTransport.name });
+  return emailTransport;
+};
+
+const unsubscribeSecret = () => process.env.EMAIL_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || '';
+
+const signUnsubscribe = (sendId) => crypto
+  .createHmac('sha256', unsubscribeSecret())
+  .update(`unsubscribe:${sendId}`)
+  .digest('hex');
+
+// Unsubscribe token for a logged send: "<send id>.<signature>" (stable across job retries)
+const createUnsubscribeToken = (sendId) => `${sendId}.${signUnsubscribe(sendId)}`;
+
+// Send ID from a valid unsubscribe token, or null
+const verifyUnsubscribeToken = (token) => {
+  const match = /^(\d+)\.([a-f0-9]{64})$/.exec(String(token || ''));
+  if (!match) {
+    return null;
+  }
+  const expected = Buffer.from(signUnsubscribe(match[1]), 'hex');
+  const provided = Buffer.from(match[2], 'hex');
+  return crypto.timingSafeEqual(expected, provided) ? parseInt(match[1]) : null;
+};
+
+// Public unsubscribe URL (one-click POST for mail clients, link for people)
+const buildUnsubscribeUrl = (token) => {
+  const apiUrl = (process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  return `${apiUrl}/api/v1/email/unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Turn email notifications off for a user, or for every account using an address.
+ * Returns the number of accounts updated.
+ */
+const disableEmailNotifications = async ({ userId, email }) => {
+  let userIds = [];
+  if (userId) {
+    userIds = [userId];
+  } else if (email) {
+    const user = await User.findByEmail(email);
+    userIds = user ? [user.id] : [];
+  }
+
+  for (const id of userIds) {
+    const updated = await NotificationPreference.update(id, { email_notifications: false });
+    if (!updated) {
+      await NotificationPreference.upsert(id, { email_notifications: false });
+    }
+  }
+  return userIds.length;
+};
+
+module.exports = {
+  EMAIL_TRANSPORTS,
+  DEFAULT_FROM,
+  createSmtpTransport,
+  createOutboxTransport,
+  createHttpTransport,
+  setEmailTransport,
+  getEmailTransport,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl,
+  disableEmailNotifications,
+};
@@ -0,0 +1,238 @@
+// Email templates - Subject, HTML and plain-text parts for each email type
+const APP_NAME = process.env.APP_NAME || 'Latis';
+
+const appUrl = (pathname = '') => `${(process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')}${pathname}`;
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const greeting = (data) => (data.first_name ? `Hi ${data.first_name},` : 'Hi,');
+
+const button = (url, label) => `
+  <p style="margin:24px 0">
+    <a href="${escapeHtml(url)}" style="background:#0a66c2;color:#ffffff;padding:10px 18px;border-radius:4px;text-decoration:none;display:inline-block">${escapeHtml(label)}</a>
+  </p>`;
+
+// Wrap a body in the shared layout; the unsubscribe footer only appears on non-transactional mail
+const layout = (bodyHtml, unsubscribeUrl) => `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,Helvetica,sans-serif;color:#1d2226;background:#f3f2ef;margin:0;padding:24px">
+    <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px">
+      ${bodyHtml}
+      <hr style="border:none;border-top:1px solid #e0e0e0;margin:24px 0">
+      <p style="font-size:12px;color:#666666">
+        You are receiving this email from ${escapeHtml(APP_NAME)}.
+        ${unsubscribeUrl ? `<a href="${escapeHtml(unsubscribeUrl)}" style="color:#666666">Unsubscribe from email notifications</a>` : ''}
+      </p>
+    </div>
+  </body>
+</html>`;
+
+const textFooter = (unsubscribeUrl) => (unsubscribeUrl
+  ? `\n\n--\nUnsubscribe from ${APP_NAME} email notifications: ${unsubscribeUrl}`
+  : `\n\n--\n${APP_NAME}`);
+
+// Job list shared by the instant alert and the daily digest
+const jobListHtml = (jobs) => `<ul style="padding-left:18px">${jobs.map(job => `
+  <li style="margin-bottom:8px"><a href="${escapeHtml(appUrl(`/jobs/${job.id}`))}">${escapeHtml(job.summary || job.title)}</a></li>`).join('')}
+</ul>`;
+
+const jobListText = (jobs) => jobs.map(job => `- ${job.summary || job.title}: ${appUrl(`/jobs/${job.id}`)}`).join('\n');
+
+/**
+ * Templates by email type. Each takes the job's `data` and returns { subject, html, text }
+ * (html is the inner body; the layout and footer are added by renderEmail).
+ */
+const EMAIL_TEMPLATES = {
+  welcome: (data) => ({
+    subject: `Welcome to ${APP_NAME}`,
+    html: `
+      <p>${escapeHtml(greeting(data))}</p>
+      <p>Welcome to ${escapeHtml(APP_NAME)}. Complete your profile so colleagues can find you and see your experience.</p>
+      ${button(appUrl('/profile'), 'Complete your profile')}`,
+    text: `${greeting(data)}\n\nWelcome to ${APP_NAME}. Complete your profile so colleagues can find you and see your experience:\n${appUrl('/profile')}`,
+  }),
+
+  password_reset: (data) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    html: `
+      <p>${escapeHtml(greeting(data))}</p>
+      <p>We received a request to reset your password. The link expires in ${escapeHtml(data.expires_in_minutes || 60)} minutes and can be used once.</p>
+      ${button(data.reset_url, 'Reset password')}
+      <p>If you did not ask for this, you can ignore this email; your password stays the same.</p>`,
+    text: `${greeting(data)}\n\nWe received a request to reset your password. The link expires in ${data.expires_in_minutes || 60} minutes and can be used once:\n${data.reset_url}\n\nIf you did not ask for this, you can ignore this email; your password stays the same.`,
+  }),
+
+  email_verification: (data) => ({
+    subject: `Verify your email for ${APP_NAME}`,
+    html: `
+      <p>${escapeHtml(greeting(data))}</p>
+      <p>Confirm that this is your email address.</p>
+      ${button(data.verification_url, 'Verify email')}`,
+    text: `${greeting(data)}\n\nConfirm that this is your email address:\n${data.verification_url}`,
+  }),
+
+  connection_request: (data) => ({
+    subject: `${data.requester_name} wants to connect`,
+    html: `
+      <p>${escapeHtml(greeting(data))}</p>
+      <p><strong>${escapeHtml(data.requester_name)}</strong>${data.requester_headline ? ` (${escapeHtml(data.requester_headline)})` : ''} sent you a connection request.</p>
+      ${button(appUrl('/network/requests'), 'View request')}`,
+    text: `${greeting(data)}\n\n${data.requester_name}${data.requester_headline ? ` (${data.requester_headline})` : ''} sent you a connection request:\n${appUrl('/network/requests')}`,
+  }),
+
+  message_digest: (data) => {
+    const conversations = data.conversations || [];
+    return {
+      subject: data.total_unread === 1
+        ? 'You have an unread message'
+        : `You have ${data.total_unread} unread messages`,
+      html: `
+        <p>${escapeHtml(greeting(data))}</p>
+        <p>Messages waiting for you:</p>
+        <ul style="padding-left:18px">${conversations.map(conversation => `
+          <li style="margin-bottom:8px"><strong>${escapeHtml(conversation.sender_name)}</strong>${conversation.unread_count > 1 ? ` (${escapeHtml(conversation.unread_count)})` : ''}: ${escapeHtml(conversation.preview)}</li>`).join('')}
+        </ul>
+        ${button(appUrl('/messages'), 'Open messages')}`,
+      text: `${greeting(data)}\n\nMessages waiting for you:\n${conversations.map(conversation => `- ${conversation.sender_name}: ${conversation.preview}`).join('\n')}\n\n${appUrl('/messages')}`,
+    };
+  },
+
+  job_alert: (data) => {
+    const jobs = data.jobs || [];
+    return {
+      subject: `New jobs for "${data.saved_search_name}"`,
+      html: `
+        <p>${escapeHtml(greeting(data))}</p>
+        <p>New jobs match your saved search <strong>${escapeHtml(data.saved_search_name)}</strong>:</p>
+        ${jobListHtml(jobs)}`,
+      text: `${greeting(data)}\n\nNew jobs match your saved search "${data.saved_search_name}":\n${jobListText(jobs)}`,
+    };
+  },
+
+  job_alert_digest: (data) => {
+    const searches = data.searches || [];
+    return {
+      subject: 'New jobs match your saved searches',
+      html: `
+        <p>${escapeHtml(greeting(data))}</p>
+        ${searches.map(search => `
+          <h3 style="margin-bottom:4px">${escapeHtml(search.name)}</h3>
+          ${jobListHtml(search.jobs || [])}`).join('')}`,
+      text: `${greeting(data)}\n\n${searches.map(search => `${search.name}\n${jobListText(search.jobs || [])}`).join('\n\n')}`,
+    };
+  },
+
+  weekly_digest: (data) => {
+    const posts = data.top_posts || [];
+    const requests = data.connection_requests || [];
+    const certifications = data.expiring_certifications || [];
+    const jobs = data.jobs || [];
+    const requestCount = data.connection_request_count || requests.length;
+
+    const htmlSections = [];
+    const textSections = [];
+
+    if (posts.length > 0) {
+      htmlSections.push(`
+        <h3 style="margin-bottom:4px">Top posts from your network</h3>
+        <ul style="padding-left:18px">${posts.map(post => `
+          <li style="margin-bottom:8px"><strong>${escapeHtml(post.author_name)}</strong>: <a href="${escapeHtml(appUrl(`/posts/${post.id}`))}">${escapeHtml(post.excerpt)}</a></li>`).join('')}
+        </ul>`);
+      textSections.push(`Top posts from your network\n${posts.map(post => `- ${post.author_name}: ${post.excerpt} ${appUrl(`/posts/${post.id}`)}`).join('\n')}`);
+    }
+
+    if (requestCount > 0) {
+      const names = requests.map(request => request.name).join(', ');
+      htmlSections.push(`
+        <h3 style="margin-bottom:4px">${escapeHtml(requestCount)} new connection request${requestCount === 1 ? '' : 's'}</h3>
+        <p>${escapeHtml(names)} <a href="${escapeHtml(appUrl('/network/requests'))}">Review requests</a></p>`);
+      textSections.push(`${requestCount} new connection request${requestCount === 1 ? '' : 's'}: ${names}\n${appUrl('/network/requests')}`);
+    }
+
+    if (data.profile_visitor_count > 0) {
+      htmlSections.push(`
+        <h3 style="margin-bottom:4px">Profile views</h3>
+        <p>${escapeHtml(data.profile_visitor_count)} ${data.profile_visitor_count === 1 ? 'person' : 'people'} viewed your profile this week. <a href="${escapeHtml(appUrl('/profile/visitors'))}">See who</a></p>`);
+      textSections.push(`Profile views: ${data.profile_visitor_count} this week\n${appUrl('/profile/visitors')}`);
+    }
+
+    if (certifications.length > 0) {
+      htmlSections.push(`
+        <h3 style="margin-bottom:4px">Certifications expiring soon</h3>
+        <ul style="padding-left:18px">${certifications.map(certification => `
+          <li>${escapeHtml(certification.name)} expires on ${escapeHtml(certification.expiration_date)}</li>`).join('')}
+        </ul>`);
+      textSections.push(`Certifications expiring soon\n${certifications.map(certification => `- ${certification.name}: ${certification.expiration_date}`).join('\n')}`);
+    }
+
+    if (jobs.length > 0) {
+      htmlSections.push(`
+        <h3 style="margin-bottom:4px">New jobs for your saved searches</h3>
+        ${jobListHtml(jobs)}`);
+      textSections.push(`New jobs for your saved searches\n${jobListText(jobs)}`);
+    }
+
+    return {
+      subject: `Your weekly ${APP_NAME} digest`,
+      html: `
+        <p>${escapeHtml(greeting(data))}</p>
+        <p>Here is what happened in your network this week.</p>
+        ${htmlSections.join('')}`,
+      text: `${greeting(data)}\n\nHere is what happened in your network this week.\n\n${textSections.join('\n\n')}`,
+    };
+  },
+};
+
+// Emails about the account itself; sent even when email notifications are off
+const TRANSACTIONAL_EMAIL_TYPES = ['welcome', 'password_reset', 'email_verification'];
+
+/**
+ * Render an email type into { subject, html, text }.
+ * A subject already chosen by the caller wins over the template's.
+ */
+const renderEmail = (type, data = {}, options = {}) => {
+  const template = EMAIL_TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown email template: ${type}`);
+  }
+
+  const content = template(data);
+  return {
+    subject: options.subject || content.subject,
+    html: layout(content.html, options.unsubscribeUrl),
+    text: `${content.text}${textFooter(options.unsubscribeUrl)}`,
+  };
+};
+
+// Browser pages for unsubscribe links, by state
+const UNSUBSCRIBE_PAGES = {
+  confirm: (actionUrl, token) => `
+    <p>Stop receiving ${escapeHtml(APP_NAME)} email notifications? Account emails such as password resets are still sent.</p>
+    <form method="post" action="${escapeHtml(actionUrl)}">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <button type="submit" style="background:#0a66c2;color:#ffffff;padding:10px 18px;border:none;border-radius:4px;cursor:pointer">Unsubscribe</button>
+    </form>`,
+  done: () => `
+    <p>You have been unsubscribed from ${escapeHtml(APP_NAME)} email notifications.</p>
+    <p>You can turn them back on in your <a href="${escapeHtml(appUrl('/settings'))}">settings</a>.</p>`,
+  invalid: () => `
+    <p>This unsubscribe link is invalid.</p>
+    <p>You can manage email notifications in your <a href="${escapeHtml(appUrl('/settings'))}">settings</a>.</p>`,
+};
+
+// Render the unsubscribe page for a state ('confirm', 'done' or 'invalid') as a full HTML document
+const renderUnsubscribePage = (state, actionUrl = '', token = '') => layout(UNSUBSCRIBE_PAGES[state](actionUrl, token), null);
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  TRANSACTIONAL_EMAIL_TYPES,
+  renderEmail,
+  renderUnsubscribePage,
+  escapeHtml,
+  appUrl,
+};
@@ -25,9 +25,17 @@ const EVENTS = {
   
   NOTIFICATION_NEW: 'notification:new',
   
+  CONNECTION_REQUESTED: 'connection:requested',
+  CONNECTION_ACCEPTED: 'connection:accepted',
+  USER_FOLLOWED: 'user:followed',
+  RECOMMENDATION_REQUESTED: 'recommendation:requested',
+  
   MESSAGE_CREATED: 'message:created',
   MESSAGE_UPDATED: 'message:updated',
   MESSAGE_DELETED: 'message:deleted',
+  MESSAGE_READ: 'message:read',
+  MESSAGE_DELIVERED: 'message:delivered',
+  READ_STATE_SYNC: 'conversation:read_state',
 };
 
 // Helper functions to emit events with standardized payloads
@@ -43,6 +51,7 @@ const emitPostCreated = (post) => {
       post_type: post.post_type,
       visibility: post.visibility,
       parent_post_id: post.parent_post_id,
+      group_id: post.group_id || null,
     },
   });
 };
@@ -187,8 +196,57 @@ const emitNotificationNew = (notification) => {
   });
 };
 
+// Social graph events
+const emitConnectionRequested = (connection) => {
+  eventService.emit(EVENTS.CONNECTION_REQUESTED, {
+    type: EVENTS.CONNECTION_REQUESTED,
+    timestamp: new Date().toISOString(),
+    data: {
+      connection_id: connection.id,
+      requester_id: connection.requester_id,
+      addressee_id: connection.addressee_id,
+    },
+  });
+};
+
+const emitConnectionAccepted = (connection) => {
+  eventService.emit(EVENTS.CONNECTION_ACCEPTED, {
+    type: EVENTS.CONNECTION_ACCEPTED,
+    timestamp: new Date().toISOString(),
+    data: {
+      connection_id: connection.id,
+      requester_id: connection.requester_id,
+      addressee_id: connection.addressee_id,
+    },
+  });
+};
+
+const emitUserFollowed = (follow) => {
+  eventService.emit(EVENTS.USER_FOLLOWED, {
+    type: EVENTS.USER_FOLLOWED,
+    timestamp: new Date().toISOString(),
+    data: {
+      follower_id: follow.follower_id,
+      following_id: follow.following_id,
+    },
+  });
+};
+
+const emitRecommendationRequested = (recommendation) => {
+  eventService.emit(EVENTS.RECOMMENDATION_REQUESTED, {
+    type: EVENTS.RECOMMENDATION_REQUESTED,
+    timestamp: new Date().toISOString(),
+    data: {
+      recommendation_id: recommendation.id,
+      user_id: recommendation.user_id,
+      recommender_id: recommendation.recommender_id,
+    },
+  });
+};
+
 // Message events
-const emitMessageCreated = (message, conversationId, senderId, recipientId) => {
+// recipientIds: every participant but the sender (recipient_id is kept for 1:1 clients)
+const emitMessageCreated = (message, conversationId, senderId, recipientIds) => {
   eventService.emit(EVENTS.MESSAGE_CREATED, {
     type: EVENTS.MESSAGE_CREATED,
     timestamp: new Date().toISOString(),
@@ -196,7 +254,8 @@ const emitMessageCreated = (message, conversationId, senderId, recipientId) => {
       message_id: message.id,
       conversation_id: conversationId,
       sender_id: senderId,
-      recipient_id: recipientId,
+      recipient_id: recipientIds.length === 1 ? recipientIds[0] : null,
+      recipient_ids: recipientIds,
     },
   });
 };
@@ -225,6 +284,52 @@ const emitMessageDeleted = (message, conversationId) => {
   });
 };
 
+// Read receipt events
+// recipientIds: participants who may see the reader's receipt
+const emitMessageRead = (participant, recipientIds) => {
+  eventService.emit(EVENTS.MESSAGE_READ, {
+    type: EVENTS.MESSAGE_READ,
+    timestamp: new Date().toISOString(),
+    data: {
+      conversation_id: participant.conversation_id,
+      user_id: participant.user_id,
+      last_read_message_id: participant.last_read_message_id,
+      read_at: participant.last_read_at,
+      recipient_ids: recipientIds,
+    },
+  });
+};
+
+const emitMessageDelivered = (participant, recipientIds, messageId = null) => {
+  eventService.emit(EVENTS.MESSAGE_DELIVERED, {
+    type: EVENTS.MESSAGE_DELIVERED,
+    timestamp: new Date().toISOString(),
+    data: {
+      conversation_id: participant.conversation_id,
+      user_id: participant.user_id,
+      message_id: messageId || participant.last_delivered_message_id,
+      last_delivered_message_id: participant.last_delivered_message_id,
+      delivered_at: participant.last_delivered_at,
+      recipient_ids: recipientIds,
+    },
+  });
+};
+
+// The reader's own read state, for their other devices (badge counts)
+const emitReadStateSync = (participant, totalUnreadCount) => {
+  eventService.emit(EVENTS.READ_STATE_SYNC, {
+    type: EVENTS.READ_STATE_SYNC,
+    timestamp: new Date().toISOString(),
+    data: {
+      conversation_id: participant.conversation_id,
+      user_id: participant.user_id,
+      last_read_message_id: participant.last_read_message_id,
+      unread_count: participant.unread_count,
+      total_unread_count: totalUnreadCount,
+    },
+  });
+};
+
 module.exports = {
   eventService,
   EVENTS,
@@ -249,8 +354,19 @@ module.exports = {
   // Notification event emitters
   emitNotificationNew,
   
+  // Social graph event emitters
+  emitConnectionRequested,
+  emitConnectionAccepted,
+  emitUserFollowed,
+  emitRecommendationRequested,
+  
   // Message event emitters
   emitMessageCreated,
   emitMessageUpdated,
   emitMessageDeleted,
+  
+  // Read receipt event emitters
+  emitMessageRead,
+  emitMessageDelivered,
+  emitReadStateSync,
 };
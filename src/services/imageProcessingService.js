@@ -2,6 +2,7 @@
 const sharp = require('sharp');
 const { uploadBlob, generateBlobName } = require('./azureBlobService');
 const { extractAspectRatio, extractDominantColor, extractImageMetadata } = require('../utils/imageUtils');
+const { scanImage, shouldBlock, summarizeFindings } = require('./phiScanService');
 const logger = require('../utils/logger');
 
 // Variant configurations
@@ -31,17 +32,29 @@ const VARIANTS = {
  * @param {Buffer} imageBuffer - Original image buffer
  * @param {string} mediaId - Unique media ID
  * @param {string} originalFormat - Original image format (jpg, png, etc.)
- * @returns {Object} Processing results with variant URLs and metadata
+ * @param {Object} options - `container`: 'public' (default) or 'private' for media only readable through signed URLs
+ * @returns {Object} Processing results with variant URLs (blob names when private), metadata and PHI scan findings
+ * @throws {Error} With code 'phi_detected' and `findings` when the PHI policy blocks the image
  */
-const processImage = async (imageBuffer, mediaId, originalFormat = 'jpg') => {
+const processImage = async (imageBuffer, mediaId, originalFormat = 'jpg', { container = 'public' } = {}) => {
   try {
     const results = {
       variants: {},
       metadata: {},
       aspectRatio: null,
       dominantColor: null,
+      phiFindings: [],
     };
 
+    // Scan the original before anything is published
+    results.phiFindings = await scanImage(imageBuffer);
+    if (shouldBlock(results.phiFindings)) {
+      const phiError = new Error(`Image contains patient identifiers: ${summarizeFindings(results.phiFindings)}`);
+      phiError.code = 'phi_detected';
+      phiError.findings = results.phiFindings;
+      throw phiError;
+    }
+
     // Extract metadata from original
     const metadata = await extractImageMetadata(imageBuffer);
     if (metadata) {
@@ -102,9 +115,9 @@ const processImage = async (imageBuffer, mediaId, originalFormat = 'jpg') => {
         const blobName = generateBlobName('image', mediaId, 1, outputFormat);
         const variantBlobName = blobName.replace(`_v1.${outputFormat}`, `_${variantName}_v1.${outputFormat}`);
 
-        // Upload to public container
+        // Upload to the target container
         const uploadResult = await uploadBlob(
-          'public',
+          container,
           variantBlobName,
           variantBuffer,
           mimeType,
@@ -115,7 +128,7 @@ const processImage = async (imageBuffer, mediaId, originalFormat = 'jpg') => {
           }
         );
 
-        results.variants[variantName] = uploadResult.url;
+        results.variants[variantName] = container === 'public' ? uploadResult.url : uploadResult.blobName;
 
         logger.debug('Image variant processed', {
           variant: variantName,
@@ -147,9 +160,10 @@ const processImage = async (imageBuffer, mediaId, originalFormat = 'jpg') => {
  * Process image from Azure blob (download, process, upload variants)
  * @param {string} blobName - Name of the blob in private container
  * @param {string} mediaId - Unique media ID
+ * @param {Object} options - Passed to processImage (`container`)
  * @returns {Object} Processing results
  */
-const processImageFromBlob = async (blobName, mediaId) => {
+const processImageFromBlob = async (blobName, mediaId, options = {}) => {
   try {
     const { downloadBlob } = require('./azureBlobService');
     
@@ -160,7 +174,7 @@ const processImageFromBlob = async (blobName, mediaId) => {
     const format = blobName.split('.').pop() || 'jpg';
     
     // Process image
-    const results = await processImage(buffer, mediaId, format);
+    const results = await processImage(buffer, mediaId, format, options);
     
     // Add original blob name to results
     results.originalBlobName = blobName;
@@ -0,0 +1,251 @@
+// Job matching service - Ranks job postings for users and candidates for job postings
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Score weights (sum to 100)
+ * - skills: overlap between job_skills and user_skills (required skills count double)
+ * - specialty: job specialty vs users.specialization / subspecialization
+ * - location: job city/state/location vs users.location, or remote jobs for remote-friendly users
+ * - experience: job experience_level vs users.years_of_experience
+ */
+const MATCH_WEIGHTS = {
+  skills: 50,
+  specialty: 25,
+  location: 15,
+  experience: 10,
+};
+
+// Skill score from matched/total counts (optional skills weigh half of required ones)
+const skillScoreSql = (m) => `
+  CASE
+    WHEN COALESCE(${m}.required_count, 0) + COALESCE(${m}.optional_count, 0) = 0 THEN 0
+    ELSE ${MATCH_WEIGHTS.skills}.0
+      * (COALESCE(${m}.matched_required_count, 0) + 0.5 * COALESCE(${m}.matched_optional_count, 0))
+      / (COALESCE(${m}.required_count, 0) + 0.5 * COALESCE(${m}.optional_count, 0))
+  END
+`;
+
+const specialtyScoreSql = (jp, u) => `
+  CASE
+    WHEN NULLIF(${jp}.specialty, '') IS NULL THEN 0
+    WHEN LOWER(${jp}.specialty) = LOWER(NULLIF(${u}.specialization, ''))
+      OR LOWER(${jp}.specialty) = LOWER(NULLIF(${u}.subspecialization, '')) THEN ${MATCH_WEIGHTS.specialty}
+    WHEN ${jp}.specialty ILIKE '%' || NULLIF(${u}.specialization, '') || '%'
+      OR NULLIF(${u}.specialization, '') ILIKE '%' || ${jp}.specialty || '%'
+      OR ${jp}.specialty ILIKE '%' || NULLIF(${u}.subspecialization, '') || '%'
+      OR NULLIF(${u}.subspecialization, '') ILIKE '%' || ${jp}.specialty || '%' THEN ${Math.round(MATCH_WEIGHTS.specialty / 2)}
+    ELSE 0
+  END
+`;
+
+const locationScoreSql = (jp, u, ps) => `
+  CASE
+    WHEN NULLIF(${u}.location, '') IS NOT NULL AND (
+      ${u}.location ILIKE '%' || NULLIF(${jp}.city, '') || '%'
+      OR ${u}.location ILIKE '%' || NULLIF(${jp}.state, '') || '%'
+      OR ${jp}.location ILIKE '%' || ${u}.location || '%'
+    ) THEN ${MATCH_WEIGHTS.location}
+    WHEN ${jp}.is_remote AND COALESCE(${ps}.open_to_remote, TRUE) THEN ${MATCH_WEIGHTS.location}
+    WHEN ${jp}.is_remote THEN ${Math.round(MATCH_WEIGHTS.location / 3)}
+    ELSE 0
+  END
+`;
+
+// Experience levels are free text; map common wording to year bands
+const experienceScoreSql = (jp, u) => `
+  CASE
+    WHEN NULLIF(${jp}.experience_level, '') IS NULL OR ${u}.years_of_experience IS NULL THEN ${MATCH_WEIGHTS.experience / 2}
+    WHEN LOWER(${jp}.experience_level) ~ '(entry|junior|intern|student|resident|graduate)' THEN
+      CASE WHEN ${u}.years_of_experience <= 3 THEN ${MATCH_WEIGHTS.experience}
+           WHEN ${u}.years_of_experience <= 6 THEN ${MATCH_WEIGHTS.experience / 2}
+           ELSE 0 END
+    WHEN LOWER(${jp}.experience_level) ~ '(mid|intermediate|fellow)' THEN
+      CASE WHEN ${u}.years_of_experience BETWEEN 3 AND 8 THEN ${MATCH_WEIGHTS.experience}
+           WHEN ${u}.years_of_experience BETWEEN 1 AND 12 THEN ${MATCH_WEIGHTS.experience / 2}
+           ELSE 0 END
+    WHEN LOWER(${jp}.experience_level) ~ '(senior|attending|lead|consultant|director|head|chief|principal|executive)' THEN
+      CASE WHEN ${u}.years_of_experience >= 8 THEN ${MATCH_WEIGHTS.experience}
+           WHEN ${u}.years_of_experience >= 5 THEN ${MATCH_WEIGHTS.experience / 2}
+           ELSE 0 END
+    ELSE ${MATCH_WEIGHTS.experience / 2}
+  END
+`;
+
+// Shape a scored row into { ...row, match_score, score_breakdown }
+const formatMatch = (row) => {
+  const {
+    skill_score: skillScore,
+    specialty_score: specialtyScore,
+    location_score: locationScore,
+    experience_score: experienceScore,
+    ...rest
+  } = row;
+
+  return {
+    ...rest,
+    match_score: Number(row.match_score),
+    score_breakdown: {
+      skills: Math.round(Number(skillScore)),
+      specialty: Number(specialtyScore),
+      location: Number(locationScore),
+      experience: Number(experienceScore),
+    },
+  };
+};
+
+/**
+ * Rank active job postings for a user ("jobs for you")
+ * Excludes the user's own postings, postings they applied to and postings past their deadline
+ */
+const getRecommendedJobs = async (userId, limit = 20, offset = 0, minScore = 0) => {
+  try {
+    const query = `
+      WITH job_skill_match AS (
+        SELECT
+          js.job_posting_id,
+          COUNT(*) FILTER (WHERE js.is_required) AS required_count,
+          COUNT(*) FILTER (WHERE NOT js.is_required) AS optional_count,
+          COUNT(us.skill_id) FILTER (WHERE js.is_required) AS matched_required_count,
+          COUNT(us.skill_id) FILTER (WHERE NOT js.is_required) AS matched_optional_count,
+          COALESCE(array_agg(ms.name ORDER BY ms.name) FILTER (WHERE us.skill_id IS NOT NULL), '{}') AS matched_skills,
+          COALESCE(array_agg(ms.name ORDER BY ms.name) FILTER (WHERE us.skill_id IS NULL), '{}') AS missing_skills
+        FROM job_skills js
+        JOIN job_postings active_jp ON active_jp.id = js.job_posting_id AND active_jp.is_active = TRUE
+        JOIN medical_skills ms ON ms.id = js.skill_id
+        LEFT JOIN user_skills us ON us.skill_id = js.skill_id AND us.user_id = $1
+        GROUP BY js.job_posting_id
+      ),
+      scored AS (
+        SELECT
+          jp.*,
+          mo.name AS organization_name,
+          mo.logo_url AS organization_logo,
+          COALESCE(jsm.matched_skills, '{}') AS matched_skills,
+          COALESCE(jsm.missing_skills, '{}') AS missing_skills,
+          ${skillScoreSql('jsm')} AS skill_score,
+          ${specialtyScoreSql('jp', 'u')} AS specialty_score,
+          ${locationScoreSql('jp', 'u', 'ps')} AS location_score,
+          ${experienceScoreSql('jp', 'u')} AS experience_score
+        FROM job_postings jp
+        JOIN users u ON u.id = $1
+        LEFT JOIN profile_settings ps ON ps.user_id = u.id
+        LEFT JOIN medical_organizations mo ON jp.organization_id = mo.id
+        LEFT JOIN job_skill_match jsm ON jsm.job_posting_id = jp.id
+        WHERE jp.is_active = TRUE
+          AND (jp.application_deadline IS NULL OR jp.application_deadline >= CURRENT_DATE)
+          AND jp.posted_by IS DISTINCT FROM $1
+          AND NOT EXISTS (
+            SELECT 1 FROM job_applications ja
+            WHERE ja.job_posting_id = jp.id AND ja.applicant_id = $1
+          )
+      )
+      SELECT *, ROUND(skill_score + specialty_score + location_score + experience_score)::int AS match_score
+      FROM scored
+      WHERE ROUND(skill_score + specialty_score + location_score + experience_score) >= $4
+      ORDER BY match_score DESC, created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const result = await pool.query(query, [userId, limit, offset, minScore]);
+    return result.rows.map(formatMatch);
+  } catch (error) {
+    logger.logError(error, { context: 'getRecommendedJobs', userId });
+    throw error;
+  }
+};
+
+/**
+ * Rank candidates for a job posting
+ * Only users who opted in via profile_settings.open_to_opportunities are considered;
+ * users blocked either way by the viewer and the poster themselves are excluded
+ */
+const getCandidatesForJob = async (jobPostingId, viewerId, limit = 20, offset = 0, minScore = 0) => {
+  try {
+    const query = `
+      WITH job_skill_totals AS (
+        SELECT
+          COUNT(*) FILTER (WHERE js.is_required) AS required_count,
+          COUNT(*) FILTER (WHERE NOT js.is_required) AS optional_count,
+          COALESCE(array_agg(ms.name ORDER BY ms.name), '{}') AS all_skills
+        FROM job_skills js
+        JOIN medical_skills ms ON ms.id = js.skill_id
+        WHERE js.job_posting_id = $1
+      ),
+      candidate_skill_match AS (
+        SELECT
+          us.user_id,
+          COUNT(*) FILTER (WHERE js.is_required) AS matched_required_count,
+          COUNT(*) FILTER (WHERE NOT js.is_required) AS matched_optional_count,
+          array_agg(ms.name ORDER BY ms.name) AS matched_skills
+        FROM job_skills js
+        JOIN user_skills us ON us.skill_id = js.skill_id
+        JOIN medical_skills ms ON ms.id = js.skill_id
+        WHERE js.job_posting_id = $1
+        GROUP BY us.user_id
+      ),
+      scored AS (
+        SELECT
+          u.id,
+          u.first_name,
+          u.last_name,
+          u.username,
+          u.headline,
+          u.profile_image_url,
+          u.specialization,
+          u.subspecialization,
+          u.location,
+          u.years_of_experience,
+          u.is_verified,
+          COALESCE(csm.matched_skills, '{}') AS matched_skills,
+          ARRAY(
+            SELECT skill FROM unnest(jst.all_skills) AS skill
+            WHERE NOT (skill = ANY(COALESCE(csm.matched_skills, '{}')))
+          ) AS missing_skills,
+          EXISTS (
+            SELECT 1 FROM job_applications ja
+            WHERE ja.job_posting_id = jp.id AND ja.applicant_id = u.id
+          ) AS has_applied,
+          ${skillScoreSql('m')} AS skill_score,
+          ${specialtyScoreSql('jp', 'u')} AS specialty_score,
+          ${locationScoreSql('jp', 'u', 'ps')} AS location_score,
+          ${experienceScoreSql('jp', 'u')} AS experience_score
+        FROM job_postings jp
+        CROSS JOIN job_skill_totals jst
+        JOIN profile_settings ps ON ps.open_to_opportunities = TRUE
+        JOIN users u ON u.id = ps.user_id AND u.is_active = TRUE
+        LEFT JOIN candidate_skill_match csm ON csm.user_id = u.id
+        CROSS JOIN LATERAL (
+          SELECT
+            jst.required_count,
+            jst.optional_count,
+            csm.matched_required_count,
+            csm.matched_optional_count
+        ) m
+        WHERE jp.id = $1
+          AND u.id IS DISTINCT FROM jp.posted_by
+          AND u.id <> $2
+          AND NOT EXISTS (
+            SELECT 1 FROM blocks b
+            WHERE (b.blocker_id = $2 AND b.blocked_id = u.id)
+               OR (b.blocker_id = u.id AND b.blocked_id = $2)
+          )
+      )
+      SELECT *, ROUND(skill_score + specialty_score + location_score + experience_score)::int AS match_score
+      FROM scored
+      WHERE ROUND(skill_score + specialty_score + location_score + experience_score) >= $5
+      ORDER BY match_score DESC, id ASC
+      LIMIT $3 OFFSET $4
+    `;
+    const result = await pool.query(query, [jobPostingId, viewerId, limit, offset, minScore]);
+    return result.rows.map(formatMatch);
+  } catch (error) {
+    logger.logError(error, { context: 'getCandidatesForJob', jobPostingId, viewerId });
+    throw error;
+  }
+};
+
+module.exports = {
+  MATCH_WEIGHTS,
+  getRecommendedJobs,
+  getCandidatesForJob,
+};
@@ -16,10 +16,18 @@ const QUEUE_NAMES = {
   EMAIL: 'email',
   NOTIFICATION: 'notification',
   CLEANUP: 'cleanup',
+  JOB_ALERTS: 'job-alerts',
+  WEEKLY_DIGEST: 'weekly-digest',
+  CREDENTIAL_EXPIRY: 'credential-expiry',
   IMAGE_PROCESSING: process.env.IMAGE_PROCESSING_QUEUE || 'image-processing',
   VIDEO_PROCESSING: process.env.VIDEO_PROCESSING_QUEUE || 'video-processing',
 };
 
+/**
+ * Whether Redis is configured, i.e. jobs can be queued at all
+ */
+const isQueueEnabled = () => !!(process.env.REDIS_CONNECTION_STRING || process.env.REDIS_HOST);
+
 /**
  * Get or create a queue
  */
@@ -203,6 +211,7 @@ const closeAllQueues = async () => {
 };
 
 module.exports = {
+  isQueueEnabled,
   getQueue,
   addJob,
   addEmailJob,
@@ -0,0 +1,158 @@
+// MFA service - TOTP enrolment, second-factor checks, recovery codes and organization enforcement
+const UserMfa = require('../models/UserMfa');
+const MfaRecoveryCode = require('../models/MfaRecoveryCode');
+const MedicalOrganization = require('../models/MedicalOrganization');
+const { generateMfaPendingToken, verifyMfaPendingToken, hashToken } = require('../utils/auth');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require('../utils/totp');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || process.env.APP_NAME || 'Latis';
+
+// Recovery codes are hashed with the user ID so equal codes never share a hash
+const hashRecoveryCode = (userId, code) => hashToken(`${userId}:${normalizeRecoveryCode(code)}`);
+
+// Whether the user has confirmed TOTP enrolment
+const isMfaEnabled = async (userId) => {
+  const mfa = await UserMfa.findByUserId(userId);
+  return !!(mfa && mfa.enabled_at);
+};
+
+// Organizations whose 2FA requirement applies to the user
+const getEnforcingOrganizations = (userId) => MedicalOrganization.findRequiringMfaForUser(userId);
+
+// Enforced by an organization but not set up yet
+const isMfaEnrollmentRequired = async (userId) => {
+  if (await isMfaEnabled(userId)) {
+    return false;
+  }
+  const organizations = await getEnforcingOrganizations(userId);
+  return organizations.length > 0;
+};
+
+/**
+ * MFA status for the settings screen
+ */
+const getMfaStatus = async (userId) => {
+  const mfa = await UserMfa.findByUserId(userId);
+  const enabled = !!(mfa && mfa.enabled_at);
+  return {
+    enabled,
+    enabled_at: enabled ? mfa.enabled_at : null,
+    recovery_codes_remaining: enabled ? await MfaRecoveryCode.countRemaining(userId) : 0,
+    required_by: await getEnforcingOrganizations(userId),
+  };
+};
+
+/**
+ * What sign-in must do after the password step: null (issue a session), or a challenge with a
+ * short-lived mfa_token to either verify a code or enrol first.
+ */
+const getSignInChallenge = async (user) => {
+  const enabled = await isMfaEnabled(user.id);
+  const enrollmentRequired = !enabled && (await getEnforcingOrganizations(user.id)).length > 0;
+  if (!enabled && !enrollmentRequired) {
+    return null;
+  }
+
+  const mfaToken = generateMfaPendingToken(user.id, user.token_version);
+  const decoded = verifyMfaPendingToken(mfaToken);
+  return {
+    mfa_required: enabled,
+    mfa_enrollment_required: enrollmentRequired,
+    mfa_token: mfaToken,
+    mfa_token_expires_in: decoded.exp - decoded.iat,
+  };
+};
+
+/**
+ * Start enrolment: a new secret and its otpauth:// URI. Returns null if MFA is already enabled.
+ */
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  const pending = await UserMfa.upsertPending(user.id, encryptSecret(secret));
+  if (!pending) {
+    return null;
+  }
+  return {
+    secret,
+    otpauth_url: buildOtpauthUri({ secret, accountName: user.email, issuer: MFA_ISSUER }),
+  };
+};
+
+// Issue a fresh set of recovery codes; returns the plain codes (shown to the user once)
+const regenerateRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  await MfaRecoveryCode.replaceForUser(userId, codes.map(code => hashRecoveryCode(userId, code)));
+  return codes;
+};
+
+/**
+ * Confirm enrolment with a code from the app. Returns the recovery codes, or null if the code is wrong
+ * or nothing is pending.
+ */
+const confirmEnrollment = async (userId, code) => {
+  const mfa = await UserMfa.findByUserId(userId);
+  if (!mfa || mfa.enabled_at) {
+    return null;
+  }
+  const step = verifyTotp(decryptSecret(mfa.secret_encrypted), code);
+  if (step === null) {
+    return null;
+  }
+  const enabled = await UserMfa.enable(userId, step);
+  if (!enabled) {
+    return null;
+  }
+  return regenerateRecoveryCodes(userId);
+};
+
+/**
+ * Check a second factor: a TOTP code (each time step is accepted once) or an unused recovery code.
+ * Returns 'totp', 'recovery_code' or null.
+ */
+const verifySecondFactor = async (userId, { code, recovery_code: recoveryCode }) => {
+  const mfa = await UserMfa.findByUserId(userId);
+  if (!mfa || !mfa.enabled_at) {
+    return null;
+  }
+
+  if (code) {
+    const lastStep = mfa.last_used_step === null ? null : Number(mfa.last_used_step);
+    const step = verifyTotp(decryptSecret(mfa.secret_encrypted), code, { afterStep: lastStep });
+    if (step !== null && await UserMfa.recordUsedStep(userId, step)) {
+      return 'totp';
+    }
+    return null;
+  }
+
+  if (recoveryCode && await MfaRecoveryCode.consume(userId, hashRecoveryCode(userId, recoveryCode))) {
+    return 'recovery_code';
+  }
+  return null;
+};
+
+// Turn MFA off and drop the recovery codes
+const disableMfa = async (userId) => {
+  await MfaRecoveryCode.deleteForUser(userId);
+  return UserMfa.remove(userId);
+};
+
+module.exports = {
+  isMfaEnabled,
+  isMfaEnrollmentRequired,
+  getEnforcingOrganizations,
+  getMfaStatus,
+  getSignInChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableMfa,
+};
@@ -0,0 +1,195 @@
+// Moderation service - Resolves reported targets and applies moderator actions to them
+const { withTransaction } = require('../config/database');
+const Report = require('../models/Report');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const { revokeAllSessions } = require('./sessionService');
+const { disconnectUser } = require('./socketService');
+const { dispatchNotification } = require('./notificationDispatcher');
+const logger = require('../utils/logger');
+
+const MODERATION_ACTIONS = ['dismiss', 'hide', 'remove', 'warn', 'suspend'];
+
+// Actions that make sense for each target type (messages have no hidden state; profiles are handled through their owner)
+const ACTIONS_BY_TARGET = {
+  post: MODERATION_ACTIONS,
+  comment: MODERATION_ACTIONS,
+  message: ['dismiss', 'remove', 'warn', 'suspend'],
+  user: ['dismiss', 'warn', 'suspend'],
+};
+
+/**
+ * Load a report target in a common shape: { type, id, owner_id, content, moderation_status, record }.
+ * Returns null when it does not exist.
+ */
+const getTarget = async (targetType, targetId) => {
+  switch (targetType) {
+    case 'post': {
+      const post = await Post.findById(targetId);
+      return post && {
+        type: 'post',
+        id: post.id,
+        owner_id: post.user_id,
+        content: post.content,
+        moderation_status: post.moderation_status,
+        record: post,
+      };
+    }
+    case 'comment': {
+      const comment = await Comment.findById(targetId);
+      return comment && {
+        type: 'comment',
+        id: comment.id,
+        owner_id: comment.user_id,
+        content: comment.content,
+        moderation_status: comment.moderation_status,
+        record: comment,
+      };
+    }
+    case 'message': {
+      const message = await Message.findById(targetId);
+      return message && {
+        type: 'message',
+        id: message.id,
+        owner_id: message.sender_id,
+        content: message.content,
+        moderation_status: message.deleted_at ? 'removed' : null,
+        record: message,
+      };
+    }
+    case 'user': {
+      const user = await User.findById(targetId);
+      return user && {
+        type: 'user',
+        id: user.id,
+        owner_id: user.id,
+        content: [`${user.first_name || ''} ${user.last_name || ''}`.trim(), user.headline].filter(Boolean).join(' — '),
+        moderation_status: null,
+        record: user,
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// Whether a user can see (and so report) a target
+const canReport = async (target, userId) => {
+  switch (target.type) {
+    case 'post':
+      return Post.canView(target.record, userId);
+    case 'comment': {
+      if (target.moderation_status) {
+        return false;
+      }
+      const post = await Post.findById(target.record.post_id);
+      return !!post && Post.canView(post, userId);
+    }
+    case 'message':
+      return !target.record.deleted_at && Conversation.isParticipant(target.record.conversation_id, userId);
+    case 'user':
+      return target.record.is_active !== false;
+    default:
+      return false;
+  }
+};
+
+// Tell a content owner about a moderation outcome (best-effort)
+const notifyOwner = async (target, notificationType, title, message) => {
+  try {
+    await dispatchNotification({
+      user_id: target.owner_id,
+      notification_type: notificationType,
+      title,
+      message,
+      notification_data: { target_type: target.type, target_id: target.id },
+    });
+  } catch (notificationError) {
+    logger.logError(notificationError, { context: 'moderationService.notifyOwner', targetType: target.type, targetId: target.id });
+  }
+};
+
+/**
+ * Apply a moderator action to a reported target and close its open reports.
+ * `actor` is { id, ip }; `note` is the moderator's explanation (shown to the owner for warn,
+ * stored as the suspension reason for suspend). Returns { reports, target }.
+ */
+const applyAction = async (target, action, actor, note = null) => {
+  const { reports, updated } = await withTransaction(async (client) => {
+    let updatedRecord = null;
+    if (action === 'hide' || action === 'remove') {
+      const status = action === 'hide' ? 'hidden' : 'removed';
+      if (target.type === 'post') {
+        updatedRecord = await Post.setModerationStatus(target.id, status, client);
+      } else if (target.type === 'comment') {
+        updatedRecord = await Comment.setModerationStatus(target.id, status, client);
+      }
+    } else if (action === 'suspend') {
+      updatedRecord = await User.setActive(target.owner_id, false, note, client);
+    }
+
+    const resolved = await Report.resolveForTarget(target.type, target.id, action, actor.id, client);
+    const details = {
+      note,
+      user_id: target.owner_id,
+      report_ids: resolved.map(report => report.id),
+      reasons: [...new Set(resolved.map(report => report.reason))],
+    };
+    await AdminAuditLog.create({
+      actor_id: actor.id,
+      action: `moderation.${action}`,
+      target_type: target.type,
+      target_id: target.id,
+      details,
+      ip_address: actor.ip,
+    }, client);
+
+    // Keep warnings and suspensions over content in the user's own audit history as well
+    if ((action === 'warn' || action === 'suspend') && target.type !== 'user') {
+      await AdminAuditLog.create({
+        actor_id: actor.id,
+        action: `user.${action}`,
+        target_type: 'user',
+        target_id: target.owner_id,
+        details: { reason: note, source: { target_type: target.type, target_id: target.id } },
+        ip_address: actor.ip,
+      }, client);
+    }
+
+    return { reports: resolved, updated: updatedRecord };
+  });
+
+  // Side effects outside the transaction: messages have their own soft delete, sessions live in Redis too
+  if (action === 'remove' && target.type === 'message') {
+    await Message.softDelete(target.id, target.owner_id);
+  }
+  if (action === 'suspend') {
+    await revokeAllSessions(target.owner_id, 'suspended');
+    disconnectUser(target.owner_id, 'suspended');
+  }
+
+  if (action === 'hide' || action === 'remove') {
+    await notifyOwner(
+      target,
+      'content_moderated',
+      action === 'hide' ? 'Your content was hidden' : 'Your content was removed',
+      `Your ${target.type} was ${action === 'hide' ? 'hidden' : 'removed'} after review for breaking the community guidelines.`
+    );
+  } else if (action === 'warn') {
+    await notifyOwner(target, 'moderation_warning', 'Warning from the moderation team', note);
+  }
+
+  return { reports, target: updated };
+};
+
+module.exports = {
+  MODERATION_ACTIONS,
+  ACTIONS_BY_TARGET,
+  getTarget,
+  canReport,
+  applyAction,
+};
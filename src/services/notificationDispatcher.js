@@ -0,0 +1,360 @@
+// Notification dispatcher - Turns domain events into notifications
+// Delivers each one to the notifications table, the recipient's socket room and the push queue
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const Block = require('../models/Block');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { isQueueEnabled, addNotificationJob, addEmailJob } = require('./jobQueue');
+const { eventService, EVENTS, emitNotificationNew } = require('./eventService');
+const logger = require('../utils/logger');
+
+/**
+ * NotificationPreference flag that gates each notification type.
+ * Types mapped to null have no dedicated flag and are always delivered.
+ */
+const NOTIFICATION_PREFERENCES = {
+  connection_request: 'connection_requests',
+  connection_accepted: 'connection_accepted',
+  new_follower: null,
+  post_upvote: 'post_likes',
+  comment_upvote: 'post_likes',
+  post_comment: 'post_comments',
+  comment_reply: 'post_comments',
+  post_repost: 'post_shares',
+  post_mention: 'mentions',
+  comment_mention: 'mentions',
+  recommendation_request: 'recommendations',
+  recommendation_received: 'recommendations',
+  recommendation_accepted: 'recommendations',
+  recommendation_declined: 'recommendations',
+  recommendation_revision_requested: 'recommendations',
+  credential_verified: null,
+  credential_rejected: null,
+  credential_expired: null,
+  content_moderated: null,
+  moderation_warning: null,
+};
+
+// Most @mentions notified from a single post or comment
+const MAX_MENTIONS = 10;
+
+const MENTION_PATTERN = /(^|[^a-zA-Z0-9_@])@([a-zA-Z0-9](?:[a-zA-Z0-9_-]*[a-zA-Z0-9])?)/g;
+
+// Longest comment excerpt copied into a notification
+const PREVIEW_LENGTH = 100;
+
+// Distinct usernames mentioned in a piece of text
+const extractMentions = (text) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+  const usernames = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    usernames.add(match[2].toLowerCase());
+    if (usernames.size >= MAX_MENTIONS) {
+      break;
+    }
+  }
+  return [...usernames];
+};
+
+// Shorten comment text for the notification body
+const preview = (text) => {
+  const value = typeof text === 'string' ? text : '';
+  return value.length > PREVIEW_LENGTH ? `${value.substring(0, PREVIEW_LENGTH)}...` : value;
+};
+
+const displayName = (user) => {
+  if (!user) {
+    return 'Someone';
+  }
+  return `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.username || 'Someone';
+};
+
+/**
+ * Create and deliver a notification unless the recipient opted out of its type,
+ * is the actor, or has a block either way with the actor.
+ * Returns the notification, or null when it was skipped.
+ */
+const dispatchNotification = async (notificationData) => {
+  const recipientId = notificationData.user_id;
+  const actorId = notificationData.related_user_id || null;
+  if (!recipientId || recipientId === actorId) {
+    return null;
+  }
+
+  if (actorId && await Block.isBlockedEitherWay(recipientId, actorId)) {
+    return null;
+  }
+
+  const preferences = await NotificationPreference.findByUserId(recipientId);
+  const preferenceKey = NOTIFICATION_PREFERENCES[notificationData.notification_type];
+  if (preferences && preferenceKey && preferences[preferenceKey] === false) {
+    return null;
+  }
+
+  const notification = await Notification.create(notificationData);
+  emitNotificationNew(notification);
+
+  // Push delivery is best-effort; the notification already exists in the center
+  if (isQueueEnabled() && (!preferences || preferences.push_notifications !== false)) {
+    try {
+      await addNotificationJob({
+        notification_id: notification.id,
+        user_id: notification.user_id,
+        notification_type: notification.notification_type,
+      });
+    } catch (queueError) {
+      logger.logError(queueError, { context: 'dispatchNotification.addNotificationJob', notificationId: notification.id });
+    }
+  }
+
+  return notification;
+};
+
+// Notify users @mentioned in a post or comment who can see it (skipping already-notified users)
+const notifyMentions = async (text, actor, post, baseData, excludeUserIds = []) => {
+  const usernames = extractMentions(text);
+  const notified = new Set(excludeUserIds);
+
+  for (const username of usernames) {
+    const mentionedUser = await User.findByUsername(username);
+    if (!mentionedUser || notified.has(mentionedUser.id)) {
+      continue;
+    }
+    notified.add(mentionedUser.id);
+
+    if (!(await Post.canView(post, mentionedUser.id))) {
+      continue;
+    }
+
+    await dispatchNotification({
+      ...baseData,
+      user_id: mentionedUser.id,
+      related_user_id: actor.id,
+      related_post_id: post.id,
+    });
+  }
+};
+
+// Connection request: tell the addressee (in the app and by email)
+const handleConnectionRequested = async ({ data }) => {
+  const [requester, addressee] = await Promise.all([
+    User.findById(data.requester_id),
+    User.findById(data.addressee_id),
+  ]);
+  const notification = await dispatchNotification({
+    user_id: data.addressee_id,
+    notification_type: 'connection_request',
+    title: `${displayName(requester)} sent you a connection request`,
+    notification_data: { connection_id: data.connection_id },
+    related_user_id: data.requester_id,
+    related_connection_id: data.connection_id,
+  });
+
+  // The email worker drops it if the addressee turned email notifications off
+  if (notification && addressee && addressee.email && isQueueEnabled()) {
+    await addEmailJob({
+      to: addressee.email,
+      user_id: addressee.id,
+      type: 'connection_request',
+      data: {
+        first_name: addressee.first_name,
+        requester_name: displayName(requester),
+        requester_headline: requester ? requester.headline : null,
+      },
+    });
+  }
+};
+
+// Connection accepted: tell the requester
+const handleConnectionAccepted = async ({ data }) => {
+  const addressee = await User.findById(data.addressee_id);
+  await dispatchNotification({
+    user_id: data.requester_id,
+    notification_type: 'connection_accepted',
+    title: `${displayName(addressee)} accepted your connection request`,
+    notification_data: { connection_id: data.connection_id },
+    related_user_id: data.addressee_id,
+    related_connection_id: data.connection_id,
+  });
+};
+
+// New follower: tell the followed user
+const handleUserFollowed = async ({ data }) => {
+  const follower = await User.findById(data.follower_id);
+  await dispatchNotification({
+    user_id: data.following_id,
+    notification_type: 'new_follower',
+    title: `${displayName(follower)} started following you`,
+    related_user_id: data.follower_id,
+  });
+};
+
+// New post: tell @mentioned users
+const handlePostCreated = async ({ data }) => {
+  const post = await Post.findById(data.post_id);
+  if (!post) {
+    return;
+  }
+  const author = await User.findById(post.user_id);
+  await notifyMentions(post.content, author, post, {
+    notification_type: 'post_mention',
+    title: `${displayName(author)} mentioned you in a post`,
+  });
+};
+
+// Upvote on a post or comment: tell its author
+const handleUpvote = async ({ data }) => {
+  const voter = await User.findById(data.user_id);
+
+  if (data.entity_type === 'comment') {
+    const comment = await Comment.findById(data.entity_id);
+    if (!comment) {
+      return;
+    }
+    await dispatchNotification({
+      user_id: comment.user_id,
+      notification_type: 'comment_upvote',
+      title: `${displayName(voter)} upvoted your comment`,
+      notification_data: { post_id: comment.post_id, comment_id: comment.id },
+      related_user_id: data.user_id,
+      related_post_id: comment.post_id,
+      related_comment_id: comment.id,
+    });
+    return;
+  }
+
+  const post = await Post.findById(data.entity_id);
+  if (!post) {
+    return;
+  }
+  await dispatchNotification({
+    user_id: post.user_id,
+    notification_type: 'post_upvote',
+    title: `${displayName(voter)} upvoted your post`,
+    notification_data: { post_id: post.id },
+    related_user_id: data.user_id,
+    related_post_id: post.id,
+  });
+};
+
+// New comment or reply: tell the parent comment's author, the post author and @mentioned users
+const handleCommentCreated = async ({ data }) => {
+  const [comment, post] = await Promise.all([
+    Comment.findById(data.comment_id),
+    Post.findById(data.post_id),
+  ]);
+  if (!comment || !post) {
+    return;
+  }
+  const commenter = await User.findById(comment.user_id);
+  const commenterName = displayName(commenter);
+  const notified = [comment.user_id];
+
+  if (comment.parent_comment_id) {
+    const parent = await Comment.findById(comment.parent_comment_id);
+    if (parent) {
+      await dispatchNotification({
+        user_id: parent.user_id,
+        notification_type: 'comment_reply',
+        title: `${commenterName} replied to your comment`,
+        message: preview(comment.content),
+        notification_data: { post_id: post.id, comment_id: comment.id, parent_comment_id: parent.id },
+        related_user_id: comment.user_id,
+        related_post_id: post.id,
+        related_comment_id: parent.id,
+      });
+      notified.push(parent.user_id);
+    }
+  }
+
+  if (!notified.includes(post.user_id)) {
+    await dispatchNotification({
+      user_id: post.user_id,
+      notification_type: 'post_comment',
+      title: `${commenterName} commented on your post`,
+      message: preview(comment.content),
+      notification_data: { post_id: post.id, comment_id: comment.id },
+      related_user_id: comment.user_id,
+      related_post_id: post.id,
+      related_comment_id: comment.id,
+    });
+    notified.push(post.user_id);
+  }
+
+  await notifyMentions(comment.content, commenter, post, {
+    notification_type: 'comment_mention',
+    title: `${commenterName} mentioned you in a comment`,
+    message: preview(comment.content),
+    notification_data: { post_id: post.id, comment_id: comment.id },
+    related_comment_id: comment.id,
+  }, notified);
+};
+
+// Repost: tell the original author
+const handlePostReposted = async ({ data }) => {
+  const original = await Post.findById(data.original_post_id);
+  if (!original) {
+    return;
+  }
+  const reposter = await User.findById(data.user_id);
+  await dispatchNotification({
+    user_id: original.user_id,
+    notification_type: 'post_repost',
+    title: `${displayName(reposter)} reposted your post`,
+    notification_data: { post_id: original.id, repost_id: data.repost_id },
+    related_user_id: data.user_id,
+    related_post_id: original.id,
+  });
+};
+
+// Recommendation request: tell the would-be recommender
+const handleRecommendationRequested = async ({ data }) => {
+  const requester = await User.findById(data.user_id);
+  await dispatchNotification({
+    user_id: data.recommender_id,
+    notification_type: 'recommendation_request',
+    title: `${displayName(requester)} asked you for a recommendation`,
+    notification_data: { recommendation_id: data.recommendation_id },
+    related_user_id: data.user_id,
+  });
+};
+
+// Run a handler without letting a failure escape into the emitter
+const subscribe = (eventType, handler) => {
+  eventService.on(eventType, (event) => {
+    handler(event).catch((error) => {
+      logger.logError(error, { context: `notificationDispatcher.${eventType}` });
+    });
+  });
+};
+
+let initialized = false;
+
+// Subscribe the dispatcher to domain events (idempotent)
+const initializeNotificationDispatcher = () => {
+  if (initialized) {
+    return;
+  }
+  initialized = true;
+
+  subscribe(EVENTS.CONNECTION_REQUESTED, handleConnectionRequested);
+  subscribe(EVENTS.CONNECTION_ACCEPTED, handleConnectionAccepted);
+  subscribe(EVENTS.USER_FOLLOWED, handleUserFollowed);
+  subscribe(EVENTS.POST_CREATED, handlePostCreated);
+  subscribe(EVENTS.POST_REPOSTED, handlePostReposted);
+  subscribe(EVENTS.VOTE_UPVOTE, handleUpvote);
+  subscribe(EVENTS.COMMENT_CREATED, handleCommentCreated);
+  subscribe(EVENTS.COMMENT_REPLIED, handleCommentCreated);
+  subscribe(EVENTS.RECOMMENDATION_REQUESTED, handleRecommendationRequested);
+};
+
+module.exports = {
+  NOTIFICATION_PREFERENCES,
+  dispatchNotification,
+  extractMentions,
+  initializeNotificationDispatcher,
+};
@@ -0,0 +1,333 @@
+// PHI scan service - Offline detection of patient identifiers in user text and image metadata
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const Report = require('../models/Report');
+const logger = require('../utils/logger');
+
+// block: reject the write with the offending spans; flag: save it and queue it for moderators; off: skip scanning
+const PHI_POLICIES = ['block', 'flag', 'off'];
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|${MONTH}\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}\\s+${MONTH}\\s+\\d{4})`;
+
+// Words that follow "patient"/"pt" in programme and team names, not in people's names
+// ("Patient Safety Week", "Patient Care Team", "Pt. Education Program", "Patient Portal Access")
+const PATIENT_NAME_STOP_WORDS = new Set([
+  'access', 'advocacy', 'advocate', 'care', 'centered', 'centred', 'council', 'day', 'education', 'engagement',
+  'experience', 'family', 'first', 'flow', 'forum', 'information', 'intake', 'month', 'navigation', 'navigator',
+  'outcomes', 'portal', 'privacy', 'program', 'programme', 'registration', 'relations', 'rights', 'safety',
+  'satisfaction', 'services', 'support', 'team', 'transport', 'voice', 'week',
+]);
+
+// A captured patient name, unless one of its words is a stop word
+const isLikelyPatientName = (value) => !value.split(/\s+/)
+  .some(word => PATIENT_NAME_STOP_WORDS.has(word.replace(/\.$/, '').toLowerCase()));
+
+/**
+ * Text detectors. `pattern` must be global and have the `d` flag; when it has a capture group,
+ * the span is the group (the identifier) rather than the whole match (keyword included).
+ * `validate` can reject a match.
+ */
+const textDetectors = [
+  {
+    type: 'mrn',
+    pattern: /\b(?:MRN|medical record (?:number|no\.?|#)|patient (?:id|number|no\.?|#)|chart (?:number|no\.?|#)|hospital (?:number|no\.?|#))\s*[:#-]?\s*([A-Z0-9][A-Z0-9-]{3,})/dgi,
+    validate: (value) => /\d/.test(value),
+  },
+  {
+    type: 'date_of_birth',
+    pattern: new RegExp(`\\b(?:DOB|D\\.O\\.B\\.?|date of birth|birth ?date|born(?: on)?)\\s*[:-]?\\s*(${DATE})`, 'dgi'),
+  },
+  {
+    type: 'ssn',
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/dg,
+  },
+  {
+    type: 'phone',
+    pattern: /(?<![\w+])(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-])\d{3}[\s.-]\d{4}(?!\w)|(?<![\w+])\+\d{1,3}(?:[\s.-]\d{2,4}){2,4}(?!\w)/dg,
+  },
+  {
+    type: 'patient_name',
+    pattern: /\b(?:[Pp]atient(?:'s)?(?: name)?|[Pp]t\.?)\s*[:-]?\s+([A-Z][a-z'-]+(?:\s+[A-Z]\.)?\s+[A-Z][a-z'-]+)/dg,
+    validate: isLikelyPatientName,
+  },
+  {
+    // An honorific alone is just politeness ("Thanks Mr. Jones"); only count it next to patient/pt
+    type: 'patient_name',
+    pattern: /\b(?:[Pp]atient(?:'s)?(?: name)?|[Pp]t\.?)\s*[:,-]?\s+(?:(?:is|was|named)\s+)?(?:Mr|Mrs|Ms|Miss)\.?\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)/dg,
+    validate: isLikelyPatientName,
+  },
+];
+
+// Image detectors: async ({ buffer, metadata, metadataText }) => [{ type, source }], added with registerDetector
+const imageDetectors = [];
+
+// DICOM attribute names and (group,element) tags for patient and study identifiers
+const DICOM_MARKER_PATTERN = /\((?:0008|0010|0020),[0-9A-F]{4}\)|\b(?:PatientName|PatientID|PatientBirthDate|PatientSex|AccessionNumber|InstitutionName|StudyInstanceUID|ReferringPhysicianName)\b/i;
+
+let dictionaryDetectors = null;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildTermsPattern = (terms) => {
+  const alternatives = terms
+    .map(term => String(term).trim())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  if (alternatives.length === 0) {
+    return null;
+  }
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'dgiu');
+};
+
+/**
+ * Dictionary detectors, built once from PHI_DICTIONARY_PATH (a JSON object of
+ * category -> terms; the category is the finding type) and PHI_DICTIONARY_TERMS
+ * (comma-separated, reported as `dictionary`).
+ */
+const getDictionaryDetectors = () => {
+  if (dictionaryDetectors) {
+    return dictionaryDetectors;
+  }
+
+  const dictionaries = {};
+  const dictionaryPath = process.env.PHI_DICTIONARY_PATH;
+  if (dictionaryPath) {
+    try {
+      const resolvedPath = path.isAbsolute(dictionaryPath)
+        ? dictionaryPath
+        : path.resolve(process.cwd(), dictionaryPath);
+      const parsed = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+      for (const [category, terms] of Object.entries(parsed)) {
+        if (Array.isArray(terms)) {
+          dictionaries[category] = terms;
+        }
+      }
+    } catch (error) {
+      logger.logError(error, { context: 'phiScanService.loadDictionary', dictionaryPath });
+    }
+  }
+  if (process.env.PHI_DICTIONARY_TERMS) {
+    dictionaries.dictionary = [
+      ...(dictionaries.dictionary || []),
+      ...process.env.PHI_DICTIONARY_TERMS.split(','),
+    ];
+  }
+
+  dictionaryDetectors = Object.entries(dictionaries)
+    .map(([type, terms]) => ({ type, pattern: buildTermsPattern(terms) }))
+    .filter(detector => detector.pattern);
+  return dictionaryDetectors;
+};
+
+// Current policy from PHI_SCAN_POLICY (default: flag)
+const getPolicy = () => {
+  const policy = (process.env.PHI_SCAN_POLICY || 'flag').toLowerCase();
+  return PHI_POLICIES.includes(policy) ? policy : 'flag';
+};
+
+/**
+ * Add a text detector ({ type, pattern, validate? }, same rules as the built-in ones)
+ * or an image detector ({ detectImage }), e.g. an OCR pass for text burned into the pixels.
+ */
+const registerDetector = (detector) => {
+  if (typeof detector.detectImage === 'function') {
+    imageDetectors.push(detector.detectImage);
+    return;
+  }
+  if (!(detector.pattern instanceof RegExp) || !detector.pattern.global || !detector.pattern.hasIndices) {
+    throw new Error('PHI text detectors need a RegExp with the g and d flags');
+  }
+  textDetectors.push(detector);
+};
+
+/**
+ * Find identifiers in a string. Returns [{ type, start, end }] ordered by position, with
+ * character offsets into `text`; spans inside a longer span are dropped.
+ */
+const scanText = (text) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const spans = [];
+  for (const detector of [...textDetectors, ...getDictionaryDetectors()]) {
+    for (const match of text.matchAll(detector.pattern)) {
+      const [start, end] = match.indices[1] || match.indices[0];
+      const value = text.slice(start, end);
+      if (detector.validate && !detector.validate(value)) {
+        continue;
+      }
+      spans.push({ type: detector.type, start, end });
+    }
+  }
+
+  spans.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  return spans.filter((span, index) =>
+    !spans.some((other, otherIndex) =>
+      otherIndex < index && other.start <= span.start && other.end >= span.end));
+};
+
+// Scan several named fields; each finding also carries its `field`
+const scanFields = (fields) => {
+  if (getPolicy() === 'off') {
+    return [];
+  }
+  return Object.entries(fields).flatMap(([field, text]) =>
+    scanText(text).map(span => ({ field, ...span })));
+};
+
+// Whether findings should stop the write under the current policy
+const shouldBlock = (findings) => findings.length > 0 && getPolicy() === 'block';
+
+// Response body for a write stopped by the scanner
+const blockedResponse = (findings) => ({
+  success: false,
+  message: 'This content appears to contain patient identifiers. Remove them and try again.',
+  code: 'phi_detected',
+  findings,
+});
+
+// "phone x2, mrn" style summary of finding types
+const summarizeFindings = (findings) => {
+  const counts = {};
+  for (const finding of findings) {
+    counts[finding.type] = (counts[finding.type] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .map(([type, count]) => (count > 1 ? `${type} x${count}` : type))
+    .join(', ');
+};
+
+/**
+ * Queue a post, comment or message for moderators as an automated `patient_privacy` report.
+ * `target` is { type, id, owner_id, content }. Best-effort: the write has already succeeded.
+ */
+const flagForReview = async (target, findings) => {
+  if (findings.length === 0) {
+    return null;
+  }
+  try {
+    return await Report.createAutomated({
+      target_type: target.type,
+      target_id: target.id,
+      target_user_id: target.owner_id,
+      reason: 'patient_privacy',
+      details: `Automated PHI scan found: ${summarizeFindings(findings)}`,
+      content_snapshot: target.content ? target.content.substring(0, Report.SNAPSHOT_LENGTH) : null,
+    });
+  } catch (error) {
+    logger.logError(error, { context: 'phiScanService.flagForReview', targetType: target.type, targetId: target.id });
+    return null;
+  }
+};
+
+// Printable ASCII runs of a metadata buffer (EXIF strings, XMP and IPTC text)
+const extractPrintableText = (buffer) => {
+  if (!buffer) {
+    return '';
+  }
+  return (buffer.toString('latin1').match(/[\x20-\x7e]{4,}/g) || []).join('\n');
+};
+
+// Whether a raw EXIF block ("Exif\0\0" + TIFF) has a GPS IFD with at least one entry
+const hasExifGps = (exif) => {
+  try {
+    const tiff = exif.toString('ascii', 0, 4) === 'Exif' ? 6 : 0;
+    const byteOrder = exif.toString('ascii', tiff, tiff + 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+      return false;
+    }
+    const little = byteOrder === 'II';
+    const readUInt16 = (offset) => (little ? exif.readUInt16LE(offset) : exif.readUInt16BE(offset));
+    const readUInt32 = (offset) => (little ? exif.readUInt32LE(offset) : exif.readUInt32BE(offset));
+
+    const ifd0 = tiff + readUInt32(tiff + 4);
+    const entryCount = readUInt16(ifd0);
+    for (let i = 0; i < entryCount; i++) {
+      const entry = ifd0 + 2 + i * 12;
+      if (readUInt16(entry) === 0x8825) {
+        const gpsIfd = tiff + readUInt32(entry + 8);
+        return readUInt16(gpsIfd) > 0;
+      }
+    }
+    return false;
+  } catch (error) {
+    // Truncated or malformed EXIF: nothing we can read
+    return false;
+  }
+};
+
+/**
+ * Scan an uploaded image before any variant is published. Looks at the original file's
+ * metadata (sharp strips it from the variants either way): EXIF GPS coordinates, DICOM files
+ * and DICOM patient/study attributes, and identifier patterns in EXIF, XMP, IPTC and PNG text.
+ * Returns [{ type, source }].
+ */
+const scanImage = async (buffer) => {
+  if (getPolicy() === 'off') {
+    return [];
+  }
+
+  const findings = [];
+  // DICOM Part 10 files: 128-byte preamble then "DICM"
+  if (buffer.length > 132 && buffer.toString('ascii', 128, 132) === 'DICM') {
+    findings.push({ type: 'dicom_marker', source: 'file' });
+  }
+
+  let metadata = {};
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    // Not an image sharp can read; variant generation will report it
+    return findings;
+  }
+
+  if (metadata.exif && hasExifGps(metadata.exif)) {
+    findings.push({ type: 'gps_location', source: 'exif' });
+  }
+
+  const sources = {
+    exif: extractPrintableText(metadata.exif),
+    xmp: extractPrintableText(metadata.xmp),
+    iptc: extractPrintableText(metadata.iptc),
+    comments: (metadata.comments || []).map(comment => `${comment.keyword}: ${comment.text}`).join('\n'),
+  };
+  for (const [source, text] of Object.entries(sources)) {
+    if (!text) {
+      continue;
+    }
+    if (DICOM_MARKER_PATTERN.test(text)) {
+      findings.push({ type: 'dicom_marker', source });
+    }
+    for (const type of new Set(scanText(text).map(span => span.type))) {
+      findings.push({ type, source });
+    }
+  }
+
+  const metadataText = Object.values(sources).filter(Boolean).join('\n');
+  for (const detectImage of imageDetectors) {
+    try {
+      findings.push(...(await detectImage({ buffer, metadata, metadataText })));
+    } catch (error) {
+      logger.logError(error, { context: 'phiScanService.scanImage' });
+    }
+  }
+
+  return findings;
+};
+
+module.exports = {
+  PHI_POLICIES,
+  getPolicy,
+  registerDetector,
+  scanText,
+  scanFields,
+  scanImage,
+  shouldBlock,
+  blockedResponse,
+  summarizeFindings,
+  flagForReview,
+};
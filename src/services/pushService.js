@@ -0,0 +1,198 @@
+// Push notification service - Firebase Cloud Messaging delivery with per-type templates
+const { getFirebaseAdmin } = require('../config/firebase');
+const logger = require('../utils/logger');
+
+// FCM error codes meaning the token will never work again and should be deleted
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+
+// FCM accepts at most 500 tokens per multicast
+const MAX_TOKENS_PER_SEND = 500;
+
+// Push body length; longer message previews are cut
+const MAX_BODY_LENGTH = 180;
+
+/**
+ * Payload templates per notification type.
+ * Each returns the visible title/body; the notification's own title is used as a fallback.
+ */
+const PUSH_TEMPLATES = {
+  new_message: (notification) => ({
+    title: notification.title,
+    body: notification.message || 'Sent you a message',
+  }),
+  connection_request: (notification) => ({
+    title: 'New connection request',
+    body: notification.title,
+  }),
+  connection_accepted: (notification) => ({
+    title: 'Connection accepted',
+    body: notification.title,
+  }),
+  post_comment: (notification) => ({
+    title: notification.title,
+    body: notification.message || '',
+  }),
+  comment_reply: (notification) => ({
+    title: notification.title,
+    body: notification.message || '',
+  }),
+  post_mention: (notification) => ({
+    title: 'You were mentioned',
+    body: notification.title,
+  }),
+  comment_mention: (notification) => ({
+    title: 'You were mentioned',
+    body: notification.title,
+  }),
+  job_alert: (notification) => ({
+    title: notification.title,
+    body: notification.message || '',
+  }),
+};
+
+// Deep-link fields copied into the data payload (FCM data values must be strings)
+const DATA_FIELDS = ['related_user_id', 'related_post_id', 'related_comment_id', 'related_connection_id', 'related_job_posting_id'];
+
+const truncate = (text) => (text && text.length > MAX_BODY_LENGTH
+  ? `${text.substring(0, MAX_BODY_LENGTH - 3)}...`
+  : text || '');
+
+/**
+ * Build the FCM message (without tokens) for a notification row
+ */
+const buildPushMessage = (notification, badgeCount) => {
+  const template = PUSH_TEMPLATES[notification.notification_type];
+  const content = template
+    ? template(notification)
+    : { title: notification.title, body: notification.message || '' };
+
+  const data = {
+    notification_id: String(notification.id),
+    notification_type: notification.notification_type,
+  };
+  DATA_FIELDS.forEach((field) => {
+    if (notification[field]) {
+      data[field] = String(notification[field]);
+    }
+  });
+  const extra = notification.notification_data || {};
+  ['conversation_id', 'group_id', 'recommendation_id'].forEach((field) => {
+    if (extra[field]) {
+      data[field] = String(extra[field]);
+    }
+  });
+
+  const androidNotification = { notificationCount: badgeCount };
+  const aps = { badge: badgeCount };
+  // Grouped notifications replace each other on the device instead of stacking
+  if (notification.group_key) {
+    androidNotification.tag = notification.group_key;
+    aps['thread-id'] = notification.group_key;
+  }
+
+  return {
+    notification: {
+      title: content.title,
+      body: truncate(content.body),
+    },
+    data,
+    android: { notification: androidNotification },
+    apns: { payload: { aps } },
+  };
+};
+
+/**
+ * Local stand-in for FCM, for tests only (inject it with setMessagingClient).
+ * Records every send; tokens listed in invalidTokens fail as unregistered.
+ */
+const createFakeMessagingClient = (invalidTokens = []) => {
+  const invalid = new Set(invalidTokens);
+  const sent = [];
+  return {
+    sent,
+    sendEachForMulticast: async (message) => {
+      sent.push(message);
+      const responses = message.tokens.map((token) => (invalid.has(token)
+        ? { success: false, error: { code: 'messaging/registration-token-not-registered', message: 'Fake unregistered token' } }
+        : { success: true, messageId: `fake-${Date.now()}` }));
+      return {
+        responses,
+        successCount: responses.filter(response => response.success).length,
+        failureCount: responses.filter(response => !response.success).length,
+      };
+    },
+  };
+};
+
+let messagingClient = null;
+let firebaseMissing = false;
+
+// Swap the messaging client (pass null to go back to Firebase)
+const setMessagingClient = (client) => {
+  messagingClient = client;
+  firebaseMissing = false;
+};
+
+// FCM client: an injected client or Firebase when configured, otherwise null (push is off)
+const getMessagingClient = () => {
+  if (messagingClient) {
+    return messagingClient;
+  }
+  if (firebaseMissing) {
+    return null;
+  }
+  const firebaseAdmin = getFirebaseAdmin();
+  if (!firebaseAdmin) {
+    firebaseMissing = true;
+    logger.warn('Firebase not configured, push notifications are not sent');
+    return null;
+  }
+  messagingClient = firebaseAdmin.messaging();
+  return messagingClient;
+};
+
+// Whether pushes can be delivered at all
+const isPushConfigured = () => Boolean(getMessagingClient());
+
+/**
+ * Send one message to many tokens.
+ * Returns counts plus the tokens FCM reported as permanently invalid; nothing is sent
+ * (and nothing counted) when push is not configured.
+ */
+const sendToTokens = async (tokens, message) => {
+  const client = getMessagingClient();
+  const invalidTokens = [];
+  let successCount = 0;
+  let failureCount = 0;
+  if (!client) {
+    return { successCount, failureCount, invalidTokens };
+  }
+
+  for (let i = 0; i < tokens.length; i += MAX_TOKENS_PER_SEND) {
+    const batch = tokens.slice(i, i + MAX_TOKENS_PER_SEND);
+    const response = await client.sendEachForMulticast({ ...message, tokens: batch });
+    successCount += response.successCount;
+    failureCount += response.failureCount;
+
+    response.responses.forEach((result, index) => {
+      if (!result.success && result.error && INVALID_TOKEN_ERRORS.includes(result.error.code)) {
+        invalidTokens.push(batch[index]);
+      }
+    });
+  }
+
+  return { successCount, failureCount, invalidTokens };
+};
+
+module.exports = {
+  PUSH_TEMPLATES,
+  buildPushMessage,
+  sendToTokens,
+  createFakeMessagingClient,
+  setMessagingClient,
+  getMessagingClient,
+  isPushConfigured,
+};
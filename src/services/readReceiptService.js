@@ -0,0 +1,181 @@
+// Read receipt service - Per-participant read and delivery cursors, the read_receipts privacy setting and reconnect sync
+const Conversation = require('../models/Conversation');
+const ConversationParticipant = require('../models/ConversationParticipant');
+const Message = require('../models/Message');
+const ProfileSettings = require('../models/ProfileSettings');
+const { emitMessageRead, emitMessageDelivered, emitReadStateSync } = require('./eventService');
+
+// Conversations included in a reconnect sync, most recently active first
+const SYNC_CONVERSATION_LIMIT = 100;
+
+// Someone who has not answered a message request does not tell the sender they read it
+const isUnansweredRequest = (requestStatus) => requestStatus === 'pending' || requestStatus === 'ignored';
+
+// Of `userIds`, those who may see `readerId`'s read state: read receipts work both ways, so both must have them on
+const filterReceiptViewers = async (readerId, userIds) => {
+  if (userIds.length === 0) {
+    return [];
+  }
+  const disabled = await ProfileSettings.findReadReceiptsDisabled([readerId, ...userIds]);
+  if (disabled.includes(readerId)) {
+    return [];
+  }
+  return userIds.filter(id => !disabled.includes(id));
+};
+
+// A message of the conversation (not deleted), or null
+const findConversationMessage = async (conversationId, messageId) => {
+  const message = await Message.findById(messageId);
+  if (!message || message.conversation_id !== conversationId || message.deleted_at) {
+    return null;
+  }
+  return message;
+};
+
+/**
+ * Move a user's read cursor up to `messageId` (default: the latest message). Cursors never move
+ * back. Other participants get `message:read` when the cursor moves and both sides have read
+ * receipts on; the reader's own devices always get `conversation:read_state` with the new unread
+ * counts. Returns the participant row, or null if the user is not a current participant or the
+ * message is not in the conversation.
+ */
+const markRead = async (conversationId, userId, messageId = null) => {
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) {
+    return null;
+  }
+
+  let targetId = conversation.last_message_id;
+  if (messageId) {
+    const message = await findConversationMessage(conversationId, messageId);
+    if (!message) {
+      return null;
+    }
+    targetId = message.id;
+  }
+  if (!targetId) {
+    // Nothing to read yet
+    const participant = await ConversationParticipant.findOne(conversationId, userId);
+    return participant && !participant.left_at ? participant : null;
+  }
+
+  const row = await ConversationParticipant.advanceReadCursor(conversationId, userId, targetId);
+  if (!row) {
+    return null;
+  }
+  const { previous_read_message_id: previousReadId, ...participant } = row;
+
+  const totalUnreadCount = await Conversation.getTotalUnreadCount(userId);
+  emitReadStateSync(participant, totalUnreadCount);
+
+  if (participant.last_read_message_id !== previousReadId && !isUnansweredRequest(participant.request_status)) {
+    const otherIds = await ConversationParticipant.getActiveUserIds(conversationId, userId);
+    const viewerIds = await filterReceiptViewers(userId, otherIds);
+    if (viewerIds.length > 0) {
+      // Per-message read flags only mean something with a single reader
+      if (conversation.type === 'direct') {
+        await Message.markConversationAsRead(conversationId, userId, participant.last_read_message_id);
+      }
+      emitMessageRead(participant, viewerIds);
+    }
+  }
+
+  return participant;
+};
+
+/**
+ * Record that a message (and everything before it) reached one of the user's devices. The
+ * other participants get `message:delivered` when the delivery cursor moves. Delivery is not
+ * affected by the read_receipts setting. Returns the participant row, or null if nothing moved.
+ */
+const markDelivered = async (conversationId, userId, messageId) => {
+  const message = await findConversationMessage(conversationId, messageId);
+  if (!message || message.sender_id === userId) {
+    return null;
+  }
+
+  const participant = await ConversationParticipant.advanceDeliveredCursor(conversationId, userId, message.id);
+  if (!participant) {
+    return null;
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (conversation.type === 'direct') {
+    await Message.markAsDelivered(message.id);
+  }
+
+  const otherIds = await ConversationParticipant.getActiveUserIds(conversationId, userId);
+  emitMessageDelivered(participant, otherIds, message.id);
+  return participant;
+};
+
+/**
+ * Read state of the user's recent conversations: unread counts, their own cursors and, for 1:1
+ * conversations, the other participant's cursors (read cursor hidden unless both sides have read
+ * receipts on). Used to reconcile clients after they reconnect.
+ */
+const getReadState = async (userId) => {
+  const rows = await ConversationParticipant.findReadStateByUserId(userId, SYNC_CONVERSATION_LIMIT);
+  const otherIds = [...new Set(rows.map(row => row.other_user_id).filter(Boolean))];
+  const viewerIds = await filterReceiptViewers(userId, otherIds);
+
+  const [totalUnreadCount, requestCount] = await Promise.all([
+    Conversation.getTotalUnreadCount(userId),
+    Conversation.getPendingRequestCount(userId),
+  ]);
+
+  return {
+    conversations: rows.map(row => ({
+      ...row,
+      other_last_read_message_id: viewerIds.includes(row.other_user_id) && !isUnansweredRequest(row.other_request_status)
+        ? row.other_last_read_message_id
+        : null,
+    })),
+    total_unread_count: totalUnreadCount,
+    request_count: requestCount,
+    synced_at: new Date().toISOString(),
+  };
+};
+
+/**
+ * Reconcile a user who just connected: everything sent while they were offline is now
+ * delivered (senders get `message:delivered`), then return their read state.
+ */
+const reconcileOnConnect = async (userId) => {
+  const moved = await ConversationParticipant.advanceAllDeliveredCursors(userId);
+  for (const participant of moved) {
+    const otherIds = await ConversationParticipant.getActiveUserIds(participant.conversation_id, userId);
+    emitMessageDelivered(participant, otherIds);
+  }
+  return getReadState(userId);
+};
+
+/**
+ * Hide read cursors the viewer may not see in participant rows (`last_read_message_id`,
+ * `last_read_at`). The viewer's own row is left as it is.
+ */
+const hideReadState = async (rows, viewerId) => {
+  const otherIds = rows.map(row => row.user_id).filter(id => id !== viewerId);
+  const viewerIds = await filterReceiptViewers(viewerId, otherIds);
+  return rows.map(row => {
+    if (row.user_id === viewerId || (viewerIds.includes(row.user_id) && !isUnansweredRequest(row.request_status))) {
+      return row;
+    }
+    return { ...row, last_read_message_id: null, last_read_at: null };
+  });
+};
+
+// Read and delivery cursors of a conversation's participants, as the viewer may see them
+const getReceipts = async (conversationId, viewerId) => {
+  const cursors = await ConversationParticipant.findCursors(conversationId);
+  return hideReadState(cursors, viewerId);
+};
+
+module.exports = {
+  markRead,
+  markDelivered,
+  getReadState,
+  reconcileOnConnect,
+  hideReadState,
+  getReceipts,
+};
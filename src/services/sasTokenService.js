@@ -47,6 +47,32 @@ const getStorageAccountInfo = () => {
   return { accountName, accountKey };
 };
 
+// Documents that may be attached to messages, with their blob file extension
+const DOCUMENT_TYPES = {
+  'application/pdf': 'pdf',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'text/plain': 'txt',
+  'text/csv': 'csv',
+};
+
+/**
+ * Maximum upload size in bytes for a content type
+ */
+const getMaxUploadSize = (contentType) => {
+  if (contentType?.startsWith('video/')) {
+    return parseInt(process.env.MAX_VIDEO_SIZE) || 100 * 1024 * 1024; // 100MB
+  }
+  if (DOCUMENT_TYPES[contentType]) {
+    return parseInt(process.env.MAX_DOCUMENT_SIZE) || 25 * 1024 * 1024; // 25MB
+  }
+  return parseInt(process.env.MAX_IMAGE_SIZE) || 10 * 1024 * 1024; // 10MB
+};
+
 /**
  * Generate SAS token for direct upload to private container
  * @param {string} blobName - Name of the blob to upload
@@ -59,9 +85,7 @@ const generateSasToken = async (blobName, contentType, fileSize = null) => {
     const { accountName, accountKey } = getStorageAccountInfo();
     
     // Validate file size if provided
-    const maxImageSize = parseInt(process.env.MAX_IMAGE_SIZE) || 10 * 1024 * 1024; // 10MB
-    const maxVideoSize = parseInt(process.env.MAX_VIDEO_SIZE) || 100 * 1024 * 1024; // 100MB
-    const maxSize = contentType?.startsWith('video/') ? maxVideoSize : maxImageSize;
+    const maxSize = getMaxUploadSize(contentType);
     
     if (fileSize && fileSize > maxSize) {
       throw new Error(`File size exceeds maximum allowed size of ${maxSize / 1024 / 1024}MB`);
@@ -120,10 +144,50 @@ const generateSasToken = async (blobName, contentType, fileSize = null) => {
   }
 };
 
+/**
+ * Generate a short-lived read-only URL for a blob in the private container
+ * @param {string} blobName - Name of the blob to read
+ * @param {Object} options - `expiryMinutes` (default SAS_READ_URL_EXPIRY_MINUTES or 5), and
+ *   `contentType` / `contentDisposition` (e.g. 'attachment; filename="report.pdf"') to serve the blob with
+ * @returns {Object} Signed URL and its expiry
+ */
+const generateReadUrl = async (blobName, { expiryMinutes = null, contentType = null, contentDisposition = null } = {}) => {
+  try {
+    const { accountName, accountKey } = getStorageAccountInfo();
+    const containerClient = await getPrivateContainer();
+
+    const minutes = expiryMinutes || parseInt(process.env.SAS_READ_URL_EXPIRY_MINUTES) || 5;
+    const expiresOn = new Date();
+    expiresOn.setMinutes(expiresOn.getMinutes() + minutes);
+
+    const sharedKeyCredential = new StorageSharedKeyCredential(accountName, accountKey);
+    const sasQueryParams = generateBlobSASQueryParameters(
+      {
+        containerName: containerPrivate,
+        blobName: blobName,
+        permissions: BlobSASPermissions.parse('r'), // read only
+        expiresOn: expiresOn,
+        ...(contentType && { contentType }),
+        ...(contentDisposition && { contentDisposition }),
+      },
+      sharedKeyCredential
+    );
+
+    const blobClient = containerClient.getBlobClient(blobName);
+    return {
+      url: `${blobClient.url}?${sasQueryParams.toString()}`,
+      expires_at: expiresOn.toISOString(),
+    };
+  } catch (error) {
+    logger.error('Failed to generate read URL', { error: error.message, blobName });
+    throw error;
+  }
+};
+
 /**
  * Generate SAS token for media upload
  * Creates a unique blob name and returns SAS token for direct upload
- * @param {string} mediaType - Type of media (image, video)
+ * @param {string} mediaType - Type of media (image, video, document)
  * @param {string} contentType - MIME type
  * @param {number} fileSize - File size in bytes
  * @returns {Object} Upload token details
@@ -143,10 +207,11 @@ const generateUploadToken = async (mediaType, contentType, fileSize = null) => {
       'video/mp4': 'mp4',
       'video/quicktime': 'mov',
       'video/x-msvideo': 'avi',
+      ...DOCUMENT_TYPES,
     };
     
     const extension = extensionMap[contentType] || 'bin';
-    const prefix = mediaType === 'video' ? 'video' : 'image';
+    const prefix = ['video', 'document'].includes(mediaType) ? mediaType : 'image';
     
     // Generate blob name
     const blobName = generateBlobName(prefix, mediaId, 1, extension);
@@ -192,9 +257,7 @@ const validateUploadRequest = (contentType, fileSize) => {
   }
   
   // Validate file size
-  const maxImageSize = parseInt(process.env.MAX_IMAGE_SIZE) || 10 * 1024 * 1024; // 10MB
-  const maxVideoSize = parseInt(process.env.MAX_VIDEO_SIZE) || 100 * 1024 * 1024; // 100MB
-  const maxSize = contentType.startsWith('video/') ? maxVideoSize : maxImageSize;
+  const maxSize = getMaxUploadSize(contentType);
   
   if (fileSize && fileSize > maxSize) {
     throw new Error(`File size ${fileSize} exceeds maximum allowed size of ${maxSize / 1024 / 1024}MB`);
@@ -206,8 +269,31 @@ const validateUploadRequest = (contentType, fileSize) => {
   };
 };
 
+/**
+ * Validate a message attachment: images and videos as for posts, plus allow-listed documents
+ */
+const validateAttachmentUpload = (contentType, fileSize) => {
+  if (!DOCUMENT_TYPES[contentType]) {
+    return validateUploadRequest(contentType, fileSize);
+  }
+
+  const maxSize = getMaxUploadSize(contentType);
+  if (fileSize && fileSize > maxSize) {
+    throw new Error(`File size ${fileSize} exceeds maximum allowed size of ${maxSize / 1024 / 1024}MB`);
+  }
+
+  return {
+    mediaType: 'document',
+    maxSize,
+  };
+};
+
 module.exports = {
+  DOCUMENT_TYPES,
+  getMaxUploadSize,
   generateSasToken,
+  generateReadUrl,
   generateUploadToken,
   validateUploadRequest,
+  validateAttachmentUpload,
 };
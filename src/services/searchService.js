@@ -158,6 +158,7 @@ const searchPosts = async (query, limit = 20, offset = 0, userId = null) => {
       JOIN users u ON p.user_id = u.id
       WHERE 
         p.parent_post_id IS NULL
+        AND p.moderation_status IS NULL
         AND (
           to_tsvector('english', p.content) @@ plainto_tsquery('english', $1)
           OR p.content ILIKE $2
@@ -266,6 +267,12 @@ const searchJobPostings = async (query, filters = {}, limit = 20, offset = 0) =>
       paramCount++;
     }
     
+    if (filters.min_salary) {
+      searchQuery += ` AND COALESCE(jp.salary_max, jp.salary_min) >= $${paramCount}`;
+      params.push(filters.min_salary);
+      paramCount++;
+    }
+    
     searchQuery += `
       ORDER BY rank DESC, jp.created_at DESC
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
@@ -587,6 +594,7 @@ const searchGroups = async (query, limit = 20, offset = 0, filters = {}) => {
           OR name ILIKE $3
           OR description ILIKE $3
         )
+        AND is_archived = FALSE
     `;
     
     const params = [query, query, `%${query}%`];
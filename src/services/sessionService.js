@@ -0,0 +1,193 @@
+// Session service - Access/refresh token pairs, refresh rotation with reuse detection, and revocation checks
+const { withTransaction } = require('../config/database');
+const { redisClient } = require('../config/redis');
+const cacheService = require('./cacheService');
+const AuthSession = require('../models/AuthSession');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { isMfaEnrollmentRequired } = require('./mfaService');
+const { generateToken, verifyToken } = require('../utils/auth');
+const logger = require('../utils/logger');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// How long Redis may answer "active" before the DB is asked again; revoked is final, so it is kept longer
+const ACTIVE_SESSION_CACHE_TTL = 60;
+const REVOKED_SESSION_CACHE_TTL = 24 * 60 * 60;
+
+const sessionCacheKey = (sessionId) => `auth:session:${sessionId}`;
+
+// Only use Redis when it is connected; otherwise every check goes straight to the DB
+const isCacheReady = () => redisClient.status === 'ready';
+
+// Device details recorded on the session (device_name is optional in the request body)
+const getClientInfo = (req) => ({
+  device_name: (req.body && req.body.device_name) || null,
+  user_agent: req.get ? req.get('User-Agent') : null,
+  ip_address: req.ip || null,
+});
+
+// Token pair returned to clients by sign-in, sign-up and refresh
+const buildTokenResponse = (user, sessionId, refreshToken) => {
+  const token = generateToken(user.id, user.email, user.token_version, sessionId);
+  const decoded = verifyToken(token);
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: decoded.exp - decoded.iat,
+    session_id: sessionId,
+  };
+};
+
+/**
+ * Start a session for a user who just authenticated; returns the token pair.
+ * Pass mfaVerified when sign-in included a second factor (counts as a fresh step-up).
+ */
+const startSession = async (user, clientInfo, { mfaVerified = false } = {}) => {
+  const { session, refreshToken } = await withTransaction(async (client) => {
+    const created = await AuthSession.create(user.id, clientInfo, REFRESH_TOKEN_TTL_DAYS, client, mfaVerified);
+    const issued = await RefreshToken.issue(created.id, REFRESH_TOKEN_TTL_DAYS, client);
+    return { session: created, refreshToken: issued };
+  });
+  return buildTokenResponse(user, session.id, refreshToken);
+};
+
+const cacheSessionState = async (sessionId, userId, active) => {
+  if (!isCacheReady()) {
+    return;
+  }
+  await cacheService.set(
+    sessionCacheKey(sessionId),
+    { user_id: userId, active },
+    active ? ACTIVE_SESSION_CACHE_TTL : REVOKED_SESSION_CACHE_TTL
+  );
+};
+
+/**
+ * Revoke one session (only if it belongs to userId, when given). Returns the session or null.
+ */
+const revokeSession = async (sessionId, reason, userId = null) => {
+  const session = await AuthSession.revoke(sessionId, reason, userId);
+  if (session) {
+    await cacheSessionState(session.id, session.user_id, false);
+  }
+  return session;
+};
+
+/**
+ * Revoke every session of a user, optionally keeping one. Returns the revoked session IDs.
+ */
+const revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+  const sessionIds = await AuthSession.revokeAllForUser(userId, reason, exceptSessionId);
+  for (const sessionId of sessionIds) {
+    await cacheSessionState(sessionId, userId, false);
+  }
+  return sessionIds;
+};
+
+/**
+ * Exchange a refresh token for a new pair. The presented token is spent; presenting a spent
+ * token again means it leaked, so the whole session (token family) is revoked.
+ * Sessions of users whose organization now requires 2FA they have not set up are not renewed.
+ * Returns { tokens, userId, sessionId } or { error: 'invalid' | 'reused' | 'mfa_enrollment_required', sessionId? }.
+ */
+const refreshSession = async (refreshToken, clientInfo) => {
+  const record = await RefreshToken.findByToken(refreshToken);
+  if (!record) {
+    return { error: 'invalid' };
+  }
+
+  const reuseDetected = async () => {
+    await revokeSession(record.session_id, 'refresh_token_reuse');
+    logger.warn('Refresh token reuse detected, session revoked', {
+      sessionId: record.session_id,
+      userId: record.user_id,
+      ip: clientInfo.ip_address,
+    });
+    return { error: 'reused', sessionId: record.session_id, userId: record.user_id };
+  };
+
+  if (record.rotated_at) {
+    return reuseDetected();
+  }
+
+  const now = new Date();
+  if (record.session_revoked_at || new Date(record.session_expires_at) <= now || new Date(record.expires_at) <= now) {
+    return { error: 'invalid' };
+  }
+
+  const user = await User.findById(record.user_id);
+  if (!user || user.is_active === false) {
+    return { error: 'invalid' };
+  }
+
+  if (await isMfaEnrollmentRequired(user.id)) {
+    return { error: 'mfa_enrollment_required', sessionId: record.session_id, userId: user.id };
+  }
+
+  const nextToken = await withTransaction(async (client) => {
+    const rotated = await RefreshToken.markRotated(record.id, client);
+    if (!rotated) {
+      return null; // Spent by a concurrent request in the meantime
+    }
+    await AuthSession.touch(record.session_id, clientInfo, REFRESH_TOKEN_TTL_DAYS, client);
+    return RefreshToken.issue(record.session_id, REFRESH_TOKEN_TTL_DAYS, client);
+  });
+
+  if (!nextToken) {
+    return reuseDetected();
+  }
+
+  return {
+    tokens: buildTokenResponse(user, record.session_id, nextToken),
+    userId: user.id,
+    sessionId: record.session_id,
+  };
+};
+
+/**
+ * Whether an access token's session is still live. Answers from Redis when it is up, else from the DB.
+ */
+const isSessionActive = async (sessionId, userId) => {
+  if (isCacheReady()) {
+    const cached = await cacheService.get(sessionCacheKey(sessionId));
+    if (cached) {
+      return cached.active && cached.user_id === userId;
+    }
+  }
+
+  const session = await AuthSession.findById(sessionId);
+  const active = !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+  if (session) {
+    await cacheSessionState(session.id, session.user_id, active);
+  }
+  return active && session.user_id === userId;
+};
+
+/**
+ * Record a passed second-factor check in the session, for step-up on sensitive actions
+ */
+const markSessionMfaVerified = (sessionId) => AuthSession.markMfaVerified(sessionId);
+
+/**
+ * Whether the session passed a second-factor check within the last windowMinutes
+ */
+const hasRecentMfaVerification = async (sessionId, windowMinutes) => {
+  const session = await AuthSession.findById(sessionId);
+  if (!session || !session.mfa_verified_at) {
+    return false;
+  }
+  return Date.now() - new Date(session.mfa_verified_at).getTime() <= windowMinutes * 60 * 1000;
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  getClientInfo,
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  markSessionMfaVerified,
+  hasRecentMfaVerification,
+};
@@ -6,6 +6,9 @@ const { eventService, EVENTS } = require('./eventService');
 const { redisClient } = require('../config/redis');
 const UserOnlineStatus = require('../models/UserOnlineStatus');
 const Message = require('../models/Message');
+const MedicalGroup = require('../models/MedicalGroup');
+const Conversation = require('../models/Conversation');
+const { markRead, markDelivered, reconcileOnConnect } = require('./readReceiptService');
 
 let io = null;
 
@@ -99,6 +102,11 @@ const initializeSocketIO = async (httpServer) => {
     // Join user's personal room for notifications
     socket.join(`user:${socket.user.id}`);
 
+    // Session room so revoking one session disconnects just that device
+    if (socket.user.sessionId) {
+      socket.join(`session:${socket.user.sessionId}`);
+    }
+
     // Update user online status
     try {
       await UserOnlineStatus.setOnline(socket.user.id);
@@ -125,10 +133,32 @@ const initializeSocketIO = async (httpServer) => {
       console.log(`User ${socket.user.id} left post room: ${postId}`);
     });
 
-    // Join conversation room
-    socket.on('conversation:join', (conversationId) => {
-      socket.join(`conversation:${conversationId}`);
-      console.log(`User ${socket.user.id} joined conversation room: ${conversationId}`);
+    // Join group room to receive new group posts (private groups: active members only)
+    socket.on('group:join', async (groupId) => {
+      try {
+        if (await MedicalGroup.canViewContent(groupId, socket.user.id)) {
+          socket.join(`group:${groupId}`);
+        }
+      } catch (error) {
+        console.error('Error joining group room:', error.message);
+      }
+    });
+
+    // Leave group room
+    socket.on('group:leave', (groupId) => {
+      socket.leave(`group:${groupId}`);
+    });
+
+    // Join conversation room (current participants only)
+    socket.on('conversation:join', async (conversationId) => {
+      try {
+        if (await Conversation.isParticipant(conversationId, socket.user.id)) {
+          socket.join(`conversation:${conversationId}`);
+          console.log(`User ${socket.user.id} joined conversation room: ${conversationId}`);
+        }
+      } catch (error) {
+        console.error('Error joining conversation room:', error.message);
+      }
     });
 
     // Leave conversation room
@@ -161,20 +191,14 @@ const initializeSocketIO = async (httpServer) => {
       }
     });
 
-    // Message delivery confirmation
+    // Message delivery confirmation (moves this user's delivery cursor; other participants are told)
     socket.on('message:delivered', async (data) => {
-      const { message_id } = data;
+      const { message_id } = data || {};
       if (message_id) {
         try {
-          // Mark message as delivered
-          const message = await Message.markAsDelivered(message_id);
+          const message = await Message.findById(message_id);
           if (message) {
-            // Emit delivery confirmation to sender
-            io.to(`user:${message.sender_id}`).emit('message:delivered', {
-              message_id,
-              conversation_id: message.conversation_id,
-              delivered_at: message.delivered_at,
-            });
+            await markDelivered(message.conversation_id, socket.user.id, message.id);
           }
         } catch (error) {
           console.error('Error marking message as delivered:', error.message);
@@ -182,6 +206,18 @@ const initializeSocketIO = async (httpServer) => {
       }
     });
 
+    // Read confirmation: up to message_id, or the latest message (same as PUT /conversations/:id/read)
+    socket.on('message:read', async (data) => {
+      const { conversation_id, message_id } = data || {};
+      if (conversation_id) {
+        try {
+          await markRead(parseInt(conversation_id), socket.user.id, message_id ? parseInt(message_id) : null);
+        } catch (error) {
+          console.error('Error marking conversation as read:', error.message);
+        }
+      }
+    });
+
     // Periodic last seen update (every 30 seconds while connected)
     const lastSeenInterval = setInterval(async () => {
       try {
@@ -235,6 +271,14 @@ const initializeSocketIO = async (httpServer) => {
     socket.on('error', (error) => {
       console.error(`Socket error for user ${socket.user.id}:`, error.message);
     });
+
+    // Catch up after being offline: what arrived meanwhile is now delivered, then send the read state
+    try {
+      const state = await reconcileOnConnect(socket.user.id);
+      socket.emit('sync:state', state);
+    } catch (error) {
+      console.error('Error reconciling message state:', error.message);
+    }
   });
 
   // Listen to events from event service and broadcast
@@ -249,8 +293,13 @@ const setupEventListeners = () => {
   // Post created
   eventService.on(EVENTS.POST_CREATED, (event) => {
     if (io) {
-      // Broadcast to feed (all connected users will see in their feed)
-      io.emit('post:new', event);
+      if (event.data.group_id) {
+        // Group posts only go to sockets that joined the group room
+        io.to(`group:${event.data.group_id}`).emit('post:new', event);
+      } else {
+        // Broadcast to feed (all connected users will see in their feed)
+        io.emit('post:new', event);
+      }
     }
   });
 
@@ -359,9 +408,11 @@ const setupEventListeners = () => {
   // Message created
   eventService.on(EVENTS.MESSAGE_CREATED, (event) => {
     if (io) {
-      // Send to conversation room and recipient's user room
+      // Send to conversation room and every recipient's user room
       io.to(`conversation:${event.data.conversation_id}`).emit('message:new', event);
-      io.to(`user:${event.data.recipient_id}`).emit('message:new', event);
+      for (const recipientId of event.data.recipient_ids) {
+        io.to(`user:${recipientId}`).emit('message:new', event);
+      }
     }
   });
 
@@ -378,19 +429,46 @@ const setupEventListeners = () => {
       io.to(`conversation:${event.data.conversation_id}`).emit('message:deleted', event);
     }
   });
+
+  // Read receipt (conversation:read is kept for older clients)
+  eventService.on(EVENTS.MESSAGE_READ, (event) => {
+    if (io) {
+      const { recipient_ids: recipientIds, ...receipt } = event.data;
+      for (const recipientId of recipientIds) {
+        io.to(`user:${recipientId}`).emit('message:read', receipt);
+        io.to(`user:${recipientId}`).emit('conversation:read', {
+          conversation_id: receipt.conversation_id,
+          read_by: receipt.user_id,
+          last_read_message_id: receipt.last_read_message_id,
+        });
+      }
+    }
+  });
+
+  // Delivery receipt
+  eventService.on(EVENTS.MESSAGE_DELIVERED, (event) => {
+    if (io) {
+      const { recipient_ids: recipientIds, ...receipt } = event.data;
+      for (const recipientId of recipientIds) {
+        io.to(`user:${recipientId}`).emit('message:delivered', receipt);
+      }
+    }
+  });
+
+  // Read state for the reader's other devices
+  eventService.on(EVENTS.READ_STATE_SYNC, (event) => {
+    if (io) {
+      io.to(`user:${event.data.user_id}`).emit('conversation:read_state', event.data);
+    }
+  });
 };
 
 // Mark message as delivered when it reaches recipient's device
 const handleMessageDelivered = async (messageId, recipientId) => {
   try {
-    const message = await Message.markAsDelivered(messageId);
-    if (message && io) {
-      // Notify sender that message was delivered
-      io.to(`user:${message.sender_id}`).emit('message:delivered', {
-        message_id: messageId,
-        conversation_id: message.conversation_id,
-        delivered_at: message.delivered_at,
-      });
+    const message = await Message.findById(messageId);
+    if (message) {
+      await markDelivered(message.conversation_id, recipientId, message.id);
     }
   } catch (error) {
     console.error('Error handling message delivery:', error.message);
@@ -416,6 +494,29 @@ const emitToUser = (userId, event, data) => {
   }
 };
 
+// Take every socket of a user out of a room (e.g. removed from a conversation)
+const removeUserFromRoom = (userId, room) => {
+  if (io) {
+    io.in(`user:${userId}`).socketsLeave(room);
+  }
+};
+
+// Disconnect every socket of a user (their tokens were revoked); clients must reconnect with a fresh token
+const disconnectUser = (userId, reason = 'revoked') => {
+  if (io) {
+    io.to(`user:${userId}`).emit('session:revoked', { reason });
+    io.in(`user:${userId}`).disconnectSockets(true);
+  }
+};
+
+// Disconnect the sockets opened with one session's tokens
+const disconnectSession = (sessionId, reason = 'revoked') => {
+  if (io) {
+    io.to(`session:${sessionId}`).emit('session:revoked', { reason });
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  }
+};
+
 // Broadcast to all connected clients
 const broadcast = (event, data) => {
   if (io) {
@@ -428,6 +529,9 @@ module.exports = {
   getIO,
   emitToRoom,
   emitToUser,
+  removeUserFromRoom,
+  disconnectUser,
+  disconnectSession,
   broadcast,
   handleMessageDelivered,
 };
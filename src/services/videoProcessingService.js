@@ -29,9 +29,10 @@ const VIDEO_VARIANTS = {
  * Extract poster image (first keyframe) from video
  * @param {Buffer} videoBuffer - Video buffer
  * @param {string} mediaId - Unique media ID
- * @returns {string} Poster image URL
+ * @param {Object} options - Passed to processImage (`container`)
+ * @returns {string} Poster image URL (blob name when private)
  */
-const extractPoster = async (videoBuffer, mediaId) => {
+const extractPoster = async (videoBuffer, mediaId, options = {}) => {
   return new Promise((resolve, reject) => {
     try {
       const fs = require('fs');
@@ -59,7 +60,7 @@ const extractPoster = async (videoBuffer, mediaId) => {
             const frameBuffer = fs.readFileSync(tempPosterPath);
             
             // Process as image to generate variants
-            const imageResults = await processImage(frameBuffer, `${mediaId}_poster`, 'jpg');
+            const imageResults = await processImage(frameBuffer, `${mediaId}_poster`, 'jpg', options);
             
             // Use the feed variant as poster URL
             const posterUrl = imageResults.variants.feed || imageResults.variants.full;
@@ -211,9 +212,10 @@ const getVideoMetadata = async (videoBuffer) => {
  * Process video and generate variants
  * @param {Buffer} videoBuffer - Original video buffer
  * @param {string} mediaId - Unique media ID
- * @returns {Object} Processing results with variant URLs and metadata
+ * @param {Object} options - `container`: 'public' (default) or 'private' for media only readable through signed URLs
+ * @returns {Object} Processing results with variant URLs (blob names when private) and metadata
  */
-const processVideo = async (videoBuffer, mediaId) => {
+const processVideo = async (videoBuffer, mediaId, { container = 'public' } = {}) => {
   try {
     const results = {
       variants: {},
@@ -228,7 +230,7 @@ const processVideo = async (videoBuffer, mediaId) => {
     results.aspectRatio = metadata.aspectRatio;
 
     // Extract poster image
-    results.posterUrl = await extractPoster(videoBuffer, mediaId);
+    results.posterUrl = await extractPoster(videoBuffer, mediaId, { container });
 
     // Transcode variants
     for (const [variantName, config] of Object.entries(VIDEO_VARIANTS)) {
@@ -239,9 +241,9 @@ const processVideo = async (videoBuffer, mediaId) => {
         const blobName = generateBlobName('video', mediaId, 1, 'mp4');
         const variantBlobName = blobName.replace('_v1.mp4', `_${variantName}_v1.mp4`);
 
-        // Upload to public container
+        // Upload to the target container
         const uploadResult = await uploadBlob(
-          'public',
+          container,
           variantBlobName,
           transcodedBuffer,
           'video/mp4',
@@ -251,7 +253,7 @@ const processVideo = async (videoBuffer, mediaId) => {
           }
         );
 
-        results.variants[variantName] = uploadResult.url;
+        results.variants[variantName] = container === 'public' ? uploadResult.url : uploadResult.blobName;
 
         logger.debug('Video variant processed', {
           variant: variantName,
@@ -283,9 +285,10 @@ const processVideo = async (videoBuffer, mediaId) => {
  * Process video from Azure blob (download, process, upload variants)
  * @param {string} blobName - Name of the blob in private container
  * @param {string} mediaId - Unique media ID
+ * @param {Object} options - Passed to processVideo (`container`)
  * @returns {Object} Processing results
  */
-const processVideoFromBlob = async (blobName, mediaId) => {
+const processVideoFromBlob = async (blobName, mediaId, options = {}) => {
   try {
     const { downloadBlob } = require('./azureBlobService');
     
@@ -293,7 +296,7 @@ const processVideoFromBlob = async (blobName, mediaId) => {
     const { buffer, contentType } = await downloadBlob('private', blobName);
     
     // Process video
-    const results = await processVideo(buffer, mediaId);
+    const results = await processVideo(buffer, mediaId, options);
     
     // Add original blob name to results
     results.originalBlobName = blobName;
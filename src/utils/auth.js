@@ -1,10 +1,12 @@
 // Authentication utility functions
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+// Access tokens are short-lived; clients renew them with a refresh token (see sessionService)
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 // Hash password using bcrypt
 const hashPassword = async (password) => {
@@ -30,12 +32,18 @@ const comparePassword = async (password, hashedPassword) => {
 };
 
 // Generate JWT token
-const generateToken = (userId, email) => {
+// tokenVersion must match users.token_version; bumping the column revokes every token issued before.
+// sessionId ties the token to an auth session so revoking the session revokes it too.
+const generateToken = (userId, email, tokenVersion = 0, sessionId = null) => {
   try {
     const payload = {
       userId,
       email,
+      tokenVersion,
     };
+    if (sessionId) {
+      payload.sessionId = sessionId;
+    }
     const token = jwt.sign(payload, JWT_SECRET, {
       expiresIn: JWT_EXPIRES_IN,
     });
@@ -62,9 +70,53 @@ const verifyToken = (token) => {
   }
 };
 
+// Short-lived token proving the password step of a sign-in that still needs a second factor.
+// Signed with a separate key so it can never be used as an access token.
+const MFA_PENDING_SECRET = `${JWT_SECRET}:mfa-pending`;
+const MFA_PENDING_EXPIRES_IN = process.env.MFA_PENDING_EXPIRES_IN || '5m';
+
+const generateMfaPendingToken = (userId, tokenVersion = 0) => {
+  try {
+    return jwt.sign({ userId, tokenVersion }, MFA_PENDING_SECRET, {
+      expiresIn: MFA_PENDING_EXPIRES_IN,
+    });
+  } catch (error) {
+    console.error('Error generating MFA pending token:', error.message);
+    throw error;
+  }
+};
+
+const verifyMfaPendingToken = (token) => {
+  try {
+    return jwt.verify(token, MFA_PENDING_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Token has expired');
+    } else if (error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid token');
+    } else {
+      throw error;
+    }
+  }
+};
+
+// Random opaque token for emailed links; only its hash is stored
+const generateSecureToken = () => crypto.randomBytes(32).toString('hex');
+
+// SHA-256 of an opaque token (tokens are high-entropy, so no salt or slow hash is needed)
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Whether a decoded JWT was issued before the user's tokens were last revoked
+const isTokenRevoked = (decoded, user) => (decoded.tokenVersion || 0) !== (user.token_version || 0);
+
 module.exports = {
   hashPassword,
   comparePassword,
   generateToken,
   verifyToken,
+  generateMfaPendingToken,
+  verifyMfaPendingToken,
+  generateSecureToken,
+  hashToken,
+  isTokenRevoked,
 };
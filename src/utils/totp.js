@@ -0,0 +1,152 @@
+// TOTP utility functions (RFC 6238) - secrets, codes, otpauth:// URIs and recovery codes, computed locally
+const crypto = require('crypto');
+require('dotenv').config();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+// Encode bytes as unpadded base32 (the format authenticator apps expect)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Decode base32, ignoring case, spaces and padding
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// New 160-bit shared secret, base32-encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step (counter) for a moment in time
+const getTimeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+// HOTP value (RFC 4226) for a counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+// Current TOTP code
+const generateTotp = (secret, now = Date.now()) => generateHotp(secret, getTimeStep(now));
+
+/**
+ * Check a code against the current step and `window` steps either side (clock drift).
+ * Steps at or before `afterStep` are refused so a code cannot be replayed.
+ * Returns the matching time step, or null.
+ */
+const verifyTotp = (secret, code, { window = 1, afterStep = null, now = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) {
+    return null;
+  }
+  const current = getTimeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (afterStep !== null && step <= afterStep) {
+      continue;
+    }
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI for authenticator apps; clients render it as a QR code
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are encrypted at rest (AES-256-GCM) with MFA_ENCRYPTION_KEY, falling back to JWT_SECRET
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-change-in-production')
+  .digest();
+
+// "<iv>.<auth tag>.<ciphertext>", base64 parts
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (encrypted) => {
+  const [iv, tag, ciphertext] = String(encrypted).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like "k3f9x-2mq7d"; compare them through normalizeRecoveryCode
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const code = base32Encode(crypto.randomBytes(7)).toLowerCase().substring(0, 10);
+  return `${code.substring(0, 5)}-${code.substring(5)}`;
+});
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+module.exports = {
+  TOTP_PERIOD_SECONDS,
+  TOTP_DIGITS,
+  RECOVERY_CODE_COUNT,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};